@@ -1,9 +1,38 @@
 const mongoose = require('mongoose');
 
+// Indexes replaced by a wider one starting with the same keys. Each is dropped
+// once its replacement has been built, so queries always have one of them
+const SUPERSEDED_INDEXES = [
+  // models/Message.js: cursor pagination adds _id as a tiebreaker
+  { model: 'Message', index: 'chat_1_createdAt_-1', replacedBy: 'chat_1_createdAt_-1__id_-1' }
+];
+
+const dropSupersededIndexes = async () => {
+  for (const { model, index, replacedBy } of SUPERSEDED_INDEXES) {
+    try {
+      const Model = mongoose.model(model);
+      await Model.init();
+
+      const indexes = await Model.collection.indexInformation();
+      if (!indexes[replacedBy] || !indexes[index]) continue;
+
+      await Model.collection.dropIndex(index);
+      console.log(`🧹 Dropped index ${Model.collection.name}.${index} (replaced by ${replacedBy})`);
+    } catch (error) {
+      // Another instance dropped it first
+      if (error.codeName === 'IndexNotFound') continue;
+      console.warn(`⚠️ Could not drop superseded index ${index}:`, error.message);
+    }
+  }
+};
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp_clone');
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+
+    // In the background: index builds can take a while on big collections
+    dropSupersededIndexes();
   } catch (error) {
     console.error('❌ Database connection error:', error.message);
     process.exit(1);
@@ -0,0 +1,169 @@
+// controllers/blockController.js
+const Block = require('../models/Block');
+const User = require('../models/User');
+const MessageRequest = require('../models/MessageRequest');
+const { refreshSocketBlockLists } = require('../utils/blocking');
+
+// @desc    List users I have blocked
+// @route   GET /api/user/blocks
+// @access  Private
+const listBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await Block.find({ blocker: req.user._id })
+      .populate('blocked', 'name profilePicture firebaseUid')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const data = blocks
+      .filter(block => block.blocked)
+      .map(block => ({
+        _id: block.blocked._id,
+        firebaseUid: block.blocked.firebaseUid,
+        name: block.blocked.name,
+        profilePicture: block.blocked.profilePicture,
+        blockedAt: block.createdAt
+      }));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('❌ List blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blocked users',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Block a user
+// @route   POST /api/user/blocks
+// @access  Private
+const blockUser = async (req, res) => {
+  try {
+    const { firebaseUid, reason } = req.body;
+
+    console.log('🚫 Blocking user:', firebaseUid, 'by', req.user.firebaseUid);
+
+    if (!firebaseUid) {
+      return res.status(400).json({
+        success: false,
+        message: 'firebaseUid is required'
+      });
+    }
+
+    if (firebaseUid === req.user.firebaseUid) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const target = await User.findOne({ firebaseUid }).select('name profilePicture firebaseUid');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await Block.updateOne(
+      { blocker: req.user._id, blocked: target._id },
+      { $setOnInsert: { blocker: req.user._id, blocked: target._id, reason } },
+      { upsert: true }
+    );
+
+    // Pending message requests between the two are dropped
+    await MessageRequest.updateMany(
+      {
+        status: 'pending',
+        $or: [
+          { sender: req.user._id, receiver: target._id },
+          { sender: target._id, receiver: req.user._id }
+        ]
+      },
+      { $set: { status: 'rejected' } }
+    );
+
+    const io = req.app.get('io');
+    await refreshSocketBlockLists(io, [req.user, target]);
+    if (io) {
+      io.to(req.user.firebaseUid).emit('user_blocked', { firebaseUid: target.firebaseUid });
+    }
+
+    console.log('✅ User blocked:', target.firebaseUid);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: target._id,
+        firebaseUid: target.firebaseUid,
+        name: target.name,
+        profilePicture: target.profilePicture
+      },
+      message: 'User blocked'
+    });
+  } catch (error) {
+    console.error('❌ Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while blocking user',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unblock a user
+// @route   DELETE /api/user/blocks/:firebaseUid
+// @access  Private
+const unblockUser = async (req, res) => {
+  try {
+    const { firebaseUid } = req.params;
+
+    console.log('✅ Unblocking user:', firebaseUid, 'by', req.user.firebaseUid);
+
+    const target = await User.findOne({ firebaseUid }).select('firebaseUid');
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Block.deleteOne({ blocker: req.user._id, blocked: target._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    const io = req.app.get('io');
+    await refreshSocketBlockLists(io, [req.user, target]);
+    if (io) {
+      io.to(req.user.firebaseUid).emit('user_unblocked', { firebaseUid: target.firebaseUid });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('❌ Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unblocking user',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listBlockedUsers,
+  blockUser,
+  unblockUser
+};
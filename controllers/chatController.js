@@ -2,6 +2,20 @@
 const Chat = require('../models/Chat');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const ChatUserState = require('../models/ChatUserState');
+const Block = require('../models/Block');
+const mongoose = require('mongoose');
+const { createHttpError } = require('../utils/httpError');
+const {
+  populateGroup,
+  loadGroupForMember,
+  emitGroupUpdated,
+  removeFromChatRoom,
+  recordGroupEvent,
+  assertCanAddMember,
+  addGroupMember,
+  sendGroupError
+} = require('../utils/groupChat');
 
 // @desc    Fetch all chats for a user
 // @route   GET /api/chat/
@@ -21,6 +35,9 @@ const fetchChats = async (req, res) => {
       .populate('latestMessage.sender', 'name profilePicture')
       .sort({ updatedAt: -1 });
     
+    // ✅ Per-user inbox state (unread, mute, pin, archive) from the chat cursors
+    const inboxStates = await ChatUserState.getInboxStates(userId, chats.map(chat => chat._id));
+
     // ✅ UPDATE: Refresh user data for each chat
     chats = await Promise.all(chats.map(async (chat) => {
       const updatedUsers = await Promise.all(chat.users.map(async (user) => {
@@ -43,15 +60,31 @@ const fetchChats = async (req, res) => {
       
       return {
         ...chat.toObject(),
-        users: updatedUsers
+        users: updatedUsers,
+        myRole: chat.isGroupChat ? chat.getMemberRole(userId) : null,
+        unreadCount: inboxStates.get(chat._id.toString()).unreadCount,
+        state: inboxStates.get(chat._id.toString())
       };
     }));
+
+    // Pinned chats first (by pin order), then everything else by recent activity
+    chats.sort((a, b) => {
+      if (a.state.isPinned !== b.state.isPinned) return a.state.isPinned ? -1 : 1;
+      if (a.state.isPinned) return (a.state.pinOrder ?? 0) - (b.state.pinOrder ?? 0);
+      return new Date(b.updatedAt) - new Date(a.updatedAt);
+    });
     
     console.log(`✅ Found ${chats.length} chats for user ${userId}`);
     
     res.json({
       success: true,
-      data: chats
+      data: chats,
+      // Section counts for the inbox (archived chats are included in data with state.isArchived)
+      meta: {
+        pinnedCount: chats.filter(chat => chat.state.isPinned).length,
+        archivedCount: chats.filter(chat => chat.state.isArchived).length,
+        unreadChats: chats.filter(chat => !chat.state.isArchived && chat.state.badgeCount > 0).length
+      }
     });
     
   } catch (error) {
@@ -101,6 +134,18 @@ const checkExistingChat = async (req, res) => {
     }
     
     console.log(`✅ Target user found: ${targetUser.name} (${targetUser._id})`);
+
+    // ✅ Blocked either way: nothing can be started from here
+    if (await Block.isBlockedBetween(req.user._id, targetUser._id)) {
+      return res.json({
+        success: true,
+        exists: false,
+        isBlocked: true,
+        canMessage: false,
+        requiresRequest: false,
+        message: 'You cannot message this user'
+      });
+    }
     
     // Check for existing chat between users
     const existingChat = await Chat.findOne({
@@ -294,6 +339,16 @@ const firebaseUser = await auth.getUser(userId);;
       console.log('✅ [2/6] Target user found:', targetUser._id, targetUser.name);
     }
 
+    // ✅ Blocked either way: no chat access
+    if (await Block.isBlockedBetween(req.user._id, targetUser._id)) {
+      console.log('🚫 [4/6] Users have blocked each other');
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot message this user',
+        code: 'blocked'
+      });
+    }
+
     console.log('🔍 [4/6] Checking for existing chat...');
     // Use a simpler query to find existing chat
     const existingChat = await Chat.findOne({
@@ -594,7 +649,7 @@ const getGroupedMediaMessages = async (req, res) => {
 
 const createGroupChat = async (req, res) => {
   try {
-    const { users, name } = req.body;
+    const { users, name, settings } = req.body;
 
     console.log('👥 Creating group chat:', name);
 
@@ -622,19 +677,37 @@ const createGroupChat = async (req, res) => {
       });
     }
 
-    // Add current user to the group
+    // Add current user to the group (creator becomes the owner)
     parsedUsers.push(req.user._id);
+    const uniqueUsers = [...new Set(parsedUsers.map(id => id.toString()))];
+
+    // ✅ Nobody who blocked (or was blocked by) the creator can be added
+    const hiddenIds = (await Block.getHiddenUserIds(req.user._id)).map(id => id.toString());
+    if (uniqueUsers.some(id => hiddenIds.includes(id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Some of these users cannot be added to a group by you',
+        code: 'blocked'
+      });
+    }
+
+    const groupSettings = {};
+    Chat.GROUP_SETTINGS.forEach(key => {
+      if (settings && settings[key] !== undefined) groupSettings[key] = Boolean(settings[key]);
+    });
 
     const groupChat = await Chat.create({
       chatName: name,
-      users: parsedUsers,
+      users: uniqueUsers,
       isGroupChat: true,
       groupAdmin: req.user._id,
+      admins: [],
+      groupSettings
     });
 
-    const fullGroupChat = await Chat.findOne({ _id: groupChat._id })
-      .populate('users', '-password')
-      .populate('groupAdmin', '-password');
+    await recordGroupEvent(req, groupChat._id, 'group_created', { newValue: name });
+
+    const fullGroupChat = await populateGroup(groupChat._id);
 
     console.log('✅ Group chat created:', fullGroupChat._id);
 
@@ -653,34 +726,48 @@ const createGroupChat = async (req, res) => {
   }
 };
 
+// ==================== GROUP MANAGEMENT HELPERS ====================
+
+const assertValidUserId = (userId) => {
+  if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+    throw createHttpError(400, 'A valid userId is required');
+  }
+};
+
+// @desc    Rename a group (admins only when "only admins can edit info" is on)
+// @route   PUT /api/chat/group/rename
+// @access  Private
 const renameGroup = async (req, res) => {
   try {
     const { chatId, chatName } = req.body;
 
     console.log('✏️ Renaming group:', chatId, 'to', chatName);
 
-    if (!req.user || !req.user._id) {
-      return res.status(401).json({
+    if (!chatName || !chatName.trim()) {
+      return res.status(400).json({
         success: false,
-        message: 'User not authenticated'
+        message: 'Group name is required'
       });
     }
 
-    const updatedChat = await Chat.findByIdAndUpdate(
-      chatId,
-      { chatName },
-      { new: true }
-    )
-      .populate('users', '-password')
-      .populate('groupAdmin', '-password');
+    const chat = await loadGroupForMember(chatId, req.user._id);
 
-    if (!updatedChat) {
-      return res.status(404).json({
+    if (!chat.canEditInfo(req.user._id)) {
+      return res.status(403).json({
         success: false,
-        message: 'Chat not found'
+        message: 'Only group admins can edit group info'
       });
     }
 
+    const oldName = chat.chatName;
+    chat.chatName = chatName.trim();
+    await chat.save();
+
+    await recordGroupEvent(req, chat._id, 'renamed', { oldValue: oldName, newValue: chat.chatName });
+
+    const updatedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, updatedChat, 'renamed', { chatName: updatedChat.chatName });
+
     console.log('✅ Group renamed:', updatedChat._id);
 
     res.json({
@@ -689,43 +776,58 @@ const renameGroup = async (req, res) => {
       message: 'Group renamed successfully'
     });
   } catch (error) {
-    console.error('❌ Rename group error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while renaming group',
-      error: error.message
-    });
+    sendGroupError(res, error, 'Renaming group');
   }
 };
 
+// @desc    Add a member (queued for approval when a non-admin adds and approval is on)
+// @route   PUT /api/chat/group/add
+// @access  Private
 const addToGroup = async (req, res) => {
   try {
     const { chatId, userId } = req.body;
 
     console.log('➕ Adding user to group:', userId, 'to', chatId);
 
-    if (!req.user || !req.user._id) {
-      return res.status(401).json({
+    assertValidUserId(userId);
+    const chat = await loadGroupForMember(chatId, req.user._id);
+
+    if (chat.isMember(userId)) {
+      return res.status(400).json({
         success: false,
-        message: 'User not authenticated'
+        message: 'User is already a member of this group'
       });
     }
 
-    const added = await Chat.findByIdAndUpdate(
-      chatId,
-      { $push: { users: userId } },
-      { new: true }
-    )
-      .populate('users', '-password')
-      .populate('groupAdmin', '-password');
+    const needsApproval = chat.groupSettings?.approveNewMembers && !chat.isGroupAdminUser(req.user._id);
 
-    if (!added) {
-      return res.status(404).json({
-        success: false,
-        message: 'Chat not found'
+    if (needsApproval) {
+      await assertCanAddMember(req, userId);
+
+      const alreadyPending = chat.pendingMembers.some(pending => pending.user.toString() === userId.toString());
+      if (!alreadyPending) {
+        chat.pendingMembers.push({ user: userId, requestedBy: req.user._id });
+        await chat.save();
+      }
+
+      const pendingChat = await populateGroup(chat._id);
+      emitGroupUpdated(req, pendingChat, 'member_pending', { userId });
+
+      console.log('⏳ Member awaiting admin approval:', userId);
+
+      return res.status(202).json({
+        success: true,
+        data: pendingChat,
+        pending: true,
+        message: 'Member added to the approval queue'
       });
     }
 
+    await addGroupMember(req, chat, userId);
+
+    const added = await populateGroup(chat._id);
+    emitGroupUpdated(req, added, 'member_added', { userId });
+
     console.log('✅ User added to group:', added._id);
 
     res.json({
@@ -734,52 +836,52 @@ const addToGroup = async (req, res) => {
       message: 'User added to group successfully'
     });
   } catch (error) {
-    console.error('❌ Add to group error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while adding user to group',
-      error: error.message
-    });
+    sendGroupError(res, error, 'Adding user to group');
   }
 };
 
+// @desc    Remove a member (admins remove members, only the owner removes admins)
+// @route   PUT /api/chat/group/remove
+// @access  Private
 const removeFromGroup = async (req, res) => {
   try {
     const { chatId, userId } = req.body;
 
     console.log('➖ Removing user from group:', userId, 'from', chatId);
 
-    if (!req.user || !req.user._id) {
-      return res.status(401).json({
+    assertValidUserId(userId);
+    const chat = await loadGroupForMember(chatId, req.user._id);
+
+    if (userId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
         success: false,
-        message: 'User not authenticated'
+        message: 'Use the leave group endpoint to remove yourself'
       });
     }
 
-    // Check if the requester is group admin
-    const chat = await Chat.findById(chatId);
-
-    if (!chat) {
+    if (!chat.isMember(userId)) {
       return res.status(404).json({
         success: false,
-        message: 'Chat not found'
+        message: 'User is not a member of this group'
       });
     }
 
-    if (chat.groupAdmin.toString() !== req.user._id.toString()) {
+    if (!chat.canRemoveMember(req.user._id, userId)) {
       return res.status(403).json({
         success: false,
-        message: 'Only group admin can remove users'
+        message: 'You do not have permission to remove this member'
       });
     }
 
-    const removed = await Chat.findByIdAndUpdate(
-      chatId,
-      { $pull: { users: userId } },
-      { new: true }
-    )
-      .populate('users', '-password')
-      .populate('groupAdmin', '-password');
+    chat.removeMember(userId);
+    await chat.save();
+
+    await recordGroupEvent(req, chat._id, 'member_removed', { target: userId });
+
+    const removedUser = await User.findById(userId).select('firebaseUid');
+    removeFromChatRoom(req, chat._id, removedUser?.firebaseUid);
+    const removed = await populateGroup(chat._id);
+    emitGroupUpdated(req, removed, 'member_removed', { userId }, [removedUser?.firebaseUid]);
 
     console.log('✅ User removed from group:', removed._id);
 
@@ -789,12 +891,355 @@ const removeFromGroup = async (req, res) => {
       message: 'User removed from group successfully'
     });
   } catch (error) {
-    console.error('❌ Remove from group error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while removing user from group',
-      error: error.message
+    sendGroupError(res, error, 'Removing user from group');
+  }
+};
+
+// @desc    Promote a member to admin
+// @route   PUT /api/chat/group/promote
+// @access  Private (group admins)
+const promoteToAdmin = async (req, res) => {
+  try {
+    const { chatId, userId } = req.body;
+
+    console.log('⬆️ Promoting user to admin:', userId, 'in', chatId);
+
+    assertValidUserId(userId);
+    const chat = await loadGroupForMember(chatId, req.user._id);
+
+    if (!chat.isGroupAdminUser(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can promote members'
+      });
+    }
+
+    const targetRole = chat.getMemberRole(userId);
+    if (!targetRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    if (targetRole !== 'member') {
+      return res.status(400).json({
+        success: false,
+        message: `User is already the group ${targetRole}`
+      });
+    }
+
+    chat.admins.addToSet(userId);
+    await chat.save();
+
+    await recordGroupEvent(req, chat._id, 'admin_promoted', { target: userId });
+
+    const updatedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, updatedChat, 'admin_promoted', { userId });
+
+    console.log('✅ User promoted to admin:', userId);
+
+    res.json({
+      success: true,
+      data: updatedChat,
+      message: 'Member promoted to admin'
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Promoting member');
+  }
+};
+
+// @desc    Demote an admin back to member (owner, or an admin stepping down)
+// @route   PUT /api/chat/group/demote
+// @access  Private
+const demoteAdmin = async (req, res) => {
+  try {
+    const { chatId, userId } = req.body;
+
+    console.log('⬇️ Demoting admin:', userId, 'in', chatId);
+
+    assertValidUserId(userId);
+    const chat = await loadGroupForMember(chatId, req.user._id);
+
+    const targetRole = chat.getMemberRole(userId);
+    if (targetRole !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: targetRole === 'owner'
+          ? 'The owner cannot be demoted, transfer ownership instead'
+          : 'User is not a group admin'
+      });
+    }
+
+    const isSelf = userId.toString() === req.user._id.toString();
+    if (!isSelf && chat.getMemberRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can demote admins'
+      });
+    }
+
+    chat.admins.pull(userId);
+    await chat.save();
+
+    await recordGroupEvent(req, chat._id, 'admin_demoted', { target: userId });
+
+    const updatedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, updatedChat, 'admin_demoted', { userId });
+
+    console.log('✅ Admin demoted:', userId);
+
+    res.json({
+      success: true,
+      data: updatedChat,
+      message: 'Admin demoted to member'
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Demoting admin');
+  }
+};
+
+// @desc    Transfer group ownership (previous owner stays on as admin)
+// @route   PUT /api/chat/group/transfer-ownership
+// @access  Private (group owner)
+const transferOwnership = async (req, res) => {
+  try {
+    const { chatId, userId } = req.body;
+
+    console.log('👑 Transferring group ownership:', chatId, 'to', userId);
+
+    assertValidUserId(userId);
+    const chat = await loadGroupForMember(chatId, req.user._id);
+
+    if (chat.getMemberRole(req.user._id) !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can transfer ownership'
+      });
+    }
+
+    if (!chat.isMember(userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'New owner must be a member of this group'
+      });
+    }
+
+    if (userId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this group'
+      });
+    }
+
+    chat.admins.pull(userId);
+    chat.admins.addToSet(req.user._id);
+    chat.groupAdmin = userId;
+    await chat.save();
+
+    await recordGroupEvent(req, chat._id, 'ownership_transferred', { target: userId });
+
+    const updatedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, updatedChat, 'ownership_transferred', {
+      previousOwner: req.user._id,
+      newOwner: userId
+    });
+
+    console.log('✅ Ownership transferred to:', userId);
+
+    res.json({
+      success: true,
+      data: updatedChat,
+      message: 'Group ownership transferred'
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Transferring ownership');
+  }
+};
+
+// @desc    Update group settings (onlyAdminsCanSend, onlyAdminsCanEditInfo, approveNewMembers)
+// @route   PUT /api/chat/group/settings
+// @access  Private (group admins)
+const updateGroupSettings = async (req, res) => {
+  try {
+    const { chatId, settings = {} } = req.body;
+
+    console.log('⚙️ Updating group settings:', chatId, settings);
+
+    const chat = await loadGroupForMember(chatId, req.user._id);
+
+    if (!chat.isGroupAdminUser(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can change group settings'
+      });
+    }
+
+    const updates = Object.keys(settings).filter(key => Chat.GROUP_SETTINGS.includes(key));
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${Chat.GROUP_SETTINGS.join(', ')}`
+      });
+    }
+
+    const oldValue = {};
+    const newValue = {};
+    updates.forEach(key => {
+      oldValue[key] = chat.groupSettings[key];
+      newValue[key] = Boolean(settings[key]);
+      chat.groupSettings[key] = newValue[key];
+    });
+
+    await chat.save();
+
+    await recordGroupEvent(req, chat._id, 'settings_updated', { oldValue, newValue });
+
+    // Turning approval off admits everyone still waiting, each through the
+    // normal add path; anyone it refuses (blocks) is dropped from the queue
+    if (updates.includes('approveNewMembers') && !chat.groupSettings.approveNewMembers) {
+      for (const pending of [...chat.pendingMembers]) {
+        try {
+          await addGroupMember(req, chat, pending.user, { requestedBy: pending.requestedBy || pending.user });
+        } catch (error) {
+          if (!error.statusCode) throw error;
+          console.log(`⛔ Pending member ${pending.user} not admitted: ${error.message}`);
+          chat.pendingMembers = chat.pendingMembers.filter(item => item.user.toString() !== pending.user.toString());
+          await chat.save();
+        }
+      }
+    }
+
+    const updatedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, updatedChat, 'settings_updated', { groupSettings: updatedChat.groupSettings });
+
+    console.log('✅ Group settings updated:', updatedChat.groupSettings);
+
+    res.json({
+      success: true,
+      data: updatedChat,
+      message: 'Group settings updated'
     });
+  } catch (error) {
+    sendGroupError(res, error, 'Updating group settings');
+  }
+};
+
+// @desc    Approve or reject a member waiting for admin approval
+// @route   PUT /api/chat/group/approve
+// @access  Private (group admins)
+const reviewPendingMember = async (req, res) => {
+  try {
+    const { chatId, userId, approve = true } = req.body;
+
+    console.log(`📝 ${approve ? 'Approving' : 'Rejecting'} pending member:`, userId, 'in', chatId);
+
+    assertValidUserId(userId);
+    const chat = await loadGroupForMember(chatId, req.user._id);
+
+    if (!chat.isGroupAdminUser(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can review pending members'
+      });
+    }
+
+    const pending = chat.pendingMembers.find(pending => pending.user.toString() === userId.toString());
+    if (!pending) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending request for this user'
+      });
+    }
+
+    // Approval adds through the same path (and checks) as a direct add
+    let action = 'member_rejected';
+    if (approve) {
+      const requestedBy = pending.requestedBy || userId;
+      await addGroupMember(req, chat, userId, { requestedBy });
+      action = requestedBy.toString() === userId.toString() ? 'member_joined' : 'member_added';
+    } else {
+      chat.pendingMembers = chat.pendingMembers.filter(item => item.user.toString() !== userId.toString());
+      await chat.save();
+    }
+
+    const updatedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, updatedChat, action, { userId });
+
+    res.json({
+      success: true,
+      data: updatedChat,
+      message: approve ? 'Member approved' : 'Member request rejected'
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Reviewing pending member');
+  }
+};
+
+// Shared by leaveGroup and deleteChat: remove the requester, promote a new owner, drop empty groups
+const leaveGroupChat = async (req, chat) => {
+  const { wasOwner, newOwner } = chat.removeMember(req.user._id);
+  removeFromChatRoom(req, chat._id, req.user.firebaseUid);
+
+  if (chat.users.length === 0) {
+    const deleteResult = await Message.deleteMany({ chat: chat._id });
+    await Chat.findByIdAndDelete(chat._id);
+    return { deleted: true, messagesDeleted: deleteResult.deletedCount, wasOwner, newOwner };
+  }
+
+  await chat.save();
+
+  await recordGroupEvent(req, chat._id, 'member_left');
+  if (newOwner) {
+    await recordGroupEvent(req, chat._id, 'ownership_transferred', { target: newOwner });
+  }
+
+  return { deleted: false, wasOwner, newOwner };
+};
+
+// @desc    Leave a group (ownership passes to the next admin or oldest member)
+// @route   PUT /api/chat/group/leave
+// @access  Private
+const leaveGroup = async (req, res) => {
+  try {
+    const { chatId } = req.body;
+
+    console.log('🚪 User leaving group:', req.user._id, 'from', chatId);
+
+    const chat = await loadGroupForMember(chatId, req.user._id);
+    const result = await leaveGroupChat(req, chat);
+
+    if (result.deleted) {
+      console.log('🗑️ Last member left, group deleted:', chatId);
+      return res.json({
+        success: true,
+        message: 'Group chat deleted (no users left)',
+        data: { chatId, completelyDeleted: true }
+      });
+    }
+
+    const updatedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, updatedChat, 'member_left', {
+      userId: req.user._id,
+      newOwner: result.newOwner
+    }, [req.user.firebaseUid]);
+
+    if (result.newOwner) {
+      console.log('👑 New group owner:', result.newOwner);
+    }
+
+    res.json({
+      success: true,
+      message: 'Left group chat',
+      data: {
+        chatId,
+        userRemoved: req.user._id,
+        remainingUsers: updatedChat.users.length,
+        newOwner: result.newOwner
+      }
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Leaving group');
   }
 };
 
@@ -818,9 +1263,13 @@ const searchUsers = async (req, res) => {
       });
     }
 
+    // Users blocked either way never show up
+    const hiddenIds = await Block.getHiddenUserIds(req.user._id);
+
     const users = await User.find({
       $and: [
         { _id: { $ne: req.user._id } }, // Exclude current user
+        { _id: { $nin: hiddenIds } },
         {
           $or: [
             { name: { $regex: query, $options: 'i' } },
@@ -1005,30 +1454,24 @@ const deleteChat = async (req, res) => {
         });
       }
     } 
-    // 3. For group chats: Remove user or delete if admin
+    // 3. For group chats: the owner deletes the group, everyone else leaves it
     else {
       console.log('👥 Group chat deletion');
-      
-      // Check if user is the group admin
-      const isAdmin = chat.groupAdmin.toString() === req.user._id.toString();
-      
-      console.log('Is admin?', isAdmin);
-      console.log('Group admin:', chat.groupAdmin);
-      console.log('Current user:', req.user._id);
 
-      if (isAdmin) {
-        // Admin can delete the entire group
-        console.log('👑 Admin deleting entire group chat...');
-        
-        // Delete all messages in this chat
+      const isOwner = chat.getMemberRole(req.user._id) === 'owner';
+      console.log('Is owner?', isOwner);
+
+      if (isOwner) {
+        // Owner can delete the entire group
+        console.log('👑 Owner deleting entire group chat...');
+
         const deleteResult = await Message.deleteMany({ chat: chatId });
         console.log(`🗑️ Deleted ${deleteResult.deletedCount} messages`);
-        
-        // Delete the chat
+
         await Chat.findByIdAndDelete(chatId);
-        
-        console.log('✅ Group chat completely deleted by admin');
-        
+
+        console.log('✅ Group chat completely deleted by owner');
+
         return res.json({
           success: true,
           message: 'Group chat permanently deleted',
@@ -1038,49 +1481,34 @@ const deleteChat = async (req, res) => {
             deletedByAdmin: true
           }
         });
-      } else {
-        // Regular user leaves the group
-        console.log('👤 User leaving group chat...');
-        
-        // Remove user from group participants
-        const updatedUsers = chat.users.filter(
-          userId => userId.toString() !== req.user._id.toString()
-        );
-        
-        console.log('Users after removal:', updatedUsers.length, 'remaining');
-
-        if (updatedUsers.length === 0) {
-          // If no users left (shouldn't happen in groups), delete everything
-          console.log('🗑️ No users left in group, deleting everything...');
-          
-          await Message.deleteMany({ chat: chatId });
-          await Chat.findByIdAndDelete(chatId);
-          
-          return res.json({
-            success: true,
-            message: 'Group chat deleted (no users left)',
-            data: { chatId }
-          });
-        } else {
-          // Update group with remaining users
-          await Chat.findByIdAndUpdate(chatId, {
-            users: updatedUsers,
-            updatedAt: Date.now()
-          });
-          
-          console.log('✅ User removed from group');
-          
-          return res.json({
-            success: true,
-            message: 'Left group chat',
-            data: {
-              chatId,
-              userRemoved: req.user._id,
-              remainingUsers: updatedUsers.length
-            }
-          });
-        }
       }
+
+      // Everyone else leaves the group
+      console.log('👤 User leaving group chat...');
+      const result = await leaveGroupChat(req, chat);
+
+      if (result.deleted) {
+        return res.json({
+          success: true,
+          message: 'Group chat deleted (no users left)',
+          data: { chatId }
+        });
+      }
+
+      const updatedChat = await populateGroup(chatId);
+      emitGroupUpdated(req, updatedChat, 'member_left', { userId: req.user._id }, [req.user.firebaseUid]);
+
+      console.log('✅ User removed from group');
+
+      return res.json({
+        success: true,
+        message: 'Left group chat',
+        data: {
+          chatId,
+          userRemoved: req.user._id,
+          remainingUsers: updatedChat.users.length
+        }
+      });
     }
 
   } catch (error) {
@@ -1109,6 +1537,12 @@ module.exports = {
   renameGroup,
   addToGroup,
   removeFromGroup,
+  promoteToAdmin,
+  demoteAdmin,
+  transferOwnership,
+  updateGroupSettings,
+  reviewPendingMember,
+  leaveGroup,
   searchUsers,
   getChatMedia,
   getGroupedMediaMessages,
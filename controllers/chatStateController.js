@@ -0,0 +1,104 @@
+// controllers/chatStateController.js
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const ChatUserState = require('../models/ChatUserState');
+
+const PREFERENCE_FIELDS = ['muted', 'mutedUntil', 'pinned', 'pinOrder', 'archived', 'markedUnread'];
+
+const assertChatMember = async (chatId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) return false;
+  return !!(await Chat.exists({ _id: chatId, users: userId }));
+};
+
+// @desc    Get my state for a chat (unread, mute, pin, archive)
+// @route   GET /api/chat/:chatId/state
+// @access  Private
+const getChatState = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    if (!(await assertChatMember(chatId, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found or access denied'
+      });
+    }
+
+    const states = await ChatUserState.getInboxStates(req.user._id, [chatId]);
+
+    res.json({
+      success: true,
+      data: {
+        chatId,
+        ...states.get(chatId.toString())
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get chat state error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching chat state',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update my state for a chat
+// @route   PUT /api/chat/:chatId/state
+// @access  Private
+const updateChatState = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    console.log('🗂️ Updating chat state:', chatId, req.body);
+
+    if (!(await assertChatMember(chatId, req.user._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found or access denied'
+      });
+    }
+
+    const changes = {};
+    PREFERENCE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide at least one of: ${PREFERENCE_FIELDS.join(', ')}`
+      });
+    }
+
+    const state = await ChatUserState.applyPreferences(req.user._id, chatId, changes);
+    const data = { chatId, ...state.toInboxState() };
+
+    // Keep the user's other devices in sync
+    const io = req.app.get('io');
+    if (io) {
+      io.to(req.user.firebaseUid).emit('chat_state_updated', data);
+    }
+
+    console.log('✅ Chat state updated:', chatId);
+
+    res.json({
+      success: true,
+      data,
+      message: 'Chat state updated'
+    });
+  } catch (error) {
+    console.error('❌ Update chat state error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while updating chat state',
+      ...(error.code && error.statusCode && { code: error.code }),
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+};
+
+module.exports = {
+  getChatState,
+  updateChatState
+};
@@ -0,0 +1,147 @@
+// controllers/deviceController.js
+const DeviceSession = require('../models/DeviceSession');
+const DeviceCursor = require('../models/DeviceCursor');
+const MessageDelivery = require('../models/MessageDelivery');
+const { refreshUserPresence } = require('../utils/presence');
+
+// The calling device, when the client sends X-Device-Id like the socket handshake does
+const getRequestDeviceId = (req) => req.get('x-device-id') || null;
+
+// @desc    List my devices with per-device presence
+// @route   GET /api/user/devices
+// @access  Private
+const listDevices = async (req, res) => {
+  try {
+    const sessions = await DeviceSession.find({ user: req.user._id, revokedAt: null })
+      .sort({ lastActiveAt: -1 });
+
+    const currentDeviceId = getRequestDeviceId(req);
+    const devices = sessions.map(session => session.toDeviceInfo(currentDeviceId));
+
+    res.json({
+      success: true,
+      data: devices,
+      count: devices.length,
+      onlineCount: devices.filter(device => device.isOnline).length
+    });
+  } catch (error) {
+    console.error('❌ List devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching devices',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update a device's name or push token
+// @route   PUT /api/user/devices/:deviceId
+// @access  Private
+const updateDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { deviceName, pushToken } = req.body;
+
+    const update = {};
+    if (deviceName !== undefined) update.deviceName = String(deviceName).slice(0, 100);
+    if (pushToken !== undefined) {
+      update.pushToken = pushToken || null;
+      update.pushTokenUpdatedAt = pushToken ? new Date() : null;
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide deviceName and/or pushToken'
+      });
+    }
+
+    const session = await DeviceSession.findOneAndUpdate(
+      { user: req.user._id, deviceId, revokedAt: null },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: session.toDeviceInfo(getRequestDeviceId(req)),
+      message: 'Device updated'
+    });
+  } catch (error) {
+    console.error('❌ Update device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating device',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out a device: disconnect its sockets and refuse reconnects until sign-in
+// @route   DELETE /api/user/devices/:deviceId
+// @access  Private
+const logoutDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    console.log('🚪 Logging out device:', deviceId, 'for', req.user.firebaseUid);
+
+    const session = await DeviceSession.revoke(req.user._id, deviceId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const io = req.app.get('io');
+    const socketIds = session.connections.map(connection => connection.socketId);
+
+    if (io && socketIds.length > 0) {
+      io.in(socketIds).emit('device_logged_out', {
+        deviceId,
+        timestamp: new Date().toISOString()
+      });
+      io.in(socketIds).disconnectSockets(true);
+    }
+
+    // A later sign-in on this device starts a fresh sync position
+    await Promise.all([
+      DeviceCursor.deleteOne({ user: req.user._id, deviceId }),
+      MessageDelivery.deleteMany({ user: req.user._id, deviceId })
+    ]);
+
+    await refreshUserPresence(io, { _id: req.user._id }, 'device_logout');
+
+    console.log('✅ Device logged out:', deviceId, `(${socketIds.length} socket(s) disconnected)`);
+
+    res.json({
+      success: true,
+      data: {
+        deviceId,
+        disconnectedSockets: socketIds.length
+      },
+      message: 'Device logged out'
+    });
+  } catch (error) {
+    console.error('❌ Logout device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while logging out device',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listDevices,
+  updateDevice,
+  logoutDevice
+};
@@ -0,0 +1,273 @@
+// controllers/groupInviteController.js
+const Chat = require('../models/Chat');
+const GroupInvite = require('../models/GroupInvite');
+const { createHttpError } = require('../utils/httpError');
+const {
+  populateGroup,
+  loadGroupForMember,
+  emitGroupUpdated,
+  addGroupMember,
+  sendGroupError
+} = require('../utils/groupChat');
+
+const formatInvite = (invite) => ({
+  _id: invite._id,
+  code: invite.code,
+  chat: invite.chat,
+  createdBy: invite.createdBy,
+  expiresAt: invite.expiresAt,
+  maxUses: invite.maxUses,
+  useCount: invite.useCount,
+  status: invite.getStatus(),
+  revokedAt: invite.revokedAt,
+  createdAt: invite.createdAt
+});
+
+// Load a group the requester administers
+const loadGroupForAdmin = async (chatId, userId) => {
+  const chat = await loadGroupForMember(chatId, userId);
+
+  if (!chat.isGroupAdminUser(userId)) {
+    throw createHttpError(403, 'Only group admins can manage invite links');
+  }
+
+  return chat;
+};
+
+// @desc    Create an invite code for a group
+// @route   POST /api/chat/group/:chatId/invites
+// @access  Private (group admins)
+const createGroupInvite = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { expiresInHours, expiresAt, maxUses } = req.body;
+
+    console.log('🔗 Creating invite link for group:', chatId);
+
+    await loadGroupForAdmin(chatId, req.user._id);
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInHours) {
+      expiry = new Date(Date.now() + Number(expiresInHours) * 60 * 60 * 1000);
+    }
+
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a future date'
+      });
+    }
+
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(Number(maxUses)) || Number(maxUses) < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxUses must be a positive integer'
+      });
+    }
+
+    const invite = await GroupInvite.createForChat({
+      chat: chatId,
+      createdBy: req.user._id,
+      expiresAt: expiry,
+      maxUses: maxUses ? Number(maxUses) : null
+    });
+
+    console.log('✅ Invite link created:', invite.code);
+
+    res.status(201).json({
+      success: true,
+      data: formatInvite(invite),
+      message: 'Invite link created'
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Creating invite link');
+  }
+};
+
+// @desc    List a group's invite codes (active and inactive)
+// @route   GET /api/chat/group/:chatId/invites
+// @access  Private (group admins)
+const listGroupInvites = async (req, res) => {
+  try {
+    const { chatId } = req.params;
+
+    await loadGroupForAdmin(chatId, req.user._id);
+
+    const invites = await GroupInvite.find({ chat: chatId })
+      .populate('createdBy', 'name profilePicture firebaseUid')
+      .sort({ createdAt: -1 });
+
+    const formatted = invites.map(formatInvite);
+
+    res.json({
+      success: true,
+      data: formatted,
+      count: formatted.length,
+      activeCount: formatted.filter(invite => invite.status === 'active').length
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Fetching invite links');
+  }
+};
+
+// @desc    Revoke an invite code
+// @route   DELETE /api/chat/group/:chatId/invites/:code
+// @access  Private (group admins)
+const revokeGroupInvite = async (req, res) => {
+  try {
+    const { chatId, code } = req.params;
+
+    console.log('🚫 Revoking invite link:', code, 'for group:', chatId);
+
+    await loadGroupForAdmin(chatId, req.user._id);
+
+    const invite = await GroupInvite.findOne({ chat: chatId, code });
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link not found'
+      });
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date();
+      invite.revokedBy = req.user._id;
+      await invite.save();
+    }
+
+    res.json({
+      success: true,
+      data: formatInvite(invite),
+      message: 'Invite link revoked'
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Revoking invite link');
+  }
+};
+
+// @desc    Preview the group behind an invite code before joining
+// @route   GET /api/chat/invite/:code
+// @access  Private
+const previewGroupInvite = async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const invite = await GroupInvite.findOne({ code });
+    const chat = invite && await Chat.findById(invite.chat);
+
+    if (!invite || !chat || !chat.isGroupChat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: invite.code,
+        status: invite.getStatus(),
+        expiresAt: invite.expiresAt,
+        chatId: chat._id,
+        chatName: chat.chatName,
+        groupPicture: chat.groupPicture,
+        memberCount: chat.users.length,
+        requiresApproval: !!chat.groupSettings?.approveNewMembers,
+        isMember: chat.isMember(req.user._id)
+      }
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Fetching invite link');
+  }
+};
+
+// @desc    Join a group with an invite code (queued when the group requires approval)
+// @route   POST /api/chat/invite/:code/join
+// @access  Private
+const joinGroupViaInvite = async (req, res) => {
+  try {
+    const { code } = req.params;
+    const userId = req.user._id;
+
+    console.log('🔗 User joining via invite:', userId, 'code:', code);
+
+    const invite = await GroupInvite.findOne({ code });
+    const chat = invite && await Chat.findById(invite.chat);
+
+    if (!invite || !chat || !chat.isGroupChat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link not found'
+      });
+    }
+
+    if (chat.isMember(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this group'
+      });
+    }
+
+    const alreadyPending = chat.pendingMembers.some(pending => pending.user.toString() === userId.toString());
+    if (alreadyPending) {
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        data: { chatId: chat._id },
+        message: 'Your request to join is waiting for admin approval'
+      });
+    }
+
+    const needsApproval = !!chat.groupSettings?.approveNewMembers;
+
+    const claimed = await GroupInvite.claimUse(invite._id, userId, needsApproval);
+    if (!claimed) {
+      return res.status(410).json({
+        success: false,
+        message: `Invite link is ${invite.getStatus() === 'active' ? 'no longer valid' : invite.getStatus()}`
+      });
+    }
+
+    if (needsApproval) {
+      chat.pendingMembers.push({ user: userId, requestedBy: userId });
+      await chat.save();
+
+      const pendingChat = await populateGroup(chat._id);
+      emitGroupUpdated(req, pendingChat, 'member_pending', { userId, viaInvite: true });
+
+      console.log('⏳ Invite join awaiting admin approval:', userId);
+
+      return res.status(202).json({
+        success: true,
+        pending: true,
+        data: { chatId: chat._id },
+        message: 'Your request to join is waiting for admin approval'
+      });
+    }
+
+    await addGroupMember(req, chat, userId, { requestedBy: userId });
+
+    const joinedChat = await populateGroup(chat._id);
+    emitGroupUpdated(req, joinedChat, 'member_joined', { userId, viaInvite: true });
+
+    console.log('✅ User joined group via invite:', chat._id);
+
+    res.json({
+      success: true,
+      data: joinedChat,
+      message: 'Joined group successfully'
+    });
+  } catch (error) {
+    sendGroupError(res, error, 'Joining group');
+  }
+};
+
+module.exports = {
+  createGroupInvite,
+  listGroupInvites,
+  revokeGroupInvite,
+  previewGroupInvite,
+  joinGroupViaInvite
+};
@@ -0,0 +1,148 @@
+// controllers/mediaController.js
+const { pipeline } = require('stream');
+const MediaObject = require('../models/MediaObject');
+const { getStorageDriver } = require('../utils/storage');
+const { createHttpError } = require('../utils/httpError');
+const { getDefaultVariant } = require('../utils/imagePipeline');
+
+// 'stream' proxies the bytes through the API; 'redirect' sends the client to a
+// short-lived signed storage URL instead (?redirect=true asks for it per request)
+const MEDIA_DELIVERY = process.env.MEDIA_DELIVERY === 'redirect' ? 'redirect' : 'stream';
+const MEDIA_SIGNED_URL_TTL_MS = (parseInt(process.env.MEDIA_SIGNED_URL_TTL_SECONDS) || 5 * 60) * 1000;
+// Content never changes under an ID, but access can be revoked
+const MEDIA_CACHE_SECONDS = 60 * 60;
+
+const sendMediaError = (res, error, fallbackMessage) => {
+  if (!error.statusCode) {
+    console.error(`❌ ${fallbackMessage}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Server error while ${fallbackMessage.toLowerCase()}`,
+    ...(error.code && error.statusCode && { code: error.code }),
+    ...(!error.statusCode && { error: error.message })
+  });
+};
+
+const getDriverFor = (media) => {
+  const driver = getStorageDriver();
+  if (media.driver !== driver.name) {
+    console.warn(`⚠️ Media ${media._id} is stored with "${media.driver}", active driver is "${driver.name}"`);
+    throw createHttpError(404, 'Media is not available', 'media_unavailable');
+  }
+  return driver;
+};
+
+// Size is recorded on upload; migrated media may only learn it here
+const getMediaSize = async (media, driver) => {
+  if (media.size) return media.size;
+
+  const stat = await driver.stat(media.storageKey);
+  if (!stat) {
+    throw createHttpError(404, 'Media file is missing', 'media_unavailable');
+  }
+
+  await MediaObject.updateOne({ _id: media._id }, { $set: { size: stat.size } }).catch(() => {});
+  return stat.size;
+};
+
+// Signed URL when the driver can make one that expires, otherwise null
+const getRedirectUrl = async (media, driver) => {
+  const { url, expiresAt } = await driver.getSignedUrl(media.storageKey, { expiresInMs: MEDIA_SIGNED_URL_TTL_MS });
+  return expiresAt ? url : null;
+};
+
+// Images come in the size asked for (?variant=small|medium|large|original),
+// else the one the viewer's data saver / original photo preferences call for
+const resolveVariant = async (media, req) => {
+  const name = req.query.variant || getDefaultVariant(req.user.preferences);
+  if (!media.mimeType || !media.mimeType.startsWith('image/')) return media;
+  return MediaObject.pickVariant(media, name);
+};
+
+// @desc    Read a chat attachment: full file, a byte range (Range header) or a signed-URL redirect
+// @route   GET /api/media/:mediaId
+// @access  Private (participants of a chat the media was sent to)
+const getMedia = async (req, res) => {
+  try {
+    const requested = await MediaObject.findAccessible(req.params.mediaId, req.user._id);
+    const media = await resolveVariant(requested, req);
+    const driver = getDriverFor(media);
+    res.set('X-Media-Variant', media.variant || (media.kind === 'original' ? 'original' : media.kind));
+
+    const wantsRedirect = req.query.redirect === 'true' || (MEDIA_DELIVERY === 'redirect' && req.query.redirect !== 'false');
+    if (wantsRedirect) {
+      const url = await getRedirectUrl(media, driver);
+      if (url) {
+        res.set('Cache-Control', 'no-store');
+        return res.redirect(302, url);
+      }
+    }
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': `private, max-age=${MEDIA_CACHE_SECONDS}`,
+      ETag: `"${media._id}"`
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const size = await getMediaSize(media, driver);
+    let start = 0;
+    let end = size - 1;
+    let status = 200;
+
+    if (req.headers.range) {
+      const ranges = req.range(size, { combine: true });
+
+      if (ranges === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).json({
+          success: false,
+          message: 'Requested range not satisfiable'
+        });
+      }
+
+      // A malformed header or several ranges: the whole file is a valid answer
+      if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+        ({ start, end } = ranges[0]);
+        status = 206;
+      }
+    }
+
+    // Open before any headers go out, so a missing file is still a clean 404
+    const source = req.method === 'HEAD' || size === 0
+      ? null
+      : await driver.createReadStream(media.storageKey, { start, end }).catch((error) => {
+        throw error.code === 'not_found' ? createHttpError(404, 'Media file is missing', 'media_unavailable') : error;
+      });
+
+    res.status(status).set({
+      'Content-Type': media.mimeType || 'application/octet-stream',
+      'Content-Length': String(size === 0 ? 0 : end - start + 1),
+      ...(status === 206 && { 'Content-Range': `bytes ${start}-${end}/${size}` })
+    });
+
+    if (!source) {
+      return res.end();
+    }
+
+    pipeline(source, res, (error) => {
+      // Players drop connections all the time while seeking
+      if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`❌ Streaming media ${media._id} failed:`, error.message);
+      }
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('❌ Media request failed after headers were sent:', error.message);
+      return res.destroy();
+    }
+    sendMediaError(res, error, 'Reading media');
+  }
+};
+
+module.exports = {
+  getMedia
+};
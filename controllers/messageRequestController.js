@@ -2,6 +2,8 @@ const MessageRequest = require('../models/MessageRequest');
 const Chat = require('../models/Chat');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const Block = require('../models/Block');
+const { consumeForRequest } = require('../utils/rateLimiter');
 
 // @desc    Send a message request to a user with private account
 // @route   POST /api/chat/request
@@ -48,6 +50,25 @@ const sendMessageRequest = async (req, res) => {
       firebaseUid: receiver.firebaseUid,
       name: receiver.name
     });
+
+    // Moderation: sending muted by an admin
+    if (req.user.isSendingMuted()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are muted from sending messages',
+        code: 'sending_muted',
+        mutedUntil: req.user.moderation.sendingMutedUntil
+      });
+    }
+
+    // ✅ No requests between users who blocked each other
+    if (await Block.isBlockedBetween(req.user._id, receiver._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot send a message request to this user',
+        code: 'blocked'
+      });
+    }
     
     // Check for existing chat between users
     const existingChat = await Chat.findOne({
@@ -84,6 +105,9 @@ const sendMessageRequest = async (req, res) => {
       }
     }
     
+    // Daily budget for new message requests, spent only on valid ones
+    if (!(await consumeForRequest(req, res, 'messageRequest'))) return;
+
     // Create a chat for this request
     let chat;
     if (existingChat) {
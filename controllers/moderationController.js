@@ -0,0 +1,473 @@
+// controllers/moderationController.js
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const MessageRequest = require('../models/MessageRequest');
+const ModerationAction = require('../models/ModerationAction');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const { createHttpError } = require('../utils/httpError');
+const { emitMessageDeleted } = require('../utils/messageEvents');
+
+const FLAGGED_REQUEST_REASONS = ['spam', 'inappropriate'];
+const REPORT_STATUSES = ['pending', 'reviewing', 'resolved', 'dismissed'];
+const USER_FIELDS = 'name username profilePicture firebaseUid moderation isAdmin';
+const DEFAULT_CONTEXT_SIZE = 5;
+const MAX_CONTEXT_SIZE = 20;
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw createHttpError(400, `Invalid ${label} ID format`);
+  }
+};
+
+// Messages around a point in a chat, oldest first
+const loadMessageContext = async (chatId, around, size) => {
+  const fields = 'sender content messageType isDeleted deletedByModerator createdAt';
+
+  const [before, after] = await Promise.all([
+    Message.find({ chat: chatId, createdAt: { $lt: around } })
+      .select(fields)
+      .populate('sender', 'name firebaseUid')
+      .sort({ createdAt: -1 })
+      .limit(size)
+      .lean(),
+    Message.find({ chat: chatId, createdAt: { $gte: around } })
+      .select(fields)
+      .populate('sender', 'name firebaseUid')
+      .sort({ createdAt: 1 })
+      .limit(size + 1)
+      .lean()
+  ]);
+
+  return [...before.reverse(), ...after];
+};
+
+// Close an open report as a side effect of acting on it
+const resolveReport = async (reportId, adminId, note) => {
+  if (!reportId) return null;
+
+  return Report.findOneAndUpdate(
+    { _id: reportId, status: { $in: ['pending', 'reviewing'] } },
+    {
+      status: 'resolved',
+      reviewedBy: adminId,
+      reviewedAt: new Date(),
+      ...(note && { resolutionNote: note })
+    },
+    { new: true }
+  );
+};
+
+const sendModerationError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Server error while ${fallbackMessage.toLowerCase()}`,
+    ...(error.code && error.statusCode && { code: error.code }),
+    ...(!error.statusCode && { error: error.message })
+  });
+};
+
+// @desc    List user reports for review
+// @route   GET /api/admin/moderation/reports
+// @access  Private (admins)
+const getReports = async (req, res) => {
+  try {
+    const { status = 'pending', reason, reportedUser } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (status !== 'all') {
+      if (!REPORT_STATUSES.includes(status)) {
+        throw createHttpError(400, `Status must be 'all' or one of: ${REPORT_STATUSES.join(', ')}`);
+      }
+      filter.status = status;
+    }
+    if (reason) filter.reason = reason;
+    if (reportedUser) {
+      assertObjectId(reportedUser, 'user');
+      filter.reportedUser = reportedUser;
+    }
+
+    const [reports, total, statusCounts] = await Promise.all([
+      Report.find(filter)
+        .populate('reporter', 'name profilePicture firebaseUid')
+        .populate('reportedUser', USER_FIELDS)
+        .populate('reviewedBy', 'name firebaseUid')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Report.countDocuments(filter),
+      Report.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: { page, limit, total, hasMore: skip + reports.length < total },
+      counts: Object.fromEntries(statusCounts.map(entry => [entry._id, entry.count]))
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Fetching reports');
+  }
+};
+
+// @desc    Get a report with the surrounding chat context and the user's history
+// @route   GET /api/admin/moderation/reports/:reportId
+// @access  Private (admins)
+const getReport = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    assertObjectId(reportId, 'report');
+
+    const contextSize = Math.min(
+      Math.max(parseInt(req.query.context, 10) || DEFAULT_CONTEXT_SIZE, 0),
+      MAX_CONTEXT_SIZE
+    );
+
+    const report = await Report.findById(reportId)
+      .populate('reporter', 'name profilePicture firebaseUid')
+      .populate('reportedUser', USER_FIELDS)
+      .populate('reviewedBy', 'name firebaseUid')
+      .lean();
+
+    if (!report) {
+      throw createHttpError(404, 'Report not found');
+    }
+
+    // Current state of each reported message plus its neighbours
+    const messages = await Promise.all(report.messages.map(async (snapshot) => {
+      const current = snapshot.message
+        ? await Message.findById(snapshot.message).select('chat isDeleted deletedByModerator isEdited content createdAt').lean()
+        : null;
+
+      return {
+        ...snapshot,
+        current,
+        context: current
+          ? await loadMessageContext(current.chat, snapshot.sentAt || current.createdAt, contextSize)
+          : []
+      };
+    }));
+
+    const reportedUserId = report.reportedUser?._id;
+    const [history, otherReportCount] = await Promise.all([
+      ModerationAction.find({ targetUser: reportedUserId })
+        .populate('admin', 'name firebaseUid')
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .lean(),
+      Report.countDocuments({ reportedUser: reportedUserId, _id: { $ne: report._id } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        messages,
+        moderationHistory: history,
+        otherReportCount
+      }
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Fetching report');
+  }
+};
+
+// @desc    Change a report's review status
+// @route   PUT /api/admin/moderation/reports/:reportId
+// @access  Private (admins)
+const updateReport = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { status, resolutionNote } = req.body;
+
+    assertObjectId(reportId, 'report');
+
+    if (!REPORT_STATUSES.includes(status)) {
+      throw createHttpError(400, `Status must be one of: ${REPORT_STATUSES.join(', ')}`);
+    }
+
+    const report = await Report.findById(reportId);
+    if (!report) {
+      throw createHttpError(404, 'Report not found');
+    }
+
+    const previousStatus = report.status;
+
+    report.status = status;
+    report.reviewedBy = req.user._id;
+    report.reviewedAt = new Date();
+    if (resolutionNote !== undefined) report.resolutionNote = resolutionNote;
+    await report.save();
+
+    await ModerationAction.create({
+      admin: req.user._id,
+      action: 'update_report',
+      targetUser: report.reportedUser,
+      report: report._id,
+      reason: resolutionNote || '',
+      details: { from: previousStatus, to: status }
+    });
+
+    console.log('🛡️ Report', reportId, previousStatus, '→', status, 'by', req.user._id);
+
+    res.json({
+      success: true,
+      data: report,
+      message: 'Report updated'
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Updating report');
+  }
+};
+
+// @desc    List message requests rejected as spam or inappropriate
+// @route   GET /api/admin/moderation/message-requests
+// @access  Private (admins)
+const getFlaggedMessageRequests = async (req, res) => {
+  try {
+    const { reason, sender } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    if (reason && !FLAGGED_REQUEST_REASONS.includes(reason)) {
+      throw createHttpError(400, `Reason must be one of: ${FLAGGED_REQUEST_REASONS.join(', ')}`);
+    }
+
+    const filter = {
+      status: 'rejected',
+      rejectionReason: reason || { $in: FLAGGED_REQUEST_REASONS }
+    };
+    if (sender) {
+      assertObjectId(sender, 'user');
+      filter.sender = sender;
+    }
+
+    const [requests, total] = await Promise.all([
+      MessageRequest.find(filter)
+        .populate('sender', USER_FIELDS)
+        .populate('receiver', 'name profilePicture firebaseUid')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      MessageRequest.countDocuments(filter)
+    ]);
+
+    // What the sender actually wrote in the request chat
+    const data = await Promise.all(requests.map(async (request) => ({
+      ...request,
+      context: await loadMessageContext(request.chat, new Date(0), DEFAULT_CONTEXT_SIZE)
+    })));
+
+    res.json({
+      success: true,
+      data,
+      pagination: { page, limit, total, hasMore: skip + requests.length < total }
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Fetching flagged message requests');
+  }
+};
+
+// @desc    Warn, mute sending, suspend (or lift) a user account
+// @route   POST /api/admin/moderation/users/:userId/actions
+// @access  Private (admins)
+const takeUserAction = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { action, reason = '', durationHours, reportId, messageRequestId } = req.body;
+
+    console.log('🛡️ Moderation action:', action, 'on', userId, 'by', req.user._id);
+
+    assertObjectId(userId, 'user');
+    if (reportId) assertObjectId(reportId, 'report');
+    if (messageRequestId) assertObjectId(messageRequestId, 'message request');
+
+    if (userId === req.user._id.toString()) {
+      throw createHttpError(400, 'You cannot moderate your own account');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw createHttpError(404, 'User not found');
+    }
+
+    if (user.isAdmin) {
+      throw createHttpError(403, 'Admins cannot be moderated');
+    }
+
+    const { expiresAt } = user.applyModerationAction(action, { durationHours, reason });
+    await user.save();
+
+    const report = await resolveReport(reportId, req.user._id, reason);
+
+    const entry = await ModerationAction.create({
+      admin: req.user._id,
+      action,
+      targetUser: user._id,
+      report: reportId || null,
+      messageRequest: messageRequestId || null,
+      reason,
+      durationHours: durationHours ? Number(durationHours) : null,
+      expiresAt,
+      details: {
+        warningCount: user.moderation.warningCount,
+        ...(report && { reportResolved: true })
+      }
+    });
+
+    // Tell the user's devices; suspended sockets are dropped
+    const io = req.app.get('io');
+    if (io) {
+      const payload = { action, reason, expiresAt, timestamp: new Date().toISOString() };
+
+      if (action === 'warn') {
+        io.to(user.firebaseUid).emit('moderation_warning', {
+          ...payload,
+          warningCount: user.moderation.warningCount
+        });
+      } else if (action === 'mute_sending' || action === 'unmute_sending') {
+        io.to(user.firebaseUid).emit('moderation_sending_muted', {
+          ...payload,
+          mutedUntil: user.moderation.sendingMutedUntil
+        });
+      } else if (action === 'suspend') {
+        io.to(user.firebaseUid).emit('account_suspended', payload);
+        io.in(user.firebaseUid).disconnectSockets(true);
+      }
+    }
+
+    console.log('✅ Moderation action recorded:', entry._id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        action: entry,
+        user: {
+          _id: user._id,
+          firebaseUid: user.firebaseUid,
+          name: user.name,
+          moderation: user.moderation
+        }
+      },
+      message: `Action '${action}' applied`
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Applying moderation action');
+  }
+};
+
+// @desc    Remove a message's content for everyone
+// @route   DELETE /api/admin/moderation/messages/:messageId
+// @access  Private (admins)
+const deleteMessageContent = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { reason = '', reportId } = req.body || {};
+
+    console.log('🛡️ Moderator removing message:', messageId, 'by', req.user._id);
+
+    if (reportId) assertObjectId(reportId, 'report');
+
+    const { message, snapshot, wasLatestMessage } = await Message.deleteByModerator(messageId, req.user._id);
+
+    await emitMessageDeleted(req.app.get('io'), message, {
+      scope: 'everyone',
+      deletedBy: req.user.firebaseUid,
+      wasLatestMessage
+    });
+
+    await resolveReport(reportId, req.user._id, reason);
+
+    const entry = await ModerationAction.create({
+      admin: req.user._id,
+      action: 'delete_message',
+      targetUser: snapshot.sender,
+      targetMessage: message._id,
+      report: reportId || null,
+      reason,
+      details: snapshot
+    });
+
+    console.log('✅ Message removed by moderator:', messageId);
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        chatId: message.chat,
+        action: entry
+      },
+      message: 'Message removed'
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Removing message');
+  }
+};
+
+// @desc    Browse the moderation audit log
+// @route   GET /api/admin/moderation/actions
+// @access  Private (admins)
+const getAuditLog = async (req, res) => {
+  try {
+    const { targetUser, admin, action, report } = req.query;
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = {};
+    if (targetUser) {
+      assertObjectId(targetUser, 'user');
+      filter.targetUser = targetUser;
+    }
+    if (admin) {
+      assertObjectId(admin, 'user');
+      filter.admin = admin;
+    }
+    if (report) {
+      assertObjectId(report, 'report');
+      filter.report = report;
+    }
+    if (action) {
+      if (!ModerationAction.MODERATION_ACTIONS.includes(action)) {
+        throw createHttpError(400, `Action must be one of: ${ModerationAction.MODERATION_ACTIONS.join(', ')}`);
+      }
+      filter.action = action;
+    }
+
+    const [actions, total] = await Promise.all([
+      ModerationAction.find(filter)
+        .populate('admin', 'name firebaseUid')
+        .populate('targetUser', 'name profilePicture firebaseUid')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ModerationAction.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: actions,
+      pagination: { page, limit, total, hasMore: skip + actions.length < total }
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'Fetching moderation log');
+  }
+};
+
+module.exports = {
+  getReports,
+  getReport,
+  updateReport,
+  getFlaggedMessageRequests,
+  takeUserAction,
+  deleteMessageContent,
+  getAuditLog
+};
@@ -0,0 +1,88 @@
+// controllers/notificationController.js
+const admin = require('firebase-admin');
+const User = require('../models/User');
+const { verifyUnsubscribeToken } = require('../utils/emailDigest');
+
+// Keep the Firestore profile in line, since sign-in syncs preferences from it
+const syncFirestorePreference = async (firebaseUid) => {
+  if (admin.apps.length === 0 || !firebaseUid) return;
+
+  try {
+    await admin.firestore().collection('users').doc(firebaseUid).set(
+      { preferences: { emailNotifications: false } },
+      { merge: true }
+    );
+  } catch (error) {
+    console.warn('⚠️ Could not update Firestore email preference:', error.message);
+  }
+};
+
+const unsubscribedPage = (message) => `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Skybrr</title></head>
+<body style="font-family:sans-serif;text-align:center;padding:48px">
+<p>${message}</p>
+</body></html>`;
+
+// @desc    Turn off email notifications from a digest link (no login needed)
+// @route   GET|POST /api/notifications/email/unsubscribe?token=...
+// @access  Public (signed token)
+const unsubscribeEmail = async (req, res) => {
+  const wantsHtml = req.method === 'GET' && req.accepts(['json', 'html']) === 'html';
+
+  try {
+    const userId = verifyUnsubscribeToken(req.query.token || req.body?.token);
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        $set: {
+          'preferences.emailNotifications': false,
+          'emailDigest.unsubscribedAt': new Date()
+        }
+      },
+      { new: true }
+    ).select('firebaseUid email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await syncFirestorePreference(user.firebaseUid);
+
+    console.log('📭 Email notifications turned off for:', user.email);
+
+    if (wantsHtml) {
+      return res.send(unsubscribedPage('You have been unsubscribed from Skybrr emails. You can turn them back on in the app settings.'));
+    }
+
+    res.json({
+      success: true,
+      message: 'Unsubscribed from email notifications'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      if (wantsHtml) {
+        return res.status(error.statusCode).send(unsubscribedPage('This unsubscribe link is invalid.'));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('❌ Unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unsubscribing',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  unsubscribeEmail
+};
@@ -0,0 +1,130 @@
+// controllers/reportController.js
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const MAX_REPORTED_MESSAGES = 20;
+
+// Media URLs worth keeping as evidence
+const collectMediaUrls = (message) => {
+  const urls = [message.fileUrl];
+  (message.media || []).forEach(item => urls.push(item.url));
+  (message.groupedMedia || []).forEach(item => urls.push(item.url || item.uri));
+  return [...new Set(urls.filter(Boolean))];
+};
+
+// @desc    Report a user, optionally with the offending messages
+// @route   POST /api/user/reports
+// @access  Private
+const reportUser = async (req, res) => {
+  try {
+    const { firebaseUid, reason, details, chatId, messageIds = [] } = req.body;
+
+    console.log('🚩 Report from', req.user.firebaseUid, 'against', firebaseUid, 'reason:', reason);
+
+    if (!firebaseUid || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'firebaseUid and reason are required'
+      });
+    }
+
+    if (!Report.REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${Report.REPORT_REASONS.join(', ')}`
+      });
+    }
+
+    if (!Array.isArray(messageIds) || messageIds.length > MAX_REPORTED_MESSAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `messageIds must be an array of at most ${MAX_REPORTED_MESSAGES} IDs`
+      });
+    }
+
+    if (firebaseUid === req.user.firebaseUid) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report yourself'
+      });
+    }
+
+    const reportedUser = await User.findOne({ firebaseUid }).select('_id');
+    if (!reportedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only messages the reporter can see, sent by the reported user
+    let messages = [];
+    if (messageIds.length > 0) {
+      const validIds = messageIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+      const visibleChats = await Chat.find({ users: req.user._id }).select('_id').lean();
+
+      messages = await Message.find({
+        _id: { $in: validIds },
+        sender: reportedUser._id,
+        chat: { $in: visibleChats.map(chat => chat._id) }
+      }).lean();
+
+      if (messages.length !== messageIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Some messages were not found or were not sent by this user'
+        });
+      }
+    }
+
+    if (chatId && !mongoose.Types.ObjectId.isValid(chatId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid chat ID format'
+      });
+    }
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      reportedUser: reportedUser._id,
+      chat: chatId || messages[0]?.chat || null,
+      messages: messages.map(message => ({
+        message: message._id,
+        content: message.content,
+        messageType: message.messageType,
+        mediaUrls: collectMediaUrls(message),
+        sentAt: message.createdAt
+      })),
+      reason,
+      details
+    });
+
+    console.log('✅ Report stored for review:', report._id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: report._id,
+        status: report.status,
+        reason: report.reason,
+        messageCount: report.messages.length,
+        createdAt: report.createdAt
+      },
+      message: 'Report submitted for review'
+    });
+  } catch (error) {
+    console.error('❌ Report user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting report',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  reportUser
+};
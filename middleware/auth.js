@@ -112,9 +112,18 @@ if (!user) {
   console.log('✅ Existing user found:', user._id);
 }
 
-req.user = user;
-next();
-      
+      // ✅ Suspended accounts are locked out until the suspension lapses
+      const suspension = user.getActiveSuspension();
+      if (suspension) {
+        console.log('⛔ Suspended user rejected:', user._id);
+        return res.status(403).json({
+          success: false,
+          message: 'Your account is suspended',
+          code: 'account_suspended',
+          suspension
+        });
+      }
+
       req.user = user;
       console.log('🔐 User set in request:', req.user._id);
       next();
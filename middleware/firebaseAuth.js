@@ -84,6 +84,18 @@ const firebaseProtect = async (req, res, next) => {
         });
       }
 
+      // ✅ Suspended accounts are locked out until the suspension lapses
+      const suspension = user.getActiveSuspension();
+      if (suspension) {
+        console.log('⛔ Suspended user rejected:', user._id);
+        return res.status(403).json({
+          success: false,
+          message: 'Your account is suspended',
+          code: 'account_suspended',
+          suspension
+        });
+      }
+
       req.user = user;
       console.log('🔐 User set in request:', req.user._id);
       next();
@@ -0,0 +1,219 @@
+// Point existing messages at /api/media/<id> instead of public storage URLs.
+//
+//   node migrate-media-ids.js [--dry-run] [--keep-links]
+//
+// Every Firebase Storage or /uploads URL in fileUrl, media, mediaArray and
+// groupedMedia gets a MediaObject (one per stored file, so forwards share
+// it), and the message is rewritten to reference it and counted in its
+// refCount. Afterwards the old links stop working: Firebase download tokens
+// are rotated (needs Firebase Admin) and local files outside the private
+// folders move into messages/. --keep-links skips that step. Safe to run
+// again; migrated messages are skipped.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const MediaObject = require('./models/MediaObject');
+const { LOCAL_STORAGE_DIR, isPrivateKey } = require('./utils/storage');
+const firebaseAdmin = require('./config/firebase-admin');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const KEEP_LINKS = process.argv.includes('--keep-links');
+const ITEM_URL_FIELDS = ['uri', 'url', 'originalUrl', 'fileUrl'];
+
+// { driver, key } for a URL we stored, null for anything else (e.g. shared posts)
+const parseStorageUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  // https://firebasestorage.googleapis.com/v0/b/<bucket>/o/<encoded key>?alt=media&token=...
+  const firebaseMatch = parsed.hostname === 'firebasestorage.googleapis.com' &&
+    parsed.pathname.match(/^\/v0\/b\/[^/]+\/o\/(.+)$/);
+  if (firebaseMatch) {
+    return { driver: 'firebase', key: decodeURIComponent(firebaseMatch[1]) };
+  }
+
+  const localMatch = parsed.pathname.match(/^\/uploads\/(.+)$/);
+  if (localMatch) {
+    return { driver: 'local', key: decodeURIComponent(localMatch[1]) };
+  }
+
+  return null;
+};
+
+const stats = { messages: 0, mediaObjects: 0, linksRevoked: 0, skippedUrls: 0 };
+const mediaByUrl = new Map();
+
+// Old public link -> dead link. Firebase: new download token; local: move out of the public folder
+const revokePublicLink = async ({ driver, key }) => {
+  if (KEEP_LINKS || DRY_RUN) return key;
+
+  if (driver === 'firebase') {
+    const admin = firebaseAdmin.getAdmin();
+    if (!admin || !process.env.FIREBASE_STORAGE_BUCKET) {
+      console.warn(`⚠️ Firebase Admin not configured, old link still works: ${key}`);
+      return key;
+    }
+    await admin.storage().bucket(process.env.FIREBASE_STORAGE_BUCKET).file(key).setMetadata({
+      metadata: { firebaseStorageDownloadTokens: crypto.randomUUID() }
+    });
+    stats.linksRevoked++;
+    return key;
+  }
+
+  if (isPrivateKey(key)) return key;
+
+  const privateKey = `messages/${key}`;
+  const target = path.join(LOCAL_STORAGE_DIR, privateKey);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.rename(path.join(LOCAL_STORAGE_DIR, key), target);
+  stats.linksRevoked++;
+  return privateKey;
+};
+
+// One MediaObject per stored file; resolves to its ID, or null for foreign URLs
+const getMediaId = async (url, { mimeType, fileName, fileSize, parent = null, attachedAt }) => {
+  if (!url) return null;
+  if (MediaObject.parseMediaId(url)) return MediaObject.parseMediaId(url);
+  if (mediaByUrl.has(url)) return mediaByUrl.get(url);
+
+  const location = parseStorageUrl(url);
+  if (!location) {
+    stats.skippedUrls++;
+    return null;
+  }
+
+  let media = await MediaObject.findOne({ driver: location.driver, storageKey: location.key }) ||
+    await MediaObject.findOne({ driver: location.driver, storageKey: `messages/${location.key}` });
+
+  if (!media) {
+    const storageKey = await revokePublicLink(location).catch((error) => {
+      console.warn(`⚠️ Could not revoke old link for ${location.key}:`, error.message);
+      return location.key;
+    });
+
+    media = new MediaObject({
+      storageKey,
+      driver: location.driver,
+      mimeType: mimeType || undefined,
+      size: fileSize || undefined,
+      fileName,
+      parent,
+      kind: parent ? 'thumbnail' : 'original',
+      attachedAt: parent ? null : attachedAt
+    });
+    if (!DRY_RUN) await media.save();
+    stats.mediaObjects++;
+  }
+
+  mediaByUrl.set(url, media._id);
+  return media._id;
+};
+
+const migrateItem = async (item, attachedAt) => {
+  const originalUrl = ITEM_URL_FIELDS.map(field => item[field]).find(Boolean);
+  const mediaId = await getMediaId(originalUrl, {
+    mimeType: item.mimeType,
+    fileName: item.fileName,
+    fileSize: item.fileSize,
+    attachedAt
+  });
+  if (!mediaId) return null;
+
+  const mediaUrl = MediaObject.getMediaUrl(mediaId);
+  ITEM_URL_FIELDS.forEach(field => {
+    if (item[field] === originalUrl) item[field] = mediaUrl;
+  });
+  item.mediaId = mediaId;
+
+  if (item.thumbnailUrl) {
+    const thumbnailId = await getMediaId(item.thumbnailUrl, { mimeType: 'image/jpeg', parent: mediaId });
+    if (thumbnailId) item.thumbnailUrl = MediaObject.getMediaUrl(thumbnailId);
+  }
+
+  return mediaId;
+};
+
+async function migrateMediaIds() {
+  try {
+    const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp_clone';
+
+    console.log('🔗 Connecting to MongoDB...');
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+    if (DRY_RUN) console.log('🧪 Dry run: nothing will be written');
+
+    const messages = mongoose.connection.db.collection('messages');
+    const cursor = messages.find({
+      mediaIds: { $exists: false },
+      isDeleted: { $ne: true },
+      $or: [
+        { fileUrl: { $nin: [null, ''] } },
+        { 'media.0': { $exists: true } },
+        { 'mediaArray.0': { $exists: true } },
+        { 'groupedMedia.0': { $exists: true } }
+      ]
+    });
+
+    for await (const message of cursor) {
+      const update = {};
+      const mediaIds = [];
+
+      if (message.fileUrl) {
+        const mediaId = await getMediaId(message.fileUrl, {
+          mimeType: message.voiceNote?.mimeType,
+          fileName: message.fileName,
+          fileSize: message.voiceNote?.fileSize,
+          attachedAt: message.createdAt
+        });
+        if (mediaId) {
+          update.fileUrl = MediaObject.getMediaUrl(mediaId);
+          update.mediaId = mediaId;
+          mediaIds.push(mediaId);
+        }
+      }
+
+      for (const field of ['media', 'mediaArray', 'groupedMedia']) {
+        const items = message[field] || [];
+        for (const item of items) {
+          const mediaId = await migrateItem(item, message.createdAt);
+          if (mediaId) mediaIds.push(mediaId);
+        }
+        if (items.length > 0) update[field] = items;
+      }
+
+      if (mediaIds.length === 0) continue;
+      update.mediaIds = [...new Set(mediaIds)];
+
+      if (!DRY_RUN) {
+        await messages.updateOne({ _id: message._id }, { $set: update });
+        await MediaObject.addReferences(update.mediaIds);
+      }
+      stats.messages++;
+      if (stats.messages % 100 === 0) {
+        console.log(`📦 ${stats.messages} messages migrated...`);
+      }
+    }
+
+    console.log('\n📊 Migration summary:');
+    console.log(`Messages migrated: ${stats.messages}`);
+    console.log(`Media objects created: ${stats.mediaObjects}`);
+    console.log(`Public links revoked: ${stats.linksRevoked}`);
+    console.log(`Foreign URLs left as they were: ${stats.skippedUrls}`);
+
+    console.log('\n🎉 Migration completed!');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error);
+    process.exit(1);
+  }
+}
+
+migrateMediaIds();
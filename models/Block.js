@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { createHttpError } = require('../utils/httpError');
+
+// One user blocking another. Blocks are enforced in both directions.
+const BlockSchema = new mongoose.Schema({
+  blocker: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blocked: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+BlockSchema.index({ blocked: 1 });
+
+// Does either user block the other?
+BlockSchema.statics.isBlockedBetween = async function(userA, userB) {
+  if (!userA || !userB) return false;
+
+  return !!(await this.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA }
+    ]
+  }));
+};
+
+BlockSchema.statics.assertNotBlocked = async function(userA, userB) {
+  if (await this.isBlockedBetween(userA, userB)) {
+    throw createHttpError(403, 'You cannot interact with this user', 'blocked');
+  }
+};
+
+// In 1:1 chats a block stops messages both ways (groups are unaffected)
+BlockSchema.statics.isChatBlocked = async function(chat, userId) {
+  if (!chat || chat.isGroupChat) return false;
+
+  const other = chat.users.find(user => (user._id || user).toString() !== userId.toString());
+  return other ? this.isBlockedBetween(userId, other._id || other) : false;
+};
+
+BlockSchema.statics.assertChatNotBlocked = async function(chat, userId) {
+  if (await this.isChatBlocked(chat, userId)) {
+    throw createHttpError(403, 'You cannot message this user', 'blocked');
+  }
+};
+
+// IDs of everyone this user blocked or was blocked by
+BlockSchema.statics.getHiddenUserIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [{ blocker: userId }, { blocked: userId }]
+  }).select('blocker blocked').lean();
+
+  return blocks.map(block => (
+    block.blocker.toString() === userId.toString() ? block.blocked : block.blocker
+  ));
+};
+
+const Block = mongoose.model('Block', BlockSchema);
+
+module.exports = Block;
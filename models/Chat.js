@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { createHttpError } = require('../utils/httpError');
+const Block = require('./Block');
 
 const chatSchema = new mongoose.Schema({
   chatName: {
@@ -17,10 +19,46 @@ const chatSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // Group owner (kept as groupAdmin for existing clients)
   groupAdmin: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // ✅ Additional group admins (the owner is not listed here)
+  admins: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  groupSettings: {
+    onlyAdminsCanSend: {
+      type: Boolean,
+      default: false
+    },
+    onlyAdminsCanEditInfo: {
+      type: Boolean,
+      default: false
+    },
+    approveNewMembers: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Members added by non-admins while approval is required
+  pendingMembers: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   groupPicture: {
     type: String,
     default: 'group-default.png'
@@ -33,4 +71,109 @@ const chatSchema = new mongoose.Schema({
 chatSchema.index({ users: 1 });
 chatSchema.index({ updatedAt: -1 });
 
+// ==================== GROUP ROLES ====================
+
+const GROUP_ROLES = ['owner', 'admin', 'member'];
+const GROUP_SETTINGS = ['onlyAdminsCanSend', 'onlyAdminsCanEditInfo', 'approveNewMembers'];
+
+const sameId = (a, b) => !!a && !!b && (a._id || a).toString() === (b._id || b).toString();
+
+chatSchema.methods.isMember = function(userId) {
+  return this.users.some(user => sameId(user, userId));
+};
+
+// 'owner' | 'admin' | 'member', or null when not in the chat
+chatSchema.methods.getMemberRole = function(userId) {
+  if (!this.isMember(userId)) return null;
+  if (!this.isGroupChat) return 'member';
+  if (sameId(this.groupAdmin, userId)) return 'owner';
+  if ((this.admins || []).some(admin => sameId(admin, userId))) return 'admin';
+  return 'member';
+};
+
+chatSchema.methods.isGroupAdminUser = function(userId) {
+  const role = this.getMemberRole(userId);
+  return role === 'owner' || role === 'admin';
+};
+
+chatSchema.methods.canSendMessages = function(userId) {
+  if (!this.isMember(userId)) return false;
+  if (!this.isGroupChat || !this.groupSettings?.onlyAdminsCanSend) return true;
+  return this.isGroupAdminUser(userId);
+};
+
+chatSchema.methods.canEditInfo = function(userId) {
+  if (!this.isMember(userId)) return false;
+  if (!this.groupSettings?.onlyAdminsCanEditInfo) return true;
+  return this.isGroupAdminUser(userId);
+};
+
+// Can `actorId` remove `targetId`? Admins remove members, only the owner removes admins
+chatSchema.methods.canRemoveMember = function(actorId, targetId) {
+  const actorRole = this.getMemberRole(actorId);
+  const targetRole = this.getMemberRole(targetId);
+
+  if (!targetRole || targetRole === 'owner') return false;
+  if (actorRole === 'owner') return true;
+  return actorRole === 'admin' && targetRole === 'member';
+};
+
+// Throws unless this is a group chat the user belongs to
+chatSchema.methods.assertGroupMember = function(userId) {
+  if (!this.isGroupChat) {
+    throw createHttpError(400, 'This action is only available for group chats');
+  }
+  if (!this.isMember(userId)) {
+    throw createHttpError(403, 'You are not a member of this group');
+  }
+};
+
+// Drop a user from the group, handing ownership to the next admin (or oldest member) if needed
+chatSchema.methods.removeMember = function(userId) {
+  const wasOwner = sameId(this.groupAdmin, userId);
+
+  this.users = this.users.filter(user => !sameId(user, userId));
+  this.admins = (this.admins || []).filter(admin => !sameId(admin, userId));
+
+  let newOwner = null;
+  if (wasOwner && this.users.length > 0) {
+    const nextAdmin = this.admins.find(admin => this.isMember(admin));
+    newOwner = nextAdmin || this.users[0];
+    this.groupAdmin = newOwner;
+    this.admins = this.admins.filter(admin => !sameId(admin, newOwner));
+  }
+
+  return { wasOwner, newOwner };
+};
+
+// Validate the sender may post in this chat (membership + "only admins can send")
+chatSchema.statics.assertCanSend = async function(chatId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw createHttpError(400, 'Invalid chat ID format');
+  }
+
+  const chat = await this.findById(chatId);
+  if (!chat) {
+    throw createHttpError(404, 'Chat not found');
+  }
+
+  if (!chat.isMember(userId)) {
+    throw createHttpError(403, 'Access denied to this chat');
+  }
+
+  const sender = await mongoose.model('User').findById(userId).select('moderation');
+  if (sender) sender.assertCanSendMessages();
+
+  if (!chat.canSendMessages(userId)) {
+    throw createHttpError(403, 'Only group admins can send messages in this group', 'only_admins_can_send');
+  }
+
+  await Block.assertChatNotBlocked(chat, userId);
+
+  return chat;
+};
+
+chatSchema.statics.GROUP_ROLES = GROUP_ROLES;
+chatSchema.statics.GROUP_SETTINGS = GROUP_SETTINGS;
+
 module.exports = mongoose.model('Chat', chatSchema);
\ No newline at end of file
@@ -0,0 +1,475 @@
+const mongoose = require('mongoose');
+const { buildCursorFilter } = require('../utils/messageCursor');
+const { createHttpError } = require('../utils/httpError');
+
+// Per-(user, chat) read/delivered cursors and a running unread counter.
+// Replaces pushing user IDs into Message.readBy one message at a time.
+const ChatUserStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+
+  // Newest message this user has read (position = createdAt + _id)
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  lastReadAt: {
+    type: Date,
+    default: null
+  },
+
+  // Newest message delivered to any of this user's devices
+  lastDeliveredMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  lastDeliveredAt: {
+    type: Date,
+    default: null
+  },
+
+  // Messages from others after the read cursor
+  unreadCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // "Mark as unread": shows a badge until the chat is read again
+  markedUnread: {
+    type: Boolean,
+    default: false
+  },
+
+  // Inbox preferences
+  isMuted: {
+    type: Boolean,
+    default: false
+  },
+  mutedUntil: {
+    type: Date,
+    default: null // null while muted = muted indefinitely
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinOrder: {
+    type: Number,
+    default: null
+  },
+  pinnedAt: {
+    type: Date,
+    default: null
+  },
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ChatUserStateSchema.index({ user: 1, chat: 1 }, { unique: true });
+ChatUserStateSchema.index({ chat: 1 });
+ChatUserStateSchema.index({ user: 1, isPinned: 1, pinOrder: 1 });
+
+const MAX_PINNED_CHATS = parseInt(process.env.MAX_PINNED_CHATS) || 5;
+
+// Messages that never count as unread
+const COUNTED_MESSAGE_FILTER = {
+  messageType: { $ne: 'system' },
+  isDeleted: { $ne: true }
+};
+
+const toPosition = (message) => ({
+  createdAt: new Date(message.createdAt),
+  _id: message._id
+});
+
+// Is cursor position (at, id) at or past the message?
+const isAtOrAfter = (at, id, message) => {
+  if (!at) return false;
+  const cursorTime = new Date(at).getTime();
+  const messageTime = new Date(message.createdAt).getTime();
+  if (cursorTime !== messageTime) return cursorTime > messageTime;
+  return !!id && id.toString() >= message._id.toString();
+};
+
+// Filter for messages at or before a position
+const atOrBefore = (position) => ({
+  $or: [
+    buildCursorFilter('before', position),
+    { _id: position._id }
+  ]
+});
+
+// Resolve "up to" to a message in the chat, defaulting to the newest one
+const resolveUpTo = async (chatId, upTo) => {
+  const Message = mongoose.model('Message');
+
+  if (upTo && upTo.createdAt) return upTo;
+
+  if (upTo) {
+    return Message.findOne({ _id: upTo, chat: chatId }).select('_id createdAt sender chat');
+  }
+
+  return Message.findOne({ chat: chatId })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('_id createdAt sender chat');
+};
+
+// Bump the unread counter for everyone but the sender; the sender has read up to their own message
+ChatUserStateSchema.statics.recordNewMessage = async function(message) {
+  const Chat = mongoose.model('Chat');
+  const chat = await Chat.findById(message.chat).select('users');
+  if (!chat) return;
+
+  const senderId = message.sender.toString();
+  const counts = message.messageType !== 'system';
+
+  const ops = chat.users.map(userId => {
+    const isSender = userId.toString() === senderId;
+
+    if (isSender) {
+      return {
+        updateOne: {
+          filter: { user: userId, chat: chat._id },
+          update: {
+            $set: {
+              lastReadMessage: message._id,
+              lastReadAt: message.createdAt,
+              lastDeliveredMessage: message._id,
+              lastDeliveredAt: message.createdAt,
+              unreadCount: 0
+            }
+          },
+          upsert: true
+        }
+      };
+    }
+
+    return {
+      updateOne: {
+        filter: { user: userId, chat: chat._id },
+        update: counts ? { $inc: { unreadCount: 1 } } : { $setOnInsert: { unreadCount: 0 } },
+        upsert: true
+      }
+    };
+  });
+
+  if (ops.length > 0) {
+    await this.bulkWrite(ops, { ordered: false });
+  }
+};
+
+// Move a user's read cursor forward (never backward) and recompute their unread count
+ChatUserStateSchema.statics.markRead = async function(chatId, userId, upTo = null) {
+  const Message = mongoose.model('Message');
+
+  const target = await resolveUpTo(chatId, upTo);
+  if (!target) {
+    return { state: await this.findOne({ user: userId, chat: chatId }), advanced: false };
+  }
+
+  const current = await this.findOne({ user: userId, chat: chatId });
+  if (current && isAtOrAfter(current.lastReadAt, current.lastReadMessage, target)) {
+    if (current.markedUnread) {
+      current.markedUnread = false;
+      await current.save();
+    }
+    return { state: current, advanced: false };
+  }
+
+  const unreadCount = await Message.countDocuments({
+    chat: chatId,
+    sender: { $ne: userId },
+    hiddenFor: { $ne: userId },
+    ...COUNTED_MESSAGE_FILTER,
+    ...buildCursorFilter('after', toPosition(target))
+  });
+
+  const update = {
+    lastReadMessage: target._id,
+    lastReadAt: target.createdAt,
+    unreadCount,
+    markedUnread: false
+  };
+
+  // Reading implies delivery
+  if (!current || !isAtOrAfter(current.lastDeliveredAt, current.lastDeliveredMessage, target)) {
+    update.lastDeliveredMessage = target._id;
+    update.lastDeliveredAt = target.createdAt;
+  }
+
+  const state = await this.findOneAndUpdate(
+    { user: userId, chat: chatId },
+    { $set: update },
+    { new: true, upsert: true }
+  );
+
+  await this.syncMessageStatuses(chatId);
+
+  return { state, advanced: true, lastReadMessage: target };
+};
+
+// Move a user's delivered cursor forward (never backward)
+ChatUserStateSchema.statics.markDelivered = async function(chatId, userId, upTo = null) {
+  const target = await resolveUpTo(chatId, upTo);
+  if (!target) {
+    return { state: await this.findOne({ user: userId, chat: chatId }), advanced: false };
+  }
+
+  const current = await this.findOne({ user: userId, chat: chatId });
+  if (current && isAtOrAfter(current.lastDeliveredAt, current.lastDeliveredMessage, target)) {
+    return { state: current, advanced: false };
+  }
+
+  const state = await this.findOneAndUpdate(
+    { user: userId, chat: chatId },
+    { $set: { lastDeliveredMessage: target._id, lastDeliveredAt: target.createdAt } },
+    { new: true, upsert: true }
+  );
+
+  await this.syncMessageStatuses(chatId);
+
+  return { state, advanced: true, lastDeliveredMessage: target };
+};
+
+// Keep Message.status meaningful: 'delivered'/'read' once every member's cursor has passed it
+ChatUserStateSchema.statics.syncMessageStatuses = async function(chatId) {
+  const Chat = mongoose.model('Chat');
+  const Message = mongoose.model('Message');
+
+  const chat = await Chat.findById(chatId).select('users');
+  if (!chat || chat.users.length === 0) return;
+
+  const states = await this.find({ chat: chatId, user: { $in: chat.users } });
+  if (states.length < chat.users.length) return;
+
+  // Lowest cursor across members (null while anyone has none yet)
+  const lowest = (atField, idField) => {
+    let min = null;
+    for (const state of states) {
+      if (!state[atField]) return null;
+      if (!min || !isAtOrAfter(state[atField], state[idField], { createdAt: min[atField], _id: min[idField] })) {
+        min = state;
+      }
+    }
+    return min;
+  };
+
+  const allRead = lowest('lastReadAt', 'lastReadMessage');
+  if (allRead) {
+    await Message.updateMany(
+      {
+        chat: chatId,
+        status: { $nin: ['read', 'failed'] },
+        ...atOrBefore({ createdAt: allRead.lastReadAt, _id: allRead.lastReadMessage })
+      },
+      { $set: { status: 'read' } }
+    );
+  }
+
+  const allDelivered = lowest('lastDeliveredAt', 'lastDeliveredMessage');
+  if (allDelivered) {
+    await Message.updateMany(
+      {
+        chat: chatId,
+        status: { $in: ['sending', 'sent', 'offline'] },
+        ...atOrBefore({ createdAt: allDelivered.lastDeliveredAt, _id: allDelivered.lastDeliveredMessage })
+      },
+      { $set: { status: 'delivered' } }
+    );
+  }
+};
+
+// Is the chat muted right now? (timed mutes lapse on their own)
+ChatUserStateSchema.methods.isCurrentlyMuted = function() {
+  if (!this.isMuted) return false;
+  return !this.mutedUntil || this.mutedUntil > new Date();
+};
+
+// Inbox-facing view of the state, used by fetchChats and the state endpoints
+ChatUserStateSchema.methods.toInboxState = function() {
+  const isMuted = this.isCurrentlyMuted();
+
+  return {
+    unreadCount: this.unreadCount,
+    markedUnread: this.markedUnread,
+    // Badge shown in the inbox: real count, or a dot for "mark as unread"
+    badgeCount: this.unreadCount || (this.markedUnread ? 1 : 0),
+    lastReadMessage: this.lastReadMessage,
+    isMuted,
+    mutedUntil: isMuted ? this.mutedUntil : null,
+    isPinned: this.isPinned,
+    pinOrder: this.isPinned ? this.pinOrder : null,
+    isArchived: this.isArchived,
+    archivedAt: this.archivedAt
+  };
+};
+
+// Map of chatId -> inbox state for one user (chats without a state get the defaults)
+ChatUserStateSchema.statics.getInboxStates = async function(userId, chatIds) {
+  const states = await this.find({ user: userId, chat: { $in: chatIds } });
+  const byChat = new Map(states.map(state => [state.chat.toString(), state.toInboxState()]));
+
+  chatIds.forEach(chatId => {
+    const key = chatId.toString();
+    if (!byChat.has(key)) {
+      byChat.set(key, new this({ user: userId, chat: chatId }).toInboxState());
+    }
+  });
+
+  return byChat;
+};
+
+// Apply inbox preference changes ({ muted, mutedUntil, pinned, pinOrder, archived, markedUnread })
+ChatUserStateSchema.statics.applyPreferences = async function(userId, chatId, changes = {}) {
+  const state = await this.findOne({ user: userId, chat: chatId }) || new this({ user: userId, chat: chatId });
+  const now = new Date();
+
+  if (changes.muted !== undefined) {
+    if (typeof changes.muted !== 'boolean') {
+      throw createHttpError(400, 'muted must be a boolean');
+    }
+
+    let mutedUntil = null;
+    if (changes.muted && changes.mutedUntil) {
+      mutedUntil = new Date(changes.mutedUntil);
+      if (isNaN(mutedUntil.getTime()) || mutedUntil <= now) {
+        throw createHttpError(400, 'mutedUntil must be a future date');
+      }
+    }
+
+    state.isMuted = changes.muted;
+    state.mutedUntil = mutedUntil;
+  }
+
+  if (changes.archived !== undefined) {
+    if (typeof changes.archived !== 'boolean') {
+      throw createHttpError(400, 'archived must be a boolean');
+    }
+
+    state.isArchived = changes.archived;
+    state.archivedAt = changes.archived ? now : null;
+
+    // Archived chats leave the pinned section
+    if (changes.archived) {
+      state.isPinned = false;
+      state.pinOrder = null;
+      state.pinnedAt = null;
+    }
+  }
+
+  if (changes.pinned !== undefined || changes.pinOrder !== undefined) {
+    const pinned = changes.pinned !== undefined ? changes.pinned : state.isPinned;
+    if (typeof pinned !== 'boolean') {
+      throw createHttpError(400, 'pinned must be a boolean');
+    }
+
+    if (pinned) {
+      if (state.isArchived && changes.archived !== false) {
+        throw createHttpError(400, 'Unarchive the chat before pinning it');
+      }
+
+      if (!state.isPinned) {
+        const pinnedCount = await this.countDocuments({ user: userId, isPinned: true, chat: { $ne: chatId } });
+        if (pinnedCount >= MAX_PINNED_CHATS) {
+          throw createHttpError(400, `You can pin up to ${MAX_PINNED_CHATS} chats`, 'pin_limit_reached');
+        }
+      }
+
+      let pinOrder = changes.pinOrder;
+      if (pinOrder === undefined || pinOrder === null) {
+        if (state.isPinned && state.pinOrder !== null) {
+          pinOrder = state.pinOrder;
+        } else {
+          const last = await this.findOne({ user: userId, isPinned: true, chat: { $ne: chatId } })
+            .sort({ pinOrder: -1 })
+            .select('pinOrder');
+          pinOrder = last && last.pinOrder !== null ? last.pinOrder + 1 : 0;
+        }
+      } else if (!Number.isInteger(pinOrder) || pinOrder < 0) {
+        throw createHttpError(400, 'pinOrder must be a non-negative integer');
+      }
+
+      if (!state.isPinned) state.pinnedAt = now;
+      state.isPinned = true;
+      state.pinOrder = pinOrder;
+    } else {
+      state.isPinned = false;
+      state.pinOrder = null;
+      state.pinnedAt = null;
+    }
+  }
+
+  if (changes.markedUnread !== undefined) {
+    if (typeof changes.markedUnread !== 'boolean') {
+      throw createHttpError(400, 'markedUnread must be a boolean');
+    }
+    state.markedUnread = changes.markedUnread;
+  }
+
+  await state.save();
+  return state;
+};
+
+// "Seen by N" summaries for a page of messages, from every member's cursors
+ChatUserStateSchema.statics.getSeenSummaries = async function(chat, messages) {
+  const states = await this.find({ chat: chat._id, user: { $in: chat.users } })
+    .select('user lastReadAt lastReadMessage lastDeliveredAt lastDeliveredMessage')
+    .lean();
+
+  const summaries = new Map();
+
+  messages.forEach(message => {
+    const senderId = (message.sender?._id || message.sender || '').toString();
+    const seenBy = new Set((message.readBy || []).map(id => id.toString()));
+    const deliveredTo = new Set();
+
+    states.forEach(state => {
+      const memberId = state.user.toString();
+      if (memberId === senderId) return;
+
+      if (isAtOrAfter(state.lastReadAt, state.lastReadMessage, message)) {
+        seenBy.add(memberId);
+      }
+      if (isAtOrAfter(state.lastDeliveredAt, state.lastDeliveredMessage, message)) {
+        deliveredTo.add(memberId);
+      }
+    });
+
+    seenBy.delete(senderId);
+    seenBy.forEach(id => deliveredTo.add(id));
+
+    summaries.set(message._id.toString(), {
+      seenCount: seenBy.size,
+      deliveredCount: deliveredTo.size,
+      recipientCount: Math.max(chat.users.length - 1, 0),
+      seenBy: Array.from(seenBy)
+    });
+  });
+
+  return summaries;
+};
+
+ChatUserStateSchema.statics.isAtOrAfter = isAtOrAfter;
+ChatUserStateSchema.statics.MAX_PINNED_CHATS = MAX_PINNED_CHATS;
+
+const ChatUserState = mongoose.model('ChatUserState', ChatUserStateSchema);
+
+module.exports = ChatUserState;
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Per-(user, device) sync position: every message at or before it has been
+// acked by that device. sync_since replays from here.
+const DeviceCursorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+
+  // Position = createdAt + _id of the last contiguously acked message
+  lastAckedMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  lastAckedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+DeviceCursorSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+
+DeviceCursorSchema.methods.getPosition = function() {
+  if (!this.lastAckedMessage || !this.lastAckedAt) return null;
+  return { createdAt: this.lastAckedAt, _id: this.lastAckedMessage };
+};
+
+// Get (or start) a device's cursor. New devices start "now" so they don't replay all history.
+DeviceCursorSchema.statics.getOrCreate = async function(userId, deviceId) {
+  const existing = await this.findOne({ user: userId, deviceId });
+  if (existing) return existing;
+
+  const Chat = mongoose.model('Chat');
+  const Message = mongoose.model('Message');
+
+  const chatIds = await Chat.find({ users: userId }).distinct('_id');
+  const latest = await Message.findOne({ chat: { $in: chatIds } })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('_id createdAt');
+
+  try {
+    return await this.create({
+      user: userId,
+      deviceId,
+      lastAckedMessage: latest ? latest._id : null,
+      lastAckedAt: latest ? latest.createdAt : null
+    });
+  } catch (error) {
+    // Another socket of the same device created it first
+    if (error.code === 11000) return this.findOne({ user: userId, deviceId });
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('DeviceCursor', DeviceCursorSchema);
@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['ios', 'android', 'web', 'desktop', 'unknown'];
+
+// A connection counts as live while its server instance keeps touching it
+const PRESENCE_TIMEOUT_MS = parseInt(process.env.PRESENCE_TIMEOUT_MS) || 90 * 1000;
+
+// One row per (user, device). Presence is derived from live `connections`
+// instead of an incremented counter, so a crashed instance can't leave
+// users stuck online or push counts negative.
+const DeviceSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+
+  // Client-reported device info
+  deviceName: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  platform: {
+    type: String,
+    enum: PLATFORMS,
+    default: 'unknown'
+  },
+  appVersion: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: ''
+  },
+
+  // FCM / APNs token for this device
+  pushToken: {
+    type: String,
+    default: null
+  },
+  pushTokenUpdatedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Open sockets on this device (usually one)
+  connections: [{
+    _id: false,
+    socketId: {
+      type: String,
+      required: true
+    },
+    connectedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastHeartbeatAt: {
+      type: Date,
+      default: Date.now
+    },
+    // False while the app is backgrounded ('user offline')
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  lastActiveAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastIp: {
+    type: String,
+    default: null
+  },
+
+  // Sign-in time (ID token auth_time) of the last token that connected from
+  // this device; a logout refuses every token from that sign-in, whatever
+  // deviceId it is presented with
+  authTime: {
+    type: Date,
+    default: null
+  },
+
+  // Remote logout: sockets are refused until the user signs in again
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+DeviceSessionSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+DeviceSessionSchema.index({ 'connections.socketId': 1 });
+DeviceSessionSchema.index({ 'connections.lastHeartbeatAt': 1 });
+DeviceSessionSchema.index({ user: 1, authTime: 1 });
+
+const liveSince = () => new Date(Date.now() - PRESENCE_TIMEOUT_MS);
+
+const isLiveConnection = (connection) => connection.isActive &&
+  connection.lastHeartbeatAt >= liveSince();
+
+DeviceSessionSchema.methods.isOnline = function() {
+  return this.connections.some(isLiveConnection);
+};
+
+// Shape returned by GET /api/user/devices
+DeviceSessionSchema.methods.toDeviceInfo = function(currentDeviceId = null) {
+  return {
+    _id: this._id,
+    deviceId: this.deviceId,
+    deviceName: this.deviceName,
+    platform: this.platform,
+    appVersion: this.appVersion,
+    isOnline: this.isOnline(),
+    connectionCount: this.connections.length,
+    hasPushToken: !!this.pushToken,
+    lastActiveAt: this.lastActiveAt,
+    isCurrent: !!currentDeviceId && currentDeviceId === this.deviceId,
+    createdAt: this.createdAt
+  };
+};
+
+// Is this token logged out? Either its sign-in (auth_time, in seconds) belongs
+// to a logged-out device, or this device was logged out after it signed in
+DeviceSessionSchema.statics.isRevokedFor = async function(userId, deviceId, authTime) {
+  const signedInAt = authTime ? new Date(authTime * 1000) : null;
+
+  const revoked = await this.exists({
+    user: userId,
+    revokedAt: { $ne: null },
+    $or: [
+      signedInAt ? { deviceId, revokedAt: { $gte: signedInAt } } : { deviceId },
+      ...(signedInAt ? [{ authTime: signedInAt }] : [])
+    ]
+  });
+  return !!revoked;
+};
+
+// Attach a socket to its device session (creating the session on first use)
+DeviceSessionSchema.statics.registerConnection = function(userId, deviceId, socketId, info = {}) {
+  const now = new Date();
+  const set = { lastActiveAt: now, revokedAt: null };
+
+  if (info.deviceName) set.deviceName = String(info.deviceName).slice(0, 100);
+  if (PLATFORMS.includes(info.platform)) set.platform = info.platform;
+  if (info.appVersion) set.appVersion = String(info.appVersion).slice(0, 50);
+  if (info.ip) set.lastIp = info.ip;
+  if (info.authTime) set.authTime = new Date(info.authTime * 1000);
+  if (info.pushToken) {
+    set.pushToken = info.pushToken;
+    set.pushTokenUpdatedAt = now;
+  }
+
+  return this.findOneAndUpdate(
+    { user: userId, deviceId },
+    {
+      $set: set,
+      $push: { connections: { socketId, connectedAt: now, lastHeartbeatAt: now, isActive: true } }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+DeviceSessionSchema.statics.removeConnection = function(socketId) {
+  return this.findOneAndUpdate(
+    { 'connections.socketId': socketId },
+    {
+      $pull: { connections: { socketId } },
+      $set: { lastActiveAt: new Date() }
+    },
+    { new: true }
+  );
+};
+
+// Foreground / background a single socket
+DeviceSessionSchema.statics.setConnectionActive = function(socketId, isActive) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { 'connections.socketId': socketId },
+    {
+      $set: {
+        'connections.$.isActive': isActive,
+        'connections.$.lastHeartbeatAt': now,
+        lastActiveAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Keep this instance's sockets live
+DeviceSessionSchema.statics.touchConnections = function(socketIds) {
+  if (socketIds.length === 0) return Promise.resolve();
+
+  const now = new Date();
+  return this.updateMany(
+    { 'connections.socketId': { $in: socketIds } },
+    { $set: { 'connections.$[live].lastHeartbeatAt': now } },
+    { arrayFilters: [{ 'live.socketId': { $in: socketIds } }] }
+  );
+};
+
+// Drop connections whose instance stopped touching them; returns affected user IDs
+DeviceSessionSchema.statics.pruneStaleConnections = async function() {
+  const cutoff = liveSince();
+  const stale = await this.find({ 'connections.lastHeartbeatAt': { $lt: cutoff } }).distinct('user');
+  if (stale.length === 0) return [];
+
+  await this.updateMany(
+    { 'connections.lastHeartbeatAt': { $lt: cutoff } },
+    { $pull: { connections: { lastHeartbeatAt: { $lt: cutoff } } } }
+  );
+
+  return stale;
+};
+
+// Live, foregrounded sockets across all of a user's devices
+DeviceSessionSchema.statics.countLiveConnections = async function(userId) {
+  const sessions = await this.find({
+    user: userId,
+    revokedAt: null,
+    'connections.0': { $exists: true }
+  }).select('connections');
+
+  return sessions.reduce(
+    (total, session) => total + session.connections.filter(isLiveConnection).length,
+    0
+  );
+};
+
+// Remote logout: forget the connections and push token, refuse reconnects.
+// Resolves to the session as it was, so callers can disconnect its sockets.
+// Resolves to the session as it was before logout (for its connections), or
+// null when there's no such device or it's already logged out
+DeviceSessionSchema.statics.revoke = function(userId, deviceId) {
+  return this.findOneAndUpdate(
+    { user: userId, deviceId, revokedAt: null },
+    {
+      $set: {
+        revokedAt: new Date(),
+        connections: [],
+        pushToken: null,
+        pushTokenUpdatedAt: null
+      }
+    }
+  );
+};
+
+DeviceSessionSchema.statics.PLATFORMS = PLATFORMS;
+DeviceSessionSchema.statics.PRESENCE_TIMEOUT_MS = PRESENCE_TIMEOUT_MS;
+
+module.exports = mongoose.model('DeviceSession', DeviceSessionSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const GroupInviteSchema = new mongoose.Schema({
+  // Group chat the code joins
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+
+  // Shareable code (used in /api/chat/invite/:code)
+  code: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Admin who created the code
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Optional limits (null = unlimited)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Who joined (or asked to join) with this code
+  uses: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pendingApproval: {
+      type: Boolean,
+      default: false
+    },
+    usedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+GroupInviteSchema.index({ chat: 1, createdAt: -1 });
+
+// 'active' | 'revoked' | 'expired' | 'exhausted'
+GroupInviteSchema.methods.getStatus = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  if (this.maxUses && this.useCount >= this.maxUses) return 'exhausted';
+  return 'active';
+};
+
+GroupInviteSchema.statics.generateCode = function() {
+  return crypto.randomBytes(6).toString('base64url');
+};
+
+// Create an invite with a fresh code, retrying on the (rare) code collision
+GroupInviteSchema.statics.createForChat = async function({ chat, createdBy, expiresAt = null, maxUses = null }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await this.create({
+        chat,
+        createdBy,
+        expiresAt,
+        maxUses,
+        code: this.generateCode()
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not generate a unique invite code');
+};
+
+// Atomically count one use, only while the code is still active
+GroupInviteSchema.statics.claimUse = function(inviteId, userId, pendingApproval = false) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: inviteId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: null }, { $expr: { $lt: ['$useCount', '$maxUses'] } }] }
+      ]
+    },
+    {
+      $inc: { useCount: 1 },
+      $push: { uses: { user: userId, pendingApproval, usedAt: now } }
+    },
+    { new: true }
+  );
+};
+
+const GroupInvite = mongoose.model('GroupInvite', GroupInviteSchema);
+
+module.exports = GroupInvite;
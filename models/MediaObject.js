@@ -0,0 +1,399 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { createHttpError } = require('../utils/httpError');
+const { getPublicBaseUrl } = require('../utils/storage');
+const { VARIANT_NAMES } = require('../utils/imagePipeline');
+
+// A stored chat attachment. Clients only ever see /api/media/<id>; the
+// storage key stays on the server, and GET /api/media/:mediaId checks that
+// the requester belongs to a chat with a message referencing it.
+//
+// Identical uploads share one stored file: each upload still gets its own
+// MediaObject (its own access trail), pointing at the same storage key.
+// refCount counts the messages referencing an object; once it has been
+// unreferenced for MEDIA_GC_GRACE_HOURS, utils/mediaGc.js deletes it and
+// any file no other object points at.
+const MEDIA_PATH = '/api/media';
+const MEDIA_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+const MEDIA_URL_PATTERN = /\/api\/media\/([A-Za-z0-9_-]{22})(?=[/?#]|$)/;
+const MEDIA_GC_GRACE_HOURS = Number(process.env.MEDIA_GC_GRACE_HOURS) || 24;
+// Unsent uploads stop being reused well before the GC may take them
+const DEDUP_UNSENT_WINDOW_MS = (MEDIA_GC_GRACE_HOURS / 2) * 60 * 60 * 1000;
+
+// 128 random bits: IDs can't be guessed from one another
+const generateMediaId = () => crypto.randomBytes(16).toString('base64url');
+
+const MediaObjectSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: generateMediaId
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  driver: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: Number,
+  fileName: String,
+  uploadId: String,
+  // sha256 (hex) of the file, for deduplication
+  contentHash: String,
+  // sha256 of the upload as received, when it was normalized before storing
+  sourceHash: String,
+  // Measured on upload, so a reused file needs no second pass
+  width: Number,
+  height: Number,
+  duration: Number,
+  // The upload whose stored file this one reuses
+  duplicateOf: {
+    type: String,
+    default: null
+  },
+
+  // Thumbnails, poster frames and image variants point at the file they were
+  // made from and are readable by whoever can read it
+  parent: {
+    type: String,
+    ref: 'MediaObject',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['original', 'thumbnail', 'variant'],
+    default: 'original'
+  },
+  // Which downsized image this is (kind 'variant'): small / medium / large
+  variant: {
+    type: String,
+    enum: VARIANT_NAMES
+  },
+  // BlurHash of an image, shown while it loads
+  placeholder: String,
+
+  // First time a message referenced it; until then only the uploader has the ID
+  attachedAt: {
+    type: Date,
+    default: null
+  },
+  // Messages referencing it (kept by the Message hooks)
+  refCount: {
+    type: Number,
+    default: 0
+  },
+  // When refCount last dropped to zero
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  // Set by the media GC run that is collecting this object (see utils/mediaGc.js)
+  gcClaimedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+MediaObjectSchema.index({ storageKey: 1, driver: 1 });
+MediaObjectSchema.index({ contentHash: 1, driver: 1 });
+MediaObjectSchema.index({ sourceHash: 1, driver: 1 }, { sparse: true });
+MediaObjectSchema.index({ parent: 1 });
+MediaObjectSchema.index({ refCount: 1, releasedAt: 1 });
+
+MediaObjectSchema.virtual('url').get(function() {
+  return this.constructor.getMediaUrl(this._id);
+});
+
+MediaObjectSchema.statics.getMediaUrl = function(mediaId) {
+  return `${getPublicBaseUrl()}${MEDIA_PATH}/${mediaId}`;
+};
+
+// The media ID inside an /api/media/<id> URL, or null for any other URL
+MediaObjectSchema.statics.parseMediaId = function(url) {
+  const match = typeof url === 'string' ? url.match(MEDIA_URL_PATTERN) : null;
+  return match ? match[1] : null;
+};
+
+MediaObjectSchema.statics.isValidMediaId = function(mediaId) {
+  return typeof mediaId === 'string' && MEDIA_ID_PATTERN.test(mediaId);
+};
+
+// Record a freshly stored file; resolves to the new MediaObject
+MediaObjectSchema.statics.register = function({
+  storageKey,
+  driver,
+  mimeType,
+  size,
+  fileName,
+  uploadId,
+  contentHash,
+  sourceHash,
+  parent = null,
+  kind = parent ? 'thumbnail' : 'original',
+  variant,
+  width,
+  height
+}) {
+  return this.create({
+    storageKey,
+    driver,
+    mimeType,
+    size,
+    fileName,
+    uploadId,
+    contentHash,
+    sourceHash,
+    parent,
+    kind,
+    variant,
+    width,
+    height
+  });
+};
+
+// A stored file with these exact bytes that isn't about to be collected, or null
+MediaObjectSchema.statics.findStoredCopy = function({ driver, contentHash, size }) {
+  if (!contentHash) return Promise.resolve(null);
+
+  return this.findOne({
+    driver,
+    contentHash,
+    size,
+    parent: null,
+    $or: [
+      { refCount: { $gt: 0 } },
+      { attachedAt: null, createdAt: { $gt: new Date(Date.now() - DEDUP_UNSENT_WINDOW_MS) } }
+    ]
+  });
+};
+
+/**
+ * New upload of bytes already stored as `source`: a fresh MediaObject (with
+ * thumbnail and variants) sharing its files. Resolves to the new MediaObject.
+ */
+MediaObjectSchema.statics.registerCopy = async function(source, { mimeType, fileName, uploadId, sourceHash }) {
+  const media = await this.create({
+    storageKey: source.storageKey,
+    driver: source.driver,
+    mimeType: mimeType || source.mimeType,
+    size: source.size,
+    fileName,
+    uploadId,
+    contentHash: source.contentHash,
+    sourceHash: sourceHash || source.sourceHash,
+    width: source.width,
+    height: source.height,
+    duration: source.duration,
+    placeholder: source.placeholder,
+    duplicateOf: source._id
+  });
+
+  const children = await this.find({ parent: source._id });
+  await Promise.all(children.map(child => this.create({
+    storageKey: child.storageKey,
+    driver: child.driver,
+    mimeType: child.mimeType,
+    size: child.size,
+    contentHash: child.contentHash,
+    parent: media._id,
+    kind: child.kind,
+    variant: child.variant,
+    width: child.width,
+    height: child.height
+  })));
+
+  return media;
+};
+
+/**
+ * What a message records about an original: { thumbnailUrl, width, height,
+ * duration, placeholder, variants: [{ name, url, width, height, mimeType, fileSize }] }.
+ */
+MediaObjectSchema.statics.describe = async function(media) {
+  const children = await this.find({ parent: media._id });
+  const thumbnail = children.find(child => child.kind === 'thumbnail');
+  const variants = children
+    .filter(child => child.kind === 'variant')
+    .sort((a, b) => VARIANT_NAMES.indexOf(a.variant) - VARIANT_NAMES.indexOf(b.variant))
+    .map(child => ({
+      name: child.variant,
+      url: child.url,
+      width: child.width,
+      height: child.height,
+      mimeType: child.mimeType,
+      fileSize: child.size
+    }));
+
+  return {
+    thumbnailUrl: thumbnail ? thumbnail.url : null,
+    width: media.width || 0,
+    height: media.height || 0,
+    duration: media.duration || 0,
+    placeholder: media.placeholder || null,
+    variants
+  };
+};
+
+// describe() for each original among `ids`, as a Map keyed by ID
+MediaObjectSchema.statics.describeMany = async function(ids) {
+  const descriptions = new Map();
+  if (!ids || ids.length === 0) return descriptions;
+
+  const originals = await this.find({ _id: { $in: ids }, kind: 'original' });
+  await Promise.all(originals.map(async (media) => {
+    descriptions.set(media._id, await this.describe(media));
+  }));
+  return descriptions;
+};
+
+/**
+ * The file to serve for a requested variant: the smallest variant at least
+ * that large, else the original itself. Anything but an original is served as is.
+ */
+MediaObjectSchema.statics.pickVariant = async function(media, name) {
+  if (!VARIANT_NAMES.includes(name)) {
+    throw createHttpError(400, `Variant must be one of: ${VARIANT_NAMES.join(', ')}`);
+  }
+  if (name === 'original' || media.kind !== 'original') return media;
+
+  const wanted = VARIANT_NAMES.indexOf(name);
+  const variants = await this.find({ parent: media._id, kind: 'variant' });
+  const match = variants
+    .filter(variant => VARIANT_NAMES.indexOf(variant.variant) >= wanted)
+    .sort((a, b) => VARIANT_NAMES.indexOf(a.variant) - VARIANT_NAMES.indexOf(b.variant))[0];
+
+  return match || media;
+};
+
+// True when a visible message referencing the media sits in one of the user's chats
+MediaObjectSchema.statics.isVisibleTo = async function(rootId, userId) {
+  const chatIds = await mongoose.model('Message').distinct('chat', {
+    mediaIds: rootId,
+    isDeleted: { $ne: true },
+    hiddenFor: { $ne: userId }
+  });
+  if (chatIds.length === 0) return false;
+
+  return !!(await mongoose.model('Chat').exists({ _id: { $in: chatIds }, users: userId }));
+};
+
+/**
+ * Load a media object for a user, checking they may read it.
+ * Throws 400 for a malformed ID, 404 when it doesn't exist and 403 when
+ * the user isn't a participant of any chat it was sent to.
+ */
+MediaObjectSchema.statics.findAccessible = async function(mediaId, userId) {
+  if (!this.isValidMediaId(mediaId)) {
+    throw createHttpError(400, 'Invalid media ID format');
+  }
+
+  const media = await this.findById(mediaId);
+  if (!media) {
+    throw createHttpError(404, 'Media not found');
+  }
+
+  const root = media.parent ? await this.findById(media.parent).select('attachedAt') : media;
+  if (!root) {
+    throw createHttpError(404, 'Media not found');
+  }
+
+  // Not sent yet: the upload response is the only place the ID has been
+  if (!root.attachedAt) {
+    return media;
+  }
+
+  if (!(await this.isVisibleTo(root._id, userId))) {
+    throw createHttpError(403, 'Access denied to this media', 'media_access_denied');
+  }
+
+  return media;
+};
+
+/**
+ * Check a sender may put these media IDs in a new message. Fresh uploads
+ * are free to claim; media already sent somewhere can only be forwarded by
+ * someone who can see it. Unknown IDs are dropped. Resolves to the IDs
+ * that exist.
+ */
+MediaObjectSchema.statics.checkAttachable = async function(mediaIds, senderId) {
+  if (mediaIds.length === 0) return [];
+
+  const found = await this.find({ _id: { $in: mediaIds }, parent: null }).select('attachedAt');
+
+  for (const media of found) {
+    if (media.attachedAt && !(await this.isVisibleTo(media._id, senderId))) {
+      throw createHttpError(403, 'Access denied to this media', 'media_access_denied');
+    }
+  }
+
+  return found.map(media => media._id);
+};
+
+// { id: occurrences } so one call can cover many messages
+const countIds = (mediaIds) => mediaIds.reduce((counts, id) => {
+  counts[id] = (counts[id] || 0) + 1;
+  return counts;
+}, {});
+
+// Called once the message is saved, so a failed send leaves the upload claimable
+MediaObjectSchema.statics.addReferences = async function(mediaIds) {
+  if (mediaIds.length === 0) return;
+  const now = new Date();
+
+  await this.bulkWrite(Object.entries(countIds(mediaIds)).map(([id, count]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $inc: { refCount: count }, $set: { releasedAt: null } }
+    }
+  })));
+  await this.updateMany(
+    { _id: { $in: mediaIds }, attachedAt: null },
+    { $set: { attachedAt: now } }
+  );
+};
+
+// Messages stopped referencing these (tombstoned, edited away or deleted)
+MediaObjectSchema.statics.releaseReferences = async function(mediaIds) {
+  if (mediaIds.length === 0) return;
+
+  await this.bulkWrite(Object.entries(countIds(mediaIds)).map(([id, count]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $inc: { refCount: -count } }
+    }
+  })));
+  await this.updateMany(
+    { _id: { $in: mediaIds }, refCount: { $lte: 0 }, releasedAt: null },
+    { $set: { releasedAt: new Date() } }
+  );
+};
+
+// An attached file with these bytes that the user can already see (forwarding without re-uploading).
+// Images are stored normalized, so they're also matched by what was originally uploaded
+MediaObjectSchema.statics.findVisibleCopy = async function({ contentHash, size, driver }, userId) {
+  const candidates = await this.find({
+    driver,
+    parent: null,
+    refCount: { $gt: 0 },
+    $or: [{ contentHash, size }, { sourceHash: contentHash }]
+  })
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  for (const media of candidates) {
+    if (await this.isVisibleTo(media._id, userId)) return media;
+  }
+  return null;
+};
+
+MediaObjectSchema.statics.MEDIA_PATH = MEDIA_PATH;
+MediaObjectSchema.statics.MEDIA_GC_GRACE_HOURS = MEDIA_GC_GRACE_HOURS;
+
+module.exports = mongoose.model('MediaObject', MediaObjectSchema);
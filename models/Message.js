@@ -1,4 +1,39 @@
 const mongoose = require('mongoose');
+const { createHttpError } = require('../utils/httpError');
+const ChatUserState = require('./ChatUserState');
+const MediaObject = require('./MediaObject');
+const { queueMessagePush } = require('../utils/pushNotifications');
+
+// How long after sending a message its sender may still edit it
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15;
+const EDITABLE_MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'file', 'grouped_media'];
+
+// Group lifecycle events recorded as 'system' messages
+const SYSTEM_ACTIONS = [
+  'group_created',
+  'renamed',
+  'member_added',
+  'member_removed',
+  'member_joined',
+  'member_left',
+  'admin_promoted',
+  'admin_demoted',
+  'ownership_transferred',
+  'settings_updated'
+];
+
+// How long after sending a message its sender may still delete it for everyone
+const DELETE_FOR_EVERYONE_WINDOW_MINUTES = parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES) || 60;
+
+// Downsized copies of an image attachment, filled in from its MediaObject
+const mediaVariantSchema = new mongoose.Schema({
+  name: String,
+  url: String,
+  width: Number,
+  height: Number,
+  mimeType: String,
+  fileSize: Number
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
   sender: {
@@ -40,16 +75,35 @@ const messageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Any type that can be replied to, group event ('system') messages included
   replyMessageType: {
     type: String,
-    enum: ['text', 'image', 'video', 'audio', 'file', 'grouped_media', 'post_share']
+    enum: ['text', 'image', 'video', 'audio', 'file', 'grouped_media', 'post_share', 'voice_note', 'system']
   },
   
   messageType: {
     type: String,
-    enum: ['text', 'image', 'video', 'audio', 'file', 'grouped_media', 'post_share'],
+    enum: ['text', 'image', 'video', 'audio', 'file', 'grouped_media', 'post_share', 'voice_note', 'system'],
     default: 'text'
   },
+
+  // Structured payload for 'system' messages (sender is the actor)
+  systemEvent: {
+    action: {
+      type: String,
+      enum: SYSTEM_ACTIONS
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed
+  },
   
   // ✅ FIXED: Single postShare schema
   postShare: {
@@ -86,10 +140,20 @@ const messageSchema = new mongoose.Schema({
   fileName: {
     type: String
   },
+  // MediaObject behind fileUrl when it's an /api/media URL
+  mediaId: {
+    type: String
+  },
+  // Every MediaObject this message references; media access checks query it
+  mediaIds: {
+    type: [String],
+    default: undefined
+  },
   
   // Media array for single media items
   media: [{
     url: String,
+    mediaId: String,
     thumbnailUrl: String,
     mimeType: String,
     fileName: String,
@@ -97,6 +161,8 @@ const messageSchema = new mongoose.Schema({
     duration: Number,
     width: Number,
     height: Number,
+    variants: [mediaVariantSchema],
+    placeholder: String,
     uploadId: String,
     uploadedAt: Date
   }],
@@ -107,6 +173,7 @@ const messageSchema = new mongoose.Schema({
     url: String,
     originalUrl: String,
     fileUrl: String,
+    mediaId: String,
     thumbnailUrl: String,
     type: {
       type: String,
@@ -122,6 +189,8 @@ const messageSchema = new mongoose.Schema({
     duration: Number,
     width: Number,
     height: Number,
+    variants: [mediaVariantSchema],
+    placeholder: String,
     caption: String,
     order: Number,
     uploadedAt: {
@@ -136,6 +205,7 @@ const messageSchema = new mongoose.Schema({
     url: String,
     originalUrl: String,
     fileUrl: String,
+    mediaId: String,
     thumbnailUrl: String,
     type: {
       type: String,
@@ -151,6 +221,8 @@ const messageSchema = new mongoose.Schema({
     duration: Number,
     width: Number,
     height: Number,
+    variants: [mediaVariantSchema],
+    placeholder: String,
     caption: String,
     uploadedAt: {
       type: Date,
@@ -158,6 +230,31 @@ const messageSchema = new mongoose.Schema({
     }
   }],
   
+  // Voice notes: measured on upload (utils/voiceNote.js), never taken from the client
+  voiceNote: {
+    duration: Number, // seconds
+    waveform: {
+      type: [Number], // WAVEFORM_BARS levels, 0-100
+      default: undefined
+    },
+    mimeType: String,
+    fileSize: Number
+  },
+
+  // "Played" receipts for voice notes, kept apart from read receipts
+  playedBy: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    playedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
   // ✅ FIXED: Change from Map to Mixed for better compatibility
   metadata: {
     type: mongoose.Schema.Types.Mixed,  // ← CHANGED FROM Map TO Mixed
@@ -185,18 +282,84 @@ const messageSchema = new mongoose.Schema({
   isServerConfirmation: {
     type: Boolean,
     default: false
-  }
+  },
+
+  // Editing: previous versions are kept, newest last
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  editHistory: [{
+    content: String,
+    captions: [String],
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // "Delete for me": users who no longer see this message
+  hiddenFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // "Delete for everyone": content is replaced by a tombstone
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deletedByModerator: {
+    type: Boolean,
+    default: false
+  },
+
+  // Emoji reactions: at most one per user
+  reactions: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    emoji: {
+      type: String,
+      required: true,
+      maxlength: 16
+    },
+    reactedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
   
 }, {
   timestamps: true
 });
 
 // Create indexes
-messageSchema.index({ chat: 1, createdAt: -1 });
+// Cursor pagination sorts on (createdAt, _id). This index starts with the
+// old { chat, createdAt } one and serves every query it did, so it replaces
+// it (config/database.js drops the old one from existing databases)
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1 });
 messageSchema.index({ status: 1 });
 messageSchema.index({ 'media.uploadId': 1 });
 messageSchema.index({ 'groupedMedia.uri': 1 });
+messageSchema.index({ mediaIds: 1 });
 messageSchema.index({ 'postShare.postId': 1 });
 messageSchema.index({ 'postShare.postAuthor.id': 1 });
 // ✅ ADDED: Indexes for optimistic tracking
@@ -403,20 +566,496 @@ messageSchema.statics.createPostShare = async function(data) {
   return postShareMessage.save();
 };
 
-// Status-related helper methods
-messageSchema.methods.markAsDelivered = function() {
-  this.status = 'delivered';
+// Edit text content / captions, keeping the previous version in editHistory
+messageSchema.methods.applyEdit = async function(userId, { content, captions } = {}) {
+  if (this.sender.toString() !== userId.toString()) {
+    throw createHttpError(403, 'You can only edit your own messages');
+  }
+
+  // Same rules as sending: left or removed members, muted senders, blocked
+  // chats and admin-only groups can't change what the chat sees
+  await mongoose.model('Chat').assertCanSend(this.chat, userId);
+
+  if (this.isDeleted) {
+    throw createHttpError(400, 'Deleted messages cannot be edited');
+  }
+
+  if (!EDITABLE_MESSAGE_TYPES.includes(this.messageType)) {
+    throw createHttpError(400, `Messages of type ${this.messageType} cannot be edited`);
+  }
+
+  const windowMs = EDIT_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() - new Date(this.createdAt).getTime() > windowMs) {
+    throw createHttpError(403, `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`);
+  }
+
+  const hasContent = typeof content === 'string';
+  const hasCaptions = Array.isArray(captions) && this.groupedMedia && this.groupedMedia.length > 0;
+
+  if (!hasContent && !hasCaptions) {
+    throw createHttpError(400, 'Nothing to edit');
+  }
+
+  if (hasContent && this.messageType === 'text' && content.trim().length === 0) {
+    throw createHttpError(400, 'Message content cannot be empty');
+  }
+
+  this.editHistory.push({
+    content: this.content,
+    captions: (this.groupedMedia || []).map(item => item.caption || ''),
+    editedAt: new Date()
+  });
+
+  if (hasContent) {
+    this.content = content;
+  }
+
+  if (hasCaptions) {
+    captions.forEach((caption, index) => {
+      if (this.groupedMedia[index] && typeof caption === 'string') {
+        this.groupedMedia[index].caption = caption;
+      }
+    });
+  }
+
+  this.isEdited = true;
+  this.editedAt = new Date();
+
   return this.save();
 };
 
-messageSchema.methods.markAsRead = function(userId) {
-  if (!this.readBy.includes(userId)) {
-    this.readBy.push(userId);
+// "Delete for me": hide the message from one user only
+messageSchema.methods.hideFor = function(userId) {
+  if (!this.hiddenFor.some(id => id.toString() === userId.toString())) {
+    this.hiddenFor.push(userId);
   }
-  this.status = 'read';
   return this.save();
 };
 
+// "Delete for everyone": replace content and media with a tombstone
+messageSchema.methods.deleteForEveryone = async function(userId) {
+  if (this.messageType === 'system') {
+    throw createHttpError(400, 'System messages cannot be deleted for everyone');
+  }
+
+  if (this.sender.toString() !== userId.toString()) {
+    throw createHttpError(403, 'You can only delete your own messages for everyone');
+  }
+
+  if (this.isDeleted) {
+    throw createHttpError(400, 'Message is already deleted');
+  }
+
+  const windowMs = DELETE_FOR_EVERYONE_WINDOW_MINUTES * 60 * 1000;
+  if (Date.now() - new Date(this.createdAt).getTime() > windowMs) {
+    throw createHttpError(403, `Messages can only be deleted for everyone within ${DELETE_FOR_EVERYONE_WINDOW_MINUTES} minutes of sending`);
+  }
+
+  return this.applyTombstone(userId);
+};
+
+// Replace content with a tombstone (shared by sender and moderator deletes)
+messageSchema.methods.applyTombstone = async function(deletedBy, { byModerator = false } = {}) {
+  this.content = '';
+  this.fileUrl = undefined;
+  this.fileName = undefined;
+  this.mediaId = undefined;
+  this.media = [];
+  this.mediaArray = [];
+  this.groupedMedia = [];
+  this.postShare = undefined;
+  this.voiceNote = undefined;
+  this.editHistory = [];
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  this.deletedByModerator = byModerator;
+
+  await this.save();
+
+  // Replies keep pointing at the tombstone but stop quoting its content
+  await this.constructor.updateMany(
+    { replyTo: this._id },
+    { $set: { replyContent: '' } }
+  );
+
+  return this;
+};
+
+// Delete a message for 'me' (hide) or 'everyone' (tombstone), repairing the chat preview
+messageSchema.statics.deleteWithScope = async function(messageId, userId, scope = 'me') {
+  if (!['me', 'everyone'].includes(scope)) {
+    throw createHttpError(400, "Scope must be 'me' or 'everyone'");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createHttpError(400, 'Invalid message ID format');
+  }
+
+  const message = await this.findById(messageId);
+  if (!message) {
+    throw createHttpError(404, 'Message not found');
+  }
+
+  const chat = await mongoose.model('Chat').findOne({ _id: message.chat, users: userId });
+  if (!chat) {
+    throw createHttpError(403, 'Access denied to this chat');
+  }
+
+  if (scope === 'me') {
+    await message.hideFor(userId);
+    return { message, wasLatestMessage: false };
+  }
+
+  await message.deleteForEveryone(userId);
+
+  const wasLatestMessage = !!chat.latestMessage &&
+    chat.latestMessage.toString() === message._id.toString();
+
+  if (wasLatestMessage) {
+    await this.refreshChatLatestMessage(chat._id);
+  }
+
+  return { message, wasLatestMessage };
+};
+
+// Admin removal: no sender or time-window checks, returns the pre-delete snapshot for the audit log
+messageSchema.statics.deleteByModerator = async function(messageId, adminId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createHttpError(400, 'Invalid message ID format');
+  }
+
+  const message = await this.findById(messageId);
+  if (!message) {
+    throw createHttpError(404, 'Message not found');
+  }
+
+  if (message.messageType === 'system') {
+    throw createHttpError(400, 'System messages cannot be removed');
+  }
+
+  if (message.isDeleted) {
+    throw createHttpError(400, 'Message is already deleted');
+  }
+
+  const snapshot = {
+    sender: message.sender,
+    chat: message.chat,
+    content: message.content,
+    messageType: message.messageType,
+    sentAt: message.createdAt
+  };
+
+  await message.applyTombstone(adminId, { byModerator: true });
+
+  const chat = await mongoose.model('Chat').findById(message.chat).select('latestMessage');
+  const wasLatestMessage = !!chat && !!chat.latestMessage &&
+    chat.latestMessage.toString() === message._id.toString();
+
+  if (wasLatestMessage) {
+    await this.refreshChatLatestMessage(chat._id);
+  }
+
+  return { message, snapshot, wasLatestMessage };
+};
+
+// Record that a chat member played a voice note; the sender's own plays don't count
+messageSchema.statics.markPlayed = async function(messageId, userId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createHttpError(400, 'Invalid message ID format');
+  }
+
+  const message = await this.findById(messageId).select('chat sender isDeleted messageType playedBy');
+  if (!message) {
+    throw createHttpError(404, 'Message not found');
+  }
+
+  if (message.messageType !== 'voice_note') {
+    throw createHttpError(400, 'Only voice notes can be marked as played');
+  }
+
+  if (message.isDeleted) {
+    throw createHttpError(400, 'Cannot play a deleted message');
+  }
+
+  const chat = await mongoose.model('Chat').findOne({ _id: message.chat, users: userId });
+  if (!chat) {
+    throw createHttpError(403, 'Access denied to this chat');
+  }
+
+  if (message.sender.toString() === userId.toString()) {
+    return { message, playedAt: null, firstPlay: false };
+  }
+
+  const playedAt = new Date();
+  const result = await this.updateOne(
+    { _id: message._id, 'playedBy.user': { $ne: userId } },
+    { $push: { playedBy: { user: userId, playedAt } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    const existing = message.playedBy.find(entry => entry.user.toString() === userId.toString());
+    return { message, playedAt: existing ? existing.playedAt : null, firstPlay: false };
+  }
+
+  return { message, playedAt, firstPlay: true };
+};
+
+// Toggle or replace a user's reaction: same emoji removes it, a different one replaces it
+messageSchema.statics.toggleReaction = async function(messageId, userId, emoji) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    throw createHttpError(400, 'Invalid message ID format');
+  }
+
+  if (emoji !== null && (typeof emoji !== 'string' || !emoji.trim() || emoji.length > 16)) {
+    throw createHttpError(400, 'A valid emoji is required');
+  }
+
+  const message = await this.findById(messageId).select('chat sender isDeleted reactions messageType');
+  if (!message) {
+    throw createHttpError(404, 'Message not found');
+  }
+
+  if (message.messageType === 'system') {
+    throw createHttpError(400, 'Cannot react to a system message');
+  }
+
+  if (message.isDeleted) {
+    throw createHttpError(400, 'Cannot react to a deleted message');
+  }
+
+  const chat = await mongoose.model('Chat').findOne({ _id: message.chat, users: userId });
+  if (!chat) {
+    throw createHttpError(403, 'Access denied to this chat');
+  }
+
+  const existing = message.reactions.find(r => r.user.toString() === userId.toString());
+  let action;
+
+  if (emoji === null || (existing && existing.emoji === emoji)) {
+    action = existing ? 'removed' : 'unchanged';
+  } else {
+    action = existing ? 'replaced' : 'added';
+  }
+
+  if (action !== 'unchanged') {
+    // Pull then push so concurrent reactions from other users are never overwritten
+    await this.updateOne({ _id: message._id }, { $pull: { reactions: { user: userId } } });
+
+    if (action !== 'removed') {
+      await this.updateOne(
+        { _id: message._id },
+        { $push: { reactions: { user: userId, emoji, reactedAt: new Date() } } }
+      );
+    }
+  }
+
+  const updated = await this.findById(message._id).select('chat sender reactions');
+
+  return { message: updated, action, chat };
+};
+
+// Aggregate reactions into [{ emoji, count, reactedByMe, reactedBy? }], most used first
+messageSchema.statics.summarizeReactions = function(reactions = [], viewerId = null, includeUsers = false) {
+  const byEmoji = new Map();
+
+  reactions.forEach(reaction => {
+    if (!byEmoji.has(reaction.emoji)) {
+      byEmoji.set(reaction.emoji, { emoji: reaction.emoji, count: 0, reactedByMe: false, reactedBy: [] });
+    }
+
+    const entry = byEmoji.get(reaction.emoji);
+    const reactorId = reaction.user._id || reaction.user;
+    entry.count++;
+    entry.reactedBy.push(reactorId);
+
+    if (viewerId && reactorId.toString() === viewerId.toString()) {
+      entry.reactedByMe = true;
+    }
+  });
+
+  return Array.from(byEmoji.values())
+    .sort((a, b) => b.count - a.count)
+    .map(({ reactedBy, ...entry }) => (includeUsers ? { ...entry, reactedBy } : entry));
+};
+
+// Fallback text for clients that don't render systemEvent yet
+const describeSystemEvent = (action, actorName, targetName, oldValue, newValue) => {
+  switch (action) {
+    case 'group_created': return `${actorName} created the group "${newValue}"`;
+    case 'renamed': return `${actorName} changed the group name from "${oldValue}" to "${newValue}"`;
+    case 'member_added': return `${actorName} added ${targetName}`;
+    case 'member_removed': return `${actorName} removed ${targetName}`;
+    case 'member_joined': return `${actorName} joined using an invite link`;
+    case 'member_left': return `${actorName} left the group`;
+    case 'admin_promoted': return `${actorName} made ${targetName} an admin`;
+    case 'admin_demoted': return actorName === targetName
+      ? `${actorName} is no longer an admin`
+      : `${actorName} removed ${targetName} as an admin`;
+    case 'ownership_transferred': return `${actorName} made ${targetName} the group owner`;
+    case 'settings_updated': return `${actorName} changed the group settings`;
+    default: return `${actorName} updated the group`;
+  }
+};
+
+// Record a group lifecycle event in the timeline and make it the chat's latest message
+messageSchema.statics.createSystemMessage = async function({ chat, actor, action, target, oldValue, newValue }) {
+  if (!SYSTEM_ACTIONS.includes(action)) {
+    throw new Error(`Unknown system message action: ${action}`);
+  }
+
+  const User = mongoose.model('User');
+  const [actorUser, targetUser] = await Promise.all([
+    User.findById(actor).select('name'),
+    target ? User.findById(target).select('name') : null
+  ]);
+
+  const message = await this.create({
+    sender: actor,
+    chat,
+    content: describeSystemEvent(
+      action,
+      actorUser?.name || 'Someone',
+      targetUser?.name || 'someone',
+      oldValue,
+      newValue
+    ),
+    messageType: 'system',
+    systemEvent: { action, actor, target, oldValue, newValue },
+    status: 'sent'
+  });
+
+  await mongoose.model('Chat').findByIdAndUpdate(chat, {
+    latestMessage: message._id,
+    updatedAt: new Date()
+  });
+
+  return this.findById(message._id)
+    .populate('sender', 'name profilePicture firebaseUid')
+    .populate('systemEvent.actor', 'name profilePicture firebaseUid')
+    .populate('systemEvent.target', 'name profilePicture firebaseUid');
+};
+
+// Point Chat.latestMessage at the newest message that is not a tombstone
+messageSchema.statics.refreshChatLatestMessage = async function(chatId) {
+  const Chat = mongoose.model('Chat');
+
+  const latest = await this.findOne({ chat: chatId, isDeleted: { $ne: true } })
+    .sort({ createdAt: -1, _id: -1 })
+    .select('_id');
+
+  await Chat.updateOne(
+    { _id: chatId },
+    latest ? { $set: { latestMessage: latest._id } } : { $unset: { latestMessage: 1 } },
+    { timestamps: false }
+  );
+
+  return latest ? latest._id : null;
+};
+
+// Status-related helper methods (delegate to the per-user cursors)
+messageSchema.methods.markAsDelivered = function(userId) {
+  return ChatUserState.markDelivered(this.chat, userId, this);
+};
+
+messageSchema.methods.markAsRead = function(userId) {
+  return ChatUserState.markRead(this.chat, userId, this);
+};
+
+const MEDIA_FIELDS = ['fileUrl', 'media', 'mediaArray', 'groupedMedia'];
+
+// Link /api/media URLs to their MediaObjects so access checks can find the
+// message; new references must be attachable by the sender. Image variants,
+// placeholders, poster frames, sizes and durations come from the server's
+// records, not the client
+messageSchema.pre('validate', async function() {
+  if (!this.isNew && !MEDIA_FIELDS.some(field => this.isModified(field))) return;
+
+  this.mediaId = MediaObject.parseMediaId(this.fileUrl) || undefined;
+  const items = [...this.media, ...this.mediaArray, ...this.groupedMedia];
+  items.forEach(item => {
+    item.mediaId = MediaObject.parseMediaId(item.url || item.uri || item.fileUrl || item.originalUrl) || undefined;
+  });
+
+  const referenced = [...new Set([this.mediaId, ...items.map(item => item.mediaId)].filter(Boolean))];
+  const previous = this.isNew ? [] : (this.mediaIds || []);
+  const added = referenced.filter(id => !previous.includes(id));
+  const attachable = await MediaObject.checkAttachable(added, this.sender);
+
+  this.mediaIds = referenced.filter(id => previous.includes(id) || attachable.includes(id));
+  this.$locals.mediaRefChanges = {
+    added: attachable,
+    removed: previous.filter(id => !this.mediaIds.includes(id))
+  };
+  if (this.mediaId && !this.mediaIds.includes(this.mediaId)) this.mediaId = undefined;
+  items.forEach(item => {
+    if (item.mediaId && !this.mediaIds.includes(item.mediaId)) item.mediaId = undefined;
+  });
+  if (this.mediaIds.length === 0) this.mediaIds = undefined;
+
+  const descriptions = await MediaObject.describeMany(attachable);
+  items.forEach(item => {
+    const description = item.mediaId && descriptions.get(item.mediaId);
+    if (!description) return;
+    item.variants = description.variants;
+    item.placeholder = description.placeholder || undefined;
+    if (description.thumbnailUrl) item.thumbnailUrl = description.thumbnailUrl;
+    if (description.width) item.width = description.width;
+    if (description.height) item.height = description.height;
+    if (description.duration) item.duration = description.duration;
+  });
+});
+
+// ✅ New messages bump every other member's unread counter
+messageSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+// Media reference counts follow what the message references now;
+// drift is repaired by the media GC before it deletes anything
+messageSchema.post('save', async function(doc) {
+  const changes = doc.$locals.mediaRefChanges;
+  if (!changes) return;
+  doc.$locals.mediaRefChanges = null;
+
+  try {
+    await MediaObject.addReferences(changes.added);
+    await MediaObject.releaseReferences(changes.removed);
+  } catch (error) {
+    console.error('⚠️ Failed to update media references:', error.message);
+  }
+});
+
+// Chat deletion removes messages in bulk: release what they referenced
+messageSchema.pre('deleteMany', async function() {
+  const messages = await this.model.find({ $and: [this.getFilter(), { mediaIds: { $exists: true } }] })
+    .select('mediaIds')
+    .lean();
+  this._releasedMediaIds = messages.flatMap(message => message.mediaIds || []);
+});
+
+messageSchema.post('deleteMany', async function() {
+  try {
+    await MediaObject.releaseReferences(this._releasedMediaIds || []);
+  } catch (error) {
+    console.error('⚠️ Failed to release media references:', error.message);
+  }
+});
+
+messageSchema.post('save', async function(doc) {
+  if (!doc.$locals.wasNew) return;
+
+  try {
+    await ChatUserState.recordNewMessage(doc);
+  } catch (error) {
+    console.error('⚠️ Failed to update unread counters:', error.message);
+  }
+
+  // Devices without a live socket hear about it by push
+  queueMessagePush(doc);
+});
+
 // Virtual for formatted status
 messageSchema.virtual('formattedStatus').get(function() {
   switch (this.status) {
@@ -447,6 +1086,8 @@ messageSchema.virtual('allMediaUrls').get(function() {
         duration: media.duration,
         width: media.width,
         height: media.height,
+        variants: media.variants,
+        placeholder: media.placeholder,
         uploadId: media.uploadId
       });
     });
@@ -465,6 +1106,8 @@ messageSchema.virtual('allMediaUrls').get(function() {
         duration: media.duration,
         width: media.width,
         height: media.height,
+        variants: media.variants,
+        placeholder: media.placeholder,
         caption: media.caption
       });
     });
@@ -513,4 +1156,8 @@ messageSchema.set('toObject', {
   }
 });
 
+messageSchema.statics.EDIT_WINDOW_MINUTES = EDIT_WINDOW_MINUTES;
+messageSchema.statics.DELETE_FOR_EVERYONE_WINDOW_MINUTES = DELETE_FOR_EVERYONE_WINDOW_MINUTES;
+messageSchema.statics.SYSTEM_ACTIONS = SYSTEM_ACTIONS;
+
 module.exports = mongoose.model('Message', messageSchema);
\ No newline at end of file
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const DeviceCursor = require('./DeviceCursor');
+const { buildCursorFilter, getCursorSort } = require('../utils/messageCursor');
+
+const LOG_TTL_DAYS = parseInt(process.env.DELIVERY_LOG_TTL_DAYS) || 30;
+const MAX_SYNC_BATCH = 200;
+
+// Per-device delivery log: one entry per message a device has acked.
+// Entries behind the device cursor are only kept for auditing and expire.
+const MessageDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+
+  // Client-side ID the ack was keyed by, if any
+  optimisticId: {
+    type: String,
+    default: null
+  },
+
+  // Delivered through a sync_since replay rather than live
+  replayed: {
+    type: Boolean,
+    default: false
+  },
+
+  ackedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MessageDeliverySchema.index({ user: 1, deviceId: 1, message: 1 }, { unique: true });
+MessageDeliverySchema.index({ message: 1, user: 1, ackedAt: 1 });
+MessageDeliverySchema.index({ ackedAt: 1 }, { expireAfterSeconds: LOG_TTL_DAYS * 24 * 60 * 60 });
+
+// Messages a device still has to receive: newer than `after`, not sent by the user
+const undeliveredFilter = (userId, chatIds, after) => ({
+  chat: { $in: chatIds },
+  sender: { $ne: userId },
+  hiddenFor: { $ne: userId },
+  ...(after && buildCursorFilter('after', after))
+});
+
+/**
+ * Record a device ack. Idempotent per (user, device, message).
+ * `firstForUser` is true for exactly one device per recipient, so the
+ * sender is told about each recipient once however many devices ack.
+ */
+MessageDeliverySchema.statics.recordAck = async function(userId, deviceId, message, { optimisticId = null, replayed = false } = {}) {
+  const result = await this.updateOne(
+    { user: userId, deviceId, message: message._id },
+    {
+      $setOnInsert: {
+        chat: message.chat,
+        optimisticId,
+        replayed,
+        ackedAt: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  const firstForDevice = result.upsertedCount > 0;
+  if (!firstForDevice) {
+    return { firstForDevice, firstForUser: false };
+  }
+
+  const earliest = await this.findOne({ message: message._id, user: userId })
+    .sort({ ackedAt: 1, _id: 1 })
+    .select('deviceId');
+
+  return { firstForDevice, firstForUser: !!earliest && earliest.deviceId === deviceId };
+};
+
+// Undelivered messages for a device after a position (oldest first), skipping ones it already acked
+MessageDeliverySchema.statics.findPendingForDevice = async function(userId, deviceId, after, limit = MAX_SYNC_BATCH) {
+  const Chat = mongoose.model('Chat');
+  const Message = mongoose.model('Message');
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || MAX_SYNC_BATCH, 1), MAX_SYNC_BATCH);
+  const chatIds = await Chat.find({ users: userId }).distinct('_id');
+
+  const candidates = await Message.find(undeliveredFilter(userId, chatIds, after))
+    .sort(getCursorSort('after'))
+    .limit(pageSize + 1)
+    .populate('sender', 'name firebaseUid profilePicture')
+    .populate('replyTo', 'content sender messageType');
+
+  const hasMore = candidates.length > pageSize;
+  const page = candidates.slice(0, pageSize);
+
+  const acked = await this.find({
+    user: userId,
+    deviceId,
+    message: { $in: page.map(message => message._id) }
+  }).distinct('message');
+  const ackedIds = new Set(acked.map(id => id.toString()));
+
+  return {
+    messages: page.filter(message => !ackedIds.has(message._id.toString())),
+    hasMore,
+    lastScanned: page.length > 0 ? page[page.length - 1] : null
+  };
+};
+
+// Move the device cursor over the contiguous run of acked messages
+MessageDeliverySchema.statics.advanceCursor = async function(userId, deviceId) {
+  const Chat = mongoose.model('Chat');
+  const Message = mongoose.model('Message');
+
+  const cursor = await DeviceCursor.getOrCreate(userId, deviceId);
+  const chatIds = await Chat.find({ users: userId }).distinct('_id');
+
+  let position = cursor.getPosition();
+  let moved = false;
+
+  for (;;) {
+    const batch = await Message.find(undeliveredFilter(userId, chatIds, position))
+      .sort(getCursorSort('after'))
+      .limit(MAX_SYNC_BATCH)
+      .select('_id createdAt');
+    if (batch.length === 0) break;
+
+    const acked = await this.find({
+      user: userId,
+      deviceId,
+      message: { $in: batch.map(message => message._id) }
+    }).distinct('message');
+    const ackedIds = new Set(acked.map(id => id.toString()));
+
+    let stopped = false;
+    for (const message of batch) {
+      if (!ackedIds.has(message._id.toString())) {
+        stopped = true;
+        break;
+      }
+      position = { createdAt: message.createdAt, _id: message._id };
+      moved = true;
+    }
+
+    if (stopped || batch.length < MAX_SYNC_BATCH) break;
+  }
+
+  if (!moved) return cursor;
+
+  // Never move backwards if a concurrent ack already advanced further
+  const updated = await DeviceCursor.findOneAndUpdate(
+    {
+      _id: cursor._id,
+      $or: [
+        { lastAckedAt: null },
+        { lastAckedAt: { $lt: position.createdAt } },
+        { lastAckedAt: position.createdAt, lastAckedMessage: { $lt: position._id } }
+      ]
+    },
+    { $set: { lastAckedMessage: position._id, lastAckedAt: position.createdAt } },
+    { new: true }
+  );
+
+  return updated || DeviceCursor.findById(cursor._id);
+};
+
+MessageDeliverySchema.statics.MAX_SYNC_BATCH = MAX_SYNC_BATCH;
+
+module.exports = mongoose.model('MessageDelivery', MessageDeliverySchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const MODERATION_ACTIONS = [
+  'warn',
+  'mute_sending',
+  'unmute_sending',
+  'suspend',
+  'unsuspend',
+  'delete_message',
+  'update_report'
+];
+
+// Audit log: one entry per admin moderation action
+const ModerationActionSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: MODERATION_ACTIONS,
+    required: true
+  },
+
+  // What the action was taken on
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  targetMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+
+  // Queue item that prompted the action, if any
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
+  messageRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MessageRequest',
+    default: null
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  durationHours: {
+    type: Number,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  // Action-specific context (deleted content snapshot, report status change, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+ModerationActionSchema.index({ createdAt: -1 });
+ModerationActionSchema.index({ targetUser: 1, createdAt: -1 });
+ModerationActionSchema.index({ admin: 1, createdAt: -1 });
+ModerationActionSchema.index({ report: 1 });
+
+ModerationActionSchema.statics.MODERATION_ACTIONS = MODERATION_ACTIONS;
+
+module.exports = mongoose.model('ModerationAction', ModerationActionSchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'nudity',
+  'violence',
+  'scam',
+  'impersonation',
+  'other'
+];
+
+// A user report, queued for moderation review
+const ReportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    default: null
+  },
+
+  // Offending messages, with a snapshot so evidence survives edits and deletes
+  messages: [{
+    _id: false,
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    content: String,
+    messageType: String,
+    mediaUrls: [String],
+    sentAt: Date
+  }],
+
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+
+  // Moderation review
+  status: {
+    type: String,
+    enum: ['pending', 'reviewing', 'resolved', 'dismissed'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+ReportSchema.index({ status: 1, createdAt: -1 });
+ReportSchema.index({ reportedUser: 1, createdAt: -1 });
+ReportSchema.index({ reporter: 1, createdAt: -1 });
+
+ReportSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
+const Report = mongoose.model('Report', ReportSchema);
+
+module.exports = Report;
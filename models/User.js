@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { createHttpError } = require('../utils/httpError');
+
+const MODERATION_ACTIONS = ['warn', 'mute_sending', 'unmute_sending', 'suspend', 'unsuspend'];
+const MAX_MODERATION_HOURS = 24 * 365;
 
 const userSchema = new mongoose.Schema({
   // ========== AUTHENTICATION ==========
@@ -129,6 +133,12 @@ const userSchema = new mongoose.Schema({
     dataSaverMode: { type: Boolean, default: false },
     darkMode: { type: Boolean, default: false }
   },
+
+  // Email digest bookkeeping (utils/emailDigest.js)
+  emailDigest: {
+    lastSentAt: { type: Date, default: null },
+    unsubscribedAt: { type: Date, default: null }
+  },
   
   // ========== SYSTEM FLAGS ==========
   profileCompleted: {
@@ -175,6 +185,21 @@ const userSchema = new mongoose.Schema({
     default: 0
   },
   
+  // ========== MODERATION ==========
+  isAdmin: {
+    type: Boolean,
+    default: false
+  },
+  moderation: {
+    warningCount: { type: Number, default: 0 },
+    lastWarnedAt: { type: Date, default: null },
+    sendingMutedUntil: { type: Date, default: null },
+    isSuspended: { type: Boolean, default: false },
+    suspendedAt: { type: Date, default: null },
+    suspendedUntil: { type: Date, default: null }, // null while suspended = indefinite
+    suspensionReason: { type: String, default: '' }
+  },
+  
   // ========== TIMESTAMPS ==========
   createdAt: {
     type: Date,
@@ -430,11 +455,87 @@ userSchema.methods.getCompleteProfile = function() {
     lastSeen: this.lastSeen,
     lastSynced: this.lastSynced,
     connectionCount: this.connectionCount,
+    isAdmin: this.isAdmin,
+    moderation: {
+      warningCount: this.moderation?.warningCount || 0,
+      sendingMutedUntil: this.isSendingMuted() ? this.moderation.sendingMutedUntil : null
+    },
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
+// ========== MODERATION ==========
+// Current suspension, or null (timed suspensions lapse on their own)
+userSchema.methods.getActiveSuspension = function() {
+  const moderation = this.moderation || {};
+  if (!moderation.isSuspended) return null;
+  if (moderation.suspendedUntil && moderation.suspendedUntil <= new Date()) return null;
+
+  return {
+    suspendedAt: moderation.suspendedAt,
+    suspendedUntil: moderation.suspendedUntil,
+    reason: moderation.suspensionReason
+  };
+};
+
+userSchema.methods.isSendingMuted = function() {
+  const mutedUntil = this.moderation && this.moderation.sendingMutedUntil;
+  return !!mutedUntil && mutedUntil > new Date();
+};
+
+userSchema.methods.assertCanSendMessages = function() {
+  if (this.isSendingMuted()) {
+    throw createHttpError(
+      403,
+      `You are muted from sending messages until ${this.moderation.sendingMutedUntil.toISOString()}`,
+      'sending_muted'
+    );
+  }
+};
+
+// Apply an admin action to this account (caller saves and records the audit entry)
+userSchema.methods.applyModerationAction = function(action, { durationHours, reason } = {}) {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw createHttpError(400, `Action must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+  }
+
+  const hours = durationHours === undefined || durationHours === null ? null : Number(durationHours);
+  if (hours !== null && (!Number.isFinite(hours) || hours <= 0 || hours > MAX_MODERATION_HOURS)) {
+    throw createHttpError(400, `durationHours must be between 0 and ${MAX_MODERATION_HOURS}`);
+  }
+
+  const now = new Date();
+  const until = hours ? new Date(now.getTime() + hours * 60 * 60 * 1000) : null;
+
+  switch (action) {
+    case 'warn':
+      this.moderation.warningCount += 1;
+      this.moderation.lastWarnedAt = now;
+      break;
+    case 'mute_sending':
+      if (!until) throw createHttpError(400, 'durationHours is required to mute sending');
+      this.moderation.sendingMutedUntil = until;
+      break;
+    case 'unmute_sending':
+      this.moderation.sendingMutedUntil = null;
+      break;
+    case 'suspend':
+      this.moderation.isSuspended = true;
+      this.moderation.suspendedAt = now;
+      this.moderation.suspendedUntil = until;
+      this.moderation.suspensionReason = reason || '';
+      break;
+    case 'unsuspend':
+      this.moderation.isSuspended = false;
+      this.moderation.suspendedUntil = null;
+      this.moderation.suspensionReason = '';
+      break;
+  }
+
+  return { expiresAt: until };
+};
+
 // Check if profile is complete
 userSchema.methods.isProfileComplete = function() {
   return this.profileCompleted && 
@@ -505,4 +606,6 @@ userSchema.methods.addPhoneAuth = async function(phone) {
   return this.save();
 };
 
+userSchema.statics.MODERATION_ACTIONS = MODERATION_ACTIONS;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -12,11 +12,25 @@ const {
   renameGroup,
   addToGroup,
   removeFromGroup,
+  promoteToAdmin,
+  demoteAdmin,
+  transferOwnership,
+  updateGroupSettings,
+  reviewPendingMember,
+  leaveGroup,
   searchUsers,
   getChatMedia,
   deleteChat,
   checkExistingChat
 } = require('../controllers/chatController');
+const {
+  createGroupInvite,
+  listGroupInvites,
+  revokeGroupInvite,
+  previewGroupInvite,
+  joinGroupViaInvite
+} = require('../controllers/groupInviteController');
+const { getChatState, updateChatState } = require('../controllers/chatStateController');
 
 // Apply Firebase authentication to ALL chat routes
 router.use(firebaseProtect);
@@ -28,8 +42,21 @@ router.post('/group', createGroupChat);
 router.put('/group/rename', renameGroup);
 router.put('/group/add', addToGroup);
 router.put('/group/remove', removeFromGroup);
+router.put('/group/promote', promoteToAdmin);
+router.put('/group/demote', demoteAdmin);
+router.put('/group/transfer-ownership', transferOwnership);
+router.put('/group/settings', updateGroupSettings);
+router.put('/group/approve', reviewPendingMember);
+router.put('/group/leave', leaveGroup);
+router.post('/group/:chatId/invites', createGroupInvite);
+router.get('/group/:chatId/invites', listGroupInvites);
+router.delete('/group/:chatId/invites/:code', revokeGroupInvite);
+router.get('/invite/:code', previewGroupInvite);
+router.post('/invite/:code/join', joinGroupViaInvite);
 router.get('/search/:query', searchUsers);
 router.get('/check/:userId', checkExistingChat); // This will be protected by firebaseProtect
+router.get('/:chatId/state', getChatState);
+router.put('/:chatId/state', updateChatState);
 router.delete('/:chatId', deleteChat);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { firebaseProtect } = require('../middleware/firebaseAuth');
+const { getMedia } = require('../controllers/mediaController');
+
+// Chat attachments, checked against chat membership on every request
+router.use(firebaseProtect);
+
+router.get('/:mediaId', getMedia);
+
+module.exports = router;
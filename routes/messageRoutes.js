@@ -5,18 +5,62 @@ const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Chat = require('../models/Chat');
 const User = require('../models/User');
+const ChatUserState = require('../models/ChatUserState');
 const { firebaseProtect } = require('../middleware/firebaseAuth');
+const { consumeForRequest } = require('../utils/rateLimiter');
+const {
+  getPageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  getCursorSort
+} = require('../utils/messageCursor');
+const {
+  emitMessageEdited,
+  emitMessageDeleted,
+  emitReactionUpdated,
+  emitVoiceNotePlayed
+} = require('../utils/messageEvents');
+const { getVoiceNoteMessageFields } = require('../utils/voiceNote');
+
+// Populate a message history query with sender and reply data
+const findChatMessages = (filter, sort, limit) => {
+  return Message.find(filter)
+    .select('-hiddenFor')
+    .populate('sender', 'name profilePicture firebaseUid')
+    .populate('replySender', 'name profilePicture firebaseUid')
+    .populate('systemEvent.actor', 'name profilePicture firebaseUid')
+    .populate('systemEvent.target', 'name profilePicture firebaseUid')
+    .populate({
+      path: 'replyMessage',
+      select: 'content messageType fileUrl groupedMedia sender createdAt status isDeleted',
+      populate: {
+        path: 'sender',
+        select: 'name profilePicture firebaseUid'
+      }
+    })
+    .sort(sort)
+    .limit(limit)
+    .lean();
+};
 
-// @desc    Get messages for a chat
-// @route   GET /api/messages/:chatId
+// @desc    Get messages for a chat (cursor pagination)
+// @route   GET /api/messages/:chatId?before=<cursor>|after=<cursor>|around=<messageId>&limit=N
 // @access  Private
 router.get('/:chatId', firebaseProtect, async (req, res) => {
   try {
     const { chatId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || null;
+    const { before, after, around } = req.query;
+    const limit = getPageSize(req.query.limit);
 
-    console.log(`📨 Fetching messages for chat ${chatId}`);
+    console.log(`📨 Fetching messages for chat ${chatId}`, { before, after, around, limit });
+
+    if ([before, after, around].filter(Boolean).length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use only one of before, after or around'
+      });
+    }
 
     // Check if chat exists
     const chat = await Chat.findById(chatId);
@@ -40,68 +84,155 @@ router.get('/:chatId', firebaseProtect, async (req, res) => {
       });
     }
 
-    // Build query with reply data population
-    let query = Message.find({ chat: chatId })
-      .populate('sender', 'name profilePicture firebaseUid')
-      .populate('replySender', 'name profilePicture firebaseUid')
-      .populate({
-        path: 'replyMessage',
-        select: 'content messageType fileUrl groupedMedia sender createdAt status',
-        populate: {
-          path: 'sender',
-          select: 'name profilePicture firebaseUid'
+    // Skip messages this user deleted for themselves
+    const baseFilter = { chat: chat._id, hiddenFor: { $ne: req.user._id } };
+    let mode = 'latest';
+    let messages = [];
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+
+    if (around) {
+      // Jump to a message (reply target, search hit) with context on both sides
+      mode = 'around';
+
+      if (!mongoose.Types.ObjectId.isValid(around)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid message ID for around'
+        });
+      }
+
+      const anchor = await Message.findOne({ _id: around, ...baseFilter })
+        .select('_id createdAt')
+        .lean();
+
+      if (!anchor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found in this chat'
+        });
+      }
+
+      const olderLimit = Math.floor((limit - 1) / 2);
+      const newerLimit = limit - 1 - olderLimit;
+
+      const [older, anchorMessage, newer] = await Promise.all([
+        findChatMessages(
+          { ...baseFilter, ...buildCursorFilter('before', anchor) },
+          getCursorSort('before'),
+          olderLimit + 1
+        ),
+        findChatMessages({ _id: anchor._id }, getCursorSort('before'), 1),
+        findChatMessages(
+          { ...baseFilter, ...buildCursorFilter('after', anchor) },
+          getCursorSort('after'),
+          newerLimit + 1
+        )
+      ]);
+
+      hasMoreBefore = older.length > olderLimit;
+      hasMoreAfter = newer.length > newerLimit;
+
+      messages = [
+        ...older.slice(0, olderLimit).reverse(),
+        ...anchorMessage,
+        ...newer.slice(0, newerLimit)
+      ];
+    } else {
+      const cursor = before || after;
+      const direction = after ? 'after' : 'before';
+      const filter = { ...baseFilter };
+
+      if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid pagination cursor'
+          });
         }
-      })
-      .sort({ createdAt: -1 });
+        Object.assign(filter, buildCursorFilter(direction, position));
+        mode = direction;
+      }
+
+      const page = await findChatMessages(filter, getCursorSort(direction), limit + 1);
+      const hasMore = page.length > limit;
+      const pageMessages = page.slice(0, limit);
 
-    // Only apply pagination if limit is provided
-    if (limit && limit > 0) {
-      const skip = (page - 1) * limit;
-      query = query.skip(skip).limit(limit);
+      if (direction === 'after') {
+        hasMoreAfter = hasMore;
+        messages = pageMessages;
+      } else {
+        hasMoreBefore = hasMore;
+        // Reverse to get chronological order
+        messages = pageMessages.reverse();
+      }
     }
 
-    const messages = await query.lean();
+    // "Seen by N" from members' read cursors, plus this user's own read state
+    const [seenSummaries, readState] = await Promise.all([
+      ChatUserState.getSeenSummaries(chat, messages),
+      ChatUserState.findOne({ user: req.user._id, chat: chat._id })
+        .select('lastReadMessage lastReadAt lastDeliveredMessage unreadCount')
+        .lean()
+    ]);
 
     // Enhanced messages with all data
-    const enhancedMessages = messages.map(message => ({
-      ...message,
-      groupedMedia: message.groupedMedia || [],
-      // Ensure reply data is properly structured
-      ...(message.replyTo && {
-        replyTo: message.replyTo,
-        replyMessage: message.replyMessage || {
-          _id: message.replyTo,
-          content: message.replyContent || '',
-          messageType: message.replyMessageType || 'text',
-          sender: message.replySender
-        },
-        replyContent: message.replyContent,
-        replySender: message.replySender,
-        replyMessageType: message.replyMessageType
-      }),
-      // Ensure postShare data is included
-      ...(message.messageType === 'post_share' && {
-        postShare: message.postShare || {}
-      })
-    }));
-
-    // Reverse to get chronological order
-    const chronologicalMessages = enhancedMessages.reverse();
+    const enhancedMessages = messages.map(({ reactions, ...message }) => {
+      const { seenBy, ...seen } = seenSummaries.get(message._id.toString());
+      return {
+        ...message,
+        groupedMedia: message.groupedMedia || [],
+        // Aggregated reactions (group chats also get who reacted)
+        reactionSummary: Message.summarizeReactions(reactions, req.user._id, chat.isGroupChat),
+        seenSummary: chat.isGroupChat ? { ...seen, seenBy } : seen,
+        // Ensure reply data is properly structured
+        ...(message.replyTo && {
+          replyTo: message.replyTo,
+          replyMessage: message.replyMessage || {
+            _id: message.replyTo,
+            content: message.replyContent || '',
+            messageType: message.replyMessageType || 'text',
+            sender: message.replySender
+          },
+          replyContent: message.replyContent,
+          replySender: message.replySender,
+          replyMessageType: message.replyMessageType
+        }),
+        // Ensure postShare data is included
+        ...(message.messageType === 'post_share' && {
+          postShare: message.postShare || {}
+        })
+      };
+    });
 
-    // Get total count
-    const totalMessages = await Message.countDocuments({ chat: chatId });
+    const oldest = enhancedMessages[0];
+    const newest = enhancedMessages[enhancedMessages.length - 1];
+    const beforeCursor = hasMoreBefore ? encodeCursor(oldest) : null;
+    const afterCursor = hasMoreAfter ? encodeCursor(newest) : null;
 
-    console.log(`✅ Found ${chronologicalMessages.length} messages for chat ${chatId}`);
+    console.log(`✅ Found ${enhancedMessages.length} messages for chat ${chatId} (${mode})`);
 
     res.json({
       success: true,
-      data: chronologicalMessages,
+      data: enhancedMessages,
+      readState: {
+        lastReadMessage: readState?.lastReadMessage || null,
+        lastReadAt: readState?.lastReadAt || null,
+        lastDeliveredMessage: readState?.lastDeliveredMessage || null,
+        unreadCount: readState?.unreadCount || 0
+      },
       pagination: {
-        currentPage: page,
-        totalPages: limit ? Math.ceil(totalMessages / limit) : 1,
-        totalMessages,
-        hasNextPage: limit ? page < Math.ceil(totalMessages / limit) : false,
-        hasPrevPage: page > 1
+        mode,
+        limit,
+        // Continue in the direction of the request
+        hasMore: mode === 'after' ? hasMoreAfter : hasMoreBefore,
+        nextCursor: mode === 'after' ? afterCursor : beforeCursor,
+        // Page edges, for switching direction (e.g. after an "around" jump)
+        hasMoreBefore,
+        hasMoreAfter,
+        beforeCursor,
+        afterCursor
       }
     });
 
@@ -129,7 +260,8 @@ router.post('/', firebaseProtect, async (req, res) => {
       replyMessage,
       replyContent,
       replySender,
-      replyMessageType
+      replyMessageType,
+      uploadId
     } = req.body;
 
     console.log('📤 Sending message:', { 
@@ -140,33 +272,33 @@ router.post('/', firebaseProtect, async (req, res) => {
       replyTo
     });
 
-    if (!chatId || !content) {
+    // Voice notes carry no text: they reference an upload from POST /api/upload/voice-note
+    if (messageType === 'voice_note') {
+      if (!chatId || !uploadId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Chat ID and uploadId are required for voice notes'
+        });
+      }
+    } else if (!chatId || !content) {
       return res.status(400).json({
         success: false,
         message: 'Chat ID and content are required'
       });
     }
 
-    // Check if chat exists
-    const chat = await Chat.findById(chatId);
-    if (!chat) {
-      return res.status(404).json({
+    if (messageType === 'system') {
+      return res.status(400).json({
         success: false,
-        message: 'Chat not found'
+        message: 'System messages are created by the server'
       });
     }
 
-    // Verify user is a participant in the chat
-    const isParticipant = chat.users.some(userId => 
-      userId.toString() === req.user._id.toString()
-    );
+    // Membership, moderation mute, "only admins can send" and blocks, as on the socket path
+    const chat = await Chat.assertCanSend(chatId, req.user._id);
 
-    if (!isParticipant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this chat'
-      });
-    }
+    // Per-user / per-IP flood protection, spent only on valid sends
+    if (!(await consumeForRequest(req, res, 'message'))) return;
 
    // In POST /api/messages route, update the processing:
 let processedGroupedMedia = [];
@@ -222,6 +354,10 @@ if (groupedMedia && Array.isArray(groupedMedia)) {
       status: 'sent',
     };
 
+    if (messageType === 'voice_note') {
+      Object.assign(messageData, await getVoiceNoteMessageFields(uploadId, req.user._id));
+    }
+
     // Add grouped media if exists
     if (processedGroupedMedia.length > 0) {
       messageData.fileUrl = processedGroupedMedia[0]?.uri || null;
@@ -289,6 +425,13 @@ if (io) {
     
     // ✅ CRITICAL: Include both URLs
     fileUrl: message.fileUrl,  // Original high-res
+
+    // Voice notes: measured duration and waveform
+    ...(message.messageType === 'voice_note' && {
+      fileName: message.fileName,
+      voiceNote: message.voiceNote,
+      playedBy: []
+    }),
     
     groupedMedia: message.groupedMedia?.map(item => ({
     // Send ALL URL formats
@@ -342,10 +485,11 @@ if (io) {
 
   } catch (error) {
     console.error('❌ Send message error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Server error while sending message',
-      error: error.message
+      message: error.statusCode ? error.message : 'Server error while sending message',
+      ...(error.code && { code: error.code }),
+      ...(!error.statusCode && { error: error.message })
     });
   }
 });
@@ -376,34 +520,11 @@ router.post('/share-post', firebaseProtect, async (req, res) => {
   }
 });
 
-    // Validate chat ID
-    if (!mongoose.Types.ObjectId.isValid(chatId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid chat ID format'
-      });
-    }
+    // Membership, moderation mute, "only admins can send" and blocks, as on the socket path
+    const chat = await Chat.assertCanSend(chatId, req.user._id);
 
-    // Check if chat exists
-    const chat = await Chat.findById(chatId);
-    if (!chat) {
-      return res.status(404).json({
-        success: false,
-        message: 'Chat not found'
-      });
-    }
-
-    // Verify user is a participant
-    const isParticipant = chat.users.some(userId => 
-      userId.toString() === req.user._id.toString()
-    );
-
-    if (!isParticipant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied to this chat'
-      });
-    }
+    // Per-user / per-IP flood protection, spent only on valid sends
+    if (!(await consumeForRequest(req, res, 'message'))) return;
 
     // ✅ FIX: Process postMedia - handle string or array
     let postMedia = [];
@@ -572,10 +693,11 @@ router.post('/share-post', firebaseProtect, async (req, res) => {
       });
     }
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to share post',
-      error: error.message
+      message: error.statusCode ? error.message : 'Failed to share post',
+      ...(error.code && { code: error.code }),
+      ...(!error.statusCode && { error: error.message })
     });
   }
 });
@@ -643,7 +765,61 @@ router.get('/:chatId/grouped-media', firebaseProtect, async (req, res) => {
   }
 });
 
-// @desc    Mark message as delivered
+// Load a message the requester can see, for read/delivered updates
+const findAccessibleMessage = async (messageId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) return null;
+
+  const message = await Message.findById(messageId).select('_id chat sender createdAt');
+  if (!message) return null;
+
+  const chat = await Chat.findOne({ _id: message.chat, users: userId }).select('_id isGroupChat');
+  return chat ? { message, chat } : null;
+};
+
+// Tell the chat room (and the senders) how far a member has read or received
+const emitCursorUpdate = (io, req, chatId, { event, senderEvent, field, message, status, unreadCount }) => {
+  if (!io) return;
+
+  io.to(chatId.toString()).emit(event, {
+    messageId: message._id,
+    chatId,
+    [field]: req.user._id,
+    firebaseUid: req.user.firebaseUid,
+    upToMessageId: message._id,
+    status
+  });
+
+  io.to(chatId.toString()).emit('read_cursor_updated', {
+    chatId,
+    userId: req.user._id,
+    firebaseUid: req.user.firebaseUid,
+    type: status,
+    upToMessageId: message._id,
+    upToCreatedAt: message.createdAt,
+    timestamp: new Date().toISOString()
+  });
+
+  // Sync the unread badge across the reader's devices
+  if (unreadCount !== undefined) {
+    io.to(req.user.firebaseUid).emit('unread_count_updated', { chatId, unreadCount });
+  }
+
+  if (senderEvent && message.sender && message.sender.toString() !== req.user._id.toString()) {
+    User.findById(message.sender).select('firebaseUid').then(sender => {
+      if (sender?.firebaseUid) {
+        io.to(sender.firebaseUid).emit(senderEvent, {
+          messageId: message._id,
+          chatId,
+          [field]: req.user.firebaseUid,
+          status,
+          timestamp: new Date().toISOString()
+        });
+      }
+    }).catch(() => {});
+  }
+};
+
+// @desc    Mark everything up to a message as delivered
 // @route   PUT /api/messages/:messageId/delivered
 // @access  Private
 router.put('/:messageId/delivered', firebaseProtect, async (req, res) => {
@@ -652,30 +828,35 @@ router.put('/:messageId/delivered', firebaseProtect, async (req, res) => {
 
     console.log('📬 Marking message as delivered:', messageId);
 
-    const message = await Message.findById(messageId);
-    if (!message) {
+    const found = await findAccessibleMessage(messageId, req.user._id);
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Message not found'
       });
     }
 
-    await message.markAsDelivered();
+    const { state, advanced } = await found.message.markAsDelivered(req.user._id);
 
     console.log('✅ Message marked as delivered:', messageId);
 
-    const io = req.app.get('io');
-    if (io) {
-      io.to(message.chat.toString()).emit('message delivered', {
-        messageId: message._id,
-        chatId: message.chat,
+    if (advanced) {
+      emitCursorUpdate(req.app.get('io'), req, found.chat._id, {
+        event: 'message delivered',
+        senderEvent: 'message_delivered',
+        field: 'deliveredTo',
+        message: found.message,
         status: 'delivered'
       });
     }
 
     res.json({
       success: true,
-      data: message,
+      data: {
+        messageId: found.message._id,
+        chatId: found.chat._id,
+        lastDeliveredMessage: state?.lastDeliveredMessage || null
+      },
       message: 'Message marked as delivered'
     });
 
@@ -689,7 +870,7 @@ router.put('/:messageId/delivered', firebaseProtect, async (req, res) => {
   }
 });
 
-// @desc    Mark message as read
+// @desc    Mark everything up to a message as read (moves the read cursor)
 // @route   PUT /api/messages/:messageId/read
 // @access  Private
 router.put('/:messageId/read', firebaseProtect, async (req, res) => {
@@ -698,31 +879,37 @@ router.put('/:messageId/read', firebaseProtect, async (req, res) => {
 
     console.log('📖 Marking message as read:', messageId);
 
-    const message = await Message.findById(messageId);
-    if (!message) {
+    const found = await findAccessibleMessage(messageId, req.user._id);
+    if (!found) {
       return res.status(404).json({
         success: false,
         message: 'Message not found'
       });
     }
 
-    await message.markAsRead(req.user._id);
+    const { state, advanced } = await found.message.markAsRead(req.user._id);
 
     console.log('✅ Message marked as read:', messageId);
 
-    const io = req.app.get('io');
-    if (io) {
-      io.to(message.chat.toString()).emit('message read', {
-        messageId: message._id,
-        chatId: message.chat,
-        readBy: req.user._id,
-        status: 'read'
+    if (advanced) {
+      emitCursorUpdate(req.app.get('io'), req, found.chat._id, {
+        event: 'message read',
+        senderEvent: 'message_read',
+        field: 'readBy',
+        message: found.message,
+        status: 'read',
+        unreadCount: state.unreadCount
       });
     }
 
     res.json({
       success: true,
-      data: message,
+      data: {
+        messageId: found.message._id,
+        chatId: found.chat._id,
+        lastReadMessage: state?.lastReadMessage || null,
+        unreadCount: state?.unreadCount || 0
+      },
       message: 'Message marked as read'
     });
 
@@ -736,7 +923,7 @@ router.put('/:messageId/read', firebaseProtect, async (req, res) => {
   }
 });
 
-// @desc    Mark multiple messages as read
+// @desc    Mark multiple messages as read (moves each chat's cursor to its newest given message)
 // @route   PUT /api/messages/read-multiple
 // @access  Private
 router.put('/read-multiple', firebaseProtect, async (req, res) => {
@@ -752,20 +939,48 @@ router.put('/read-multiple', firebaseProtect, async (req, res) => {
       });
     }
 
-    const updatePromises = messageIds.map(async (messageId) => {
-      const message = await Message.findById(messageId);
-      if (message) {
-        return message.markAsRead(req.user._id);
-      }
+    const validIds = messageIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const messages = await Message.find({ _id: { $in: validIds } })
+      .select('_id chat sender createdAt')
+      .sort({ createdAt: -1, _id: -1 });
+
+    // Newest message per chat is enough to move the cursor
+    const newestByChat = new Map();
+    messages.forEach(message => {
+      const chatKey = message.chat.toString();
+      if (!newestByChat.has(chatKey)) newestByChat.set(chatKey, message);
     });
 
-    await Promise.all(updatePromises);
+    const allowedChats = await Chat.find({
+      _id: { $in: Array.from(newestByChat.keys()) },
+      users: req.user._id
+    }).select('_id');
 
-    console.log(`✅ ${messageIds.length} messages marked as read`);
+    const io = req.app.get('io');
+    const results = await Promise.all(allowedChats.map(async (chat) => {
+      const message = newestByChat.get(chat._id.toString());
+      const { state, advanced } = await ChatUserState.markRead(chat._id, req.user._id, message);
+
+      if (advanced) {
+        emitCursorUpdate(io, req, chat._id, {
+          event: 'message read',
+          senderEvent: 'message_read',
+          field: 'readBy',
+          message,
+          status: 'read',
+          unreadCount: state.unreadCount
+        });
+      }
+
+      return { chatId: chat._id, lastReadMessage: state?.lastReadMessage || null, unreadCount: state?.unreadCount || 0 };
+    }));
+
+    console.log(`✅ Read cursors moved in ${results.length} chats`);
 
     res.json({
       success: true,
-      message: `${messageIds.length} messages marked as read`
+      message: `${messageIds.length} messages marked as read`,
+      data: results
     });
 
   } catch (error) {
@@ -778,12 +993,22 @@ router.put('/read-multiple', firebaseProtect, async (req, res) => {
   }
 });
 
-// @desc    Delete a message
-// @route   DELETE /api/messages/:messageId
-// @access  Private
-router.delete('/:messageId', firebaseProtect, async (req, res) => {
+// @desc    Edit a message's text or captions
+// @route   PUT /api/messages/:messageId
+// @access  Private (sender only, still able to send in the chat, within the edit window)
+router.put('/:messageId', firebaseProtect, async (req, res) => {
   try {
     const { messageId } = req.params;
+    const { content, captions } = req.body;
+
+    console.log('✏️ Editing message:', messageId);
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid message ID format'
+      });
+    }
 
     const message = await Message.findById(messageId);
     if (!message) {
@@ -793,32 +1018,347 @@ router.delete('/:messageId', firebaseProtect, async (req, res) => {
       });
     }
 
-    if (message.sender.toString() !== req.user._id.toString()) {
+    await message.applyEdit(req.user._id, { content, captions });
+    await message.populate('sender', 'name profilePicture firebaseUid');
+
+    console.log('✅ Message edited:', messageId);
+
+    await emitMessageEdited(req.app.get('io'), message, req.user.firebaseUid);
+
+    res.json({
+      success: true,
+      data: message,
+      message: 'Message edited successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Edit message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while editing message',
+      ...(error.code && { code: error.code }),
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+});
+
+// @desc    Get a message's edit history
+// @route   GET /api/messages/:messageId/edit-history
+// @access  Private
+router.get('/:messageId/edit-history', firebaseProtect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findById(messageId)
+      .select('chat content groupedMedia isEdited editedAt editHistory');
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const chat = await Chat.findOne({ _id: message.chat, users: req.user._id });
+    if (!chat) {
       return res.status(403).json({
         success: false,
-        message: 'You can only delete your own messages'
+        message: 'Access denied to this chat'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        content: message.content,
+        isEdited: message.isEdited,
+        editedAt: message.editedAt,
+        history: message.editHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get edit history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching edit history',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Who has seen / received a message (from members' cursors)
+// @route   GET /api/messages/:messageId/seen-by
+// @access  Private
+router.get('/:messageId/seen-by', firebaseProtect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const found = await findAccessibleMessage(messageId, req.user._id);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
       });
     }
 
-    await Message.findByIdAndDelete(messageId);
+    const chat = await Chat.findById(found.chat._id).select('users isGroupChat');
+    const states = await ChatUserState.find({ chat: chat._id, user: { $in: chat.users } })
+      .populate('user', 'name profilePicture firebaseUid')
+      .lean();
+
+    const senderId = found.message.sender.toString();
+    const seenBy = [];
+    const deliveredTo = [];
 
-    console.log('✅ Message deleted:', messageId);
+    states.forEach(state => {
+      if (!state.user || state.user._id.toString() === senderId) return;
+
+      const member = {
+        _id: state.user._id,
+        firebaseUid: state.user.firebaseUid,
+        name: state.user.name,
+        profilePicture: state.user.profilePicture
+      };
+
+      if (ChatUserState.isAtOrAfter(state.lastReadAt, state.lastReadMessage, found.message)) {
+        seenBy.push(member);
+      } else if (ChatUserState.isAtOrAfter(state.lastDeliveredAt, state.lastDeliveredMessage, found.message)) {
+        deliveredTo.push(member);
+      }
+    });
 
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      data: {
+        messageId: found.message._id,
+        recipientCount: Math.max(chat.users.length - 1, 0),
+        seenCount: seenBy.length,
+        deliveredCount: seenBy.length + deliveredTo.length,
+        seenBy,
+        deliveredTo
+      }
     });
 
   } catch (error) {
-    console.error('❌ Delete message error:', error);
+    console.error('❌ Get seen-by error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching read receipts',
+      error: error.message
+    });
+  }
+});
+
+// @desc    Get reactions on a message with who reacted
+// @route   GET /api/messages/:messageId/reactions
+// @access  Private
+router.get('/:messageId/reactions', firebaseProtect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const message = await Message.findById(messageId)
+      .select('chat reactions')
+      .populate('reactions.user', 'name profilePicture firebaseUid');
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+    }
+
+    const chat = await Chat.findOne({ _id: message.chat, users: req.user._id });
+    if (!chat) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this chat'
+      });
+    }
+
+    // Group reactors by emoji, most used first
+    const summary = Message.summarizeReactions(message.reactions, req.user._id);
+    const listing = summary.map(entry => ({
+      ...entry,
+      users: message.reactions
+        .filter(reaction => reaction.emoji === entry.emoji && reaction.user)
+        .map(reaction => ({
+          _id: reaction.user._id,
+          firebaseUid: reaction.user.firebaseUid,
+          name: reaction.user.name,
+          profilePicture: reaction.user.profilePicture,
+          reactedAt: reaction.reactedAt
+        }))
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        messageId: message._id,
+        totalReactions: message.reactions.length,
+        reactions: listing
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get reactions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting message',
+      message: 'Server error while fetching reactions',
       error: error.message
     });
   }
 });
 
+// @desc    React to a message (same emoji toggles off, a different one replaces)
+// @route   POST /api/messages/:messageId/reactions
+// @access  Private
+router.post('/:messageId/reactions', firebaseProtect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { emoji } = req.body;
+
+    console.log(`😀 Reacting to message ${messageId} with ${emoji}`);
+
+    const { message, action } = await Message.toggleReaction(messageId, req.user._id, emoji);
+
+    emitReactionUpdated(req.app.get('io'), message, {
+      reactedBy: req.user.firebaseUid,
+      emoji,
+      action
+    });
+
+    res.json({
+      success: true,
+      message: `Reaction ${action}`,
+      data: {
+        messageId: message._id,
+        action,
+        reactions: Message.summarizeReactions(message.reactions, req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ React to message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while reacting to message',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+});
+
+// @desc    Remove my reaction from a message
+// @route   DELETE /api/messages/:messageId/reactions
+// @access  Private
+router.delete('/:messageId/reactions', firebaseProtect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const { message, action } = await Message.toggleReaction(messageId, req.user._id, null);
+
+    if (action === 'removed') {
+      emitReactionUpdated(req.app.get('io'), message, {
+        reactedBy: req.user.firebaseUid,
+        emoji: null,
+        action
+      });
+    }
+
+    res.json({
+      success: true,
+      message: action === 'removed' ? 'Reaction removed' : 'No reaction to remove',
+      data: {
+        messageId: message._id,
+        action,
+        reactions: Message.summarizeReactions(message.reactions, req.user._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Remove reaction error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while removing reaction',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+});
+
+// @desc    Mark a voice note as played (separate from read receipts)
+// @route   PUT /api/messages/:messageId/played
+// @access  Private
+router.put('/:messageId/played', firebaseProtect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const { message, playedAt, firstPlay } = await Message.markPlayed(messageId, req.user._id);
+
+    if (firstPlay) {
+      emitVoiceNotePlayed(req.app.get('io'), message, {
+        playedBy: req.user.firebaseUid,
+        playedAt
+      });
+    }
+
+    res.json({
+      success: true,
+      message: firstPlay ? 'Voice note marked as played' : 'Voice note already played',
+      data: {
+        messageId: message._id,
+        playedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Mark voice note played error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while marking voice note as played',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+});
+
+// @desc    Delete a message for me (hide) or for everyone (tombstone)
+// @route   DELETE /api/messages/:messageId?scope=me|everyone
+// @access  Private (everyone: sender only, within the delete window)
+router.delete('/:messageId', firebaseProtect, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const scope = req.query.scope || req.body?.scope || 'me';
+
+    console.log(`🗑️ Deleting message ${messageId} for ${scope}`);
+
+    const { message, wasLatestMessage } = await Message.deleteWithScope(messageId, req.user._id, scope);
+
+    console.log('✅ Message deleted:', messageId, `(${scope})`);
+
+    await emitMessageDeleted(req.app.get('io'), message, {
+      scope,
+      deletedBy: req.user.firebaseUid,
+      wasLatestMessage
+    });
+
+    res.json({
+      success: true,
+      message: scope === 'everyone' ? 'Message deleted for everyone' : 'Message deleted for you',
+      data: {
+        messageId: message._id,
+        chatId: message.chat,
+        scope
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Delete message error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Server error while deleting message',
+      ...(!error.statusCode && { error: error.message })
+    });
+  }
+});
+
 // @desc    Search messages in a chat
 // @route   GET /api/messages/:chatId/search
 // @access  Private
@@ -858,6 +1398,8 @@ router.get('/:chatId/search', firebaseProtect, async (req, res) => {
     // Search in message content and post share content
     const messages = await Message.find({
       chat: chatId,
+      hiddenFor: { $ne: req.user._id },
+      isDeleted: { $ne: true },
       $or: [
         { content: { $regex: query, $options: 'i' } },
         { 'postShare.postContent': { $regex: query, $options: 'i' } },
@@ -917,7 +1459,9 @@ router.get('/:chatId/post-shares', firebaseProtect, async (req, res) => {
     // Get post share messages
     const postShareMessages = await Message.find({
       chat: chatId,
-      messageType: 'post_share'
+      messageType: 'post_share',
+      hiddenFor: { $ne: req.user._id },
+      isDeleted: { $ne: true }
     })
       .populate('sender', 'name profilePicture firebaseUid')
       .sort({ createdAt: -1 })
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { adminProtect } = require('../middleware/auth');
+const {
+  getReports,
+  getReport,
+  updateReport,
+  getFlaggedMessageRequests,
+  takeUserAction,
+  deleteMessageContent,
+  getAuditLog
+} = require('../controllers/moderationController');
+
+// Every moderation route is admin-only
+router.use(adminProtect);
+
+// Review queues
+router.get('/reports', getReports);
+router.get('/reports/:reportId', getReport);
+router.put('/reports/:reportId', updateReport);
+router.get('/message-requests', getFlaggedMessageRequests);
+
+// Actions
+router.post('/users/:userId/actions', takeUserAction);
+router.delete('/messages/:messageId', deleteMessageContent);
+
+// Audit log
+router.get('/actions', getAuditLog);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { unsubscribeEmail } = require('../controllers/notificationController');
+
+// Unsubscribe links from emails; POST is the one-click List-Unsubscribe form
+router.get('/email/unsubscribe', unsubscribeEmail);
+router.post('/email/unsubscribe', unsubscribeEmail);
+
+module.exports = router;
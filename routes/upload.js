@@ -2,84 +2,89 @@
 const express = require('express');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
-const { initializeApp } = require('firebase/app');
-const { 
-  getStorage, 
-  ref, 
-  uploadBytesResumable,
-  getDownloadURL
-} = require('firebase/storage');
 const sharp = require('sharp');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { getStateStore, INSTANCE_ID } = require('../utils/stateStore');
+const { getStorageDriver, canceledError } = require('../utils/storage');
+const MediaObject = require('../models/MediaObject');
+const { createHttpError } = require('../utils/httpError');
+const { firebaseProtect } = require('../middleware/firebaseAuth');
+const { onInstanceEvent, requestInstances } = require('../socket/cluster');
+const {
+  VOICE_NOTE_MAX_SECONDS,
+  VOICE_NOTE_MAX_BYTES,
+  VOICE_NOTE_MIME_TYPES,
+  analyzeVoiceNote,
+  saveVoiceNoteUpload
+} = require('../utils/voiceNote');
+const { probeVideo } = require('../utils/ffmpeg');
+const { processImage } = require('../utils/imagePipeline');
+const {
+  UPLOAD_CHUNK_SIZE,
+  getSession,
+  describeSession,
+  createUploadSession,
+  writeUploadChunk,
+  finalizeUploadSession,
+  reopenUploadSession,
+  discardUploadSession,
+  cancelLocalSessions
+} = require('../utils/chunkedUpload');
 
 const router = express.Router();
 
-// ==================== FIREBASE CONFIGURATION ====================
-const firebaseConfig = {
-  apiKey: process.env.FIREBASE_API_KEY,
-  authDomain: process.env.FIREBASE_AUTH_DOMAIN,
-  projectId: process.env.FIREBASE_PROJECT_ID,
-  storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
-  appId: process.env.FIREBASE_APP_ID
+// ==================== MULTER CONFIGURATION ====================
+// Also checked when a chunked upload session is created
+const ALLOWED_MIME_TYPES = {
+  // Images
+  'image/jpeg': true,
+  'image/jpg': true,
+  'image/png': true,
+  'image/gif': true,
+  'image/webp': true,
+  'image/bmp': true,
+  'image/heic': true,
+  'image/heif': true,
+  
+  // Videos
+  'video/mp4': true,
+  'video/mpeg': true,
+  'video/quicktime': true,
+  'video/x-msvideo': true,
+  'video/x-matroska': true,
+  'video/webm': true,
+  
+  // Audio
+  'audio/mpeg': true,
+  'audio/wav': true,
+  'audio/x-wav': true,
+  'audio/m4a': true,
+  'audio/aac': true,
+  'audio/ogg': true,
+  'audio/opus': true,
+  'audio/webm': true,
+  'audio/mp4': true,
+  'audio/x-m4a': true,
+  
+  // Documents
+  'application/pdf': true,
+  'application/msword': true,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': true,
+  'text/plain': true,
+  
+  // Others
+  'application/octet-stream': true
 };
 
-// Initialize Firebase
-let storage;
-try {
-  const firebaseApp = initializeApp(firebaseConfig);
-  storage = getStorage(firebaseApp);
-  console.log('✅ Firebase Storage initialized');
-} catch (error) {
-  console.error('❌ Firebase initialization failed:', error.message);
-  storage = null;
-}
-
-// ==================== MULTER CONFIGURATION ====================
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = {
-      // Images
-      'image/jpeg': true,
-      'image/jpg': true,
-      'image/png': true,
-      'image/gif': true,
-      'image/webp': true,
-      'image/bmp': true,
-      'image/heic': true,
-      'image/heif': true,
-      
-      // Videos
-      'video/mp4': true,
-      'video/mpeg': true,
-      'video/quicktime': true,
-      'video/x-msvideo': true,
-      'video/x-matroska': true,
-      'video/webm': true,
-      
-      // Audio
-      'audio/mpeg': true,
-      'audio/wav': true,
-      'audio/x-wav': true,
-      'audio/m4a': true,
-      'audio/aac': true,
-      'audio/ogg': true,
-      
-      // Documents
-      'application/pdf': true,
-      'application/msword': true,
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': true,
-      'text/plain': true,
-      
-      // Others
-      'application/octet-stream': true,
-    };
-    
-    if (allowedTypes[file.mimetype]) {
+    if (ALLOWED_MIME_TYPES[file.mimetype]) {
       cb(null, true);
     } else {
       cb(new Error(`Invalid file type: ${file.mimetype}`), false);
@@ -87,27 +92,113 @@ const upload = multer({
   }
 });
 
+// Voice notes get their own, smaller limit and audio-only filter
+const voiceNoteUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: VOICE_NOTE_MAX_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    if (VOICE_NOTE_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid voice note type: ${file.mimetype}`), false);
+    }
+  }
+});
+
 // ==================== UPLOAD TRACKING STORES ====================
-const uploadProgressStore = new Map();
-const activeUploadTasks = new Map(); // 🔴 NEW: Track Firebase upload tasks for cancellation
+// Progress lives in the shared state store so any instance can answer polling
+// and cancel requests; entries expire an hour after their last update.
+const PROGRESS_TTL_MS = 60 * 60 * 1000;
+const PROGRESS_PREFIX = 'upload:progress:';
+const IN_FLIGHT_STATUSES = ['starting', 'uploading'];
 
-// Clean up old progress entries
-setInterval(() => {
-  const oneHourAgo = Date.now() - 60 * 60 * 1000;
-  let cleanedProgress = 0;
-  let cleanedTasks = 0;
-  
-  // Clean progress store
-  for (const [uploadId, data] of uploadProgressStore.entries()) {
-    if (data.timestamp < oneHourAgo) {
-      uploadProgressStore.delete(uploadId);
-      cleanedProgress++;
+const uploadProgressStore = {
+  get: (uploadId) => getStateStore().get(PROGRESS_PREFIX + uploadId),
+
+  // Progress is best-effort: a store error never fails the upload itself
+  set: async (uploadId, data) => {
+    try {
+      await getStateStore().set(
+        PROGRESS_PREFIX + uploadId,
+        { ...data, instanceId: INSTANCE_ID },
+        { ttlMs: PROGRESS_TTL_MS }
+      );
+    } catch (error) {
+      console.error(`❌ Failed to save progress for ${uploadId}:`, error.message);
+    }
+  },
+
+  delete: (uploadId) => getStateStore().delete(PROGRESS_PREFIX + uploadId),
+
+  // Cleanup paths: same as delete, but never throws
+  discard: (uploadId) => getStateStore().delete(PROGRESS_PREFIX + uploadId).catch((error) => {
+    console.error(`❌ Failed to clear progress for ${uploadId}:`, error.message);
+    return false;
+  }),
+
+  entries: async () => {
+    const entries = await getStateStore().entries(PROGRESS_PREFIX);
+    return entries.map(([key, data]) => [key.slice(PROGRESS_PREFIX.length), data]);
+  }
+};
+
+// Storage upload tasks can't leave this process; other instances reach
+// them through the 'upload_cancel' instance event below
+const activeUploadTasks = new Map(); // 🔴 NEW: Track storage upload tasks for cancellation
+
+// Running on some instance: a local task, or progress still in flight
+const isUploadActive = (uploadId, progressData) =>
+  activeUploadTasks.has(uploadId) || (!!progressData && IN_FLIGHT_STATUSES.includes(progressData.status));
+
+// Cancel this instance's tasks by ID and/or batch; resolves to the cancelled IDs
+const cancelLocalUploads = async ({ uploadIds = [], batchId = null }) => {
+  const cancelledIds = [];
+
+  for (const [taskId, uploadTask] of [...activeUploadTasks.entries()]) {
+    let matches = uploadIds.includes(taskId);
+    if (!matches && batchId) {
+      const progressData = await uploadProgressStore.get(taskId);
+      matches = !!progressData && progressData.batchId === batchId;
     }
+    if (!matches) continue;
+
+    try {
+      console.log(`🛑 Attempting to cancel storage task for: ${taskId}`);
+      // Call the storage driver's cancel() method
+      uploadTask.cancel();
+      cancelledIds.push(taskId);
+      console.log(`✅ Successfully cancelled: ${taskId}`);
+    } catch (cancelError) {
+      console.error(`❌ Error cancelling ${taskId}:`, cancelError.message);
+    }
+    // Still remove from tracking even if cancel fails
+    activeUploadTasks.delete(taskId);
   }
+
+  // Chunked uploads still receiving have no task yet, only staged chunks
+  const cancelledSessions = await cancelLocalSessions({ uploadIds, batchId });
+
+  return [...new Set([...cancelledIds, ...cancelledSessions])];
+};
+
+onInstanceEvent('upload_cancel', cancelLocalUploads);
+
+// Clean up stale tasks (progress entries expire on their own)
+setInterval(async () => {
+  const oneHourAgo = Date.now() - PROGRESS_TTL_MS;
+  let cleanedTasks = 0;
   
-  // Clean active tasks
-  for (const [uploadId, task] of activeUploadTasks.entries()) {
-    const progressData = uploadProgressStore.get(uploadId);
+  for (const [uploadId, task] of [...activeUploadTasks.entries()]) {
+    let progressData = null;
+    try {
+      progressData = await uploadProgressStore.get(uploadId);
+    } catch (error) {
+      // Store unavailable: try again next run rather than cancel live uploads
+      continue;
+    }
+
     if (!progressData || progressData.timestamp < oneHourAgo) {
       try {
         if (task && typeof task.cancel === 'function') {
@@ -122,37 +213,185 @@ setInterval(() => {
     }
   }
   
-  if (cleanedProgress > 0 || cleanedTasks > 0) {
-    console.log(`🧹 Cleanup: ${cleanedProgress} progress entries, ${cleanedTasks} stale tasks removed`);
+  if (cleanedTasks > 0) {
+    console.log(`🧹 Cleanup: ${cleanedTasks} stale tasks removed`);
   }
-}, 5 * 60 * 1000); // Run every 5 minutes
+}, 5 * 60 * 1000).unref(); // Run every 5 minutes
 
 // ==================== HELPER FUNCTIONS ====================
-const generateThumbnail = async (imageBuffer, fileName) => {
+// sha256 (hex) and size of a Buffer or a file on disk
+const hashContent = async (input) => {
+  const hash = crypto.createHash('sha256');
+  if (typeof input !== 'string') {
+    return { contentHash: hash.update(input).digest('hex'), size: input.length };
+  }
+
+  let size = 0;
+  for await (const chunk of fs.createReadStream(input)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { contentHash: hash.digest('hex'), size };
+};
+
+/**
+ * Store an uploaded file, or reuse the stored one when the same bytes are
+ * already there. Its MediaObject is recorded before the transfer starts, so
+ * the media GC knows about every file even if the process dies mid-upload.
+ * Clients get the MediaObject's /api/media URL, never the storage one.
+ * Returns { promise, cancel() } like a driver upload; the promise resolves to
+ * { media, reused }.
+ */
+const storeMediaFile = (key, input, {
+  contentType,
+  metadata,
+  onProgress,
+  fileName,
+  uploadId,
+  sourceHash,
+  parent = null,
+  kind,
+  variant,
+  width,
+  height
+} = {}) => {
+  const storageDriver = getStorageDriver();
+  let task = null;
+  let cancelled = false;
+
+  const promise = (async () => {
+    const { contentHash, size } = await hashContent(input);
+    if (cancelled) throw canceledError();
+
+    // Thumbnails and variants come along with their original, so only originals are looked up
+    const existing = parent ? null : await MediaObject.findStoredCopy({ driver: storageDriver.name, contentHash, size });
+    if (existing) {
+      const media = await MediaObject.registerCopy(existing, { mimeType: contentType, fileName, uploadId, sourceHash });
+      console.log(`♻️ Reusing stored file for ${uploadId || key}: ${existing.storageKey}`);
+      return { media, reused: true };
+    }
+
+    const media = await MediaObject.register({
+      storageKey: key,
+      driver: storageDriver.name,
+      mimeType: contentType,
+      size,
+      fileName,
+      uploadId,
+      contentHash,
+      sourceHash,
+      parent,
+      kind,
+      variant,
+      width,
+      height
+    });
+
+    try {
+      if (cancelled) throw canceledError();
+      task = storageDriver.upload(key, input, { contentType, metadata, onProgress });
+      await task.promise;
+    } catch (error) {
+      // Nothing usable was stored: forget it now rather than at the next GC run
+      await MediaObject.deleteOne({ _id: media._id }).catch(() => {});
+      throw error;
+    }
+
+    return { media, reused: false };
+  })();
+
+  return {
+    promise,
+    cancel() {
+      cancelled = true;
+      return task ? task.cancel() : true;
+    }
+  };
+};
+
+// `input` is a Buffer or a file path; the thumbnail is readable wherever `parent` is
+const generateThumbnail = async (input, parent) => {
   try {
-    const thumbnailBuffer = await sharp(imageBuffer)
+    const thumbnailBuffer = await sharp(input)
       .resize(200, 200, { fit: 'cover' })
       .jpeg({ quality: 70 })
       .toBuffer();
     
     const thumbnailName = `thumbnails/${Date.now()}-${Math.random().toString(36).substring(7)}.jpg`;
-    const thumbnailRef = ref(storage, thumbnailName);
     
-    const snapshot = await uploadBytesResumable(thumbnailRef, thumbnailBuffer, {
+    const { media: thumbnail } = await storeMediaFile(thumbnailName, thumbnailBuffer, {
       contentType: 'image/jpeg',
-    });
+      parent: parent._id
+    }).promise;
     
-    const thumbnailUrl = await getDownloadURL(snapshot.ref);
-    return thumbnailUrl;
+    return thumbnail.url;
   } catch (error) {
     console.warn('⚠️ Thumbnail generation failed:', error.message);
     return null;
   }
 };
 
-const getImageDimensions = async (imageBuffer) => {
+/**
+ * Images are normalized before they're stored (see utils/imagePipeline.js):
+ * rotated, stripped of EXIF/GPS, HEIC converted. Resolves to what to store,
+ * { input, mimeType, fileName, extension, sourceHash, image }, where `image`
+ * is the pipeline result (null for other files and images sharp can't read)
+ * and `sourceHash` the upload's own hash when what's stored differs from it.
+ * `input` is a Buffer or a file path.
+ */
+const prepareUpload = async (input, mimeType, fileName) => {
+  const prepared = { input, mimeType, fileName, extension: getFileExtension(fileName), sourceHash: undefined, image: null };
+  if (!mimeType.startsWith('image/')) return prepared;
+
+  const image = await processImage(input, mimeType);
+  if (!image) return prepared;
+
+  prepared.image = image;
+  if (!image.normalized) return prepared;
+
+  prepared.sourceHash = (await hashContent(input)).contentHash;
+  prepared.input = image.buffer;
+  prepared.mimeType = image.mimeType;
+  prepared.extension = image.extension;
+  if (getFileExtension(fileName) !== image.extension) {
+    prepared.fileName = `${path.basename(fileName, path.extname(fileName))}.${image.extension}`;
+  }
+  return prepared;
+};
+
+// Downsized copies of a processed image, readable wherever `parent` is; a failed one is left out
+const storeImageVariants = async (image, parent) => {
+  const stored = await Promise.all(image.variants.map(async (variant) => {
+    try {
+      const key = `variants/${Date.now()}-${Math.random().toString(36).substring(7)}-${variant.name}.${variant.extension}`;
+      const { media } = await storeMediaFile(key, variant.buffer, {
+        contentType: variant.mimeType,
+        parent: parent._id,
+        kind: 'variant',
+        variant: variant.name,
+        width: variant.width,
+        height: variant.height
+      }).promise;
+
+      return {
+        name: variant.name,
+        url: media.url,
+        width: variant.width,
+        height: variant.height,
+        mimeType: variant.mimeType,
+        fileSize: media.size
+      };
+    } catch (error) {
+      console.warn(`⚠️ ${variant.name} variant failed:`, error.message);
+      return null;
+    }
+  }));
+  return stored.filter(Boolean);
+};
+
+const getImageDimensions = async (input) => {
   try {
-    const metadata = await sharp(imageBuffer).metadata();
+    const metadata = await sharp(input).metadata();
     return {
       width: metadata.width || 0,
       height: metadata.height || 0
@@ -163,6 +402,54 @@ const getImageDimensions = async (imageBuffer) => {
   }
 };
 
+// Size, duration and poster frame via ffmpeg; falls back to nothing if it's missing
+const getVideoMetadata = async (input) => {
+  try {
+    return await probeVideo(input);
+  } catch (error) {
+    console.warn('⚠️ Video probing failed:', error.message);
+    return { width: 0, height: 0, duration: 0, posterFrame: null };
+  }
+};
+
+// Thumbnail plus dimensions/duration for images and videos, variants and a
+// placeholder for processed images; other files get none.
+// `input` is the file's Buffer or, for chunked uploads, its staged path;
+// `media` is its MediaObject and `image` the imagePipeline result, if any.
+const measureMedia = async (input, media, fileType, image = null) => {
+  if (fileType === 'image') {
+    const source = image ? image.buffer : input;
+    const [thumbnailUrl, dimensions, variants] = await Promise.all([
+      generateThumbnail(source, media),
+      image ? { width: image.width, height: image.height } : getImageDimensions(input),
+      image ? storeImageVariants(image, media) : []
+    ]);
+    return { thumbnailUrl, ...dimensions, duration: 0, variants, placeholder: image ? image.placeholder : null };
+  }
+
+  if (fileType === 'video') {
+    const { posterFrame, ...details } = await getVideoMetadata(input);
+    const thumbnailUrl = posterFrame ? await generateThumbnail(posterFrame, media) : null;
+    return { thumbnailUrl, ...details, variants: [], placeholder: null };
+  }
+
+  return { thumbnailUrl: null, width: 0, height: 0, duration: 0, variants: [], placeholder: null };
+};
+
+// Reused files were measured the first time round; new ones are measured and the result kept
+const getMediaDetails = async (input, media, fileType, image = null) => {
+  if (media.duplicateOf) {
+    return MediaObject.describe(media);
+  }
+
+  const details = await measureMedia(input, media, fileType, image);
+  const { width, height, duration, placeholder } = details;
+  await MediaObject.updateOne({ _id: media._id }, { $set: { width, height, duration, placeholder } }).catch((error) => {
+    console.warn('⚠️ Could not record media details:', error.message);
+  });
+  return details;
+};
+
 const getFileType = (mimeType, fileName = '') => {
   if (mimeType.startsWith('image/')) return 'image';
   if (mimeType.startsWith('video/')) return 'video';
@@ -185,8 +472,11 @@ const validateUpload = (req, res, next) => {
     });
   }
   
-  // Check if Firebase is available
-  if (!storage) {
+  // Check if a storage backend is available
+  try {
+    getStorageDriver();
+  } catch (error) {
+    console.error('❌ Storage driver unavailable:', error.message);
     return res.status(503).json({
       success: false,
       message: 'Storage service unavailable'
@@ -196,189 +486,151 @@ const validateUpload = (req, res, next) => {
   next();
 };
 
+const getStorageDriverName = () => {
+  try {
+    return getStorageDriver().name;
+  } catch (error) {
+    return null;
+  }
+};
+
 // ==================== ROUTES ====================
 
 // ✅ HEALTH CHECK
-router.get('/health', (req, res) => {
+router.get('/health', async (req, res) => {
+  let trackedProgress = null;
+  try {
+    trackedProgress = (await uploadProgressStore.entries()).length;
+  } catch (error) {
+    console.error('❌ Progress store unavailable:', error.message);
+  }
+
   res.json({
     success: true,
     message: 'Upload service is running',
     timestamp: new Date().toISOString(),
-    firebase: !!storage,
+    storage: getStorageDriverName(),
+    instanceId: INSTANCE_ID,
+    progressStore: getStateStore().kind,
     activeUploads: activeUploadTasks.size,
-    trackedProgress: uploadProgressStore.size
+    trackedProgress
   });
 });
 
 // ==================== CANCELLATION ENDPOINTS ====================
 
 // ✅ GET ALL ACTIVE UPLOADS (DEBUG)
-router.get('/active', (req, res) => {
-  const activeUploads = [];
-  
-  for (const [uploadId, task] of activeUploadTasks.entries()) {
-    const progressData = uploadProgressStore.get(uploadId);
-    activeUploads.push({
-      uploadId,
-      hasTask: !!task,
-      canCancel: task && typeof task.cancel === 'function',
-      progressData: progressData || null
+router.get('/active', async (req, res) => {
+  try {
+    const activeUploads = [];
+    
+    // In-flight uploads on every instance, from the shared progress store
+    for (const [uploadId, progressData] of await uploadProgressStore.entries()) {
+      if (!isUploadActive(uploadId, progressData)) continue;
+      const task = activeUploadTasks.get(uploadId);
+      activeUploads.push({
+        uploadId,
+        instanceId: progressData.instanceId || null,
+        hasTask: !!task,
+        canCancel: true,
+        progressData
+      });
+    }
+    
+    res.json({
+      success: true,
+      activeUploads,
+      totalActive: activeUploads.length,
+      localTasks: activeUploadTasks.size
+    });
+  } catch (error) {
+    console.error('❌ Error listing active uploads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list active uploads: ' + error.message
     });
   }
-  
-  res.json({
-    success: true,
-    activeUploads,
-    totalActive: activeUploadTasks.size
-  });
 });
 
 // ✅ STATUS CHECK ENDPOINT
-router.get('/status/:uploadId', (req, res) => {
+router.get('/status/:uploadId', async (req, res) => {
   const { uploadId } = req.params;
   
   console.log(`🔍 Checking status for: ${uploadId}`);
   
-  const uploadTask = activeUploadTasks.get(uploadId);
-  const progressData = uploadProgressStore.get(uploadId);
-  
-  console.log(`🔍 Status check results:`, {
-    hasTask: !!uploadTask,
-    hasProgressData: !!progressData,
-    progress: progressData?.progress || 0,
-    status: progressData?.status || 'unknown'
-  });
-  
-  if (!uploadTask && !progressData) {
-    return res.status(404).json({
+  try {
+    const progressData = await uploadProgressStore.get(uploadId);
+    const isActive = isUploadActive(uploadId, progressData);
+    
+    console.log(`🔍 Status check results:`, {
+      hasTask: activeUploadTasks.has(uploadId),
+      hasProgressData: !!progressData,
+      progress: progressData?.progress || 0,
+      status: progressData?.status || 'unknown'
+    });
+    
+    if (!isActive && !progressData) {
+      return res.status(404).json({
+        success: false,
+        message: 'Upload not found',
+        isActive: false
+      });
+    }
+    
+    res.json({
+      success: true,
+      isActive,
+      canBeCancelled: isActive,
+      progressData: progressData || null,
+      uploadId: uploadId
+    });
+  } catch (error) {
+    console.error('❌ Error checking upload status:', error);
+    res.status(500).json({
       success: false,
-      message: 'Upload not found',
-      isActive: false
+      message: 'Failed to check upload status: ' + error.message
     });
   }
-  
-  res.json({
-    success: true,
-    isActive: !!uploadTask,
-    canBeCancelled: !!uploadTask,
-    progressData: progressData || null,
-    uploadId: uploadId
-  });
 });
 
 // ✅ CANCEL UPLOAD ENDPOINT
-router.post('/cancel', (req, res) => {
+router.post('/cancel', async (req, res) => {
   const { uploadId, batchId, fileIndex } = req.body;
   
   console.log('🛑 ========== CANCELLATION REQUEST ==========');
   console.log('🛑 Request body:', { uploadId, batchId, fileIndex });
-  console.log(`🛑 Before cancellation - Active tasks: ${activeUploadTasks.size}`);
-  console.log(`🛑 Before cancellation - Tracked progress: ${uploadProgressStore.size}`);
-  
-  let cancelledCount = 0;
-  let cancelledUploads = [];
+  console.log(`🛑 Before cancellation - Local active tasks: ${activeUploadTasks.size}`);
   
   try {
-    // CASE 1: Cancel specific upload by uploadId
-    if (uploadId) {
-      console.log(`🛑 Looking for uploadId: ${uploadId}`);
-      
-      const uploadTask = activeUploadTasks.get(uploadId);
-      const progressData = uploadProgressStore.get(uploadId);
-      
-      console.log(`🛑 Found task: ${!!uploadTask}, progress data: ${!!progressData}`);
-      
-      if (uploadTask) {
-        try {
-          console.log(`🛑 Attempting to cancel Firebase task for: ${uploadId}`);
-          
-          // Call Firebase's cancel() method
-          uploadTask.cancel();
-          
-          // Clean up tracking
-          activeUploadTasks.delete(uploadId);
-          uploadProgressStore.delete(uploadId);
-          
-          cancelledCount++;
-          cancelledUploads.push({ uploadId, type: 'single' });
-          
-          console.log(`✅ Successfully cancelled: ${uploadId}`);
-        } catch (cancelError) {
-          console.error(`❌ Error cancelling ${uploadId}:`, cancelError.message);
-          // Still remove from tracking even if cancel fails
-          activeUploadTasks.delete(uploadId);
-          uploadProgressStore.delete(uploadId);
-        }
-      } else {
-        console.log(`⚠️ No active task found for: ${uploadId}`);
-        // Still remove from progress store if exists
-        if (uploadProgressStore.has(uploadId)) {
-          uploadProgressStore.delete(uploadId);
-          console.log(`🗑️ Removed from progress store: ${uploadId}`);
-        }
-      }
-    }
+    // CASE 1: specific upload by uploadId
+    // CASE 2: entire batch (when no uploadId is given)
+    // CASE 3: specific file in a batch
+    const fileUploadId = batchId && fileIndex !== undefined ? `${batchId}_${fileIndex}` : null;
+    const uploadIds = [uploadId, fileUploadId].filter(Boolean);
+    const cancelBatchId = batchId && !uploadId ? batchId : null;
     
-    // CASE 2: Cancel entire batch
-    if (batchId && !uploadId) {
-      console.log(`🛑 Cancelling entire batch: ${batchId}`);
-      
-      // Find all tasks for this batch
-      for (const [taskId, uploadTask] of activeUploadTasks.entries()) {
-        const progressData = uploadProgressStore.get(taskId);
-        const isBatchTask = progressData && progressData.batchId === batchId;
-        
-        console.log(`🛑 Checking task ${taskId}: isBatchTask=${isBatchTask}`);
-        
-        if (isBatchTask) {
-          try {
-            console.log(`🛑 Cancelling batch task: ${taskId}`);
-            uploadTask.cancel();
-            activeUploadTasks.delete(taskId);
-            uploadProgressStore.delete(taskId);
-            cancelledCount++;
-            cancelledUploads.push({ uploadId: taskId, type: 'batch', batchId });
-          } catch (error) {
-            console.error(`❌ Error cancelling batch task ${taskId}:`, error.message);
-          }
-        }
-      }
-      
-      // Also remove batch progress entry
-      if (uploadProgressStore.has(batchId)) {
-        uploadProgressStore.delete(batchId);
-        console.log(`🗑️ Removed batch progress entry: ${batchId}`);
-      }
-    }
+    // The task lives in whichever instance received the upload
+    const results = await requestInstances(req.app.get('io'), 'upload_cancel', {
+      uploadIds,
+      batchId: cancelBatchId
+    });
+    const cancelledIds = [...new Set(results.flat().filter(Boolean))];
     
-    // CASE 3: Cancel specific file in batch
-    if (batchId && fileIndex !== undefined) {
-      const fileUploadId = `${batchId}_${fileIndex}`;
-      console.log(`🛑 Cancelling specific file in batch: ${fileUploadId}`);
-      
-      const uploadTask = activeUploadTasks.get(fileUploadId);
-      if (uploadTask) {
-        try {
-          uploadTask.cancel();
-          activeUploadTasks.delete(fileUploadId);
-          uploadProgressStore.delete(fileUploadId);
-          cancelledCount++;
-          cancelledUploads.push({ 
-            uploadId: fileUploadId, 
-            type: 'batch-file', 
-            batchId, 
-            fileIndex 
-          });
-          console.log(`✅ Cancelled file ${fileIndex} in batch ${batchId}`);
-        } catch (error) {
-          console.error(`❌ Error cancelling file ${fileIndex}:`, error.message);
-        }
-      }
-    }
+    const cancelledUploads = cancelledIds.map((taskId) => {
+      if (taskId === uploadId) return { uploadId: taskId, type: 'single' };
+      if (taskId === fileUploadId) return { uploadId: taskId, type: 'batch-file', batchId, fileIndex };
+      return { uploadId: taskId, type: 'batch', batchId };
+    });
     
-    console.log(`🛑 After cancellation - Active tasks: ${activeUploadTasks.size}`);
-    console.log(`🛑 After cancellation - Tracked progress: ${uploadProgressStore.size}`);
-    console.log(`🛑 Total cancelled: ${cancelledCount}`);
+    // Clean up tracking, even for uploads that had no task left to cancel
+    await Promise.all([
+      ...new Set([...uploadIds, ...cancelledIds, ...(cancelBatchId ? [cancelBatchId] : [])])
+    ].map(id => uploadProgressStore.discard(id)));
+    
+    const cancelledCount = cancelledUploads.length;
+    
+    console.log(`🛑 After cancellation - Local active tasks: ${activeUploadTasks.size}`);
+    console.log(`🛑 Total cancelled: ${cancelledCount} (across ${results.length} instance(s))`);
     console.log('🛑 ========== CANCELLATION COMPLETE ==========\n');
     
     if (cancelledCount > 0) {
@@ -430,14 +682,16 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
       throw new Error('File buffer is empty or invalid');
     }
 
+    // Rotate, strip metadata and convert images before anything is stored
+    const prepared = await prepareUpload(file.buffer, file.mimetype, file.originalname);
+
     // Generate unique filename
-    const fileExtension = getFileExtension(file.originalname) || 
-                         (file.mimetype.includes('image') ? 'jpg' : 'bin');
+    const fileExtension = prepared.extension || 
+                         (prepared.mimeType.includes('image') ? 'jpg' : 'bin');
     const uniqueFileName = `messages/${Date.now()}-${Math.random().toString(36).substring(7)}.${fileExtension}`;
-    const storageRef = ref(storage, uniqueFileName);
 
     // Initialize progress tracking
-    uploadProgressStore.set(clientUploadId, {
+    await uploadProgressStore.set(clientUploadId, {
       progress: 0,
       status: 'starting',
       fileName: file.originalname,
@@ -453,11 +707,14 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
     
     // Upload with progress tracking
     return new Promise((resolve, reject) => {
-      console.log(`📤 Creating Firebase upload task for: ${clientUploadId}`);
+      console.log(`📤 Creating storage upload task for: ${clientUploadId}`);
       
-      const uploadTask = uploadBytesResumable(storageRef, file.buffer, {
-        contentType: file.mimetype,
-        customMetadata: {
+      const uploadTask = storeMediaFile(uniqueFileName, prepared.input, {
+        contentType: prepared.mimeType,
+        fileName: prepared.fileName,
+        uploadId: clientUploadId,
+        sourceHash: prepared.sourceHash,
+        metadata: {
           originalName: file.originalname,
           uploadedBy: userId,
           uploadId: clientUploadId,
@@ -465,17 +722,9 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
           caption: caption,
           ...(batchId && { batchId, fileIndex }),
           timestamp: new Date().toISOString()
-        }
-      });
-      
-      // 🔴 CRITICAL: Save the upload task for possible cancellation
-      console.log(`📤 Saving upload task to activeUploadTasks: ${clientUploadId}`);
-      activeUploadTasks.set(clientUploadId, uploadTask);
-      console.log(`📤 Active tasks count: ${activeUploadTasks.size}`);
-
-      uploadTask.on('state_changed',
+        },
         // Progress snapshot
-        (snapshot) => {
+        onProgress: (snapshot) => {
           const progress = Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100);
           
           // Update progress store
@@ -492,56 +741,54 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
           });
 
           console.log(`📊 Progress [${clientUploadId}]: ${progress}% (${snapshot.bytesTransferred}/${snapshot.totalBytes} bytes)`);
-        },
-        // Error handler
-        (error) => {
-          console.error(`❌ Upload failed [${clientUploadId}]:`, error.message);
-          
-          // Clean up tracking on error
-          activeUploadTasks.delete(clientUploadId);
-          uploadProgressStore.set(clientUploadId, {
-            progress: 0,
-            status: 'error',
-            fileName: file.originalname,
-            error: error.message,
-            timestamp: Date.now()
-          });
-          
-          reject(error);
-        },
+        }
+      });
+      
+      // 🔴 CRITICAL: Save the upload task for possible cancellation
+      console.log(`📤 Saving upload task to activeUploadTasks: ${clientUploadId}`);
+      activeUploadTasks.set(clientUploadId, uploadTask);
+      console.log(`📤 Active tasks count: ${activeUploadTasks.size}`);
+
+      uploadTask.promise.then(
         // Completion handler
-        async () => {
+        async ({ media }) => {
           try {
-            // Get download URL
-            const downloadURL = await getDownloadURL(uploadTask.snapshot.ref);
-            console.log(`✅ Upload complete [${clientUploadId}]: ${downloadURL.substring(0, 80)}...`);
+            console.log(`✅ Upload complete [${clientUploadId}]: ${media.storageKey}`);
+            const fileUrl = media.url;
 
             // Determine file type
-            const fileType = getFileType(file.mimetype, file.originalname);
+            const fileType = getFileType(prepared.mimeType, prepared.fileName);
             
-            // Generate thumbnail for images
-            let thumbnailUrl = null;
-            let dimensions = { width: 0, height: 0 };
-            
-            if (fileType === 'image') {
+            // Thumbnail and dimensions for images, poster frame and duration for videos
+            if (fileType === 'image' || fileType === 'video') {
               console.log(`🖼️ Generating thumbnail for: ${clientUploadId}`);
-              thumbnailUrl = await generateThumbnail(file.buffer, file.originalname);
-              dimensions = await getImageDimensions(file.buffer);
             }
+            const {
+              thumbnailUrl,
+              width,
+              height,
+              duration,
+              variants,
+              placeholder
+            } = await getMediaDetails(prepared.input, media, fileType, prepared.image);
 
             // 🔴 Clean up - remove from active tasks
             console.log(`📤 Removing completed task from activeUploadTasks: ${clientUploadId}`);
             activeUploadTasks.delete(clientUploadId);
             
             // Mark as complete in progress store
-            uploadProgressStore.set(clientUploadId, {
+            await uploadProgressStore.set(clientUploadId, {
               progress: 100,
               status: 'complete',
               fileName: file.originalname,
-              fileUrl: downloadURL,
+              fileUrl,
+              mediaId: media._id,
               thumbnailUrl: thumbnailUrl,
-              width: dimensions.width,
-              height: dimensions.height,
+              width,
+              height,
+              duration,
+              variants,
+              placeholder,
               timestamp: Date.now(),
               ...(batchId && { batchId, fileIndex })
             });
@@ -554,17 +801,23 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
               success: true,
               data: {
                 // Basic info
-                fileUrl: downloadURL,
-                fileName: file.originalname,
+                fileUrl,
+                mediaId: media._id,
+                fileName: prepared.fileName,
                 messageType: fileType,
-                mimeType: file.mimetype,
-                fileSize: file.size,
+                mimeType: prepared.mimeType,
+                fileSize: media.size,
                 thumbnailUrl: thumbnailUrl,
                 uploadId: clientUploadId,
                 
                 // Dimensions
-                width: dimensions.width,
-                height: dimensions.height,
+                width,
+                height,
+                duration,
+
+                // Downsized copies and a BlurHash preview (images)
+                variants,
+                placeholder,
                 
                 // Metadata
                 caption: caption,
@@ -587,28 +840,41 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
             activeUploadTasks.delete(clientUploadId);
             reject(error);
           }
-        }
-      );
-      
-      // Handle Firebase cancellation
-      uploadTask.then().catch((error) => {
-        if (error.code === 'storage/canceled') {
-          console.log(`🛑 Upload cancelled by Firebase [${clientUploadId}]`);
-          
-          // Clean up tracking
+        },
+        // Error handler
+        (error) => {
           activeUploadTasks.delete(clientUploadId);
-          uploadProgressStore.delete(clientUploadId);
-          
-          if (!res.headersSent) {
-            res.status(499).json({ // 499 Client Closed Request
-              success: false,
-              message: 'Upload cancelled by client',
-              uploadId: clientUploadId,
-              cancelled: true
-            });
+
+          if (error.code === 'upload_canceled') {
+            console.log(`🛑 Upload cancelled [${clientUploadId}]`);
+            uploadProgressStore.discard(clientUploadId);
+            
+            if (!res.headersSent) {
+              res.status(499).json({ // 499 Client Closed Request
+                success: false,
+                message: 'Upload cancelled by client',
+                uploadId: clientUploadId,
+                cancelled: true
+              });
+            }
+            resolve();
+            return;
           }
+
+          console.error(`❌ Upload failed [${clientUploadId}]:`, error.message);
+          
+          // Clean up tracking on error
+          uploadProgressStore.set(clientUploadId, {
+            progress: 0,
+            status: 'error',
+            fileName: file.originalname,
+            error: error.message,
+            timestamp: Date.now()
+          });
+          
+          reject(error);
         }
-      });
+      );
       
     }).catch(error => {
       // Clean up on general error
@@ -617,11 +883,13 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
       }
       
       console.error(`❌ Upload route error for ${clientUploadId}:`, error.message);
-      res.status(500).json({
-        success: false,
-        message: 'Upload failed: ' + error.message,
-        uploadId: clientUploadId
-      });
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Upload failed: ' + error.message,
+          uploadId: clientUploadId
+        });
+      }
     });
 
   } catch (error) {
@@ -630,24 +898,478 @@ router.post('/media', upload.single('file'), validateUpload, async (req, res) =>
     // Clean up on setup error
     if (clientUploadId) {
       activeUploadTasks.delete(clientUploadId);
-      uploadProgressStore.delete(clientUploadId);
+      await uploadProgressStore.discard(clientUploadId);
     }
     
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Upload failed: ' + error.message,
+      message: error.statusCode ? error.message : 'Upload failed: ' + error.message,
+      ...(error.code && error.statusCode && { code: error.code }),
       ...(clientUploadId && { uploadId: clientUploadId })
     });
   }
 });
 
+// ✅ CONTENT CHECK: reuse a file the user can already see instead of uploading it again
+// Body: { sha256 (hex), size }. A 404 means the file should be uploaded as usual.
+router.post('/media/check', firebaseProtect, async (req, res) => {
+  try {
+    const contentHash = String(req.body.sha256 || '').toLowerCase();
+    const size = Number(req.body.size);
+
+    if (!/^[a-f0-9]{64}$/.test(contentHash) || !Number.isInteger(size) || size < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'sha256 (hex) and size are required'
+      });
+    }
+
+    const media = await MediaObject.findVisibleCopy({
+      contentHash,
+      size,
+      driver: getStorageDriver().name
+    }, req.user._id);
+
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'No stored copy of this file',
+        code: 'media_not_stored'
+      });
+    }
+
+    const details = await MediaObject.describe(media);
+
+    console.log(`♻️ Content check hit for ${req.user._id}: ${media._id}`);
+
+    res.json({
+      success: true,
+      data: {
+        fileUrl: media.url,
+        mediaId: media._id,
+        fileName: media.fileName,
+        messageType: getFileType(media.mimeType, media.fileName),
+        mimeType: media.mimeType,
+        fileSize: media.size,
+        ...details
+      }
+    });
+  } catch (error) {
+    console.error('❌ Content check failed:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Content check failed: ' + error.message
+    });
+  }
+});
+
+// ✅ VOICE NOTE UPLOAD: measures duration and waveform before storing
+// Send the returned uploadId with messageType 'voice_note' to create the message
+// (only the uploader can).
+const receiveVoiceNote = (req, res, next) => {
+  voiceNoteUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `Voice notes can be at most ${Math.round(VOICE_NOTE_MAX_BYTES / 1024 / 1024)}MB`,
+        code: 'voice_note_too_large'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
+
+router.post('/voice-note', firebaseProtect, receiveVoiceNote, validateUpload, async (req, res) => {
+  const uploadId = `voice_${Date.now()}_${uuidv4().substring(0, 8)}`;
+
+  try {
+    const file = req.file;
+    console.log(`🎤 Voice note upload ${uploadId}: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`);
+
+    const { duration, waveform } = await analyzeVoiceNote(file.buffer);
+
+    if (duration > VOICE_NOTE_MAX_SECONDS) {
+      return res.status(400).json({
+        success: false,
+        message: `Voice notes can be at most ${VOICE_NOTE_MAX_SECONDS} seconds long`,
+        code: 'voice_note_too_long',
+        duration
+      });
+    }
+
+    const fileExtension = getFileExtension(file.originalname) || file.mimetype.split('/')[1] || 'audio';
+    const storageKey = `voice-notes/${Date.now()}-${Math.random().toString(36).substring(7)}.${fileExtension}`;
+
+    const { media } = await storeMediaFile(storageKey, file.buffer, {
+      contentType: file.mimetype,
+      fileName: file.originalname,
+      uploadId,
+      metadata: {
+        originalName: file.originalname,
+        uploadId,
+        duration,
+        timestamp: new Date().toISOString()
+      }
+    }).promise;
+
+    const voiceNote = {
+      fileUrl: media.url,
+      mediaId: media._id,
+      fileName: file.originalname,
+      duration,
+      waveform,
+      mimeType: file.mimetype,
+      fileSize: file.size
+    };
+    await saveVoiceNoteUpload(uploadId, req.user._id, voiceNote);
+
+    console.log(`✅ Voice note ${uploadId} stored: ${duration}s`);
+
+    res.json({
+      success: true,
+      message: 'Voice note uploaded',
+      data: {
+        uploadId,
+        messageType: 'voice_note',
+        ...voiceNote
+      }
+    });
+
+  } catch (error) {
+    console.error(`❌ Voice note upload failed [${uploadId}]:`, error.message);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Voice note upload failed: ' + error.message,
+      ...(error.code && error.statusCode && { code: error.code }),
+      uploadId
+    });
+  }
+});
+
+// ==================== RESUMABLE CHUNKED UPLOADS ====================
+// 1. POST /sessions                      -> { uploadId, chunkSize }
+// 2. PUT  /sessions/:uploadId/chunks?offset=N   (raw bytes, any order, retry freely)
+// 3. GET  /sessions/:uploadId            -> received / missing ranges after a reconnect
+// 4. POST /sessions/:uploadId/complete   -> stores the file, same response as /media
+// Progress polling and POST /cancel work with the session's uploadId as usual.
+// Sessions belong to the signed-in user who created them; nobody else can use them.
+
+// Progress while chunks arrive; 100% is left for when the file is stored
+const trackSessionProgress = (session, extra = {}) => uploadProgressStore.set(session.uploadId, {
+  progress: Math.min(99, Math.floor((session.receivedBytes / session.totalSize) * 100)),
+  status: session.receivedBytes > 0 ? 'uploading' : 'starting',
+  fileName: session.fileName,
+  bytesTransferred: session.receivedBytes,
+  totalBytes: session.totalSize,
+  timestamp: Date.now(),
+  chunked: true,
+  ...(session.batchId && { batchId: session.batchId, fileIndex: session.fileIndex }),
+  chatId: session.chatId,
+  userId: session.userId,
+  ...extra
+});
+
+const sendUploadError = (res, error, fallbackMessage, uploadId) => {
+  if (!error.statusCode) {
+    console.error(`❌ ${fallbackMessage} [${uploadId}]:`, error.message);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `${fallbackMessage}: ${error.message}`,
+    ...(error.code && error.statusCode && { code: error.code }),
+    ...(error.missingRanges && { missingRanges: error.missingRanges }),
+    uploadId
+  });
+};
+
+// The requester's own session, or throw (404 unknown or expired, 403 someone else's)
+const getOwnSession = async (uploadId, user) => {
+  const session = await getSession(uploadId);
+  if (!session) {
+    throw createHttpError(404, 'Upload session not found or expired', 'upload_session_not_found');
+  }
+  if (session.userId !== user._id.toString()) {
+    throw createHttpError(403, 'Upload session belongs to another user', 'upload_session_forbidden');
+  }
+  return session;
+};
+
+// ✅ CREATE UPLOAD SESSION
+router.post('/sessions', firebaseProtect, async (req, res) => {
+  const uploadId = req.body.uploadId || `upload_${Date.now()}_${uuidv4().substring(0, 8)}`;
+
+  try {
+    const { fileName, mimeType, chatId, caption, batchId, fileIndex } = req.body;
+    const totalSize = Number(req.body.totalSize);
+
+    if (!fileName || !mimeType) {
+      return res.status(400).json({
+        success: false,
+        message: 'fileName, mimeType and totalSize are required'
+      });
+    }
+
+    if (!ALLOWED_MIME_TYPES[mimeType]) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid file type: ${mimeType}`
+      });
+    }
+
+    const session = await createUploadSession({
+      uploadId,
+      fileName,
+      mimeType,
+      totalSize,
+      chatId: chatId || 'unknown',
+      userId: req.user._id.toString(),
+      caption: caption || '',
+      ...(batchId && { batchId, fileIndex })
+    });
+
+    await trackSessionProgress(session);
+
+    console.log(`📦 Chunked upload session ${uploadId}: ${fileName} (${(totalSize / 1024 / 1024).toFixed(2)}MB)`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      data: describeSession(session)
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to create upload session', uploadId);
+  }
+});
+
+// ✅ SESSION STATUS: what arrived, what to send next
+router.get('/sessions/:uploadId', firebaseProtect, async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    const session = await getOwnSession(uploadId, req.user);
+
+    res.json({
+      success: true,
+      data: describeSession(session)
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to read upload session', uploadId);
+  }
+});
+
+// ✅ RECEIVE ONE CHUNK (request body is the raw bytes)
+router.put('/sessions/:uploadId/chunks', firebaseProtect, async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    await getOwnSession(uploadId, req.user);
+
+    const offset = Number(req.query.offset);
+    const session = await writeUploadChunk(uploadId, offset, req);
+
+    await trackSessionProgress(session);
+
+    res.json({
+      success: true,
+      data: describeSession(session)
+    });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to store chunk', uploadId);
+  }
+});
+
+// ✅ FINALIZE: store the assembled file and report it like /media does
+router.post('/sessions/:uploadId/complete', firebaseProtect, async (req, res) => {
+  const { uploadId } = req.params;
+  let finalized = null;
+
+  try {
+    await getOwnSession(uploadId, req.user);
+
+    // Fail before touching the session when storage is unavailable
+    getStorageDriver();
+
+    finalized = await finalizeUploadSession(uploadId);
+    const { session, filePath } = finalized;
+
+    await trackSessionProgress(session);
+
+    // Images are normalized in memory; anything else stays on disk
+    const prepared = await prepareUpload(filePath, session.mimeType, session.fileName);
+
+    const fileExtension = prepared.extension ||
+                         (prepared.mimeType.includes('image') ? 'jpg' : 'bin');
+    const uniqueFileName = `messages/${Date.now()}-${Math.random().toString(36).substring(7)}.${fileExtension}`;
+
+    // Other files are stored straight from the staged file, never loaded whole into memory
+    const uploadTask = storeMediaFile(uniqueFileName, prepared.input, {
+      contentType: prepared.mimeType,
+      fileName: prepared.fileName,
+      uploadId,
+      sourceHash: prepared.sourceHash,
+      metadata: {
+        originalName: session.fileName,
+        uploadedBy: session.userId,
+        uploadId,
+        chatId: session.chatId,
+        caption: session.caption,
+        ...(session.batchId && { batchId: session.batchId, fileIndex: session.fileIndex }),
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    // Cancellable through POST /cancel like any other upload
+    activeUploadTasks.set(uploadId, uploadTask);
+    let media;
+    try {
+      ({ media } = await uploadTask.promise);
+    } finally {
+      activeUploadTasks.delete(uploadId);
+    }
+    const fileUrl = media.url;
+
+    const fileType = getFileType(prepared.mimeType, prepared.fileName);
+    const {
+      thumbnailUrl,
+      width,
+      height,
+      duration,
+      variants,
+      placeholder
+    } = await getMediaDetails(prepared.input, media, fileType, prepared.image);
+
+    await uploadProgressStore.set(uploadId, {
+      progress: 100,
+      status: 'complete',
+      fileName: prepared.fileName,
+      fileUrl,
+      mediaId: media._id,
+      thumbnailUrl,
+      width,
+      height,
+      duration,
+      variants,
+      placeholder,
+      timestamp: Date.now(),
+      ...(session.batchId && { batchId: session.batchId, fileIndex: session.fileIndex })
+    });
+
+    await discardUploadSession(uploadId);
+
+    console.log(`✅ Chunked upload complete [${uploadId}]: ${media.storageKey}`);
+
+    res.json({
+      success: true,
+      data: {
+        fileUrl,
+        mediaId: media._id,
+        fileName: prepared.fileName,
+        messageType: fileType,
+        mimeType: prepared.mimeType,
+        fileSize: media.size,
+        thumbnailUrl,
+        uploadId,
+        width,
+        height,
+        duration,
+        variants,
+        placeholder,
+        caption: session.caption,
+        uploadedAt: new Date().toISOString(),
+        ...(session.batchId && {
+          batchId: session.batchId,
+          fileIndex: parseInt(session.fileIndex) || 0
+        })
+      }
+    });
+  } catch (error) {
+    if (error.code === 'upload_canceled') {
+      console.log(`🛑 Chunked upload cancelled [${uploadId}]`);
+      await discardUploadSession(uploadId);
+      await uploadProgressStore.discard(uploadId);
+      return res.status(499).json({
+        success: false,
+        message: 'Upload cancelled by client',
+        uploadId,
+        cancelled: true
+      });
+    }
+
+    // An image we can't process won't get better on a retry
+    if (finalized && error.code === 'unsupported_image') {
+      await discardUploadSession(uploadId);
+      await uploadProgressStore.discard(uploadId);
+    } else if (finalized) {
+      // Storing failed after every chunk arrived: keep them for a retry
+      await reopenUploadSession(uploadId).catch(() => {});
+      await trackSessionProgress(finalized.session, { status: 'uploading', error: error.message });
+    }
+
+    sendUploadError(res, error, 'Failed to finalize upload', uploadId);
+  }
+});
+
+// ✅ SIGNED FILE DOWNLOAD (local storage driver's expiring URLs)
+router.get('/files/*', (req, res) => {
+  const key = req.params[0];
+  const storageDriver = getStorageDriver();
+
+  if (typeof storageDriver.verifySignedUrl !== 'function') {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+
+  let isValid = false;
+  try {
+    isValid = storageDriver.verifySignedUrl(key, req.query.expires, req.query.signature);
+  } catch (error) {
+    isValid = false;
+  }
+
+  if (!isValid) {
+    return res.status(403).json({
+      success: false,
+      message: 'This link is invalid or has expired',
+      code: 'invalid_signature'
+    });
+  }
+
+  res.sendFile(storageDriver.resolvePath(key), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+  });
+});
+
 // ✅ PROGRESS POLLING ENDPOINT
-router.get('/progress/:uploadId', (req, res) => {
+router.get('/progress/:uploadId', async (req, res) => {
   const { uploadId } = req.params;
   
   console.log(`🔍 Progress check for: ${uploadId}`);
   
-  if (!uploadProgressStore.has(uploadId)) {
+  let progressData;
+  try {
+    progressData = await uploadProgressStore.get(uploadId);
+  } catch (error) {
+    console.error('❌ Progress store unavailable:', error.message);
+    return res.status(503).json({
+      success: false,
+      message: 'Progress tracking unavailable'
+    });
+  }
+  
+  if (!progressData) {
     console.log(`❌ Progress not found: ${uploadId}`);
     return res.status(404).json({
       success: false,
@@ -655,8 +1377,7 @@ router.get('/progress/:uploadId', (req, res) => {
     });
   }
   
-  const progressData = uploadProgressStore.get(uploadId);
-  const isActive = activeUploadTasks.has(uploadId);
+  const isActive = isUploadActive(uploadId, progressData);
   
   console.log(`📊 Progress for ${uploadId}: ${progressData.progress}%, active: ${isActive}, status: ${progressData.status}`);
   
@@ -668,7 +1389,12 @@ router.get('/progress/:uploadId', (req, res) => {
     fileName: progressData.fileName,
     isActive: isActive,
     ...(progressData.fileUrl && { fileUrl: progressData.fileUrl }),
+    ...(progressData.mediaId && { mediaId: progressData.mediaId }),
     ...(progressData.thumbnailUrl && { thumbnailUrl: progressData.thumbnailUrl }),
+    ...(progressData.width && { width: progressData.width, height: progressData.height }),
+    ...(progressData.duration && { duration: progressData.duration }),
+    ...(progressData.variants && progressData.variants.length > 0 && { variants: progressData.variants }),
+    ...(progressData.placeholder && { placeholder: progressData.placeholder }),
     ...(progressData.error && { error: progressData.error }),
     ...(progressData.batchId && { 
       batchId: progressData.batchId,
@@ -678,11 +1404,22 @@ router.get('/progress/:uploadId', (req, res) => {
 });
 
 // ✅ BATCH PROGRESS ENDPOINT (for grouped media)
-router.get('/progress/batch/:batchId', (req, res) => {
+router.get('/progress/batch/:batchId', async (req, res) => {
   const { batchId } = req.params;
   
   console.log(`🔍 Batch progress check for: ${batchId}`);
   
+  let progressEntries;
+  try {
+    progressEntries = await uploadProgressStore.entries();
+  } catch (error) {
+    console.error('❌ Progress store unavailable:', error.message);
+    return res.status(503).json({
+      success: false,
+      message: 'Progress tracking unavailable'
+    });
+  }
+  
   // Collect all files for this batch
   const fileProgress = [];
   let totalProgress = 0;
@@ -691,9 +1428,9 @@ router.get('/progress/batch/:batchId', (req, res) => {
   let activeFiles = 0;
   
   // Find all uploads for this batch
-  for (const [uploadId, data] of uploadProgressStore.entries()) {
+  for (const [uploadId, data] of progressEntries) {
     if (data.batchId === batchId) {
-      const isActive = activeUploadTasks.has(uploadId);
+      const isActive = isUploadActive(uploadId, data);
       if (isActive) activeFiles++;
       
       fileProgress.push({
@@ -703,7 +1440,8 @@ router.get('/progress/batch/:batchId', (req, res) => {
         fileName: data.fileName,
         fileIndex: data.fileIndex,
         isActive: isActive,
-        ...(data.fileUrl && { fileUrl: data.fileUrl })
+        ...(data.fileUrl && { fileUrl: data.fileUrl }),
+        ...(data.mediaId && { mediaId: data.mediaId })
       });
       
       totalProgress += data.progress || 0;
@@ -735,29 +1473,31 @@ router.get('/progress/batch/:batchId', (req, res) => {
 });
 
 // ✅ CLEAN UP PROGRESS DATA
-router.delete('/progress/:uploadId', (req, res) => {
+router.delete('/progress/:uploadId', async (req, res) => {
   const { uploadId } = req.params;
   
   console.log(`🗑️ Manual cleanup request for: ${uploadId}`);
   
-  // Also check if there's an active task to cancel
-  const uploadTask = activeUploadTasks.get(uploadId);
-  if (uploadTask) {
-    console.log(`🛑 Found active task, cancelling: ${uploadId}`);
-    try {
-      uploadTask.cancel();
-    } catch (error) {
-      console.error(`Error cancelling during cleanup: ${error.message}`);
+  try {
+    // Also cancel the task if one is still running on any instance
+    const results = await requestInstances(req.app.get('io'), 'upload_cancel', { uploadIds: [uploadId] });
+    if (results.flat().length > 0) {
+      console.log(`🛑 Cancelled active task during cleanup: ${uploadId}`);
     }
-    activeUploadTasks.delete(uploadId);
-  }
-  
-  if (uploadProgressStore.delete(uploadId)) {
-    console.log(`✅ Cleanup successful: ${uploadId}`);
-    res.json({ success: true, message: 'Progress data cleared' });
-  } else {
-    console.log(`❌ Cleanup failed - not found: ${uploadId}`);
-    res.status(404).json({ success: false, message: 'Upload not found' });
+    
+    if (await uploadProgressStore.delete(uploadId)) {
+      console.log(`✅ Cleanup successful: ${uploadId}`);
+      res.json({ success: true, message: 'Progress data cleared' });
+    } else {
+      console.log(`❌ Cleanup failed - not found: ${uploadId}`);
+      res.status(404).json({ success: false, message: 'Upload not found' });
+    }
+  } catch (error) {
+    console.error('❌ Error clearing progress:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear progress: ' + error.message
+    });
   }
 });
 
@@ -781,7 +1521,7 @@ router.post('/media/batch', upload.array('files', 10), async (req, res) => {
     }
     
     // Store batch info
-    uploadProgressStore.set(batchId, {
+    await uploadProgressStore.set(batchId, {
       progress: 0,
       status: 'starting',
       totalFiles: files.length,
@@ -799,28 +1539,24 @@ router.post('/media/batch', upload.array('files', 10), async (req, res) => {
       console.log(`📤 [${i + 1}/${files.length}] Starting: ${file.originalname} (${fileUploadId})`);
       
       try {
-        const fileExtension = getFileExtension(file.originalname) || 'bin';
+        const prepared = await prepareUpload(file.buffer, file.mimetype, file.originalname);
+        const fileExtension = prepared.extension || 'bin';
         const uniqueFileName = `messages/${Date.now()}-${i}-${Math.random().toString(36).substring(7)}.${fileExtension}`;
-        const storageRef = ref(storage, uniqueFileName);
         
         await new Promise((resolve, reject) => {
-          const uploadTask = uploadBytesResumable(storageRef, file.buffer, {
-            contentType: file.mimetype,
-            customMetadata: {
+          const uploadTask = storeMediaFile(uniqueFileName, prepared.input, {
+            contentType: prepared.mimeType,
+            fileName: prepared.fileName,
+            uploadId: fileUploadId,
+            sourceHash: prepared.sourceHash,
+            metadata: {
               originalName: file.originalname,
               uploadedBy: userId,
               batchId: batchId,
-              fileIndex: i.toString(),
+              fileIndex: i,
               chatId: chatId
-            }
-          });
-          
-          // 🔴 Save upload task for cancellation
-          console.log(`📤 Saving batch upload task: ${fileUploadId}`);
-          activeUploadTasks.set(fileUploadId, uploadTask);
-
-          uploadTask.on('state_changed',
-            (snapshot) => {
+            },
+            onProgress: (snapshot) => {
               const progress = Math.round((snapshot.bytesTransferred / snapshot.totalBytes) * 100);
               uploadProgressStore.set(fileUploadId, {
                 progress: progress,
@@ -830,44 +1566,62 @@ router.post('/media/batch', upload.array('files', 10), async (req, res) => {
                 fileIndex: i,
                 timestamp: Date.now()
               });
-            },
-            (error) => {
-              console.error(`❌ Batch upload failed for ${fileUploadId}:`, error.message);
-              activeUploadTasks.delete(fileUploadId);
-              reject(error);
-            },
-            async () => {
+            }
+          });
+          
+          // 🔴 Save upload task for cancellation
+          console.log(`📤 Saving batch upload task: ${fileUploadId}`);
+          activeUploadTasks.set(fileUploadId, uploadTask);
+
+          uploadTask.promise.then(
+            async ({ media }) => {
               try {
-                const downloadURL = await getDownloadURL(uploadTask.snapshot.ref);
-                const fileType = getFileType(file.mimetype, file.originalname);
-                let thumbnailUrl = null;
-                
-                if (fileType === 'image') {
-                  thumbnailUrl = await generateThumbnail(file.buffer, file.originalname);
-                }
+                const fileUrl = media.url;
+
+                const fileType = getFileType(prepared.mimeType, prepared.fileName);
+                const {
+                  thumbnailUrl,
+                  width,
+                  height,
+                  duration,
+                  variants,
+                  placeholder
+                } = await getMediaDetails(prepared.input, media, fileType, prepared.image);
                 
                 // 🔴 Remove from active tasks
                 activeUploadTasks.delete(fileUploadId);
                 
-                uploadProgressStore.set(fileUploadId, {
+                await uploadProgressStore.set(fileUploadId, {
                   progress: 100,
                   status: 'complete',
                   fileName: file.originalname,
-                  fileUrl: downloadURL,
+                  fileUrl,
+                  mediaId: media._id,
                   thumbnailUrl: thumbnailUrl,
+                  width,
+                  height,
+                  duration,
+                  variants,
+                  placeholder,
                   batchId: batchId,
                   fileIndex: i,
                   timestamp: Date.now()
                 });
                 
                 uploadResults.push({
-                  uri: downloadURL,
-                  url: downloadURL,
+                  uri: fileUrl,
+                  url: fileUrl,
+                  mediaId: media._id,
                   type: fileType,
-                  fileName: file.originalname,
-                  fileSize: file.size,
-                  mimeType: file.mimetype,
+                  fileName: prepared.fileName,
+                  fileSize: media.size,
+                  mimeType: prepared.mimeType,
                   thumbnailUrl: thumbnailUrl,
+                  width,
+                  height,
+                  duration,
+                  variants,
+                  placeholder,
                   uploadId: fileUploadId,
                   batchId: batchId,
                   fileIndex: i
@@ -875,7 +1629,7 @@ router.post('/media/batch', upload.array('files', 10), async (req, res) => {
                 
                 // Update batch progress
                 const completed = uploadResults.filter(r => r.url).length;
-                uploadProgressStore.set(batchId, {
+                await uploadProgressStore.set(batchId, {
                   progress: Math.round((completed / files.length) * 100),
                   status: 'uploading',
                   totalFiles: files.length,
@@ -890,17 +1644,20 @@ router.post('/media/batch', upload.array('files', 10), async (req, res) => {
                 activeUploadTasks.delete(fileUploadId);
                 reject(error);
               }
-            }
-          );
-          
-          // Handle cancellation for batch files
-          uploadTask.then().catch((error) => {
-            if (error.code === 'storage/canceled') {
-              console.log(`🛑 Batch upload cancelled: ${fileUploadId}`);
+            },
+            (error) => {
               activeUploadTasks.delete(fileUploadId);
-              uploadProgressStore.delete(fileUploadId);
+
+              // Handle cancellation for batch files
+              if (error.code === 'upload_canceled') {
+                console.log(`🛑 Batch upload cancelled: ${fileUploadId}`);
+                uploadProgressStore.discard(fileUploadId);
+              } else {
+                console.error(`❌ Batch upload failed for ${fileUploadId}:`, error.message);
+              }
+              reject(error);
             }
-          });
+          );
         });
         
       } catch (error) {
@@ -909,6 +1666,7 @@ router.post('/media/batch', upload.array('files', 10), async (req, res) => {
           fileName: file.originalname,
           success: false,
           error: error.message,
+          ...(error.code && error.statusCode && { code: error.code }),
           uploadId: fileUploadId
         });
       }
@@ -920,7 +1678,7 @@ router.post('/media/batch', upload.array('files', 10), async (req, res) => {
     // Mark batch as complete
     const successfulUploads = uploadResults.filter(r => r.url);
     
-    uploadProgressStore.set(batchId, {
+    await uploadProgressStore.set(batchId, {
       progress: 100,
       status: 'complete',
       totalFiles: files.length,
@@ -959,7 +1717,7 @@ router.post('/test', upload.single('file'), async (req, res) => {
       success: true,
       message: 'Test successful',
       activeTasks: activeUploadTasks.size,
-      progressEntries: uploadProgressStore.size,
+      progressEntries: (await uploadProgressStore.entries()).length,
       file: req.file ? {
         name: req.file.originalname,
         size: req.file.size,
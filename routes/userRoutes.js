@@ -1,7 +1,30 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Block = require('../models/Block');
 const { firebaseProtect } = require('../middleware/firebaseAuth');
+const {
+  listBlockedUsers,
+  blockUser,
+  unblockUser
+} = require('../controllers/blockController');
+const { reportUser } = require('../controllers/reportController');
+const {
+  listDevices,
+  updateDevice,
+  logoutDevice
+} = require('../controllers/deviceController');
+
+// Block / report routes (must come before /:firebaseUid)
+router.get('/blocks', firebaseProtect, listBlockedUsers);
+router.post('/blocks', firebaseProtect, blockUser);
+router.delete('/blocks/:firebaseUid', firebaseProtect, unblockUser);
+router.post('/reports', firebaseProtect, reportUser);
+
+// Device / session routes (must come before /:firebaseUid)
+router.get('/devices', firebaseProtect, listDevices);
+router.put('/devices/:deviceId', firebaseProtect, updateDevice);
+router.delete('/devices/:deviceId', firebaseProtect, logoutDevice);
 
 // @desc    Get user by Firebase UID (FULL user data)
 // @route   GET /api/user/:firebaseUid
@@ -22,6 +45,13 @@ router.get('/:firebaseUid', firebaseProtect, async (req, res) => {
         message: 'User not found'
       });
     }
+
+    // ✅ Blocked either way: presence is hidden
+    const isBlocked = await Block.isBlockedBetween(req.user._id, user._id);
+    if (isBlocked) {
+      user.isOnline = false;
+      user.lastSeen = null;
+    }
     
     console.log('✅ FULL User found:', {
       name: user.name,
@@ -37,7 +67,8 @@ router.get('/:firebaseUid', firebaseProtect, async (req, res) => {
         lastSeen: user.lastSeen,
         name: user.name,
         profilePicture: user.profilePicture,
-        email: user.email
+        email: user.email,
+        isBlocked
       }
     });
     
@@ -69,6 +100,12 @@ router.get('/:firebaseUid/status', firebaseProtect, async (req, res) => {
         message: 'User not found'
       });
     }
+
+    // ✅ Blocked either way: presence is hidden
+    if (await Block.isBlockedBetween(req.user._id, user._id)) {
+      user.isOnline = false;
+      user.lastSeen = null;
+    }
     
     // ✅ DEBUG: Log what's actually in the database
     console.log('📊 DATABASE DATA:', {
@@ -14,6 +14,7 @@ dotenv.config();
 
 // Import database connection
 const connectDB = require('./config/database');
+const { setTrustProxy } = require('./utils/rateLimiter');
 
 // Initialize Firebase Admin
 try {
@@ -37,6 +38,14 @@ try {
 const app = express();
 const server = http.createServer(app);
 
+// ✅ Behind a proxy/load balancer set TRUST_PROXY (hop count, "loopback", subnets...)
+// so req.ip and socket rate limits see the client address; X-Forwarded-For is ignored otherwise
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : (trustProxy === 'true' || trustProxy));
+}
+setTrustProxy(app.get('trust proxy fn'));
+
 // ✅ Create Socket.io instance
 const io = socketIo(server, {
   cors: {
@@ -277,8 +286,24 @@ app.use((req, res, next) => {
   next();
 });
 
-// Serve static files
-app.use('/uploads', express.static('uploads'));
+// Serve static files (also where the local storage driver keeps media).
+// Chat media is only readable through /api/media, which checks membership.
+const { LOCAL_STORAGE_DIR, isPrivateKey } = require('./utils/storage');
+app.use('/uploads', (req, res, next) => {
+  let key;
+  try {
+    key = decodeURIComponent(req.path);
+  } catch (error) {
+    key = req.path;
+  }
+  if (isPrivateKey(key)) {
+    return res.status(404).json({
+      success: false,
+      message: 'File not found'
+    });
+  }
+  next();
+}, express.static(LOCAL_STORAGE_DIR));
 
 // ✅ SIMPLE TEST ROUTE
 app.post('/api/test-sync', (req, res) => {
@@ -296,6 +321,9 @@ const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
 const messageRoutes = require('./routes/messageRoutes');
 const uploadRoutes = require('./routes/upload');
+const moderationRoutes = require('./routes/moderationRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const mediaRoutes = require('./routes/mediaRoutes');
 
 // Use routes
 app.use('/api/auth', authRoutes);
@@ -304,6 +332,9 @@ app.use('/api/chat', messageRequestRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/admin/moderation', moderationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/media', mediaRoutes);
 
 // Add manual user deletion endpoint
 app.delete('/api/user/:firebaseUid', async (req, res) => {
@@ -386,6 +417,9 @@ app.get('/', (req, res) => {
       upload: '/api/upload',
       messageRequests: '/api/chat/requests',
       user: '/api/user',
+      moderation: '/api/admin/moderation (admins)',
+      notifications: '/api/notifications',
+      media: '/api/media/:mediaId',
       deleteUser: '/api/user/:firebaseUid (DELETE)'
     }
   });
@@ -406,6 +440,8 @@ app.use((req, res) => {
       '/api/user',
       '/api/chat/requests',
       '/api/chat/request',
+      '/api/admin/moderation',
+      '/api/notifications',
       '/api/user/:firebaseUid (DELETE)'
     ]
   });
@@ -458,8 +494,55 @@ app.use((error, req, res, next) => {
 
 // Configure socket
 const configureSocket = require('./socket/socketHandler');
+const { attachCluster } = require('./socket/cluster');
 configureSocket(io);
 
+// ✅ Email digest of unread chats and pending message requests (hourly by default;
+// each user is mailed at most once per DIGEST_INTERVAL_HOURS)
+const { runEmailDigest } = require('./utils/emailDigest');
+if (process.env.EMAIL_DIGEST_ENABLED !== 'false') {
+  CronJob.from({
+    cronTime: process.env.EMAIL_DIGEST_CRON || '0 0 * * * *',
+    onTick: () => {
+      runEmailDigest().catch(error => {
+        console.error('❌ Email digest job failed:', error.message);
+      });
+    },
+    start: true,
+    timeZone: process.env.EMAIL_DIGEST_TIMEZONE || 'UTC'
+  });
+  console.log('✅ Email digest job scheduled');
+}
+
+// ✅ Push windows left open by an instance that stopped before flushing them
+const { flushDuePushes } = require('./utils/pushNotifications');
+CronJob.from({
+  cronTime: process.env.PUSH_RECOVERY_CRON || '*/30 * * * * *',
+  onTick: () => {
+    flushDuePushes().catch(error => {
+      console.error('❌ Push recovery job failed:', error.message);
+    });
+  },
+  start: true,
+  timeZone: 'UTC'
+});
+
+// ✅ Media garbage collection: files unreferenced for MEDIA_GC_GRACE_HOURS (daily by default)
+const { runMediaGc } = require('./utils/mediaGc');
+if (process.env.MEDIA_GC_ENABLED !== 'false') {
+  CronJob.from({
+    cronTime: process.env.MEDIA_GC_CRON || '0 30 3 * * *',
+    onTick: () => {
+      runMediaGc().catch(error => {
+        console.error('❌ Media GC job failed:', error.message);
+      });
+    },
+    start: true,
+    timeZone: 'UTC'
+  });
+  console.log('✅ Media GC job scheduled');
+}
+
 // Start server
 const PORT = process.env.PORT || 5000;
 const os = require('os');
@@ -478,23 +561,32 @@ function getNetworkIP() {
 
 const networkIP = getNetworkIP();
 
-server.listen(PORT, '0.0.0.0', () => {
-  console.log('\n' + '='.repeat(50));
-  console.log('🚀 WhatsApp Clone Backend');
-  console.log('='.repeat(50));
-  console.log(`📍 Local: http://localhost:${PORT}`);
-  console.log(`📍 Network: http://${networkIP}:${PORT}`);
-  console.log(`✅ Health check: http://localhost:${PORT}/api/health`);
-  console.log(`✅ Test sync: POST http://localhost:${PORT}/api/test-sync`);
-  console.log(`🔥 Socket.io: ws://localhost:${PORT}`);
-  console.log(`📱 Firebase Admin: ${admin.apps.length > 0 ? '✅ Initialized' : '⚠️ Not initialized'}`);
-  console.log(`🗑️  User Deletion Sync: ${admin.apps.length > 0 ? '✅ Active' : '⚠️ Inactive'}`);
-  console.log('📨 Message Requests API Available at:');
-  console.log(`   POST   /api/chat/request`);
-  console.log(`   GET    /api/chat/requests`);
-  console.log(`   POST   /api/chat/requests/:id/accept`);
-  console.log(`   POST   /api/chat/requests/:id/reject`);
-  console.log('='.repeat(50) + '\n');
-});
+// ✅ Share rooms and state through Redis (when configured) before accepting connections
+attachCluster(io)
+  .catch((error) => {
+    console.error('❌ Redis connection failed:', error.message);
+    process.exit(1);
+  })
+  .then((clustered) => {
+    server.listen(PORT, '0.0.0.0', () => {
+      console.log('\n' + '='.repeat(50));
+      console.log('🚀 WhatsApp Clone Backend');
+      console.log('='.repeat(50));
+      console.log(`📍 Local: http://localhost:${PORT}`);
+      console.log(`📍 Network: http://${networkIP}:${PORT}`);
+      console.log(`✅ Health check: http://localhost:${PORT}/api/health`);
+      console.log(`✅ Test sync: POST http://localhost:${PORT}/api/test-sync`);
+      console.log(`🔥 Socket.io: ws://localhost:${PORT}`);
+      console.log(`🧩 Instance mode: ${clustered ? '✅ Clustered (Redis)' : 'ℹ️ Single instance'}`);
+      console.log(`📱 Firebase Admin: ${admin.apps.length > 0 ? '✅ Initialized' : '⚠️ Not initialized'}`);
+      console.log(`🗑️  User Deletion Sync: ${admin.apps.length > 0 ? '✅ Active' : '⚠️ Inactive'}`);
+      console.log('📨 Message Requests API Available at:');
+      console.log(`   POST   /api/chat/request`);
+      console.log(`   GET    /api/chat/requests`);
+      console.log(`   POST   /api/chat/requests/:id/accept`);
+      console.log(`   POST   /api/chat/requests/:id/reject`);
+      console.log('='.repeat(50) + '\n');
+    });
+  });
 
 module.exports = app;
\ No newline at end of file
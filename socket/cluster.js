@@ -0,0 +1,127 @@
+// Multi-instance support. With REDIS_URL set, every server instance shares:
+//   - Socket.io rooms, through @socket.io/redis-adapter (room emits, typing,
+//     presence broadcasts, disconnectSockets, fetchSockets)
+//   - the key/value state store (upload progress, rate limit windows)
+//   - instance events: work only the owning process can do (cancelling its
+//     upload tasks, updating its sockets' cached data) is requested from all
+//     instances with requestInstances()
+// Without REDIS_URL everything stays in-process and behaves as before.
+const { createClient } = require('redis');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { INSTANCE_ID, createRedisStateStore, setStateStore } = require('../utils/stateStore');
+
+const INSTANCE_REQUEST_TIMEOUT_MS = parseInt(process.env.INSTANCE_REQUEST_TIMEOUT_MS) || 3000;
+const REDIS_CONNECT_RETRIES = 5;
+
+// Handlers registered by modules at load time, bound to io by attachCluster()
+const instanceHandlers = new Map();
+
+let clustered = false;
+let clients = [];
+
+/**
+ * Register work that has to run on every instance, e.g. cancelling an upload
+ * task held in this process's memory. The handler gets (payload, io) and may
+ * return (or resolve to) a JSON-serializable result.
+ */
+const onInstanceEvent = (event, handler) => {
+  instanceHandlers.set(event, handler);
+};
+
+/**
+ * Run an instance event here and on every other instance.
+ * Resolves to one result per instance that answered in time, this one first.
+ */
+const requestInstances = async (io, event, payload) => {
+  const handler = instanceHandlers.get(event);
+  if (!handler) {
+    throw new Error(`No instance handler registered for: ${event}`);
+  }
+
+  const results = [await handler(payload, io)];
+  if (!clustered || !io) return results;
+
+  try {
+    const responses = await io.of('/').serverSideEmitWithAck(event, payload);
+    return results.concat(responses);
+  } catch (error) {
+    // Some instances didn't answer in time; keep the ones that did
+    console.warn(`⚠️ [cluster] ${event}: not every instance responded (${error.message})`);
+    return results.concat(error.responses || []);
+  }
+};
+
+const bindInstanceHandlers = (io) => {
+  for (const [event, handler] of instanceHandlers.entries()) {
+    io.of('/').on(event, async (payload, callback) => {
+      let result = null;
+      try {
+        result = await handler(payload, io);
+      } catch (error) {
+        console.error(`❌ [cluster] ${event} handler error:`, error.message);
+      }
+      if (typeof callback === 'function') callback(result);
+    });
+  }
+};
+
+/**
+ * Connect to Redis and switch io + shared state over to it.
+ * Resolves to false (single-instance mode) when REDIS_URL is not set.
+ */
+const attachCluster = async (io, { url = process.env.REDIS_URL } = {}) => {
+  bindInstanceHandlers(io);
+
+  if (!url) {
+    console.log('ℹ️ REDIS_URL not set - running as a single instance');
+    return false;
+  }
+
+  const client = createClient({
+    url,
+    socket: {
+      // Keep retrying once up, but fail startup instead of hanging on a bad URL
+      reconnectStrategy: (retries) => (!clustered && retries >= REDIS_CONNECT_RETRIES
+        ? new Error(`Could not reach Redis after ${retries} attempts`)
+        : Math.min(retries * 200, 3000))
+    }
+  });
+  const pubClient = client.duplicate();
+  const subClient = client.duplicate();
+
+  [client, pubClient, subClient].forEach(redisClient => {
+    redisClient.on('error', (error) => {
+      console.error('❌ Redis error:', error.message);
+    });
+  });
+
+  await Promise.all([client.connect(), pubClient.connect(), subClient.connect()]);
+  clients = [client, pubClient, subClient];
+
+  io.adapter(createAdapter(pubClient, subClient, {
+    key: process.env.REDIS_ADAPTER_KEY || 'socket.io',
+    requestsTimeout: INSTANCE_REQUEST_TIMEOUT_MS
+  }));
+  setStateStore(createRedisStateStore(client, { prefix: process.env.REDIS_KEY_PREFIX || 'skybrr:' }));
+  clustered = true;
+
+  console.log(`✅ Redis connected - socket adapter and shared state enabled (instance ${INSTANCE_ID})`);
+  return true;
+};
+
+const isClustered = () => clustered;
+
+// Close Redis connections (graceful shutdown)
+const detachCluster = async () => {
+  await Promise.all(clients.map(redisClient => redisClient.quit().catch(() => {})));
+  clients = [];
+  clustered = false;
+};
+
+module.exports = {
+  attachCluster,
+  detachCluster,
+  isClustered,
+  onInstanceEvent,
+  requestInstances
+};
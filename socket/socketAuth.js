@@ -0,0 +1,201 @@
+const User = require('../models/User');
+const DeviceSession = require('../models/DeviceSession');
+const firebaseAdmin = require('../config/firebase-admin');
+
+// ==================== TOKEN VERIFICATION ====================
+
+// Default verifier: Firebase Admin ID token check (same as firebaseProtect)
+const verifyWithFirebase = async (token) => {
+  const auth = firebaseAdmin.getAuth();
+  if (!auth) {
+    const error = new Error('Firebase authentication service not available');
+    error.code = 'auth/unavailable';
+    throw error;
+  }
+  return auth.verifyIdToken(token);
+};
+
+// Pull the ID token from the handshake (auth payload, header or query)
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers && handshake.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.split(' ')[1];
+  }
+
+  if (handshake.query && handshake.query.token) {
+    return handshake.query.token;
+  }
+
+  return null;
+};
+
+// Stable per-install ID so delivery can be tracked per device
+const getHandshakeDeviceId = (handshake) => {
+  const deviceId = (handshake.auth && handshake.auth.deviceId) ||
+    (handshake.headers && handshake.headers['x-device-id']) ||
+    (handshake.query && handshake.query.deviceId);
+
+  if (typeof deviceId !== 'string' || !deviceId.trim()) return 'default';
+  return deviceId.trim().slice(0, 128);
+};
+
+const createAuthError = (message, code) => {
+  const error = new Error(message);
+  error.data = { code, message };
+  return error;
+};
+
+// ==================== EXPIRY HANDLING ====================
+
+// Disconnect the socket when its ID token expires, unless it re-authenticates first
+const scheduleExpiry = (socket, decodedToken) => {
+  clearTimeout(socket.authExpiryTimer);
+
+  if (!decodedToken.exp) return;
+
+  const msUntilExpiry = decodedToken.exp * 1000 - Date.now();
+
+  socket.authExpiresAt = new Date(decodedToken.exp * 1000);
+  socket.authExpiryTimer = setTimeout(() => {
+    console.log(`⏰ [socketAuth] Token expired for ${socket.firebaseUid}, disconnecting ${socket.id}`);
+    socket.emit('auth_expired', {
+      message: 'Authentication token expired, please reconnect with a fresh token',
+      expiredAt: socket.authExpiresAt.toISOString()
+    });
+    socket.disconnect(true);
+  }, Math.max(msUntilExpiry, 0));
+};
+
+// ==================== MIDDLEWARE FACTORY ====================
+
+/**
+ * Socket.io handshake authentication.
+ *
+ * Verifies the Firebase ID token sent by the client and pins
+ * socket.firebaseUid / socket.userId / socket.userName from the verified
+ * token, so no event handler has to trust identity fields in payloads.
+ * socket.deviceId comes from `auth.deviceId` (or the X-Device-Id header)
+ * and defaults to 'default' for clients that don't send one.
+ *
+ * `options.verifyToken` replaces the Firebase verifier (e.g. a local
+ * verifier in tests). It receives the raw token and must resolve to an
+ * object with at least `uid` (and optionally `exp` in seconds).
+ */
+const createSocketAuth = (options = {}) => {
+  const verifyToken = options.verifyToken || verifyWithFirebase;
+
+  const authenticate = async (token) => {
+    const decodedToken = await verifyToken(token);
+    if (!decodedToken || !decodedToken.uid) {
+      throw createAuthError('Invalid token payload', 'invalid_token');
+    }
+
+    const user = await User.findOne({ firebaseUid: decodedToken.uid });
+    if (!user) {
+      throw createAuthError('User not found', 'user_not_found');
+    }
+
+    if (user.getActiveSuspension()) {
+      throw createAuthError('Your account is suspended', 'account_suspended');
+    }
+
+    return { decodedToken, user };
+  };
+
+  const middleware = async (socket, next) => {
+    try {
+      const token = getHandshakeToken(socket.handshake);
+      if (!token) {
+        console.log(`❌ [socketAuth] No token provided by ${socket.id}`);
+        return next(createAuthError('Not authorized, no token provided', 'no_token'));
+      }
+
+      const { decodedToken, user } = await authenticate(token);
+      const deviceId = getHandshakeDeviceId(socket.handshake);
+
+      // Remotely logged-out devices stay out until the user signs in again,
+      // checked by the token's sign-in so a new deviceId doesn't get around it
+      if (await DeviceSession.isRevokedFor(user._id, deviceId, decodedToken.auth_time)) {
+        throw createAuthError('This device was logged out, please sign in again', 'device_logged_out');
+      }
+
+      socket.firebaseUid = decodedToken.uid;
+      socket.userId = user._id;
+      socket.userName = user.name;
+      socket.deviceId = deviceId;
+      socket.decodedToken = decodedToken;
+
+      scheduleExpiry(socket, decodedToken);
+      socket.on('disconnect', () => clearTimeout(socket.authExpiryTimer));
+
+      console.log(`🔐 [socketAuth] Socket ${socket.id} authenticated as ${user.name} (${decodedToken.uid}) on device ${socket.deviceId}`);
+      next();
+    } catch (error) {
+      console.error('❌ [socketAuth] Handshake authentication failed:', error.message);
+
+      if (error.data) {
+        return next(error);
+      }
+
+      if (error.code === 'auth/id-token-expired') {
+        return next(createAuthError('Token expired, please login again', 'token_expired'));
+      }
+
+      if (error.code === 'auth/id-token-revoked') {
+        return next(createAuthError('Token revoked, please login again', 'token_revoked'));
+      }
+
+      next(createAuthError('Not authorized, token verification failed', 'invalid_token'));
+    }
+  };
+
+  // Lets a connected client swap in a refreshed token before the old one expires
+  const handleReauthenticate = (socket) => async (data = {}) => {
+    try {
+      const { decodedToken, user } = await authenticate(data.token);
+
+      if (decodedToken.uid !== socket.firebaseUid) {
+        console.log(`❌ [socketAuth] UID mismatch on reauthenticate for ${socket.id}`);
+        socket.emit('reauthenticate_error', { error: 'Token belongs to a different user' });
+        socket.disconnect(true);
+        return;
+      }
+
+      if (await DeviceSession.isRevokedFor(user._id, socket.deviceId, decodedToken.auth_time)) {
+        socket.emit('reauthenticate_error', { error: 'This device was logged out, please sign in again', code: 'device_logged_out' });
+        socket.disconnect(true);
+        return;
+      }
+
+      socket.decodedToken = decodedToken;
+      scheduleExpiry(socket, decodedToken);
+
+      socket.emit('reauthenticated', {
+        firebaseUid: socket.firebaseUid,
+        expiresAt: socket.authExpiresAt ? socket.authExpiresAt.toISOString() : null
+      });
+    } catch (error) {
+      console.error('❌ [socketAuth] Reauthentication failed:', error.message);
+
+      if (error.data && error.data.code === 'account_suspended') {
+        socket.emit('reauthenticate_error', { error: error.message, code: error.data.code });
+        socket.disconnect(true);
+        return;
+      }
+
+      socket.emit('reauthenticate_error', { error: 'Token verification failed' });
+    }
+  };
+
+  return { middleware, handleReauthenticate };
+};
+
+module.exports = {
+  createSocketAuth,
+  getHandshakeToken,
+  getHandshakeDeviceId
+};
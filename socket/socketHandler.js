@@ -1,83 +1,57 @@
 const Message = require('../models/Message');
 const Chat = require('../models/Chat');
+const ChatUserState = require('../models/ChatUserState');
+const Block = require('../models/Block');
+const MessageDelivery = require('../models/MessageDelivery');
+const DeviceSession = require('../models/DeviceSession');
+const DeviceCursor = require('../models/DeviceCursor');
 const User = require('../models/User');
+const MediaObject = require('../models/MediaObject');
 const mongoose = require('mongoose');
+const { createSocketAuth } = require('./socketAuth');
+const { getHiddenFirebaseUids } = require('../utils/blocking');
+const { refreshUserPresence } = require('../utils/presence');
+const { consumeForSocket } = require('../utils/rateLimiter');
+const { encodeCursor, decodeCursor } = require('../utils/messageCursor');
+const {
+  emitMessageEdited,
+  emitMessageDeleted,
+  emitReactionUpdated,
+  emitVoiceNotePlayed
+} = require('../utils/messageEvents');
+const { getVoiceNoteMessageFields } = require('../utils/voiceNote');
+
+
+// How often this instance refreshes its live connections in DeviceSession
+const PRESENCE_SWEEP_MS = 30 * 1000;
+
+const configureSocket = (io, options = {}) => {
+  console.log('🔧 Socket server starting with enhanced status tracking...');
 
-
-// Enhanced status tracking utilities
-const connectionTracker = {
-  connections: new Map(),
-  userConnections: new Map(),
-  
-  initCleanup() {
-    setInterval(() => this.cleanupStaleConnections(), 30000);
-  },
+  // ✅ Verify Firebase ID tokens during the handshake (options.verifyToken for local verifiers)
+  const socketAuth = createSocketAuth({ verifyToken: options.verifyToken });
+  io.use(socketAuth.middleware);
   
-  cleanupStaleConnections() {
-    const now = Date.now();
-    for (const [socketId, data] of this.connections.entries()) {
-      if (now - (data.lastHeartbeat || data.connectedAt) > 60000) {
-        this.removeConnection(socketId);
+  // ✅ Presence lives in DeviceSession: keep this instance's sockets live and
+  // drop connections left behind by instances that went away
+  const presenceSweep = setInterval(async () => {
+    try {
+      await DeviceSession.touchConnections([...io.of('/').sockets.keys()]);
+
+      const staleUsers = await DeviceSession.pruneStaleConnections();
+      for (const userId of staleUsers) {
+        await refreshUserPresence(io, { _id: userId }, 'stale_cleanup');
       }
+    } catch (error) {
+      console.error('❌ Presence sweep error:', error.message);
     }
-  },
-  
-  addConnection(socketId, firebaseUid) {
-    this.connections.set(socketId, {
-      firebaseUid,
-      connectedAt: Date.now(),
-      lastHeartbeat: Date.now()
-    });
-    
-    if (!this.userConnections.has(firebaseUid)) {
-      this.userConnections.set(firebaseUid, { sockets: new Set() });
-    }
-    this.userConnections.get(firebaseUid).sockets.add(socketId);
-    
-    return this.getUserConnectionCount(firebaseUid);
-  },
-  
-  removeConnection(socketId) {
-    const connection = this.connections.get(socketId);
-    if (!connection) return 0;
-    
-    const { firebaseUid } = connection;
-    this.connections.delete(socketId);
-    
-    const userData = this.userConnections.get(firebaseUid);
-    if (userData) {
-      userData.sockets.delete(socketId);
-      if (userData.sockets.size === 0) {
-        this.userConnections.delete(firebaseUid);
-      }
-    }
-    
-    return this.getUserConnectionCount(firebaseUid);
-  },
-  
-  getUserConnectionCount(firebaseUid) {
-    return this.userConnections.get(firebaseUid)?.sockets.size || 0;
-  },
-  
-  updateHeartbeat(socketId) {
-    const connection = this.connections.get(socketId);
-    if (connection) {
-      connection.lastHeartbeat = Date.now();
-    }
-  }
-};
-
-// Initialize cleanup
-connectionTracker.initCleanup();
-
-const configureSocket = (io) => {
-  console.log('🔧 Socket server starting with enhanced status tracking...');
-  
-  // Track all socket connections globally
-  const connectedUsers = new Map(); // socket.id -> user info
-  const userSockets = new Map(); // firebaseUid -> Set of socket IDs (multiple device support)
+  }, PRESENCE_SWEEP_MS);
+  presenceSweep.unref();
   
   io.on('connection', (socket) => {
+
+    // Refresh the handshake token before it expires
+    socket.on('reauthenticate', socketAuth.handleReauthenticate(socket));
     
 
         // ==================== MESSAGE REQUEST HANDLERS ====================
@@ -130,6 +104,26 @@ const configureSocket = (io) => {
           });
           return;
         }
+
+        if (sender.isSendingMuted()) {
+          socket.emit('message_request_error', {
+            error: 'You are muted from sending messages',
+            code: 'sending_muted'
+          });
+          return;
+        }
+
+        // ✅ No requests between users who blocked each other
+        if (await Block.isBlockedBetween(sender._id, receiver._id)) {
+          socket.emit('message_request_error', {
+            error: 'You cannot send a message request to this user',
+            code: 'blocked'
+          });
+          return;
+        }
+
+        // ✅ Daily budget for new message requests, spent only on valid ones
+        if (!(await consumeForSocket(socket, 'messageRequest', 'send_message_request'))) return;
         
         // Check for existing chat
         const existingChat = await Chat.findOne({
@@ -451,298 +445,94 @@ const configureSocket = (io) => {
     });
 
 
-    console.log('✅ User connected:', socket.id, 
-      'Total connections:', io.engine.clientsCount,
-      'Unique users:', userSockets.size
+    console.log('✅ User connected:', socket.id,
+      'Device:', socket.deviceId,
+      'Total connections:', io.engine.clientsCount
     );
     
     let heartbeatInterval;
     let connectionStartTime = Date.now();
 
-       // ✅ FIXED: Enhanced user status update with atomic operations
-const updateUserStatus = async (firebaseUid, isOnline, source = 'unknown') => {
-  try {
-    console.log(`🔄 [${source}] Updating status for ${firebaseUid}: ${isOnline ? 'ONLINE' : 'OFFLINE'}`);
-    
-    // Use atomic operation to prevent race conditions
-    const updateQuery = isOnline 
-      ? { 
-          $inc: { connectionCount: 1 },
-          $set: { 
-            isOnline: true,
-            lastSeen: new Date()
-          }
-        }
-      : { 
-          $inc: { connectionCount: -1 },
-          $set: { 
-            lastSeen: new Date() // Always update lastSeen!
-          }
-        };
-    
-    const options = {
-      new: true,
-      upsert: true,
-      runValidators: true
-    };
-    
-    let user = await User.findOneAndUpdate(
-      { firebaseUid },
-      updateQuery,
-      options
-    );
-    
-    if (!user) {
-      console.error(`❌ [${source}] User not found: ${firebaseUid}`);
-      return null;
-    }
-    
-    // After updating connectionCount, check if user should be online or offline
-    const finalConnectionCount = user.connectionCount || 0;
-    const shouldBeOnline = finalConnectionCount > 0;
-
-    // For offline: check if connectionCount reached 0 and adjust
-    if (user.isOnline !== shouldBeOnline) {
-      // If connectionCount is negative (shouldn't happen), reset to 0
-      if (user.isOnline !== shouldBeOnline) {
-      user = await User.findOneAndUpdate(
-        { firebaseUid },
-        { 
-          $set: { 
-            isOnline: shouldBeOnline
-          }
-        },
-        { new: true }
-      );
-    }
-  else if (user.connectionCount > 0) {
-  user = await User.findOneAndUpdate(
-    { firebaseUid },
-    { 
-      $set: { 
-        isOnline: true,
-        lastSeen: new Date() // ✅ KEEP the lastSeen update!
-      }
-    },
-    { new: true }
-  );
-}
-    }
-    
-    if (!user) {
-      console.error(`❌ [${source}] User not found: ${firebaseUid}`);
-      return null;
-    }
-    
-    // Only broadcast if status actually changed
-    const statusChanged = user.isOnline !== isOnline;
-    
-    // Add formatted status text
-    const formatStatusText = (isOnline, lastSeen) => {
-      if (isOnline) return 'Online';
-      if (!lastSeen) return 'Offline';
-      
-      const now = new Date();
-      const lastSeenDate = new Date(lastSeen);
-      const diffMs = now - lastSeenDate;
-      const diffMin = Math.floor(diffMs / 60000);
-      
-      if (diffMin < 1) return 'Just now';
-      if (diffMin < 60) return `Last seen ${diffMin} minute${diffMin > 1 ? 's' : ''} ago`;
-      
-      const diffHour = Math.floor(diffMin / 60);
-      if (diffHour < 24) return `Last seen ${diffHour} hour${diffHour > 1 ? 's' : ''} ago`;
-      
-      return `Last seen ${lastSeenDate.toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
-    };
-    
-    if (statusChanged || source === 'heartbeat') {
-      const statusData = {
-        firebaseUid: user.firebaseUid,
-        userId: user._id,
-        isOnline: user.isOnline,
-        connectionCount: user.connectionCount || 0,
-        lastSeen: user.lastSeen,
-        name: user.name,
-        source: source,
-        timestamp: new Date().toISOString(),
-        statusText: formatStatusText(user.isOnline, user.lastSeen) // ✅ ADD FORMATTED TEXT
-      };
-      
-      // Broadcast to all connected clients
-      io.emit('userStatusChanged', statusData);
-      
-      // Specific events for frontend
-      if (user.isOnline) {
-        io.emit('userOnline', {
-          userId: user.firebaseUid,
-          firebaseUid: user.firebaseUid,
-          name: user.name,
-          connectionCount: user.connectionCount,
-          timestamp: new Date().toISOString(),
-          statusText: 'Online'
-        });
-      } else {
-        io.emit('userOffline', {
-          userId: user.firebaseUid,
-          firebaseUid: user.firebaseUid,
-          name: user.name,
-          lastSeen: user.lastSeen,
-          timestamp: new Date().toISOString(),
-          statusText: formatStatusText(false, user.lastSeen) // ✅ ADD FORMATTED TEXT
-        });
-      }
-      
-      console.log(`✅ [${source}] Status updated: ${user.name} is ${user.isOnline ? 'ONLINE' : 'OFFLINE'} (${user.connectionCount} connections)`);
-    }
-    
-    return user;
-  } catch (error) {
-    console.error(`❌ [${source}] Error updating status for ${firebaseUid}:`, error);
-    return null;
-  }
-};
-
-    // Helper function: Get user's active socket connections
-    const getUserActiveConnections = (firebaseUid) => {
-      return userSockets.has(firebaseUid) ? userSockets.get(firebaseUid).size : 0;
-    };
+    // Send this device whatever it has not acked yet, oldest first (acks arrive via message_ack)
+    const replayToDevice = async ({ since = null, limit } = {}) => {
+      const cursor = await DeviceCursor.getOrCreate(socket.userId, socket.deviceId);
+      const after = since || cursor.getPosition();
 
-    // Helper function: Check if user is actually connected to socket (not just DB online)
-    const isUserActuallyConnected = (firebaseUid) => {
-      if (!userSockets.has(firebaseUid)) return false;
-      
-      const socketIds = userSockets.get(firebaseUid);
-      for (const socketId of socketIds) {
-        const socket = io.sockets.sockets.get(socketId);
-        if (socket && socket.connected) {
-          return true;
-        }
-      }
-      return false;
-    };
-
-    // Helper function: Handle delayed delivery when user comes online
-    const handleDelayedDelivery = async (firebaseUid) => {
-      try {
-        const user = await User.findOne({ firebaseUid });
-        if (!user) return;
+      const { messages, hasMore, lastScanned } = await MessageDelivery.findPendingForDevice(
+        socket.userId,
+        socket.deviceId,
+        after,
+        limit
+      );
 
-        // Find messages pending delivery to this user
-        const pendingMessages = await Message.find({
-          chat: { $in: await Chat.find({ users: user._id }).distinct('_id') },
-          status: 'pending',
-          sender: { $ne: user._id }
-        }).populate('sender', 'firebaseUid name');
+      if (!socket.data.replayedIds) socket.data.replayedIds = new Set();
+      messages.forEach(message => socket.data.replayedIds.add(message._id.toString()));
 
-        if (pendingMessages.length > 0) {
-          console.log(`⏰ Delivering ${pendingMessages.length} pending messages to ${firebaseUid}`);
-          
-          for (const message of pendingMessages) {
-            // Format message
-            const formattedMessage = {
-              _id: message._id,
-              content: message.content,
-              sender: {
-                _id: message.sender._id,
-                firebaseUid: message.sender.firebaseUid,
-                name: message.sender.name
-              },
-              chat: message.chat,
-              messageType: message.messageType,
-              status: 'sent',
-              createdAt: message.createdAt
-            };
-
-            // Send to recipient
-            io.to(firebaseUid).emit('messageReceived', formattedMessage);
-            
-            // Notify sender of delayed delivery
-            const senderSockets = userSockets.get(message.sender.firebaseUid);
-            if (senderSockets) {
-              for (const senderSocketId of senderSockets) {
-                const senderSocket = io.sockets.sockets.get(senderSocketId);
-                if (senderSocket && senderSocket.connected) {
-                  senderSocket.emit('delayedDelivery', {
-                    messageId: message._id,
-                    chatId: message.chat,
-                    recipientId: firebaseUid,
-                    delayed: true,
-                    originalTimestamp: message.createdAt,
-                    deliveredTimestamp: new Date().toISOString()
-                  });
-                }
-              }
-            }
+      socket.emit('sync_messages', {
+        deviceId: socket.deviceId,
+        messages: messages.map(message => ({ ...message.toObject(), replayed: true })),
+        hasMore,
+        cursor: encodeCursor(cursor.getPosition()),
+        nextSince: hasMore ? encodeCursor(lastScanned) : null,
+        timestamp: new Date().toISOString()
+      });
 
-            // Update message status
-            message.status = 'sent';
-            message.deliveredTo.push(user._id);
-            await message.save();
-          }
-        }
-      } catch (error) {
-        console.error('❌ Error handling delayed delivery:', error);
-      }
+      return messages.length;
     };
 
     socket.on('setup', async (userData) => {
   try {
-    if (userData && userData.firebaseUid) {
+    // ✅ Identity comes from the verified handshake token, never from the payload
+    const firebaseUid = socket.firebaseUid;
+
+    if (userData && userData.firebaseUid && userData.firebaseUid !== firebaseUid) {
+      console.error(`❌ [setup] Payload UID ${userData.firebaseUid} does not match authenticated UID ${firebaseUid}`);
+      socket.emit('setup_error', { error: 'User mismatch' });
+      return;
+    }
+
+    if (firebaseUid) {
       // Find user by Firebase UID
-      const user = await User.findOne({ firebaseUid: userData.firebaseUid });
+      const user = await User.findOne({ firebaseUid });
       
       if (!user) {
-        console.error(`❌ [setup] User not found for Firebase UID: ${userData.firebaseUid}`);
+        console.error(`❌ [setup] User not found for Firebase UID: ${firebaseUid}`);
         socket.emit('setup_error', { error: 'User not found' });
         return;
       }
 
-      // Store user info on socket
-      socket.userId = user._id;
-      socket.firebaseUid = userData.firebaseUid;
+      // Refresh user info on socket
       socket.userName = user.name;
       
-      // Track connection
-      connectedUsers.set(socket.id, {
-        userId: user._id,
-        firebaseUid: userData.firebaseUid,
-        socketId: socket.id,
-        connectedAt: new Date()
-      });
-      
-      // Track user's sockets (multiple device support)
-      if (!userSockets.has(userData.firebaseUid)) {
-        userSockets.set(userData.firebaseUid, new Set());
-      }
-      userSockets.get(userData.firebaseUid).add(socket.id);
-      
       // Join user's personal room
-      socket.join(userData.firebaseUid);
-      console.log(`✅ [setup] User ${user.name} (${userData.firebaseUid}) joined room, connections: ${getUserActiveConnections(userData.firebaseUid)}`);
-      
-      // ✅ FIXED: Use connection tracker for accurate counting
-      const connectionCount = connectionTracker.addConnection(socket.id, userData.firebaseUid);
-      const shouldMarkOnline = connectionCount === 1; // Only mark online if first connection
+      socket.join(firebaseUid);
+
+      // Cache who this user must stay hidden from (typing); refreshed on block/unblock
+      socket.data.hiddenUids = await getHiddenFirebaseUids(user._id);
+
+      // ✅ Attach this socket to its device session (once per socket)
+      if (!socket.data.sessionRegistered) {
+        await DeviceSession.registerConnection(user._id, socket.deviceId, socket.id, {
+          deviceName: userData?.deviceName,
+          platform: userData?.platform,
+          appVersion: userData?.appVersion,
+          pushToken: userData?.pushToken,
+          ip: socket.handshake.address,
+          authTime: socket.decodedToken?.auth_time
+        });
+        socket.data.sessionRegistered = true;
+      }
 
-      await updateUserStatus(userData.firebaseUid, shouldMarkOnline, 'setup');
-      
-      // Setup heartbeat listener
-      socket.on('heartbeat_ack', (data) => {
-        socket.lastHeartbeat = Date.now();
-        connectionTracker.updateHeartbeat(socket.id);
-        
-        // Also update lastSeen in database periodically
-        if (socket.firebaseUid && Date.now() % 30000 < 1000) {
-          updateUserStatus(socket.firebaseUid, true, 'heartbeat');
-        }
-      });
+      const presence = await refreshUserPresence(io, { _id: user._id }, 'setup');
+      const connectionCount = presence ? presence.connectionCount : 1;
+      console.log(`✅ [setup] User ${user.name} (${firebaseUid}) joined room on device ${socket.deviceId}`);
       
       // Notify user about successful setup
       socket.emit('setup_complete', {
-        firebaseUid: userData.firebaseUid,
+        firebaseUid,
         userId: user._id,
-        isOnline: shouldMarkOnline,
+        deviceId: socket.deviceId,
+        isOnline: true,
         activeConnections: connectionCount,
         timestamp: new Date().toISOString()
       });
@@ -767,8 +557,26 @@ const updateUserStatus = async (firebaseUid, isOnline, source = 'unknown') => {
       socket.lastHeartbeat = Date.now();
     });
 
-    // Join chat room
-    socket.on('join chat', (room) => {
+    // Join chat room (members only: the room carries messages, edits and typing)
+    socket.on('join chat', async (room) => {
+      try {
+        const chat = room && mongoose.Types.ObjectId.isValid(room)
+          ? await Chat.findById(room).select('users')
+          : null;
+        if (!chat || !chat.isMember(socket.userId)) {
+          console.warn(`⛔ User ${socket.firebaseUid} tried to join chat room: ${room}`);
+          socket.emit('join_chat_error', {
+            chatId: room,
+            error: 'You are not a member of this chat',
+            code: 'not_a_member'
+          });
+          return;
+        }
+      } catch (error) {
+        console.error('❌ [join chat] Error:', error.message);
+        return;
+      }
+
       socket.join(room);
       console.log(`🎯 User ${socket.firebaseUid} joined chat room: ${room}`);
       
@@ -799,6 +607,22 @@ const updateUserStatus = async (firebaseUid, isOnline, source = 'unknown') => {
 
    socket.on('send_message', async (messageData) => {
   try {
+    // ✅ Sender is always the authenticated socket user
+    messageData.sender = socket.firebaseUid;
+
+    // ✅ Membership and group permissions ("only admins can send")
+    await Chat.assertCanSend(messageData.chat, socket.userId);
+
+    if (messageData.messageType === 'system') {
+      throw new Error('System messages are created by the server');
+    }
+
+    // ✅ Per-user / per-IP flood protection, spent only on valid sends
+    const allowed = await consumeForSocket(socket, 'message', 'send_message', {
+      tempMessageId: messageData?.metadata?.tempMessageId
+    });
+    if (!allowed) return;
+
     console.log('📤 [send_message] Received message:', {
       chat: messageData.chat,
       sender: messageData.sender,
@@ -1048,6 +872,72 @@ io.to(messageData.chat).emit('messageReceived', formattedMessage);
       return; // Exit early
     }
 
+    // ✅ HANDLE VOICE NOTES (duration and waveform come from the upload, not the client)
+    if (messageData.messageType === 'voice_note') {
+      const uploadId = messageData.uploadId || messageData.metadata?.uploadId;
+      const voiceNoteFields = await getVoiceNoteMessageFields(uploadId, socket.userId);
+
+      const user = await User.findOne({ firebaseUid: messageData.sender });
+      if (!user) {
+        throw new Error(`User not found: ${messageData.sender}`);
+      }
+
+      let message = await Message.create({
+        sender: user._id,
+        chat: messageData.chat,
+        messageType: 'voice_note',
+        ...voiceNoteFields,
+        metadata: messageData.metadata || {},
+        status: 'sent',
+        deliveredTo: [],
+        readBy: []
+      });
+
+      message = await Message.findById(message._id)
+        .populate('sender', 'name profilePicture firebaseUid')
+        .populate('chat');
+
+      await Chat.findByIdAndUpdate(messageData.chat, {
+        latestMessage: message._id,
+        updatedAt: new Date()
+      });
+
+      const formattedMessage = {
+        _id: message._id,
+        content: message.content,
+        sender: {
+          _id: message.sender._id,
+          firebaseUid: message.sender.firebaseUid,
+          name: message.sender.name,
+          profilePicture: message.sender.profilePicture
+        },
+        chat: message.chat._id,
+        messageType: 'voice_note',
+        fileUrl: message.fileUrl,
+        fileName: message.fileName,
+        voiceNote: message.voiceNote,
+        playedBy: [],
+        metadata: message.metadata || messageData.metadata || {},
+        status: message.status,
+        createdAt: message.createdAt,
+        updatedAt: message.updatedAt
+      };
+
+      socket.emit('message_sent', {
+        messageId: message._id,
+        chatId: messageData.chat,
+        status: 'sent',
+        metadata: formattedMessage.metadata,
+        uploadId,
+        tempMessageId: messageData.metadata?.tempMessageId,
+        timestamp: new Date().toISOString()
+      });
+
+      io.to(messageData.chat).emit('messageReceived', formattedMessage);
+
+      return; // Exit early
+    }
+
     // ✅ HANDLE MEDIA MESSAGES (IMAGES, VIDEOS, ETC.)
     if (messageData.messageType === 'image' || messageData.messageType === 'video' || 
         messageData.messageType === 'audio' || messageData.media?.length > 0) {
@@ -1084,6 +974,21 @@ io.to(messageData.chat).emit('messageReceived', formattedMessage);
         if (mediaArray.length > 0 && !fileUrl) {
           fileUrl = mediaArray[0].url;
         }
+      } else if (MediaObject.parseMediaId(fileUrl)) {
+        // Single uploaded file sent by URL: a media entry, which the Message
+        // hook fills with the poster frame, size and duration measured at upload
+        mediaArray = [{
+          url: fileUrl,
+          type: messageData.messageType,
+          fileName: messageData.fileName || 'file',
+          fileSize: messageData.fileSize || 0,
+          mimeType: messageData.mimeType || 'application/octet-stream',
+          thumbnailUrl: messageData.thumbnailUrl || null,
+          width: messageData.width || 0,
+          height: messageData.height || 0,
+          duration: messageData.duration || 0,
+          caption: ''
+        }];
       }
 
       // Create message with metadata
@@ -1136,7 +1041,7 @@ io.to(messageData.chat).emit('messageReceived', formattedMessage);
         video: message.video,
         fileName: message.fileName,
         fileSize: message.fileSize,
-        thumbnailUrl: message.thumbnailUrl,
+        thumbnailUrl: message.thumbnailUrl || message.media?.[0]?.thumbnailUrl,
         mimeType: message.mimeType,
         // ✅ RETURN METADATA TO FRONTEND
         metadata: message.metadata || messageData.metadata || {},
@@ -1243,7 +1148,9 @@ io.to(messageData.chat).emit('messageReceived', formattedMessage);
     console.error('❌ [send_message] Error:', error);
     socket.emit('message_error', { 
       error: 'Failed to send message',
-      details: error.message 
+      details: error.message,
+      ...(error.code && { code: error.code }),
+      tempMessageId: messageData?.metadata?.tempMessageId
     });
   }
 });
@@ -1285,6 +1192,22 @@ io.to(messageData.chat).emit('messageReceived', formattedMessage);
           });
           return;
         }
+
+        if (sender.isSendingMuted()) {
+          socket.emit('private_message_error', {
+            error: 'You are muted from sending messages',
+            code: 'sending_muted'
+          });
+          return;
+        }
+
+        if (await Block.isBlockedBetween(sender._id, receiver._id)) {
+          socket.emit('private_message_error', {
+            error: 'You cannot message this user',
+            code: 'blocked'
+          });
+          return;
+        }
         
         // Check if there's already a pending chat
         const existingChat = await Chat.findOne({
@@ -1341,6 +1264,12 @@ io.to(messageData.chat).emit('messageReceived', formattedMessage);
     // ✅ ADD THIS: Handle post sharing via socket
 socket.on('share_post', async (shareData) => {
   try {
+    // ✅ Sender is always the authenticated socket user
+    shareData.sender = socket.firebaseUid;
+
+    // ✅ Membership and group permissions ("only admins can send")
+    await Chat.assertCanSend(shareData.chat, socket.userId);
+
     console.log('📱 [share_post] Received post share request:', {
       chatId: shareData.chat,
       postId: shareData.postData?.id,
@@ -1355,6 +1284,9 @@ socket.on('share_post', async (shareData) => {
       throw new Error('Missing required fields for post sharing');
     }
 
+    // ✅ Per-user / per-IP flood protection, spent only on valid shares
+    if (!(await consumeForSocket(socket, 'message', 'share_post'))) return;
+
     // Find user
     const user = await User.findOne({ firebaseUid: shareData.sender });
     if (!user) {
@@ -1469,11 +1401,116 @@ socket.on('share_post', async (shareData) => {
     console.error('❌ [share_post] Error:', error);
     socket.emit('message_error', { 
       error: 'Failed to share post',
-      details: error.message 
+      details: error.message,
+      ...(error.code && { code: error.code })
     });
   }
 });
 
+    // ✅ Handle message edits (sender only, within the edit window)
+    socket.on('edit_message', async (data = {}) => {
+      try {
+        const { messageId, content, captions } = data;
+
+        console.log(`✏️ [edit_message] ${socket.firebaseUid} editing ${messageId}`);
+
+        if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+          socket.emit('message_edit_error', { messageId, error: 'Valid message ID is required' });
+          return;
+        }
+
+        const message = await Message.findById(messageId);
+        if (!message) {
+          socket.emit('message_edit_error', { messageId, error: 'Message not found' });
+          return;
+        }
+
+        await message.applyEdit(socket.userId, { content, captions });
+        await emitMessageEdited(io, message, socket.firebaseUid);
+
+        console.log(`✅ [edit_message] Message ${messageId} edited`);
+      } catch (error) {
+        console.error('❌ [edit_message] Error:', error.message);
+        socket.emit('message_edit_error', {
+          messageId: data.messageId,
+          error: error.statusCode ? error.message : 'Failed to edit message',
+          ...(error.code && { code: error.code })
+        });
+      }
+    });
+
+    // ✅ Handle message deletion ('me' hides it, 'everyone' leaves a tombstone)
+    socket.on('delete_message', async (data = {}) => {
+      try {
+        const { messageId, scope = 'me' } = data;
+
+        console.log(`🗑️ [delete_message] ${socket.firebaseUid} deleting ${messageId} for ${scope}`);
+
+        const { message, wasLatestMessage } = await Message.deleteWithScope(messageId, socket.userId, scope);
+
+        await emitMessageDeleted(io, message, {
+          scope,
+          deletedBy: socket.firebaseUid,
+          wasLatestMessage
+        });
+      } catch (error) {
+        console.error('❌ [delete_message] Error:', error.message);
+        socket.emit('message_delete_error', {
+          messageId: data.messageId,
+          error: error.statusCode ? error.message : 'Failed to delete message'
+        });
+      }
+    });
+
+    // ✅ Handle reactions (same emoji toggles off, different emoji replaces, null removes)
+    socket.on('react_message', async (data = {}) => {
+      try {
+        const { messageId } = data;
+        const emoji = data.emoji === undefined ? null : data.emoji;
+
+        console.log(`😀 [react_message] ${socket.firebaseUid} reacting to ${messageId} with ${emoji}`);
+
+        const { message, action } = await Message.toggleReaction(messageId, socket.userId, emoji);
+
+        if (action !== 'unchanged') {
+          emitReactionUpdated(io, message, {
+            reactedBy: socket.firebaseUid,
+            emoji,
+            action
+          });
+        }
+      } catch (error) {
+        console.error('❌ [react_message] Error:', error.message);
+        socket.emit('message_reaction_error', {
+          messageId: data.messageId,
+          error: error.statusCode ? error.message : 'Failed to react to message'
+        });
+      }
+    });
+
+    // ✅ "Played" receipts for voice notes (separate from read receipts)
+    socket.on('voice_note_played', async (data = {}) => {
+      try {
+        const { messageId } = data;
+
+        const { message, playedAt, firstPlay } = await Message.markPlayed(messageId, socket.userId);
+
+        if (firstPlay) {
+          console.log(`🎤 [voice_note_played] ${socket.firebaseUid} played ${messageId}`);
+          emitVoiceNotePlayed(io, message, {
+            playedBy: socket.firebaseUid,
+            playedAt
+          });
+        }
+      } catch (error) {
+        console.error('❌ [voice_note_played] Error:', error.message);
+        socket.emit('voice_note_played_error', {
+          messageId: data.messageId,
+          error: error.statusCode ? error.message : 'Failed to mark voice note as played'
+        });
+      }
+    });
+
     // ✅ Compatible with 'new message' event (some clients might use this)
     socket.on('new message', async (messageData) => {
       // Forward to send_message handler
@@ -1494,103 +1531,197 @@ socket.on('share_post', async (shareData) => {
       });
     });
 
-    // ✅ Handle message delivered
-    socket.on('message delivered', async (data) => {
-      try {
-        const { messageId, chatId } = data;
-        
-        console.log(`📬 Message delivered: ${messageId} by ${socket.firebaseUid}`);
+    // Verify the message belongs to a chat this socket's user is in
+    const findMessageForCursor = async (messageId) => {
+      if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) return null;
 
-        const message = await Message.findById(messageId);
-        if (!message) {
-          console.error(`❌ Message not found: ${messageId}`);
-          return;
-        }
+      const message = await Message.findById(messageId)
+        .select('_id chat sender createdAt')
+        .populate('sender', 'firebaseUid');
+      if (!message) return null;
 
-        const user = await User.findOne({ firebaseUid: socket.firebaseUid });
-        if (!user) return;
+      const isMember = await Chat.exists({ _id: message.chat, users: socket.userId });
+      return isMember ? message : null;
+    };
 
-        if (!message.deliveredTo.includes(user._id)) {
-          message.deliveredTo.push(user._id);
-          
-          if (message.deliveredTo.length > 0 && message.status !== 'read') {
-            message.status = 'delivered';
-          }
-          
-          await message.save();
+    // Broadcast a moved read/delivered cursor to the chat room
+    const emitReadCursor = (chatId, type, message) => {
+      io.to(chatId.toString()).emit('read_cursor_updated', {
+        chatId,
+        userId: socket.userId,
+        firebaseUid: socket.firebaseUid,
+        type,
+        upToMessageId: message._id,
+        upToCreatedAt: message.createdAt,
+        timestamp: new Date().toISOString()
+      });
+    };
+
+    // Resolve an ack to a message in one of this user's chats (by server ID or optimisticId)
+    const findAckedMessage = async ({ messageId, optimisticId } = {}) => {
+      let query;
+      if (messageId && mongoose.Types.ObjectId.isValid(messageId)) {
+        query = { _id: messageId };
+      } else if (typeof optimisticId === 'string' && optimisticId) {
+        query = { $or: [{ optimisticId }, { 'metadata.tempMessageId': optimisticId }] };
+      } else {
+        return null;
+      }
+
+      const chatIds = await Chat.find({ users: socket.userId }).distinct('_id');
+      return Message.findOne({ ...query, chat: { $in: chatIds } })
+        .select('_id chat sender createdAt optimisticId')
+        .populate('sender', 'firebaseUid');
+    };
+
+    // Record one device ack; the sender hears about each recipient once, on their first device ack
+    const acknowledgeDelivery = async (ack = {}) => {
+      const message = await findAckedMessage(ack);
+      if (!message) return null;
+
+      const messageId = message._id.toString();
+
+      // Own messages need no receipt
+      if (message.sender && message.sender._id.toString() === socket.userId.toString()) {
+        return messageId;
+      }
+
+      const replayed = !!(socket.data.replayedIds && socket.data.replayedIds.delete(messageId));
+      const { firstForUser } = await MessageDelivery.recordAck(socket.userId, socket.deviceId, message, {
+        optimisticId: ack.optimisticId || message.optimisticId || null,
+        replayed
+      });
+      if (!firstForUser) return messageId;
+
+      const chatId = message.chat.toString();
+      const { advanced } = await ChatUserState.markDelivered(chatId, socket.userId, message);
+      const deliveredAt = new Date().toISOString();
+
+      if (message.sender?.firebaseUid) {
+        if (replayed) {
+          io.to(message.sender.firebaseUid).emit('delayedDelivery', {
+            messageId,
+            optimisticId: message.optimisticId,
+            chatId,
+            recipientId: socket.firebaseUid,
+            delayed: true,
+            originalTimestamp: message.createdAt,
+            deliveredTimestamp: deliveredAt
+          });
+        } else {
+          io.to(message.sender.firebaseUid).emit('message_delivered', {
+            messageId,
+            optimisticId: message.optimisticId,
+            chatId,
+            deliveredTo: socket.firebaseUid,
+            status: 'delivered',
+            timestamp: deliveredAt
+          });
         }
+      }
 
-        // Notify sender
-        const senderSockets = userSockets.get(message.sender.firebaseUid);
-        if (senderSockets) {
-          for (const senderSocketId of senderSockets) {
-            const senderSocket = io.sockets.sockets.get(senderSocketId);
-            if (senderSocket && senderSocket.connected) {
-              senderSocket.emit('message_delivered', {
-                messageId,
-                chatId,
-                deliveredTo: socket.firebaseUid,
-                status: 'delivered',
-                timestamp: new Date().toISOString()
-              });
-            }
-          }
+      io.to(chatId).emit('message delivered update', {
+        messageId,
+        deliveredTo: socket.firebaseUid,
+        status: 'delivered',
+        timestamp: deliveredAt
+      });
+      if (advanced) emitReadCursor(chatId, 'delivered', message);
+
+      return messageId;
+    };
+
+    // ✅ Device acks: { messageId | optimisticId } or { acks: [...] }
+    socket.on('message_ack', async (data = {}) => {
+      try {
+        const acks = Array.isArray(data.acks)
+          ? data.acks.slice(0, MessageDelivery.MAX_SYNC_BATCH)
+          : [data];
+
+        const acked = [];
+        for (const ack of acks) {
+          const messageId = await acknowledgeDelivery(ack || {});
+          if (messageId) acked.push(messageId);
         }
 
-        // Notify chat room
-        io.to(chatId).emit('message delivered update', {
-          messageId,
-          deliveredTo: socket.firebaseUid,
-          status: 'delivered',
+        const cursor = await MessageDelivery.advanceCursor(socket.userId, socket.deviceId);
+
+        socket.emit('message_ack_result', {
+          deviceId: socket.deviceId,
+          acked,
+          cursor: encodeCursor(cursor.getPosition()),
           timestamp: new Date().toISOString()
         });
+      } catch (error) {
+        console.error('❌ Error handling message_ack:', error);
+        socket.emit('message_ack_error', { error: 'Failed to record acknowledgement' });
+      }
+    });
+
+    // Legacy single-message receipt, treated as a device ack
+    socket.on('message delivered', async (data = {}) => {
+      try {
+        console.log(`📬 Message delivered: ${data.messageId} by ${socket.firebaseUid} (${socket.deviceId})`);
 
+        const messageId = await acknowledgeDelivery({ messageId: data.messageId });
+        if (!messageId) {
+          console.error(`❌ Message not found: ${data.messageId}`);
+          return;
+        }
+
+        await MessageDelivery.advanceCursor(socket.userId, socket.deviceId);
       } catch (error) {
         console.error('❌ Error marking message as delivered:', error);
       }
     });
 
-    // Handle message read status
-    socket.on('message read', async (data) => {
+    // ✅ Replay everything after this device's acked cursor (or an explicit `since` cursor)
+    socket.on('sync_since', async (data = {}) => {
+      try {
+        let since = null;
+        if (data.since) {
+          since = decodeCursor(data.since);
+          if (!since) {
+            socket.emit('sync_error', { error: 'Invalid sync cursor' });
+            return;
+          }
+        }
+
+        const count = await replayToDevice({ since, limit: data.limit });
+        console.log(`🔄 [sync_since] Replayed ${count} messages to ${socket.firebaseUid} (${socket.deviceId})`);
+      } catch (error) {
+        console.error('❌ Error handling sync_since:', error);
+        socket.emit('sync_error', { error: 'Failed to sync messages' });
+      }
+    });
+
+    // Handle message read status (moves this user's read cursor)
+    socket.on('message read', async (data = {}) => {
       try {
-        const { messageId, chatId, firebaseUid } = data;
+        const { messageId } = data;
+        const firebaseUid = socket.firebaseUid;
         
         console.log(`📖 Message read: ${messageId} by ${firebaseUid}`);
 
-        // Find user by Firebase UID
-        const user = await User.findOne({ firebaseUid });
-        if (!user) {
-          throw new Error(`User not found for Firebase UID: ${firebaseUid}`);
-        }
-
-        const message = await Message.findById(messageId);
+        const message = await findMessageForCursor(messageId);
         if (!message) {
           console.error(`❌ Message not found: ${messageId}`);
           return;
         }
 
-        // Check if user already marked as read
-        if (!message.readBy.includes(user._id)) {
-          message.readBy.push(user._id);
-          message.status = 'read';
-          await message.save();
-        }
+        const chatId = message.chat.toString();
+        const { state, advanced } = await ChatUserState.markRead(chatId, socket.userId, message);
+        if (!advanced) return;
 
         // Notify the sender that message was read by this user
-        const senderSockets = userSockets.get(message.sender.firebaseUid);
-        if (senderSockets) {
-          for (const senderSocketId of senderSockets) {
-            const senderSocket = io.sockets.sockets.get(senderSocketId);
-            if (senderSocket && senderSocket.connected) {
-              senderSocket.emit('message_read', {
-                messageId,
-                chatId,
-                readBy: firebaseUid,
-                status: 'read',
-                timestamp: new Date().toISOString()
-              });
-            }
-          }
+        if (message.sender?.firebaseUid && message.sender.firebaseUid !== firebaseUid) {
+          io.to(message.sender.firebaseUid).emit('message_read', {
+            messageId,
+            chatId,
+            readBy: firebaseUid,
+            status: 'read',
+            timestamp: new Date().toISOString()
+          });
         }
 
         // Notify all users in the chat room
@@ -1600,90 +1731,60 @@ socket.on('share_post', async (shareData) => {
           status: 'read',
           timestamp: new Date().toISOString()
         });
+        emitReadCursor(chatId, 'read', message);
+
+        // Sync the unread badge across this user's devices
+        io.to(firebaseUid).emit('unread_count_updated', {
+          chatId,
+          unreadCount: state.unreadCount
+        });
 
-        console.log(`✅ Message ${messageId} marked as read by ${firebaseUid}`);
+        console.log(`✅ Read cursor for ${firebaseUid} moved to ${messageId}`);
       } catch (error) {
         console.error('❌ Error marking message as read:', error);
       }
     });
 
-    // In the all_messages_read handler, fix the query:
-    socket.on('all_messages_read', async (data) => {
+    // Mark the whole chat read: move the read cursor to the newest message
+    socket.on('all_messages_read', async (data = {}) => {
       try {
-        const { chatId, firebaseUid } = data;
+        const { chatId } = data;
+        const firebaseUid = socket.firebaseUid;
         
         console.log(`📚 [BULK READ REQUEST] Chat: ${chatId}, User: ${firebaseUid}`);
 
-        // Find user by Firebase UID
-        const user = await User.findOne({ firebaseUid });
-        if (!user) {
-          console.error(`❌ User not found: ${firebaseUid}`);
+        if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) return;
+
+        const isMember = await Chat.exists({ _id: chatId, users: socket.userId });
+        if (!isMember) {
+          console.error(`❌ ${firebaseUid} is not a member of chat ${chatId}`);
           return;
         }
 
-        console.log(`🔍 User found: ${user._id}, Finding messages in chat: ${chatId}`);
-        
-        // ✅ FIXED: Use ObjectId for chat comparison
-        const chatObjectId = new mongoose.Types.ObjectId(chatId);
-        
-        // Find messages that:
-        // 1. Are in this chat
-        // 2. Are NOT sent by this user
-        // 3. Are NOT already read by this user
-        const unreadMessages = await Message.find({
-          chat: chatObjectId,  // ✅ Now using ObjectId
-          sender: { $ne: user._id },
-          readBy: { $ne: user._id }
-        });
-        
-        console.log(`🔍 Found ${unreadMessages.length} unread messages for user ${user._id}`);
-        
-        if (unreadMessages.length === 0) {
+        const previous = await ChatUserState.findOne({ chat: chatId, user: socket.userId }).select('unreadCount');
+        const { state, advanced, lastReadMessage } = await ChatUserState.markRead(chatId, socket.userId);
+
+        if (!advanced) {
           console.log('ℹ️ No unread messages to mark');
           return;
         }
-        
-        // Mark each message as read
-        const updatePromises = unreadMessages.map(async (message) => {
-          // Add user to readBy array if not already there
-          if (!message.readBy.includes(user._id)) {
-            message.readBy.push(user._id);
-            
-            // Update status to 'read'
-            message.status = 'read';
-            
-            await message.save();
-            return message._id;
-          }
-          return null;
-        });
-        
-        const updatedMessageIds = (await Promise.all(updatePromises)).filter(id => id !== null);
-        
-        console.log(`✅ Marked ${updatedMessageIds.length} messages as read`);
+
+        console.log(`✅ Read cursor moved to latest message in ${chatId}`);
         
         // Notify all users in the chat
         io.to(chatId).emit('all_messages_read', {
           chatId,
           readBy: firebaseUid,
-          messageCount: updatedMessageIds.length,
+          messageCount: previous?.unreadCount || 0,
+          upToMessageId: lastReadMessage._id,
           timestamp: new Date().toISOString()
         });
-        
-        // Also update individual message statuses for senders
-        for (const messageId of updatedMessageIds) {
-          const message = await Message.findById(messageId).populate('sender', 'firebaseUid');
-          if (message && message.sender) {
-            // Notify the sender specifically
-            io.to(message.sender.firebaseUid).emit('message_read', {
-              messageId: message._id,
-              chatId,
-              readBy: firebaseUid,
-              status: 'read',
-              timestamp: new Date().toISOString()
-            });
-          }
-        }
+        emitReadCursor(chatId, 'read', lastReadMessage);
+
+        io.to(firebaseUid).emit('unread_count_updated', {
+          chatId,
+          unreadCount: state.unreadCount
+        });
         
       } catch (error) {
         console.error('❌ Error in all_messages_read:', error);
@@ -1693,11 +1794,13 @@ socket.on('share_post', async (shareData) => {
     // Handle typing events
     socket.on('typing', (data) => {
       try {
-        const { chatId, userId } = data;
-        console.log(`✍️ User ${userId} typing in chat: ${chatId}`);
-        socket.to(chatId).emit('typing', {
+        // ✅ Who is typing comes from the verified token, never the payload
+        const { chatId } = data || {};
+        if (!chatId || !socket.firebaseUid || !socket.rooms.has(chatId)) return;
+        console.log(`✍️ User ${socket.firebaseUid} typing in chat: ${chatId}`);
+        socket.to(chatId).except(socket.data.hiddenUids || []).emit('typing', {
           chatId,
-          userId,
+          userId: socket.firebaseUid,
           userName: socket.userName,
           timestamp: new Date().toISOString()
         });
@@ -1708,11 +1811,13 @@ socket.on('share_post', async (shareData) => {
 
     socket.on('stop typing', (data) => {
       try {
-        const { chatId, userId } = data;
-        console.log(`🛑 User ${userId} stopped typing in chat: ${chatId}`);
-        socket.to(chatId).emit('stop typing', {
+        // ✅ Who is typing comes from the verified token, never the payload
+        const { chatId } = data || {};
+        if (!chatId || !socket.firebaseUid || !socket.rooms.has(chatId)) return;
+        console.log(`🛑 User ${socket.firebaseUid} stopped typing in chat: ${chatId}`);
+        socket.to(chatId).except(socket.data.hiddenUids || []).emit('stop typing', {
           chatId,
-          userId,
+          userId: socket.firebaseUid,
           userName: socket.userName,
           timestamp: new Date().toISOString()
         });
@@ -1722,14 +1827,16 @@ socket.on('share_post', async (shareData) => {
     });
 
     // Handle user online status (manual from frontend)
-    socket.on('user online', async (firebaseUid) => {
+    socket.on('user online', async () => {
       try {
+        const firebaseUid = socket.firebaseUid;
         console.log(`🟢 [manual] User online request: ${firebaseUid}`);
-        const updatedUser = await updateUserStatus(firebaseUid, true, 'manual_online');
+        await DeviceSession.setConnectionActive(socket.id, true);
+        const updatedUser = await refreshUserPresence(io, { firebaseUid }, 'manual_online');
         
         if (updatedUser) {
-          // Handle delayed delivery for this user
-          await handleDelayedDelivery(firebaseUid);
+          // Replay anything this device missed while offline
+          await replayToDevice();
         }
       } catch (error) {
         console.error('❌ Error updating online status:', error);
@@ -1737,10 +1844,12 @@ socket.on('share_post', async (shareData) => {
     });
 
     // Handle user offline status (manual from frontend)
-    socket.on('user offline', async (firebaseUid) => {
+    socket.on('user offline', async () => {
       try {
+        const firebaseUid = socket.firebaseUid;
         console.log(`📴 [manual] User offline request: ${firebaseUid}`);
-        await updateUserStatus(firebaseUid, false, 'manual_offline');
+        await DeviceSession.setConnectionActive(socket.id, false);
+        await refreshUserPresence(io, { firebaseUid }, 'manual_offline');
       } catch (error) {
         console.error('❌ Error updating offline status:', error);
       }
@@ -1752,47 +1861,15 @@ socket.on('share_post', async (shareData) => {
   const firebaseUid = socket.firebaseUid;
   if (!firebaseUid) return;
   
-  // Get current connection count BEFORE removing
-  const currentConnections = connectionTracker.getUserConnectionCount(firebaseUid);
-  
-  // Remove from tracker
-  const remainingConnections = connectionTracker.removeConnection(socket.id);
-  
-  console.log(`📊 Connection stats for ${firebaseUid}: Before=${currentConnections}, After=${remainingConnections}`);
-  
-  // Always update lastSeen, but only mark offline if this was the last connection
-  if (remainingConnections === 0) {
-    console.log(`🚨 Last connection for ${firebaseUid}, marking offline`);
-    await updateUserStatus(firebaseUid, false, 'disconnect_last');
-  } else {
-    console.log(`ℹ️ User ${firebaseUid} still has ${remainingConnections} active connection(s), keeping online`);
-    // Just update lastSeen without changing online status
-    await User.findOneAndUpdate(
-      { firebaseUid },
-      { 
-        $set: { 
-          lastSeen: new Date()
-        }
-      }
-    );
-  }
   // Clear heartbeat interval
   clearInterval(heartbeatInterval);
-  
-  // Remove from connected users
-  const userInfo = connectedUsers.get(socket.id);
-  connectedUsers.delete(socket.id);
-  
-  if (userInfo && userInfo.firebaseUid) {
-    // Remove from user's socket tracking
-    if (userSockets.has(userInfo.firebaseUid)) {
-      userSockets.get(userInfo.firebaseUid).delete(socket.id);
-      
-      // If this was the user's LAST socket, clean up
-      if (userSockets.get(userInfo.firebaseUid).size === 0) {
-        userSockets.delete(userInfo.firebaseUid);
-      }
-    }
+
+  try {
+    // ✅ Presence is recomputed from whatever sessions are still live
+    await DeviceSession.removeConnection(socket.id);
+    await refreshUserPresence(io, { firebaseUid }, 'disconnect');
+  } catch (error) {
+    console.error('❌ Error updating presence on disconnect:', error);
   }
 });
 
@@ -1811,15 +1888,19 @@ socket.on('share_post', async (shareData) => {
     });
     
     // Connection stats (optional)
-    socket.on('get_connection_stats', () => {
-      socket.emit('connection_stats', {
-        socketId: socket.id,
-        connectedUsers: connectedUsers.size,
-        userSockets: userSockets.size,
-        totalConnections: io.engine.clientsCount,
-        yourFirebaseUid: socket.firebaseUid,
-        yourConnections: socket.firebaseUid ? getUserActiveConnections(socket.firebaseUid) : 0
-      });
+    socket.on('get_connection_stats', async () => {
+      try {
+        socket.emit('connection_stats', {
+          socketId: socket.id,
+          deviceId: socket.deviceId,
+          localSockets: io.of('/').sockets.size,
+          totalConnections: io.engine.clientsCount,
+          yourFirebaseUid: socket.firebaseUid,
+          yourConnections: await DeviceSession.countLiveConnections(socket.userId)
+        });
+      } catch (error) {
+        console.error('❌ Error fetching connection stats:', error);
+      }
     });
   });
 };
@@ -0,0 +1,268 @@
+// Two server instances sharing a local Redis-compatible server and MongoDB:
+// room emits, presence, typing and rate limits have to reach across them.
+//
+// Needs TEST_REDIS_URL (default redis://127.0.0.1:6379) and TEST_MONGODB_URI
+// (default mongodb://127.0.0.1:27017/skybrr_cluster_test); skipped when either
+// is unreachable. The database name must contain "test": it is dropped afterwards.
+//
+// The instances are this file, forked with CLUSTER_TEST_INSTANCE set.
+
+// Server logs go to stderr: written to stdout from socket handlers, they can
+// land inside the test runner's own messages and break the run
+console.log = console.error;
+
+const http = require('http');
+const { fork } = require('child_process');
+const mongoose = require('mongoose');
+const { createClient } = require('redis');
+const { Server } = require('socket.io');
+
+const REDIS_URL = process.env.TEST_REDIS_URL || 'redis://127.0.0.1:6379';
+const MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://127.0.0.1:27017/skybrr_cluster_test';
+const MESSAGES_PER_MINUTE = 3;
+
+// Tokens look like "valid:<uid>"; anything else fails like a bad Firebase ID token
+const verifyToken = async (token) => {
+  if (typeof token !== 'string' || !token.startsWith('valid:')) {
+    const error = new Error('Decoding Firebase ID token failed');
+    error.code = 'auth/argument-error';
+    throw error;
+  }
+  return { uid: token.slice('valid:'.length), exp: Math.floor(Date.now() / 1000) + 3600 };
+};
+
+// ==================== SERVER INSTANCE ====================
+
+const runInstance = async () => {
+  const configureSocket = require('../socket/socketHandler');
+  const { attachCluster, detachCluster } = require('../socket/cluster');
+
+  await mongoose.connect(MONGODB_URI);
+
+  const httpServer = http.createServer();
+  const io = new Server(httpServer);
+  configureSocket(io, { verifyToken });
+  await attachCluster(io, { url: REDIS_URL });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  process.send({ port: httpServer.address().port });
+
+  const stop = async () => {
+    await io.close();
+    await detachCluster();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on('message', (message) => message === 'stop' && stop());
+  process.on('disconnect', () => process.exit(0));
+};
+
+// ==================== TESTS ====================
+
+const runTests = () => {
+  const { test } = require('node:test');
+  const assert = require('node:assert');
+  const { io: connectClient } = require('socket.io-client');
+  const User = require('../models/User');
+  const Chat = require('../models/Chat');
+
+  const runId = `${process.pid}-${Date.now()}`;
+  const keyPrefix = `skybrr-test:${runId}:`;
+
+  const probeRedis = async () => {
+    const client = createClient({ url: REDIS_URL, socket: { connectTimeout: 1000, reconnectStrategy: false } });
+    client.on('error', () => {});
+    try {
+      await client.connect();
+      return client;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const startInstance = () => new Promise((resolve, reject) => {
+    const env = {
+      ...process.env,
+      CLUSTER_TEST_INSTANCE: '1',
+      REDIS_KEY_PREFIX: keyPrefix,
+      REDIS_ADAPTER_KEY: `skybrr-test-io:${runId}`,
+      RATE_LIMIT_MESSAGES_PER_MINUTE: String(MESSAGES_PER_MINUTE)
+    };
+    delete env.NODE_TEST_CONTEXT;
+
+    const child = fork(__filename, [], { env, execArgv: [], stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+    child.once('message', ({ port }) => resolve({ child, url: `http://127.0.0.1:${port}` }));
+    child.once('exit', (code) => reject(new Error(`Instance exited early (${code})`)));
+  });
+
+  const stopInstance = ({ child }) => new Promise(resolve => {
+    if (child.exitCode !== null) return resolve();
+    const timer = setTimeout(() => child.kill(), 5000);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    child.send('stop');
+  });
+
+  const waitFor = (client, event, predicate = () => true, ms = 5000) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      client.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, ms);
+    const listener = (payload) => {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      client.off(event, listener);
+      resolve(payload);
+    };
+    client.on(event, listener);
+  });
+
+  test('instances share rooms, presence and rate limits through Redis', async (t) => {
+    const redis = await probeRedis();
+    if (!redis) {
+      t.skip(`no Redis-compatible server at ${REDIS_URL}`);
+      return;
+    }
+
+    try {
+      await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 1000 });
+    } catch (error) {
+      await redis.quit();
+      t.skip(`no MongoDB at ${MONGODB_URI}`);
+      return;
+    }
+
+    // The database is dropped afterwards: never point this at real data
+    if (!/test/i.test(mongoose.connection.name)) {
+      await Promise.all([redis.quit(), mongoose.disconnect()]);
+      t.skip(`database "${mongoose.connection.name}" is not a test database`);
+      return;
+    }
+
+    const alice = await User.create({ firebaseUid: `alice-${runId}`, name: 'Alice' });
+    const bob = await User.create({ firebaseUid: `bob-${runId}`, name: 'Bob' });
+    const chat = await Chat.create({ chatName: 'Cluster', users: [alice._id, bob._id] });
+    const chatId = chat._id.toString();
+
+    const instances = [];
+    const clients = [];
+    const connect = (instance, user, deviceId) => new Promise((resolve, reject) => {
+      const client = connectClient(instance.url, {
+        auth: { token: `valid:${user.firebaseUid}`, deviceId },
+        transports: ['websocket'],
+        reconnection: false
+      });
+      clients.push(client);
+      client.once('connect', () => resolve(client));
+      client.once('connect_error', reject);
+    });
+    const setup = async (client) => {
+      const done = waitFor(client, 'setup_complete');
+      client.emit('setup', {});
+      return done;
+    };
+
+    t.after(async () => {
+      clients.forEach(client => client.disconnect());
+      await Promise.all(instances.map(stopInstance));
+
+      for await (const page of redis.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 100 })) {
+        const keys = Array.isArray(page) ? page : [page];
+        if (keys.length > 0) await redis.del(keys);
+      }
+      await redis.quit();
+
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    });
+
+    instances.push(await startInstance(), await startInstance());
+    const [instanceA, instanceB] = instances;
+
+    const bobOnB = await connect(instanceB, bob, 'bob-phone');
+    await setup(bobOnB);
+
+    let aliceOnA;
+    await t.test('presence set on one instance is broadcast from the other', async () => {
+      const online = waitFor(bobOnB, 'userOnline', (event) => event.firebaseUid === alice.firebaseUid);
+      aliceOnA = await connect(instanceA, alice, 'alice-phone');
+      await setup(aliceOnA);
+
+      const event = await online;
+      assert.strictEqual(event.name, 'Alice');
+    });
+
+    // Alice hearing Bob join proves both sockets are in the room; Bob repeats
+    // the join in case it was handled before Alice's
+    const joined = waitFor(aliceOnA, 'user_joined_chat', (event) => event.userId === bob.firebaseUid);
+    aliceOnA.emit('join chat', chatId);
+    const rejoin = setInterval(() => bobOnB.emit('join chat', chatId), 200);
+    await joined.finally(() => clearInterval(rejoin));
+
+    await t.test('typing reaches a chat member on another instance', async () => {
+      const typing = waitFor(bobOnB, 'typing');
+      aliceOnA.emit('typing', { chatId, userId: bob.firebaseUid });
+
+      const event = await typing;
+      assert.strictEqual(event.chatId, chatId);
+      assert.strictEqual(event.userId, alice.firebaseUid);
+    });
+
+    await t.test('a message sent on one instance is received on the other', async () => {
+      const received = waitFor(bobOnB, 'messageReceived');
+      const sent = waitFor(aliceOnA, 'message_sent');
+      aliceOnA.emit('send_message', { chat: chatId, content: 'hello from A', messageType: 'text' });
+
+      const [message, ack] = await Promise.all([received, sent]);
+      assert.strictEqual(message.content, 'hello from A');
+      assert.strictEqual(message.sender.firebaseUid, alice.firebaseUid);
+      assert.strictEqual(String(message._id), String(ack.messageId));
+    });
+
+    await t.test('one rate limit window counts sends on every instance', async () => {
+      const bobOnA = await connect(instanceA, bob, 'bob-tablet');
+      const send = (client, tempMessageId) => {
+        const result = new Promise((resolve, reject) => {
+          const timer = setTimeout(() => reject(new Error(`No answer for ${tempMessageId}`)), 5000);
+          const settle = (outcome) => (event) => {
+            if (event.tempMessageId !== tempMessageId) return;
+            clearTimeout(timer);
+            client.off('message_sent', onSent);
+            client.off('rate_limited', onLimited);
+            resolve(outcome);
+          };
+          const onSent = settle('sent');
+          const onLimited = settle('rate_limited');
+          client.on('message_sent', onSent);
+          client.on('rate_limited', onLimited);
+        });
+        client.emit('send_message', {
+          chat: chatId,
+          content: tempMessageId,
+          messageType: 'text',
+          metadata: { tempMessageId }
+        });
+        return result;
+      };
+
+      // Alternate instances: each one alone stays under the limit
+      const results = [];
+      for (let i = 0; i <= MESSAGES_PER_MINUTE; i++) {
+        results.push(await send(i % 2 === 0 ? bobOnB : bobOnA, `burst-${i}`));
+      }
+
+      assert.deepStrictEqual(results, [...Array(MESSAGES_PER_MINUTE).fill('sent'), 'rate_limited']);
+    });
+  });
+};
+
+if (process.env.CLUSTER_TEST_INSTANCE) {
+  runInstance().catch((error) => {
+    console.error('❌ Cluster test instance failed:', error);
+    process.exit(1);
+  });
+} else {
+  runTests();
+}
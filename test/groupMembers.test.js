@@ -0,0 +1,96 @@
+// Adding group members: direct adds, invite joins and approvals share one path
+
+const mongoose = require('mongoose');
+
+// No database here: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Chat = require('../models/Chat');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const Message = require('../models/Message');
+const { addGroupMember } = require('../utils/groupChat');
+
+const admin = new User({ firebaseUid: 'uid-admin', name: 'Admin' });
+const member = new User({ firebaseUid: 'uid-member', name: 'Member' });
+const newcomer = new User({ firebaseUid: 'uid-newcomer', name: 'Newcomer' });
+
+// A request by `user` on a server whose io records which sockets joined which room
+const fakeRequest = (user) => {
+  const joined = [];
+  const io = {
+    in: (room) => ({ socketsJoin: (chatId) => joined.push({ room, chatId }) }),
+    to: () => ({ emit: () => {} })
+  };
+  return { user, joined, app: { get: (key) => (key === 'io' ? io : undefined) } };
+};
+
+const groupWithPending = (pending) => new Chat({
+  chatName: 'Group',
+  isGroupChat: true,
+  users: [admin._id, member._id],
+  groupAdmin: admin._id,
+  groupSettings: { approveNewMembers: true },
+  pendingMembers: [pending]
+});
+
+const mockGroup = (t, chat, { blockedPairs = [] } = {}) => {
+  const users = new Map([admin, member, newcomer].map(user => [user._id.toString(), user]));
+  t.mock.method(User, 'findById', (id) => ({ select: async () => users.get(id.toString()) || null }));
+  t.mock.method(Block, 'isBlockedBetween', async (a, b) => blockedPairs.some(pair =>
+    pair.includes(a.toString()) && pair.includes(b.toString())
+  ));
+  t.mock.method(chat, 'save', async function() { return this; });
+  return t.mock.method(Message, 'createSystemMessage', async (event) => ({ ...event, _id: new mongoose.Types.ObjectId() }));
+};
+
+test('approving an invite join records member_joined and joins the chat room', async (t) => {
+  const chat = groupWithPending({ user: newcomer._id, requestedBy: newcomer._id });
+  const createSystemMessage = mockGroup(t, chat);
+  const req = fakeRequest(admin);
+
+  await addGroupMember(req, chat, newcomer._id, { requestedBy: newcomer._id });
+
+  assert.ok(chat.isMember(newcomer._id));
+  assert.strictEqual(chat.pendingMembers.length, 0);
+
+  const event = createSystemMessage.mock.calls[0].arguments[0];
+  assert.strictEqual(event.action, 'member_joined');
+  assert.strictEqual(event.actor.toString(), newcomer._id.toString());
+
+  assert.deepStrictEqual(req.joined, [{ room: 'uid-newcomer', chatId: chat._id.toString() }]);
+});
+
+test('approving an add refuses users blocked by whoever asked for it', async (t) => {
+  const chat = groupWithPending({ user: newcomer._id, requestedBy: member._id });
+  const createSystemMessage = mockGroup(t, chat, {
+    blockedPairs: [[member._id.toString(), newcomer._id.toString()]]
+  });
+  const req = fakeRequest(admin);
+
+  await assert.rejects(addGroupMember(req, chat, newcomer._id, { requestedBy: member._id }), (error) => {
+    assert.strictEqual(error.statusCode, 403);
+    assert.strictEqual(error.code, 'blocked');
+    return true;
+  });
+
+  assert.ok(!chat.isMember(newcomer._id));
+  assert.strictEqual(chat.save.mock.callCount(), 0);
+  assert.strictEqual(createSystemMessage.mock.callCount(), 0);
+  assert.deepStrictEqual(req.joined, []);
+});
+
+test('an approved add is recorded as added by the member who asked', async (t) => {
+  const chat = groupWithPending({ user: newcomer._id, requestedBy: member._id });
+  const createSystemMessage = mockGroup(t, chat);
+  const req = fakeRequest(admin);
+
+  await addGroupMember(req, chat, newcomer._id, { requestedBy: member._id });
+
+  const event = createSystemMessage.mock.calls[0].arguments[0];
+  assert.strictEqual(event.action, 'member_added');
+  assert.strictEqual(event.actor.toString(), member._id.toString());
+  assert.strictEqual(event.target.toString(), newcomer._id.toString());
+});
@@ -0,0 +1,159 @@
+// Image normalization: HEIC that sharp can't decode goes through ffmpeg
+
+// Server logs go to stderr: written to stdout, they can land inside the test
+// runner's own messages and break the run
+console.log = console.error;
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { runFfmpeg } = require('../utils/ffmpeg');
+const { processImage } = require('../utils/imagePipeline');
+
+const TILE_SIZE = 64;
+
+// ==================== HEIC FIXTURE ====================
+
+const u8 = (value) => Buffer.from([value]);
+const u16 = (value) => { const buffer = Buffer.alloc(2); buffer.writeUInt16BE(value); return buffer; };
+const u32 = (value) => { const buffer = Buffer.alloc(4); buffer.writeUInt32BE(value); return buffer; };
+const box = (type, ...payload) => {
+  const body = Buffer.concat(payload);
+  return Buffer.concat([u32(body.length + 8), Buffer.from(type, 'latin1'), body]);
+};
+const fullBox = (type, version, flags, ...payload) => box(type, u8(version), u8(0), u16(flags), ...payload);
+
+// One solid-colour frame from ffmpeg's libx265, split into NAL units
+const encodeTile = async (color) => {
+  const stream = await runFfmpeg([
+    '-f', 'lavfi',
+    '-i', `color=c=${color}:s=${TILE_SIZE}x${TILE_SIZE}`,
+    '-frames:v', '1',
+    '-c:v', 'libx265',
+    '-x265-params', 'log-level=error',
+    '-f', 'hevc',
+    'pipe:1'
+  ], null);
+
+  const nalUnits = [];
+  let start = -1;
+  for (let i = 0; i + 3 <= stream.length; i++) {
+    if (stream[i] === 0 && stream[i + 1] === 0 && stream[i + 2] === 1) {
+      if (start >= 0) nalUnits.push(stream.subarray(start, i));
+      start = i + 3;
+    }
+  }
+  nalUnits.push(stream.subarray(start));
+  // A 4-byte start code leaves a zero on the end of the unit before it
+  return nalUnits.map(nalUnit => {
+    let end = nalUnit.length;
+    while (end > 0 && nalUnit[end - 1] === 0) end--;
+    return nalUnit.subarray(0, end);
+  });
+};
+
+const isParameterSet = (nalUnit) => [32, 33, 34].includes((nalUnit[0] >> 1) & 0x3F);
+
+// A HEIC laid out like a phone's: a grid of two HEVC tiles (left, right),
+// cropped to `width`, turned a quarter anti-clockwise and tagged with `icc`
+const buildHeic = (leftTile, rightTile, { width, icc }) => {
+  const parameterSets = leftTile.filter(isParameterSet);
+  const hvcC = box('hvcC',
+    Buffer.alloc(21),
+    u8(0xFC | 3), // 4-byte NAL unit lengths
+    u8(parameterSets.length),
+    ...parameterSets.flatMap(nalUnit => [u8((nalUnit[0] >> 1) & 0x3F), u16(1), u16(nalUnit.length), nalUnit])
+  );
+  const tileData = [leftTile, rightTile].map(tile => Buffer.concat(
+    tile.filter(nalUnit => !isParameterSet(nalUnit)).flatMap(nalUnit => [u32(nalUnit.length), nalUnit])
+  ));
+  const grid = Buffer.concat([u8(0), u8(0), u8(0), u8(1), u16(width), u16(TILE_SIZE)]);
+
+  // Tiles are hidden items: only the grid is an image of its own
+  const infe = (id, type, flags = 0) => fullBox('infe', 2, flags, u16(id), u16(0), Buffer.from(type, 'latin1'), u8(0));
+  const location = (id, constructionMethod, offset, length) =>
+    Buffer.concat([u16(id), u16(constructionMethod), u16(0), u16(1), u32(offset), u32(length)]);
+
+  const ftyp = box('ftyp', Buffer.from('heic', 'latin1'), u32(0), Buffer.from('mif1heic', 'latin1'));
+  const buildMeta = (mdatStart) => fullBox('meta', 0, 0,
+    fullBox('hdlr', 0, 0, u32(0), Buffer.from('pict', 'latin1'), Buffer.alloc(12), u8(0)),
+    fullBox('pitm', 0, 0, u16(3)),
+    fullBox('iinf', 0, 0, u16(3), infe(1, 'hvc1', 1), infe(2, 'hvc1', 1), infe(3, 'grid')),
+    fullBox('iref', 0, 0, box('dimg', u16(3), u16(2), u16(1), u16(2))),
+    box('iprp',
+      box('ipco',
+        hvcC,
+        fullBox('ispe', 0, 0, u32(TILE_SIZE), u32(TILE_SIZE)),
+        fullBox('ispe', 0, 0, u32(width), u32(TILE_SIZE)),
+        box('irot', u8(1)),
+        box('colr', Buffer.from('prof', 'latin1'), icc)
+      ),
+      fullBox('ipma', 0, 0, u32(3),
+        u16(1), u8(2), u8(0x81), u8(2),
+        u16(2), u8(2), u8(0x81), u8(2),
+        u16(3), u8(3), u8(3), u8(0x84), u8(5)
+      )
+    ),
+    fullBox('iloc', 1, 0, u16(0x4400), u16(3),
+      location(1, 0, mdatStart, tileData[0].length),
+      location(2, 0, mdatStart + tileData[0].length, tileData[1].length),
+      location(3, 1, 0, grid.length)
+    ),
+    box('idat', grid)
+  );
+
+  // Offsets have a fixed width, so the meta box size doesn't depend on them
+  const mdatStart = ftyp.length + buildMeta(0).length + 8;
+  return Buffer.concat([ftyp, buildMeta(mdatStart), box('mdat', ...tileData)]);
+};
+
+// ==================== TESTS ====================
+
+test('a tiled, rotated HEIC sharp cannot decode is converted to JPEG through ffmpeg', async (t) => {
+  let tiles;
+  try {
+    tiles = await Promise.all([encodeTile('red'), encodeTile('blue')]);
+  } catch (error) {
+    t.skip(`no ffmpeg with libx265 to build a HEIC with (${error.code})`);
+    return;
+  }
+
+  const p3 = await sharp({ create: { width: 1, height: 1, channels: 3, background: '#ffffff' } })
+    .withIccProfile('p3')
+    .png()
+    .toBuffer();
+  const { icc } = await sharp(p3).metadata();
+
+  const image = await processImage(buildHeic(...tiles, { width: 100, icc }), 'image/heic');
+
+  assert.strictEqual(image.mimeType, 'image/jpeg');
+  assert.strictEqual(image.normalized, true);
+  // 100x64 once cropped, then turned on its side
+  assert.strictEqual(image.width, TILE_SIZE);
+  assert.strictEqual(image.height, 100);
+  assert.ok(image.placeholder);
+
+  const output = await sharp(image.buffer).metadata();
+  assert.strictEqual(output.format, 'jpeg');
+  assert.strictEqual(output.exif, undefined);
+  assert.ok(output.icc && output.icc.equals(icc));
+
+  // The right tile ends up on top, the left one underneath
+  const pixel = async (left, top) => [...await sharp(image.buffer)
+    .extract({ left, top, width: 1, height: 1 })
+    .removeAlpha()
+    .raw()
+    .toBuffer()];
+  const [topRed, , topBlue] = await pixel(32, 10);
+  const [bottomRed, , bottomBlue] = await pixel(32, 80);
+  assert.ok(topBlue > 150 && topRed < 100, `expected blue on top, got ${topRed}/${topBlue}`);
+  assert.ok(bottomRed > 150 && bottomBlue < 100, `expected red underneath, got ${bottomRed}/${bottomBlue}`);
+});
+
+test('a HEIC neither sharp nor ffmpeg can read is refused with a 415', async () => {
+  await assert.rejects(processImage(Buffer.from('not really a heic'), 'image/heic'), (error) => {
+    assert.strictEqual(error.statusCode, 415);
+    assert.strictEqual(error.code, 'unsupported_image');
+    return true;
+  });
+});
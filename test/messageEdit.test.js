@@ -0,0 +1,53 @@
+// Message edits go through the same membership / permission checks as sends
+
+const mongoose = require('mongoose');
+
+// No database here: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Message = require('../models/Message');
+const Chat = require('../models/Chat');
+const { createHttpError } = require('../utils/httpError');
+
+const senderId = new mongoose.Types.ObjectId();
+const chatId = new mongoose.Types.ObjectId();
+
+const newMessage = () => new Message({
+  sender: senderId,
+  chat: chatId,
+  content: 'before',
+  messageType: 'text',
+  createdAt: new Date()
+});
+
+test('a sender who can no longer send in the chat cannot edit', async (t) => {
+  const assertCanSend = t.mock.method(Chat, 'assertCanSend', async () => {
+    throw createHttpError(403, 'Access denied to this chat');
+  });
+  const message = newMessage();
+  const save = t.mock.method(message, 'save', async function() { return this; });
+
+  await assert.rejects(message.applyEdit(senderId, { content: 'after' }), (error) => {
+    assert.strictEqual(error.statusCode, 403);
+    return true;
+  });
+
+  assert.deepStrictEqual(assertCanSend.mock.calls[0].arguments.map(String), [String(chatId), String(senderId)]);
+  assert.strictEqual(save.mock.callCount(), 0);
+  assert.strictEqual(message.content, 'before');
+});
+
+test('a current member edits within the window', async (t) => {
+  t.mock.method(Chat, 'assertCanSend', async () => ({ _id: chatId }));
+  const message = newMessage();
+  const save = t.mock.method(message, 'save', async function() { return this; });
+
+  await message.applyEdit(senderId, { content: 'after' });
+
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.strictEqual(message.content, 'after');
+  assert.strictEqual(message.isEdited, true);
+  assert.strictEqual(message.editHistory[0].content, 'before');
+});
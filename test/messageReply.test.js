@@ -0,0 +1,24 @@
+// Replies record the replied-to message's type, whatever it is
+
+const mongoose = require('mongoose');
+
+// No database here: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Message = require('../models/Message');
+
+test('a reply to a group event (system) message is valid', () => {
+  const reply = new Message({
+    sender: new mongoose.Types.ObjectId(),
+    chat: new mongoose.Types.ObjectId(),
+    content: 'welcome!',
+    replyTo: new mongoose.Types.ObjectId(),
+    replyContent: 'Alice added Bob',
+    replyMessageType: 'system'
+  });
+
+  const error = reply.validateSync();
+  assert.strictEqual(error && error.errors.replyMessageType, undefined);
+});
@@ -0,0 +1,180 @@
+// Push notifications through a local fake transport (setPushTransport)
+
+// Short collapse window so bursts close within the test
+process.env.PUSH_COLLAPSE_WINDOW_MS = '30';
+
+// Server logs go to stderr: written to stdout, they can land inside the test
+// runner's own messages and break the run
+console.log = console.error;
+
+const mongoose = require('mongoose');
+
+// No database here: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const ChatUserState = require('../models/ChatUserState');
+const DeviceSession = require('../models/DeviceSession');
+const Block = require('../models/Block');
+const { createMemoryStateStore, setStateStore, getStateStore } = require('../utils/stateStore');
+const { setPushTransport, queueMessagePush, flushDuePushes } = require('../utils/pushNotifications');
+
+const sender = new User({ firebaseUid: 'uid-sender', name: 'Alice' });
+const recipient = new User({ firebaseUid: 'uid-recipient', name: 'Bob' });
+const chat = new Chat({ users: [sender._id, recipient._id] });
+
+// Resolves like a populated Mongoose query
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const newMessage = (content) => ({
+  _id: new mongoose.Types.ObjectId(),
+  sender: sender._id,
+  chat: chat._id,
+  content,
+  messageType: 'text'
+});
+
+// Fake FCM: records every batch and answers per token
+const createFakeTransport = ({ failures = {} } = {}) => {
+  const batches = [];
+  let notify = () => {};
+  return {
+    batches,
+    // Push timers don't hold the process open; this wait's own timeout does
+    nextBatch: () => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No push was sent')), 2000);
+      notify = (messages) => {
+        clearTimeout(timer);
+        resolve(messages);
+      };
+    }),
+    async send(messages) {
+      batches.push(messages);
+      notify(messages);
+      return messages.map(message => ({
+        token: message.token,
+        success: !failures[message.token],
+        errorCode: failures[message.token] || null
+      }));
+    }
+  };
+};
+
+// One recipient with an offline phone and an online tablet; `messages` are findable by ID
+const mockDatabase = (t, { messages = [], recipientUser = recipient } = {}) => {
+  const byId = new Map(messages.map(message => [message._id.toString(), message]));
+
+  t.mock.method(Chat, 'findById', () => query(chat));
+  t.mock.method(User, 'findById', () => query(recipientUser));
+  t.mock.method(Message, 'findById', (id) => query({
+    ...byId.get(id.toString()),
+    sender: { _id: sender._id, name: sender.name },
+    chat: { _id: chat._id, isGroupChat: false },
+    hiddenFor: [],
+    isDeleted: false
+  }));
+  t.mock.method(ChatUserState, 'findOne', async () => null);
+  t.mock.method(Block, 'getHiddenUserIds', async () => []);
+  t.mock.method(DeviceSession, 'find', async () => [
+    { pushToken: 'token-phone', isOnline: () => false },
+    { pushToken: 'token-tablet', isOnline: () => true }
+  ]);
+  return t.mock.method(DeviceSession, 'updateMany', async () => ({ modifiedCount: 1 }));
+};
+
+beforeEach(() => {
+  setStateStore(createMemoryStateStore());
+});
+
+test('a burst in one chat becomes one push for the newest message, to offline devices only', async (t) => {
+  const messages = [newMessage('one'), newMessage('two'), newMessage('three')];
+  mockDatabase(t, { messages });
+  const transport = createFakeTransport();
+  setPushTransport(transport);
+
+  const delivered = transport.nextBatch();
+  for (const message of messages) {
+    await queueMessagePush(message);
+  }
+
+  const [push] = await delivered;
+  assert.strictEqual(transport.batches.length, 1);
+  assert.strictEqual(transport.batches[0].length, 1);
+  assert.strictEqual(push.token, 'token-phone');
+  assert.deepStrictEqual(push.notification, { title: 'Alice', body: 'three (+2 more)' });
+  assert.strictEqual(push.data.count, '3');
+  assert.strictEqual(push.data.messageId, messages[2]._id.toString());
+});
+
+test('private accounts get pushes without message content', async (t) => {
+  const message = newMessage('meet me at 6');
+  const privateRecipient = new User({
+    firebaseUid: 'uid-private',
+    name: 'Carol',
+    preferences: { privateAccount: true }
+  });
+  mockDatabase(t, { messages: [message], recipientUser: privateRecipient });
+  const transport = createFakeTransport();
+  setPushTransport(transport);
+
+  const delivered = transport.nextBatch();
+  await queueMessagePush(message);
+
+  const [push] = await delivered;
+  assert.deepStrictEqual(push.notification, { title: 'Alice', body: 'New message' });
+});
+
+test('a window left open by a stopped instance is sent once, however many instances recover it', async (t) => {
+  const message = newMessage('sent before the restart');
+  mockDatabase(t, { messages: [message] });
+  const transport = createFakeTransport();
+  setPushTransport(transport);
+
+  // What the stopped instance left in the shared store: an open window, no timer
+  const key = `${recipient._id}:${chat._id}`;
+  const store = getStateStore();
+  await store.increment(`push:burst-count:${key}`, 60 * 60 * 1000);
+  await store.set(`push:burst:${key}`, {
+    recipientId: recipient._id.toString(),
+    chatId: chat._id.toString(),
+    messageId: message._id.toString(),
+    flushAt: Date.now() - 60 * 1000
+  });
+
+  const flushed = await Promise.all([flushDuePushes(), flushDuePushes()]);
+
+  assert.deepStrictEqual(flushed.sort(), [0, 1]);
+  assert.strictEqual(transport.batches.length, 1);
+  assert.strictEqual(transport.batches[0][0].notification.body, 'sent before the restart');
+  assert.deepStrictEqual(await store.entries('push:'), []);
+});
+
+test('tokens FCM reports as unregistered are cleared', async (t) => {
+  const message = newMessage('hello');
+  const updateMany = mockDatabase(t, { messages: [message] });
+  const transport = createFakeTransport({
+    failures: { 'token-phone': 'messaging/registration-token-not-registered' }
+  });
+  setPushTransport(transport);
+
+  const delivered = transport.nextBatch();
+  await queueMessagePush(message);
+  await delivered;
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(updateMany.mock.callCount(), 1);
+  const [filter, update] = updateMany.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter.pushToken, { $in: ['token-phone'] });
+  assert.deepStrictEqual(update, { $set: { pushToken: null, pushTokenUpdatedAt: null } });
+});
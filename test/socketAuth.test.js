@@ -0,0 +1,113 @@
+// Handshake authentication through configureSocket with a local token verifier
+
+// Server logs go to stderr: written to stdout from socket handlers, they can
+// land inside the test runner's own messages and break the run
+console.log = console.error;
+
+const mongoose = require('mongoose');
+
+// No database here: queries fail straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Server } = require('socket.io');
+const { io: connectClient } = require('socket.io-client');
+const User = require('../models/User');
+const DeviceSession = require('../models/DeviceSession');
+const configureSocket = require('../socket/socketHandler');
+
+const CHAT_ID = '64c000000000000000000001';
+
+// Tokens look like "valid:<uid>"; anything else fails like a bad Firebase ID token
+const verifyToken = async (token) => {
+  if (!token.startsWith('valid:')) {
+    const error = new Error('Decoding Firebase ID token failed');
+    error.code = 'auth/argument-error';
+    throw error;
+  }
+  return { uid: token.slice('valid:'.length), exp: Math.floor(Date.now() / 1000) + 3600 };
+};
+
+const users = new Map([
+  ['uid-alice', new User({ firebaseUid: 'uid-alice', name: 'Alice', email: 'alice@example.com' })],
+  ['uid-bob', new User({ firebaseUid: 'uid-bob', name: 'Bob', email: 'bob@example.com' })]
+]);
+
+// Known users, none of whose devices were logged out
+const mockAccounts = (t) => {
+  t.mock.method(User, 'findOne', async (filter) => users.get(filter.firebaseUid) || null);
+  t.mock.method(DeviceSession, 'isRevokedFor', async () => false);
+};
+
+let io;
+let url;
+const serverSockets = new Map();
+const clients = [];
+
+before(async () => {
+  const httpServer = http.createServer();
+  io = new Server(httpServer);
+  configureSocket(io, { verifyToken });
+
+  // Stand-in for 'join chat', so typing has a room to go to
+  io.on('connection', (socket) => {
+    serverSockets.set(socket.id, socket);
+    socket.join(CHAT_ID);
+  });
+
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+after(async () => {
+  clients.forEach(client => client.disconnect());
+  await io.close();
+});
+
+const connect = (auth) => new Promise((resolve, reject) => {
+  const client = connectClient(url, { auth, transports: ['websocket'], reconnection: false });
+  clients.push(client);
+  client.once('connect', () => resolve(client));
+  client.once('connect_error', reject);
+});
+
+test('rejects a handshake without a token', async () => {
+  await assert.rejects(connect({ firebaseUid: 'uid-alice' }), (error) => {
+    assert.strictEqual(error.data.code, 'no_token');
+    return true;
+  });
+});
+
+test('rejects a handshake with a token that fails verification', async () => {
+  await assert.rejects(connect({ token: 'forged', firebaseUid: 'uid-alice' }), (error) => {
+    assert.strictEqual(error.data.code, 'invalid_token');
+    return true;
+  });
+});
+
+test('takes the socket identity from the verified token, not the payload', async (t) => {
+  mockAccounts(t);
+
+  const client = await connect({ token: 'valid:uid-alice', firebaseUid: 'uid-bob' });
+  const socket = serverSockets.get(client.id);
+
+  assert.strictEqual(socket.firebaseUid, 'uid-alice');
+  assert.strictEqual(socket.userId.toString(), users.get('uid-alice')._id.toString());
+  assert.strictEqual(socket.userName, 'Alice');
+});
+
+test('typing events name the token holder, whatever the payload claims', async (t) => {
+  mockAccounts(t);
+
+  const alice = await connect({ token: 'valid:uid-alice' });
+  const bob = await connect({ token: 'valid:uid-bob' });
+
+  const typing = new Promise(resolve => bob.once('typing', resolve));
+  alice.emit('typing', { chatId: CHAT_ID, userId: 'uid-bob' });
+
+  const event = await typing;
+  assert.strictEqual(event.userId, 'uid-alice');
+  assert.strictEqual(event.userName, 'Alice');
+});
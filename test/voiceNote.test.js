@@ -0,0 +1,42 @@
+// Voice note uploads can only be sent by whoever uploaded them
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStateStore, setStateStore } = require('../utils/stateStore');
+const { saveVoiceNoteUpload, getVoiceNoteMessageFields } = require('../utils/voiceNote');
+
+const uploaderId = '64b000000000000000000001';
+const otherUserId = '64b000000000000000000002';
+
+beforeEach(async () => {
+  setStateStore(createMemoryStateStore());
+  await saveVoiceNoteUpload('upload-1', uploaderId, {
+    fileUrl: 'https://cdn.example.com/voice.m4a',
+    fileName: 'voice.m4a',
+    duration: 3.2,
+    waveform: [0.1, 0.5, 0.3],
+    mimeType: 'audio/mp4',
+    fileSize: 2048
+  });
+});
+
+test('another user cannot send someone else\'s voice note upload', async () => {
+  await assert.rejects(getVoiceNoteMessageFields('upload-1', otherUserId), (error) => {
+    assert.strictEqual(error.statusCode, 403);
+    assert.strictEqual(error.code, 'voice_note_forbidden');
+    return true;
+  });
+});
+
+test('the uploader gets the measured fields', async () => {
+  const fields = await getVoiceNoteMessageFields('upload-1', uploaderId);
+
+  assert.strictEqual(fields.fileUrl, 'https://cdn.example.com/voice.m4a');
+  assert.strictEqual(fields.uploadId, 'upload-1');
+  assert.deepStrictEqual(fields.voiceNote, {
+    duration: 3.2,
+    waveform: [0.1, 0.5, 0.3],
+    mimeType: 'audio/mp4',
+    fileSize: 2048
+  });
+});
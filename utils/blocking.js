@@ -0,0 +1,39 @@
+const User = require('../models/User');
+const Block = require('../models/Block');
+const { onInstanceEvent, requestInstances } = require('../socket/cluster');
+
+// Firebase UIDs (= personal socket rooms) of everyone blocked by or blocking this user
+const getHiddenFirebaseUids = async (userId) => {
+  const ids = await Block.getHiddenUserIds(userId);
+  if (ids.length === 0) return [];
+
+  const users = await User.find({ _id: { $in: ids } }).select('firebaseUid').lean();
+  return users.map(user => user.firebaseUid).filter(Boolean);
+};
+
+// socket.data can only be written on sockets held by this process,
+// so every instance updates its own sockets for the user
+onInstanceEvent('block_list_updated', async ({ firebaseUid, hiddenUids }, io) => {
+  const sockets = await io.local.in(firebaseUid).fetchSockets();
+  sockets.forEach(socket => {
+    socket.data.hiddenUids = hiddenUids;
+  });
+  return sockets.length;
+});
+
+// Re-cache the hidden list on every connected socket of these users (typing/presence use it)
+const refreshSocketBlockLists = async (io, users) => {
+  if (!io) return;
+
+  await Promise.all(users.map(async (user) => {
+    if (!user || !user.firebaseUid) return;
+
+    const hiddenUids = await getHiddenFirebaseUids(user._id);
+    await requestInstances(io, 'block_list_updated', { firebaseUid: user.firebaseUid, hiddenUids });
+  }));
+};
+
+module.exports = {
+  getHiddenFirebaseUids,
+  refreshSocketBlockLists
+};
@@ -0,0 +1,347 @@
+// Resumable chunked uploads.
+//
+// A client creates a session, PUTs chunks at byte offsets (in any order,
+// retrying freely), asks which ranges arrived after a reconnect, and then
+// finalizes. Chunks are streamed straight into a staging file on this
+// instance's disk, so memory use doesn't grow with the file size. The
+// session record lives in the shared state store; its staging file doesn't,
+// so chunks must reach the instance that created the session.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { getStateStore, INSTANCE_ID } = require('./stateStore');
+const { createHttpError } = require('./httpError');
+
+const CHUNK_UPLOAD_DIR = process.env.CHUNK_UPLOAD_DIR || path.join(os.tmpdir(), 'skybrr-uploads');
+const UPLOAD_CHUNK_SIZE = Number(process.env.UPLOAD_CHUNK_SIZE) || 5 * 1024 * 1024;
+const UPLOAD_CHUNK_MAX_BYTES = Number(process.env.UPLOAD_CHUNK_MAX_BYTES) || 16 * 1024 * 1024;
+const CHUNKED_UPLOAD_MAX_BYTES = Number(process.env.CHUNKED_UPLOAD_MAX_BYTES) || 500 * 1024 * 1024;
+
+// Unfinished sessions (and their staged chunks) are dropped after this
+const SESSION_TTL_MS = (Number(process.env.CHUNKED_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const SESSION_PREFIX = 'upload:session:';
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+const UPLOAD_ID_PATTERN = /^[\w-]{1,128}$/;
+
+const stagingPath = (uploadId) => path.join(CHUNK_UPLOAD_DIR, `${uploadId}.part`);
+
+const saveSession = (session) =>
+  getStateStore().set(SESSION_PREFIX + session.uploadId, session, { ttlMs: SESSION_TTL_MS });
+
+const getSession = (uploadId) => getStateStore().get(SESSION_PREFIX + uploadId);
+
+// ==================== RANGES ====================
+
+// Received bytes as sorted, merged [start, end) pairs
+const addRange = (ranges, start, end) => {
+  const merged = [];
+  let current = [start, end];
+
+  [...ranges].sort((a, b) => a[0] - b[0]).forEach(([rangeStart, rangeEnd]) => {
+    if (rangeEnd < current[0] || rangeStart > current[1]) {
+      merged.push([rangeStart, rangeEnd]);
+    } else {
+      current = [Math.min(rangeStart, current[0]), Math.max(rangeEnd, current[1])];
+    }
+  });
+
+  merged.push(current);
+  return merged.sort((a, b) => a[0] - b[0]);
+};
+
+const countBytes = (ranges) => ranges.reduce((total, [start, end]) => total + (end - start), 0);
+
+const getMissingRanges = (session) => {
+  const missing = [];
+  let position = 0;
+  session.ranges.forEach(([start, end]) => {
+    if (start > position) missing.push([position, start]);
+    position = Math.max(position, end);
+  });
+  if (position < session.totalSize) missing.push([position, session.totalSize]);
+  return missing;
+};
+
+// What clients need to resume: received and missing ranges, next offset to send
+const describeSession = (session) => {
+  const missingRanges = getMissingRanges(session);
+  return {
+    uploadId: session.uploadId,
+    status: session.status,
+    fileName: session.fileName,
+    mimeType: session.mimeType,
+    totalSize: session.totalSize,
+    receivedBytes: session.receivedBytes,
+    chunkSize: session.chunkSize,
+    receivedRanges: session.ranges,
+    missingRanges,
+    nextOffset: missingRanges.length > 0 ? missingRanges[0][0] : null,
+    isComplete: missingRanges.length === 0,
+    expiresAt: session.expiresAt
+  };
+};
+
+// ==================== SESSIONS ====================
+
+// Writes to one session run one at a time, so range updates don't race
+const sessionLocks = new Map();
+
+const withSessionLock = async (uploadId, fn) => {
+  const previous = sessionLocks.get(uploadId) || Promise.resolve();
+  const current = previous.catch(() => {}).then(fn);
+  sessionLocks.set(uploadId, current);
+  try {
+    return await current;
+  } finally {
+    if (sessionLocks.get(uploadId) === current) {
+      sessionLocks.delete(uploadId);
+    }
+  }
+};
+
+// Load a session this instance can write to, or throw
+const getLocalSession = async (uploadId) => {
+  const session = UPLOAD_ID_PATTERN.test(uploadId || '') ? await getSession(uploadId) : null;
+  if (!session) {
+    throw createHttpError(404, 'Upload session not found or expired', 'upload_session_not_found');
+  }
+  if (session.instanceId !== INSTANCE_ID) {
+    throw createHttpError(409, 'Upload session belongs to another server instance', 'upload_session_elsewhere');
+  }
+  return session;
+};
+
+/**
+ * Start a session. `uploadId` may come from the client (so progress and
+ * cancel keep working with its own IDs); reusing a live one is rejected.
+ */
+const createUploadSession = async ({ uploadId, fileName, mimeType, totalSize, ...details }) => {
+  if (!UPLOAD_ID_PATTERN.test(uploadId)) {
+    throw createHttpError(400, 'uploadId may only contain letters, numbers, "_" and "-"', 'invalid_upload_id');
+  }
+  if (!Number.isInteger(totalSize) || totalSize <= 0) {
+    throw createHttpError(400, 'totalSize must be a positive number of bytes', 'invalid_total_size');
+  }
+  if (totalSize > CHUNKED_UPLOAD_MAX_BYTES) {
+    throw createHttpError(413, `Files can be at most ${Math.round(CHUNKED_UPLOAD_MAX_BYTES / 1024 / 1024)}MB`, 'upload_too_large');
+  }
+  if (await getSession(uploadId)) {
+    throw createHttpError(409, 'An upload session with this ID already exists', 'upload_session_exists');
+  }
+
+  await fs.promises.mkdir(CHUNK_UPLOAD_DIR, { recursive: true });
+  const handle = await fs.promises.open(stagingPath(uploadId), 'w');
+  await handle.close();
+
+  const now = Date.now();
+  const session = {
+    uploadId,
+    fileName,
+    mimeType,
+    totalSize,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    ranges: [],
+    receivedBytes: 0,
+    status: 'receiving',
+    instanceId: INSTANCE_ID,
+    createdAt: now,
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString(),
+    ...details
+  };
+  await saveSession(session);
+
+  return session;
+};
+
+// Stops a request body once it goes past `limit` bytes
+const byteLimit = (limit, counter) => new Transform({
+  transform(chunk, encoding, callback) {
+    counter.bytes += chunk.length;
+    if (counter.bytes > limit) {
+      callback(createHttpError(413, 'Chunk is larger than the session allows', 'chunk_too_large'));
+    } else {
+      callback(null, chunk);
+    }
+  }
+});
+
+/**
+ * Stream one chunk from `body` into the staging file at `offset`.
+ * Resolves to the updated session.
+ */
+const writeUploadChunk = (uploadId, offset, body) => withSessionLock(uploadId, async () => {
+  const session = await getLocalSession(uploadId);
+
+  if (session.status !== 'receiving') {
+    throw createHttpError(409, `Upload is already ${session.status}`, 'upload_not_receiving');
+  }
+  if (!Number.isInteger(offset) || offset < 0 || offset >= session.totalSize) {
+    throw createHttpError(400, `offset must be between 0 and ${session.totalSize - 1}`, 'invalid_offset');
+  }
+
+  const limit = Math.min(UPLOAD_CHUNK_MAX_BYTES, session.totalSize - offset);
+  const counter = { bytes: 0 };
+  const limiter = byteLimit(limit, counter);
+  const file = fs.createWriteStream(stagingPath(uploadId), { flags: 'r+', start: offset });
+
+  // Piped by hand: pipeline() would destroy the request, and with it the response
+  const onClose = () => {
+    if (!body.complete) {
+      limiter.destroy(createHttpError(400, 'Chunk upload was interrupted', 'chunk_interrupted'));
+    }
+  };
+  body.once('close', onClose);
+  body.pipe(limiter);
+
+  let writeError = null;
+  try {
+    await pipeline(limiter, file);
+  } catch (error) {
+    writeError = error;
+    body.unpipe(limiter);
+    body.resume();
+  } finally {
+    body.removeListener('close', onClose);
+  }
+
+  // Staging file removed under us: the upload was cancelled
+  if (writeError && writeError.code === 'ENOENT') {
+    throw createHttpError(404, 'Upload session not found or expired', 'upload_session_not_found');
+  }
+
+  // Whatever reached the disk counts, so an interrupted chunk resumes where it stopped
+  const written = Math.min(file.bytesWritten, limit);
+  if (written === 0) {
+    throw writeError || createHttpError(400, 'Chunk is empty', 'empty_chunk');
+  }
+
+  // Re-read: a cancel may have landed while the chunk streamed in
+  const latest = await getLocalSession(uploadId);
+  if (latest.status !== 'receiving') {
+    throw createHttpError(409, `Upload is already ${latest.status}`, 'upload_not_receiving');
+  }
+
+  latest.ranges = addRange(latest.ranges, offset, offset + written);
+  latest.receivedBytes = countBytes(latest.ranges);
+  await saveSession(latest);
+
+  if (writeError) throw writeError;
+  return latest;
+});
+
+/**
+ * Check every byte arrived and hand the staged file over for storing.
+ * Resolves to { session, filePath }; call discardUploadSession when done.
+ */
+const finalizeUploadSession = (uploadId) => withSessionLock(uploadId, async () => {
+  const session = await getLocalSession(uploadId);
+
+  if (session.status !== 'receiving') {
+    throw createHttpError(409, `Upload is already ${session.status}`, 'upload_not_receiving');
+  }
+
+  const missingRanges = getMissingRanges(session);
+  if (missingRanges.length > 0) {
+    const error = createHttpError(409, 'Some chunks have not been received yet', 'upload_incomplete');
+    error.missingRanges = missingRanges;
+    throw error;
+  }
+
+  session.status = 'finalizing';
+  await saveSession(session);
+
+  return { session, filePath: stagingPath(uploadId) };
+});
+
+// Storing failed: let the client retry finalizing without resending chunks
+const reopenUploadSession = (uploadId) => withSessionLock(uploadId, async () => {
+  const session = await getSession(uploadId);
+  if (!session || session.status !== 'finalizing') return;
+
+  session.status = 'receiving';
+  await saveSession(session);
+});
+
+// Drop a session and its staged chunks; never throws
+const discardUploadSession = async (uploadId) => {
+  if (!UPLOAD_ID_PATTERN.test(uploadId || '')) return false;
+
+  const [removed] = await Promise.all([
+    getStateStore().delete(SESSION_PREFIX + uploadId).catch((error) => {
+      console.error(`❌ Failed to clear upload session ${uploadId}:`, error.message);
+      return false;
+    }),
+    fs.promises.unlink(stagingPath(uploadId)).catch(() => {})
+  ]);
+  return removed;
+};
+
+// Cancel this instance's sessions by ID and/or batch; resolves to the cancelled IDs
+const cancelLocalSessions = async ({ uploadIds = [], batchId = null }) => {
+  const sessions = await getStateStore().entries(SESSION_PREFIX);
+  const cancelledIds = [];
+
+  for (const [, session] of sessions) {
+    if (session.instanceId !== INSTANCE_ID) continue;
+    if (!uploadIds.includes(session.uploadId) && !(batchId && session.batchId === batchId)) continue;
+
+    // No lock: a chunk still streaming in notices on its own and fails
+    await discardUploadSession(session.uploadId);
+    cancelledIds.push(session.uploadId);
+  }
+
+  return cancelledIds;
+};
+
+// Staged files whose session expired (or never got saved) are left behind
+const sweepStagedUploads = async () => {
+  let files;
+  try {
+    files = await fs.promises.readdir(CHUNK_UPLOAD_DIR);
+  } catch (error) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const file of files) {
+    if (!file.endsWith('.part')) continue;
+    const uploadId = file.slice(0, -'.part'.length);
+    const filePath = path.join(CHUNK_UPLOAD_DIR, file);
+
+    try {
+      const stats = await fs.promises.stat(filePath);
+      if (Date.now() - stats.mtimeMs < SESSION_TTL_MS) continue;
+      if (await getSession(uploadId)) continue;
+
+      await fs.promises.unlink(filePath);
+      removed++;
+    } catch (error) {
+      // Gone already, or the store is down: try again next sweep
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`🧹 Removed ${removed} expired chunked upload(s)`);
+  }
+  return removed;
+};
+
+setInterval(sweepStagedUploads, SWEEP_INTERVAL_MS).unref();
+
+module.exports = {
+  UPLOAD_CHUNK_SIZE,
+  UPLOAD_CHUNK_MAX_BYTES,
+  CHUNKED_UPLOAD_MAX_BYTES,
+  getSession,
+  describeSession,
+  createUploadSession,
+  writeUploadChunk,
+  finalizeUploadSession,
+  reopenUploadSession,
+  discardUploadSession,
+  cancelLocalSessions,
+  sweepStagedUploads
+};
@@ -0,0 +1,294 @@
+// Email digest of unread chats and pending message requests.
+//
+// runEmailDigest() is run on a schedule (see server.js). A user gets a
+// digest when they have unread messages or pending requests that have
+// gone unseen for DIGEST_UNSEEN_HOURS, at most once per
+// DIGEST_INTERVAL_HOURS, and only for activity since their last digest.
+// Muted and archived chats are left out.
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const ChatUserState = require('../models/ChatUserState');
+const MessageRequest = require('../models/MessageRequest');
+const { sendMail } = require('./mailer');
+const { getMessagePreview } = require('./messageEvents');
+const { buildCursorFilter } = require('./messageCursor');
+const { createHttpError } = require('./httpError');
+
+const HOUR = 60 * 60 * 1000;
+
+const DIGEST_UNSEEN_HOURS = Number(process.env.DIGEST_UNSEEN_HOURS) || 24;
+const DIGEST_INTERVAL_HOURS = Number(process.env.DIGEST_INTERVAL_HOURS) || 24;
+const MAX_DIGEST_ITEMS = 10;
+const PREVIEW_MAX_LENGTH = 80;
+
+const UNSUBSCRIBE_PURPOSE = 'email_unsubscribe';
+
+// ==================== UNSUBSCRIBE TOKENS ====================
+
+const getUnsubscribeSecret = () => {
+  const secret = process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('EMAIL_UNSUBSCRIBE_SECRET (or JWT_SECRET) is required to send digests');
+  }
+  return secret;
+};
+
+// Long-lived: links in old emails keep working
+const createUnsubscribeToken = (userId) => jwt.sign(
+  { sub: userId.toString(), purpose: UNSUBSCRIBE_PURPOSE },
+  getUnsubscribeSecret()
+);
+
+// Resolves to the user ID in the token, or throws a 400
+const verifyUnsubscribeToken = (token) => {
+  try {
+    const payload = jwt.verify(String(token || ''), getUnsubscribeSecret());
+    if (payload.purpose !== UNSUBSCRIBE_PURPOSE || !payload.sub) {
+      throw new Error('Wrong token purpose');
+    }
+    return payload.sub;
+  } catch (error) {
+    throw createHttpError(400, 'Invalid or expired unsubscribe link', 'invalid_unsubscribe_token');
+  }
+};
+
+const getUnsubscribeUrl = (userId) => {
+  const baseUrl = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+  return `${baseUrl}/api/notifications/email/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId))}`;
+};
+
+// ==================== COLLECTING ====================
+
+const truncate = (text) => (text.length > PREVIEW_MAX_LENGTH
+  ? `${text.substring(0, PREVIEW_MAX_LENGTH - 1)}…`
+  : text);
+
+/**
+ * Unread chats and pending requests worth mailing to a user.
+ * `since` is the previous digest: only newer activity is included.
+ */
+const collectDigest = async (user, { since = null, now = new Date() } = {}) => {
+  const unseenCutoff = new Date(now.getTime() - DIGEST_UNSEEN_HOURS * HOUR);
+
+  const states = await ChatUserState.find({ user: user._id, unreadCount: { $gt: 0 } })
+    .populate('chat', 'chatName isGroupChat');
+
+  const chats = [];
+  for (const state of states) {
+    if (!state.chat || state.isCurrentlyMuted() || state.isArchived) continue;
+
+    const unreadFilter = {
+      chat: state.chat._id,
+      sender: { $ne: user._id },
+      hiddenFor: { $ne: user._id },
+      messageType: { $ne: 'system' },
+      isDeleted: { $ne: true },
+      ...(state.lastReadAt && buildCursorFilter('after', {
+        createdAt: state.lastReadAt,
+        _id: state.lastReadMessage
+      }))
+    };
+
+    const [oldestUnread, latestUnread] = await Promise.all([
+      Message.findOne(unreadFilter).sort({ createdAt: 1, _id: 1 }).select('createdAt'),
+      Message.findOne(unreadFilter).sort({ createdAt: -1, _id: -1 })
+        .populate('sender', 'name')
+    ]);
+
+    if (!oldestUnread || oldestUnread.createdAt > unseenCutoff) continue;
+    if (since && latestUnread.createdAt <= since) continue;
+
+    chats.push({
+      chatId: state.chat._id,
+      name: state.chat.isGroupChat
+        ? state.chat.chatName || 'Group chat'
+        : latestUnread.sender?.name || 'Someone',
+      isGroupChat: state.chat.isGroupChat,
+      unreadCount: state.unreadCount,
+      lastSender: latestUnread.sender?.name || 'Someone',
+      preview: truncate(getMessagePreview(latestUnread) || 'New message'),
+      lastMessageAt: latestUnread.createdAt
+    });
+  }
+
+  chats.sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+
+  const requests = await MessageRequest.find({
+    receiver: user._id,
+    status: 'pending',
+    isRead: false,
+    createdAt: { $lte: unseenCutoff, ...(since && { $gt: since }) },
+    expiresAt: { $gt: now }
+  })
+    .sort({ createdAt: -1 })
+    .limit(MAX_DIGEST_ITEMS)
+    .populate('sender', 'name');
+
+  return {
+    chats: chats.slice(0, MAX_DIGEST_ITEMS),
+    totalUnreadChats: chats.length,
+    totalUnreadMessages: chats.reduce((total, chat) => total + chat.unreadCount, 0),
+    requests: requests.map(request => ({
+      requestId: request._id,
+      senderName: request.sender?.name || 'Someone',
+      preview: truncate(request.initialMessage || ''),
+      createdAt: request.createdAt
+    }))
+  };
+};
+
+// ==================== RENDERING ====================
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderDigest = (user, digest, unsubscribeUrl) => {
+  const parts = [];
+  if (digest.totalUnreadMessages > 0) {
+    parts.push(`${digest.totalUnreadMessages} unread message${digest.totalUnreadMessages === 1 ? '' : 's'}`);
+  }
+  if (digest.requests.length > 0) {
+    parts.push(`${digest.requests.length} message request${digest.requests.length === 1 ? '' : 's'}`);
+  }
+  const subject = `You have ${parts.join(' and ')} on Skybrr`;
+  const greeting = `Hi ${user.name || 'there'},`;
+
+  const chatLines = digest.chats.map(chat => (chat.isGroupChat
+    ? `- ${chat.name} (${chat.unreadCount}): ${chat.lastSender}: ${chat.preview}`
+    : `- ${chat.name} (${chat.unreadCount}): ${chat.preview}`));
+  const moreChats = digest.totalUnreadChats - digest.chats.length;
+  const requestLines = digest.requests.map(request => `- ${request.senderName}: ${request.preview}`);
+
+  const text = [
+    greeting,
+    '',
+    ...(chatLines.length > 0 ? ['Unread chats:', ...chatLines] : []),
+    ...(moreChats > 0 ? [`...and ${moreChats} more`] : []),
+    ...(chatLines.length > 0 && requestLines.length > 0 ? [''] : []),
+    ...(requestLines.length > 0 ? ['Message requests waiting for you:', ...requestLines] : []),
+    '',
+    'Open the app to catch up.',
+    '',
+    `Don't want these emails? Unsubscribe: ${unsubscribeUrl}`
+  ].join('\n');
+
+  const chatItems = digest.chats.map(chat => `<li><strong>${escapeHtml(chat.name)}</strong> (${chat.unreadCount})<br>${
+    chat.isGroupChat ? `${escapeHtml(chat.lastSender)}: ` : ''
+  }${escapeHtml(chat.preview)}</li>`).join('');
+  const requestItems = digest.requests.map(request =>
+    `<li><strong>${escapeHtml(request.senderName)}</strong><br>${escapeHtml(request.preview)}</li>`
+  ).join('');
+
+  const html = [
+    `<p>${escapeHtml(greeting)}</p>`,
+    chatItems && `<h3>Unread chats</h3><ul>${chatItems}</ul>`,
+    moreChats > 0 && `<p>...and ${moreChats} more</p>`,
+    requestItems && `<h3>Message requests waiting for you</h3><ul>${requestItems}</ul>`,
+    '<p>Open the app to catch up.</p>',
+    `<p style="font-size:12px;color:#888">Don't want these emails? <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`
+  ].filter(Boolean).join('\n');
+
+  return { subject, text, html };
+};
+
+// ==================== SENDING ====================
+
+/**
+ * Send one user's digest if they have anything to report.
+ * Claims the send with an atomic update so concurrent runs on several
+ * instances can't mail the same user twice. Resolves to true when sent.
+ */
+const sendDigestToUser = async (user, now = new Date()) => {
+  const previousSentAt = user.emailDigest?.lastSentAt || null;
+  const digest = await collectDigest(user, { since: previousSentAt, now });
+  if (digest.chats.length === 0 && digest.requests.length === 0) return false;
+
+  const claimed = await User.findOneAndUpdate(
+    { _id: user._id, 'emailDigest.lastSentAt': previousSentAt },
+    { $set: { 'emailDigest.lastSentAt': now } }
+  );
+  if (!claimed) return false;
+
+  const unsubscribeUrl = getUnsubscribeUrl(user._id);
+  const { subject, text, html } = renderDigest(user, digest, unsubscribeUrl);
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject,
+      text,
+      html,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  } catch (error) {
+    // Give the next run another chance
+    await User.updateOne(
+      { _id: user._id, 'emailDigest.lastSentAt': now },
+      { $set: { 'emailDigest.lastSentAt': previousSentAt } }
+    );
+    throw error;
+  }
+
+  return true;
+};
+
+let running = false;
+
+// One pass over every user due a digest; resolves to { checked, sent, failed }
+const runEmailDigest = async () => {
+  const stats = { checked: 0, sent: 0, failed: 0 };
+  if (running) {
+    console.log('⏭️ Email digest already running, skipping this tick');
+    return stats;
+  }
+  running = true;
+
+  try {
+    const now = new Date();
+    const dueBefore = new Date(now.getTime() - DIGEST_INTERVAL_HOURS * HOUR);
+
+    const cursor = User.find({
+      email: { $exists: true, $ne: null },
+      'preferences.emailNotifications': { $ne: false },
+      'moderation.isSuspended': { $ne: true },
+      $or: [
+        { 'emailDigest.lastSentAt': null },
+        { 'emailDigest.lastSentAt': { $lte: dueBefore } }
+      ]
+    })
+      .select('name email emailDigest')
+      .cursor();
+
+    for await (const user of cursor) {
+      stats.checked++;
+      try {
+        if (await sendDigestToUser(user, now)) stats.sent++;
+      } catch (error) {
+        stats.failed++;
+        console.error(`❌ Email digest failed for ${user.email}:`, error.message);
+      }
+    }
+
+    console.log(`📧 Email digest: ${stats.sent} sent, ${stats.failed} failed, ${stats.checked} users checked`);
+    return stats;
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  collectDigest,
+  renderDigest,
+  sendDigestToUser,
+  runEmailDigest
+};
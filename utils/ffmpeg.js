@@ -0,0 +1,204 @@
+// Thin wrapper around the ffmpeg binary: FFMPEG_PATH, else the bundled
+// @ffmpeg-installer build when it's installed, else `ffmpeg` on PATH.
+// Input goes through a temp file because containers like mp4/m4a need a
+// seekable input; output is read from stdout.
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const resolveFfmpegPath = () => {
+  if (process.env.FFMPEG_PATH) return process.env.FFMPEG_PATH;
+  try {
+    return require('@ffmpeg-installer/ffmpeg').path;
+  } catch (error) {
+    return 'ffmpeg';
+  }
+};
+
+const FFMPEG_PATH = resolveFfmpegPath();
+const FFMPEG_TIMEOUT_MS = parseInt(process.env.FFMPEG_TIMEOUT_MS) || 60 * 1000;
+
+const ffmpegError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Run ffmpeg with `args`, feeding `input` (if any) on stdin.
+ * Resolves to { stdout, stderr } on success. Rejects with code
+ * 'ffmpeg_unavailable' when the binary can't be found, 'ffmpeg_timeout'
+ * when it runs too long and 'ffmpeg_failed' otherwise.
+ */
+const execFfmpeg = (args, input, {
+  timeoutMs = FFMPEG_TIMEOUT_MS,
+  logLevel = 'error'
+} = {}) => new Promise((resolve, reject) => {
+  const child = spawn(FFMPEG_PATH, ['-hide_banner', '-loglevel', logLevel, ...args], {
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+
+  const stdout = [];
+  let stderr = '';
+  let settled = false;
+
+  const finish = (error, result) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    if (error) reject(error);
+    else resolve(result);
+  };
+
+  const timer = setTimeout(() => {
+    child.kill('SIGKILL');
+    finish(ffmpegError(`ffmpeg timed out after ${timeoutMs}ms`, 'ffmpeg_timeout'));
+  }, timeoutMs);
+
+  child.stdout.on('data', chunk => stdout.push(chunk));
+  child.stderr.on('data', chunk => {
+    // Keep only the tail; that's where the reason is
+    stderr = (stderr + chunk.toString()).slice(-8000);
+  });
+
+  child.on('error', (error) => {
+    if (error.code === 'ENOENT') {
+      finish(ffmpegError(`ffmpeg not found at "${FFMPEG_PATH}" (set FFMPEG_PATH)`, 'ffmpeg_unavailable'));
+    } else {
+      finish(error);
+    }
+  });
+
+  child.on('close', (code) => {
+    if (code === 0) {
+      finish(null, { stdout: Buffer.concat(stdout), stderr });
+    } else {
+      const error = ffmpegError(`ffmpeg exited with code ${code}: ${stderr.trim().slice(-2000)}`, 'ffmpeg_failed');
+      error.stderr = stderr;
+      finish(error);
+    }
+  });
+
+  // ffmpeg may stop reading early (e.g. on bad input); that's reported on close
+  child.stdin.on('error', () => {});
+  child.stdin.end(input);
+});
+
+// Same as execFfmpeg, resolving to stdout only
+const runFfmpeg = async (args, input, options) => (await execFfmpeg(args, input, options)).stdout;
+
+// Write `input` to a temp file for the duration of `fn(filePath)`;
+// a string is taken as a path to an existing file and used as is
+const withTempFile = async (input, fn) => {
+  if (typeof input === 'string') return fn(input);
+
+  const filePath = path.join(os.tmpdir(), `skybrr-${crypto.randomUUID()}`);
+  await fs.writeFile(filePath, input);
+  try {
+    return await fn(filePath);
+  } finally {
+    await fs.unlink(filePath).catch(() => {});
+  }
+};
+
+// Decode any audio ffmpeg understands to mono signed 16-bit PCM
+const decodeAudioToPcm = (input, { sampleRate = 8000 } = {}) => withTempFile(input, filePath => runFfmpeg([
+  '-i', filePath,
+  '-vn',
+  '-ac', '1',
+  '-ar', String(sampleRate),
+  '-f', 's16le',
+  'pipe:1'
+], null));
+
+// Decode a raw HEVC (Annex B) stream to packed 8-bit RGB, frames back to back
+const decodeHevcToRgb = (input) => runFfmpeg([
+  '-f', 'hevc',
+  '-i', 'pipe:0',
+  '-vsync', 'passthrough',
+  '-f', 'rawvideo',
+  '-pix_fmt', 'rgb24',
+  'pipe:1'
+], input);
+
+const parseTimestamp = (value) => {
+  const [hours, minutes, seconds] = value.split(':').map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+};
+
+// Pull duration, size and rotation out of ffmpeg's input summary
+const parseVideoInfo = (log) => {
+  const durationMatch = log.match(/Duration: (\d+:\d+:\d+(?:\.\d+)?)/);
+  const streamLine = log.split('\n').find(line => /Stream #\S+.*: Video:/.test(line)) || '';
+  const sizeMatch = streamLine.match(/, (\d{2,5})x(\d{2,5})/);
+  const rotateMatch = log.match(/rotate\s*:\s*(-?\d+)/) ||
+    log.match(/rotation of (-?\d+(?:\.\d+)?) degrees/);
+
+  if (!sizeMatch) return null;
+
+  let width = Number(sizeMatch[1]);
+  let height = Number(sizeMatch[2]);
+
+  // Phones record sideways and flag it; report the size as displayed
+  const rotation = rotateMatch ? Math.abs(Math.round(Number(rotateMatch[1]))) % 180 : 0;
+  if (rotation === 90) {
+    [width, height] = [height, width];
+  }
+
+  return {
+    width,
+    height,
+    duration: durationMatch ? Math.round(parseTimestamp(durationMatch[1]) * 100) / 100 : 0
+  };
+};
+
+/**
+ * Probe a video (Buffer or file path) and grab a JPEG poster frame.
+ * Resolves to { width, height, duration (seconds), posterFrame: Buffer|null }.
+ * Rejects like execFfmpeg, or with 'ffmpeg_failed' when there's no video stream.
+ */
+const probeVideo = (input, { posterAtSeconds = 1 } = {}) => withTempFile(input, async (filePath) => {
+  // `-i` alone exits non-zero ("no output file"), but the summary is in stderr
+  let info;
+  try {
+    info = parseVideoInfo((await execFfmpeg(['-i', filePath], null, { logLevel: 'info' })).stderr);
+  } catch (error) {
+    if (error.code !== 'ffmpeg_failed') throw error;
+    info = parseVideoInfo(error.stderr || '');
+  }
+
+  if (!info) {
+    throw ffmpegError('No video stream found', 'ffmpeg_failed');
+  }
+
+  // Short clips: take the frame from early on rather than past the end
+  const seekTo = info.duration > 0 ? Math.min(posterAtSeconds, info.duration / 3) : 0;
+
+  let posterFrame = null;
+  try {
+    posterFrame = await runFfmpeg([
+      '-ss', seekTo.toFixed(2),
+      '-i', filePath,
+      '-frames:v', '1',
+      '-f', 'image2pipe',
+      '-vcodec', 'mjpeg',
+      'pipe:1'
+    ], null);
+    if (posterFrame.length === 0) posterFrame = null;
+  } catch (error) {
+    if (error.code === 'ffmpeg_unavailable') throw error;
+    console.warn('⚠️ Poster frame extraction failed:', error.message);
+  }
+
+  return { ...info, posterFrame };
+});
+
+module.exports = {
+  FFMPEG_PATH,
+  runFfmpeg,
+  decodeAudioToPcm,
+  decodeHevcToRgb,
+  probeVideo
+};
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const { createHttpError } = require('./httpError');
+const { emitSystemMessage } = require('./messageEvents');
+
+// Group chat with members, roles and pending members populated for responses
+const populateGroup = (chatId) => Chat.findById(chatId)
+  .populate('users', '-password')
+  .populate('groupAdmin', '-password')
+  .populate('admins', '-password')
+  .populate('pendingMembers.user', 'name profilePicture firebaseUid');
+
+// Load a group chat the requester belongs to (throws HTTP errors otherwise)
+const loadGroupForMember = async (chatId, userId) => {
+  if (!chatId || !mongoose.Types.ObjectId.isValid(chatId)) {
+    throw createHttpError(400, 'Invalid chat ID format');
+  }
+
+  const chat = await Chat.findById(chatId);
+  if (!chat) {
+    throw createHttpError(404, 'Chat not found');
+  }
+
+  chat.assertGroupMember(userId);
+  return chat;
+};
+
+// Notify every participant (plus anyone just removed) that the group changed
+const emitGroupUpdated = (req, chat, action, details = {}, extraUids = []) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const payload = {
+    chatId: chat._id,
+    action,
+    ...details,
+    updatedBy: req.user.firebaseUid,
+    chat,
+    timestamp: new Date().toISOString()
+  };
+
+  const uids = new Set(extraUids.filter(Boolean));
+  chat.users.forEach(user => {
+    if (user.firebaseUid) uids.add(user.firebaseUid);
+  });
+
+  uids.forEach(uid => io.to(uid).emit('group_updated', payload));
+};
+
+// Put a new member's sockets into the chat room, on every instance
+const addToChatRoom = (req, chatId, firebaseUid) => {
+  const io = req.app.get('io');
+  if (!io || !firebaseUid) return;
+  io.in(firebaseUid).socketsJoin(chatId.toString());
+};
+
+// Take a departed member's sockets out of the chat room, on every instance
+const removeFromChatRoom = (req, chatId, firebaseUid) => {
+  const io = req.app.get('io');
+  if (!io || !firebaseUid) return;
+  io.in(firebaseUid).socketsLeave(chatId.toString());
+};
+
+// Add a 'system' timeline entry for a group event and broadcast it to the chat room
+const recordGroupEvent = async (req, chatId, action, { actor = req.user._id, target, oldValue, newValue } = {}) => {
+  try {
+    const message = await Message.createSystemMessage({
+      chat: chatId,
+      actor,
+      action,
+      target,
+      oldValue,
+      newValue
+    });
+    emitSystemMessage(req.app.get('io'), message);
+    return message;
+  } catch (error) {
+    console.error(`⚠️ Failed to record group event ${action}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * The user about to join, once neither the requester nor whoever asked for
+ * the add (requestedBy, e.g. the member whose add an admin is approving) has
+ * a block with them. Throws HTTP errors otherwise.
+ */
+const assertCanAddMember = async (req, userId, { requestedBy = req.user._id } = {}) => {
+  const user = await User.findById(userId).select('name firebaseUid');
+  if (!user) {
+    throw createHttpError(404, 'User not found');
+  }
+
+  const adders = new Set([req.user._id, requestedBy].map(String));
+  adders.delete(user._id.toString());
+  for (const adderId of adders) {
+    if (await Block.isBlockedBetween(adderId, user._id)) {
+      throw createHttpError(403, 'You cannot add this user', 'blocked');
+    }
+  }
+
+  return user;
+};
+
+/**
+ * Every way into a group (direct add, invite link, approval) ends here: block
+ * checks, membership, the timeline event and the new member's sockets joining
+ * the chat room. Users who asked for themselves (invite links) have "joined",
+ * anyone else was "added" by requestedBy. Resolves to the added user.
+ */
+const addGroupMember = async (req, chat, userId, { requestedBy = req.user._id } = {}) => {
+  const user = await assertCanAddMember(req, userId, { requestedBy });
+
+  chat.users.addToSet(user._id);
+  chat.pendingMembers = chat.pendingMembers.filter(pending => pending.user.toString() !== user._id.toString());
+  await chat.save();
+
+  const joinedThemselves = requestedBy.toString() === user._id.toString();
+  await recordGroupEvent(req, chat._id, joinedThemselves ? 'member_joined' : 'member_added', {
+    actor: requestedBy,
+    ...(!joinedThemselves && { target: user._id })
+  });
+
+  addToChatRoom(req, chat._id, user.firebaseUid);
+  return user;
+};
+
+const sendGroupError = (res, error, fallbackMessage) => {
+  console.error(`❌ ${fallbackMessage}:`, error);
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : `Server error while ${fallbackMessage.toLowerCase()}`,
+    ...(error.code && { code: error.code }),
+    ...(!error.statusCode && { error: error.message })
+  });
+};
+
+module.exports = {
+  populateGroup,
+  loadGroupForMember,
+  emitGroupUpdated,
+  addToChatRoom,
+  removeFromChatRoom,
+  recordGroupEvent,
+  assertCanAddMember,
+  addGroupMember,
+  sendGroupError
+};
@@ -0,0 +1,343 @@
+// HEIC decoding through ffmpeg, for when sharp can't: the libvips sharp
+// ships with has no HEVC decoder.
+//
+// The HEIF container is read here. The primary image is either a single
+// HEVC item or a grid of them (what phones write, in 512x512 tiles). Every
+// tile becomes one frame of an Annex B stream that ffmpeg decodes in one go;
+// the tiles are then stitched, cropped, rotated and mirrored as the container
+// says. The result is a PNG carrying the image's ICC profile, if it has one.
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { decodeHevcToRgb } = require('./ffmpeg');
+
+// Same ceiling as sharp's limitInputPixels
+const MAX_PIXELS = 0x3FFF * 0x3FFF;
+const START_CODE = Buffer.from([0, 0, 0, 1]);
+
+const heicError = (message) => {
+  const error = new Error(message);
+  error.code = 'heic_unsupported';
+  return error;
+};
+
+// ==================== CONTAINER ====================
+
+// ISO BMFF boxes between `start` and `end`, as { type, start, end } of their payload
+const readBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      throw heicError(`Malformed ${type} box`);
+    }
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+// Sequential big-endian reads; `uint(bytes)` is for iloc's variable-size fields
+const createReader = (buffer, offset) => ({
+  offset,
+  u8() { return buffer.readUInt8((this.offset += 1) - 1); },
+  u16() { return buffer.readUInt16BE((this.offset += 2) - 2); },
+  u32() { return buffer.readUInt32BE((this.offset += 4) - 4); },
+  fourcc() { return buffer.toString('latin1', this.offset, (this.offset += 4)); },
+  uint(bytes) {
+    if (bytes === 0) return 0;
+    if (bytes === 4) return this.u32();
+    if (bytes === 8) return Number(buffer.readBigUInt64BE((this.offset += 8) - 8));
+    throw heicError(`Unsupported field size ${bytes}`);
+  }
+});
+
+// Item ID -> where its data is
+const readLocations = (buffer, iloc) => {
+  const version = buffer[iloc.start];
+  const reader = createReader(buffer, iloc.start + 4);
+  const sizes = reader.u16();
+  const offsetSize = sizes >> 12;
+  const lengthSize = (sizes >> 8) & 0xF;
+  const baseOffsetSize = (sizes >> 4) & 0xF;
+  const indexSize = version > 0 ? sizes & 0xF : 0;
+  const itemCount = version < 2 ? reader.u16() : reader.u32();
+
+  const locations = new Map();
+  for (let i = 0; i < itemCount; i++) {
+    const id = version < 2 ? reader.u16() : reader.u32();
+    const constructionMethod = version > 0 ? reader.u16() & 0xF : 0;
+    reader.u16(); // data reference index
+    const baseOffset = reader.uint(baseOffsetSize);
+    const extents = [];
+    for (let extentCount = reader.u16(); extentCount > 0; extentCount--) {
+      reader.uint(indexSize);
+      extents.push({ offset: baseOffset + reader.uint(offsetSize), length: reader.uint(lengthSize) });
+    }
+    locations.set(id, { constructionMethod, extents });
+  }
+  return locations;
+};
+
+// Item ID -> the property boxes associated with it, in order
+const readAssociations = (buffer, iprp) => {
+  const iprpBoxes = readBoxes(buffer, iprp.start, iprp.end);
+  const ipco = iprpBoxes.find(box => box.type === 'ipco');
+  if (!ipco) throw heicError('No item properties');
+  const properties = readBoxes(buffer, ipco.start, ipco.end);
+
+  const associations = new Map();
+  for (const ipma of iprpBoxes.filter(box => box.type === 'ipma')) {
+    const version = buffer[ipma.start];
+    const wideIndexes = buffer[ipma.start + 3] & 1;
+    const reader = createReader(buffer, ipma.start + 4);
+    for (let entryCount = reader.u32(); entryCount > 0; entryCount--) {
+      const id = version < 1 ? reader.u16() : reader.u32();
+      const itemProperties = associations.get(id) || [];
+      for (let count = reader.u8(); count > 0; count--) {
+        // Top bit is the "essential" flag; index 0 means no property
+        const index = wideIndexes ? reader.u16() & 0x7FFF : reader.u8() & 0x7F;
+        if (index > 0 && properties[index - 1]) itemProperties.push(properties[index - 1]);
+      }
+      associations.set(id, itemProperties);
+    }
+  }
+  return associations;
+};
+
+// Grid item ID -> its tile IDs, in row-major order
+const readTileReferences = (buffer, iref) => {
+  const references = new Map();
+  if (!iref) return references;
+
+  const version = buffer[iref.start];
+  for (const reference of readBoxes(buffer, iref.start + 4, iref.end)) {
+    if (reference.type !== 'dimg') continue;
+    const reader = createReader(buffer, reference.start);
+    const readId = () => (version === 0 ? reader.u16() : reader.u32());
+    const fromId = readId();
+    const toIds = [];
+    for (let count = reader.u16(); count > 0; count--) toIds.push(readId());
+    references.set(fromId, toIds);
+  }
+  return references;
+};
+
+const parseContainer = (buffer) => {
+  const meta = readBoxes(buffer).find(box => box.type === 'meta');
+  if (!meta) throw heicError('Not a HEIF file');
+
+  const boxes = readBoxes(buffer, meta.start + 4, meta.end);
+  const box = (type) => {
+    const found = boxes.find(candidate => candidate.type === type);
+    if (!found) throw heicError(`No ${type} box`);
+    return found;
+  };
+
+  const pitm = box('pitm');
+  const primaryId = buffer[pitm.start] === 0 ? buffer.readUInt16BE(pitm.start + 4) : buffer.readUInt32BE(pitm.start + 4);
+
+  const iinf = box('iinf');
+  const types = new Map();
+  for (const infe of readBoxes(buffer, iinf.start + (buffer[iinf.start] === 0 ? 6 : 8), iinf.end)) {
+    const version = buffer[infe.start];
+    if (infe.type !== 'infe' || version < 2) continue;
+    const reader = createReader(buffer, infe.start + 4);
+    const id = version === 2 ? reader.u16() : reader.u32();
+    reader.u16(); // protection index
+    types.set(id, reader.fourcc());
+  }
+
+  const locations = readLocations(buffer, box('iloc'));
+  const idat = boxes.find(candidate => candidate.type === 'idat');
+  const itemData = (id) => {
+    const location = locations.get(id);
+    if (!location) throw heicError(`No data for item ${id}`);
+    // Construction method 1: offsets into idat; 0: into the file
+    const [base, end] = location.constructionMethod === 1 && idat ? [idat.start, idat.end] : [0, buffer.length];
+    return Buffer.concat(location.extents.map(({ offset, length }) => {
+      const start = base + offset;
+      const stop = length === 0 ? end : start + length;
+      if (stop > end) throw heicError(`Item ${id} runs past the end of the file`);
+      return buffer.subarray(start, stop);
+    }));
+  };
+
+  const associations = readAssociations(buffer, box('iprp'));
+
+  return {
+    buffer,
+    primaryId,
+    types,
+    itemData,
+    tiles: readTileReferences(buffer, boxes.find(candidate => candidate.type === 'iref')),
+    properties: (id) => associations.get(id) || []
+  };
+};
+
+// ==================== DECODING ====================
+
+const imageSize = (container, id) => {
+  const ispe = container.properties(id).find(property => property.type === 'ispe');
+  if (!ispe) throw heicError(`No size for item ${id}`);
+  return {
+    width: container.buffer.readUInt32BE(ispe.start + 4),
+    height: container.buffer.readUInt32BE(ispe.start + 8)
+  };
+};
+
+// An HEVC item as Annex B: its parameter sets from hvcC, then its NAL units
+const toAnnexB = (container, id) => {
+  const { buffer } = container;
+  const hvcC = container.properties(id).find(property => property.type === 'hvcC');
+  if (container.types.get(id) !== 'hvc1' || !hvcC) {
+    throw heicError(`Item ${id} is not an HEVC image (${container.types.get(id)})`);
+  }
+
+  const nalUnits = [];
+  const reader = createReader(buffer, hvcC.start + 21);
+  const lengthSize = (reader.u8() & 3) + 1;
+  for (let arrayCount = reader.u8(); arrayCount > 0; arrayCount--) {
+    reader.u8(); // NAL unit type
+    for (let count = reader.u16(); count > 0; count--) {
+      const length = reader.u16();
+      nalUnits.push(buffer.subarray(reader.offset, (reader.offset += length)));
+    }
+  }
+
+  const data = container.itemData(id);
+  for (let offset = 0; offset + lengthSize <= data.length;) {
+    const length = data.readUIntBE(offset, lengthSize);
+    offset += lengthSize;
+    nalUnits.push(data.subarray(offset, offset + length));
+    offset += length;
+  }
+
+  return Buffer.concat(nalUnits.flatMap(nalUnit => [START_CODE, nalUnit]));
+};
+
+// The layout of the primary image: its tiles, how they're arranged and the final size
+const readLayout = (container) => {
+  const { primaryId } = container;
+  if (container.types.get(primaryId) !== 'grid') {
+    const size = imageSize(container, primaryId);
+    return { tileIds: [primaryId], columns: 1, rows: 1, tileSize: size, ...size };
+  }
+
+  const grid = container.itemData(primaryId);
+  const wideSizes = grid[1] & 1;
+  const rows = grid[2] + 1;
+  const columns = grid[3] + 1;
+  const tileIds = container.tiles.get(primaryId) || [];
+  if (tileIds.length !== rows * columns) {
+    throw heicError(`Grid of ${rows}x${columns} has ${tileIds.length} tiles`);
+  }
+
+  return {
+    tileIds,
+    columns,
+    rows,
+    tileSize: imageSize(container, tileIds[0]),
+    width: wideSizes ? grid.readUInt32BE(4) : grid.readUInt16BE(4),
+    height: wideSizes ? grid.readUInt32BE(8) : grid.readUInt16BE(6)
+  };
+};
+
+// The ICC profile from a colr box on the image or, failing that, its first tile
+const readIccProfile = (container, { tileIds }) => {
+  const { buffer } = container;
+  for (const id of [container.primaryId, tileIds[0]]) {
+    const colr = container.properties(id).find(property =>
+      property.type === 'colr' && ['prof', 'rICC'].includes(buffer.toString('latin1', property.start, property.start + 4))
+    );
+    if (colr) return buffer.subarray(colr.start + 4, colr.end);
+  }
+  return null;
+};
+
+// A copy of `png` with an iCCP chunk holding `icc` right after the header
+const embedIccProfile = (png, icc) => {
+  const data = Buffer.concat([Buffer.from('ICC\0\0', 'latin1'), zlib.deflateSync(icc)]);
+  const chunk = Buffer.alloc(data.length + 12);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write('iCCP', 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, data.length + 8)), data.length + 8);
+
+  // Signature (8 bytes), then IHDR (length, type, 13 bytes of data, CRC)
+  const headerEnd = 8 + 8 + 13 + 4;
+  return Buffer.concat([png.subarray(0, headerEnd), chunk, png.subarray(headerEnd)]);
+};
+
+/**
+ * Decode the primary image of a HEIC file (Buffer) to a PNG Buffer.
+ * Rejects with code 'heic_unsupported' for files it can't read, or like
+ * execFfmpeg when ffmpeg is missing or fails.
+ */
+const decodeHeic = async (buffer) => {
+  const container = parseContainer(buffer);
+  const layout = readLayout(container);
+  const { tileIds, columns, rows, tileSize } = layout;
+
+  const canvasWidth = columns * tileSize.width;
+  const canvasHeight = rows * tileSize.height;
+  if (canvasWidth * canvasHeight > MAX_PIXELS || layout.width > canvasWidth || layout.height > canvasHeight) {
+    throw heicError(`Unsupported image size ${layout.width}x${layout.height}`);
+  }
+
+  const frames = await decodeHevcToRgb(Buffer.concat(tileIds.map(id => toAnnexB(container, id))));
+  const rowBytes = tileSize.width * 3;
+  const frameBytes = rowBytes * tileSize.height;
+  if (frames.length !== frameBytes * tileIds.length) {
+    throw heicError(`Expected ${tileIds.length} tiles of ${tileSize.width}x${tileSize.height}, ffmpeg decoded ${frames.length} bytes`);
+  }
+
+  const pixels = Buffer.alloc(canvasWidth * canvasHeight * 3);
+  tileIds.forEach((id, index) => {
+    const left = (index % columns) * tileSize.width;
+    const top = Math.floor(index / columns) * tileSize.height;
+    for (let y = 0; y < tileSize.height; y++) {
+      const source = index * frameBytes + y * rowBytes;
+      frames.copy(pixels, ((top + y) * canvasWidth + left) * 3, source, source + rowBytes);
+    }
+  });
+
+  // Grids are cropped to the image size; transforms apply in the order listed
+  let { data, info } = await sharp(pixels, { raw: { width: canvasWidth, height: canvasHeight, channels: 3 } })
+    .extract({ left: 0, top: 0, width: layout.width, height: layout.height })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (const property of container.properties(container.primaryId)) {
+    if (property.type !== 'irot' && property.type !== 'imir') continue;
+    const value = buffer[property.start];
+    let image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    if (property.type === 'irot') {
+      // irot turns anti-clockwise, sharp clockwise
+      image = image.rotate(((4 - (value & 3)) % 4) * 90);
+    } else {
+      // imir axis 0 is vertical (mirrors left to right), 1 horizontal
+      image = value & 1 ? image.flip() : image.flop();
+    }
+    ({ data, info } = await image.raw().toBuffer({ resolveWithObject: true }));
+  }
+
+  const png = await sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+    .png({ compressionLevel: 1 })
+    .toBuffer();
+
+  const icc = readIccProfile(container, layout);
+  return icc ? embedIccProfile(png, icc) : png;
+};
+
+module.exports = {
+  decodeHeic
+};
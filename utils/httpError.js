@@ -0,0 +1,9 @@
+// Error carrying an HTTP status, understood by route handlers and the global error handler
+const createHttpError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) error.code = code;
+  return error;
+};
+
+module.exports = { createHttpError };
@@ -0,0 +1,248 @@
+// Image normalization for uploads: auto-rotate, strip EXIF/GPS and other
+// metadata (the ICC profile is kept), convert HEIC/HEIF to JPEG, and build
+// downsized WebP variants plus a BlurHash placeholder.
+//
+// HEIC needs a libvips with an HEVC decoder (libde265), which the prebuilt
+// one sharp ships with doesn't have; those are decoded through ffmpeg
+// instead (see heic.js). Only when that fails too are they refused, rather
+// than stored with their metadata intact.
+const fs = require('fs');
+const sharp = require('sharp');
+const { createHttpError } = require('./httpError');
+const { decodeHeic } = require('./heic');
+
+// Longest side in pixels; only variants smaller than the image are made
+const IMAGE_VARIANTS = [
+  { name: 'small', size: 320 },
+  { name: 'medium', size: 800 },
+  { name: 'large', size: 1600 }
+];
+// Smallest to largest; 'original' is the normalized upload itself
+const VARIANT_NAMES = [...IMAGE_VARIANTS.map(variant => variant.name), 'original'];
+const VARIANT_FORMAT = process.env.IMAGE_VARIANT_FORMAT === 'jpeg' ? 'jpeg' : 'webp';
+const VARIANT_QUALITY = 80;
+const ORIGINAL_JPEG_QUALITY = 90;
+
+// Re-encoded into the same format (HEIC/HEIF become JPEG); anything else
+// (GIF, BMP, animations) is stored as uploaded
+const NORMALIZED_FORMATS = {
+  jpeg: { format: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { format: 'png', mimeType: 'image/png', extension: 'png' },
+  webp: { format: 'webp', mimeType: 'image/webp', extension: 'webp' },
+  heif: { format: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg' },
+  tiff: { format: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg' }
+};
+const HEIF_MIME_TYPES = ['image/heic', 'image/heif'];
+
+// ==================== BLURHASH ====================
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+const PLACEHOLDER_SAMPLE_SIZE = 32;
+const PLACEHOLDER_COMPONENTS = { x: 4, y: 3 };
+
+const encode83 = (value, length) => {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    result += BASE83[Math.floor(value / 83 ** (length - i)) % 83];
+  }
+  return result;
+};
+
+const sRGBToLinear = (value) => {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+const linearToSRGB = (value) => {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.round(v * 12.92 * 255 + 0.5)
+    : Math.round((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+};
+
+const signPow = (value, exponent) => Math.sign(value) * Math.abs(value) ** exponent;
+
+/**
+ * BlurHash (https://blurha.sh) of raw RGB pixels: a ~20 character string
+ * clients decode into a blurred preview while the image loads.
+ */
+const encodeBlurhash = (pixels, width, height, componentsX = PLACEHOLDER_COMPONENTS.x, componentsY = PLACEHOLDER_COMPONENTS.y) => {
+  const factors = [];
+  for (let y = 0; y < componentsY; y++) {
+    for (let x = 0; x < componentsX; x++) {
+      const normalisation = x === 0 && y === 0 ? 1 : 2;
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let j = 0; j < height; j++) {
+        for (let i = 0; i < width; i++) {
+          const basis = normalisation * Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+          const offset = 3 * (j * width + i);
+          r += basis * sRGBToLinear(pixels[offset]);
+          g += basis * sRGBToLinear(pixels[offset + 1]);
+          b += basis * sRGBToLinear(pixels[offset + 2]);
+        }
+      }
+      const scale = 1 / (width * height);
+      factors.push([r * scale, g * scale, b * scale]);
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSRGB(dc[0]) << 16) + (linearToSRGB(dc[1]) << 8) + linearToSRGB(dc[2]), 4);
+
+  const quantise = (value) => Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)));
+  ac.forEach(([r, g, b]) => {
+    hash += encode83(quantise(r) * 19 * 19 + quantise(g) * 19 + quantise(b), 2);
+  });
+
+  return hash;
+};
+
+const createPlaceholder = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .resize(PLACEHOLDER_SAMPLE_SIZE, PLACEHOLDER_SAMPLE_SIZE, { fit: 'inside' })
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encodeBlurhash(data, info.width, info.height);
+};
+
+// ==================== PIPELINE ====================
+
+// Decoded pixels (as PNG) of a HEIC sharp couldn't read; a 415 if ffmpeg can't either
+const decodeHeicWithFfmpeg = async (input, sharpError) => {
+  try {
+    const buffer = typeof input === 'string' ? await fs.promises.readFile(input) : input;
+    return await decodeHeic(buffer);
+  } catch (error) {
+    console.error('❌ HEIC decoding unavailable:', sharpError.message, '/', error.message);
+    throw createHttpError(415, 'HEIC photos cannot be processed right now, please send it as JPEG', 'unsupported_image');
+  }
+};
+
+// Re-encode as `target` without EXIF/XMP/IPTC; rotate() applies the EXIF orientation
+const normalizeImage = async (input, target) => {
+  let pipeline = sharp(input).rotate().keepIccProfile();
+  pipeline = target.format === 'jpeg'
+    ? pipeline.jpeg({ quality: ORIGINAL_JPEG_QUALITY, mozjpeg: true })
+    : pipeline[target.format]();
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  return {
+    buffer: data,
+    mimeType: target.mimeType,
+    extension: target.extension,
+    width: info.width,
+    height: info.height,
+    normalized: true
+  };
+};
+
+const createVariants = async (buffer, width, height) => {
+  const longestSide = Math.max(width, height);
+  const variants = [];
+
+  for (const { name, size } of IMAGE_VARIANTS.filter(variant => variant.size < longestSide)) {
+    const { data, info } = await sharp(buffer)
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      [VARIANT_FORMAT]({ quality: VARIANT_QUALITY })
+      .toBuffer({ resolveWithObject: true });
+
+    variants.push({
+      name,
+      buffer: data,
+      width: info.width,
+      height: info.height,
+      mimeType: `image/${VARIANT_FORMAT}`,
+      extension: VARIANT_FORMAT === 'jpeg' ? 'jpg' : VARIANT_FORMAT
+    });
+  }
+
+  return variants;
+};
+
+/**
+ * Normalize an uploaded image (Buffer or file path).
+ * Resolves to { buffer, mimeType, extension, width, height, normalized,
+ * variants: [{ name, buffer, width, height, mimeType, extension }], placeholder }
+ * where `buffer` is what should be stored as the original; `normalized` is
+ * false when it's the upload unchanged. Resolves to null for files sharp
+ * can't read at all, and throws a 415 for HEIC/HEIF neither sharp nor
+ * ffmpeg can decode.
+ */
+const processImage = async (input, mimeType) => {
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    if (!HEIF_MIME_TYPES.includes(mimeType)) {
+      console.warn('⚠️ Image could not be read for processing:', error.message);
+      return null;
+    }
+    // Carries on as the decoded pixels, still stored as a HEIC would be
+    input = await decodeHeicWithFfmpeg(input, error);
+    metadata = { ...(await sharp(input).metadata()), format: 'heif' };
+  }
+
+  const target = NORMALIZED_FORMATS[metadata.format];
+  const animated = (metadata.pages || 1) > 1;
+
+  let image;
+  if (target && !animated) {
+    try {
+      image = await normalizeImage(input, target);
+    } catch (error) {
+      if (metadata.format !== 'heif') throw error;
+      image = await normalizeImage(await decodeHeicWithFfmpeg(input, error), target);
+    }
+  } else {
+    const buffer = typeof input === 'string' ? await fs.promises.readFile(input) : input;
+    image = {
+      buffer,
+      mimeType,
+      extension: null,
+      width: metadata.autoOrient?.width || metadata.width || 0,
+      height: metadata.autoOrient?.height || metadata.height || 0,
+      normalized: false
+    };
+  }
+
+  // Previews come from the first frame for animations
+  const [variants, placeholder] = await Promise.all([
+    animated ? [] : createVariants(image.buffer, image.width, image.height),
+    createPlaceholder(image.buffer).catch((error) => {
+      console.warn('⚠️ Placeholder generation failed:', error.message);
+      return null;
+    })
+  ]);
+
+  return { ...image, variants, placeholder };
+};
+
+// What a viewer gets from /api/media when no variant is asked for
+const getDefaultVariant = (preferences = {}) => {
+  if (preferences.dataSaverMode) return 'medium';
+  if (preferences.saveOriginalPhotos === false) return 'large';
+  return 'original';
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  VARIANT_NAMES,
+  encodeBlurhash,
+  processImage,
+  getDefaultVariant
+};
@@ -0,0 +1,111 @@
+// Outgoing email behind a pluggable transport.
+//
+// A transport implements `send({ to, subject, text, html, headers })` and
+// resolves to `{ messageId }`. MAIL_TRANSPORT picks one at startup:
+//   smtp    - real delivery through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - writes .eml files to MAIL_OUTBOX_DIR (default logs/mail) for dev
+//   console - logs a summary only
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set, console otherwise.
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Skybrr <no-reply@skybrr.com>';
+
+// ==================== TRANSPORTS ====================
+
+const createSmtpTransport = ({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const smtp = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } })
+  });
+
+  return {
+    name: 'smtp',
+    async send(mail) {
+      const info = await smtp.sendMail({ from: MAIL_FROM, ...mail });
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createFileTransport = ({ dir = process.env.MAIL_OUTBOX_DIR || path.join('logs', 'mail') } = {}) => {
+  const builder = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    async send(mail) {
+      const info = await builder.sendMail({ from: MAIL_FROM, ...mail });
+      const safeId = info.messageId.replace(/[^a-zA-Z0-9.-]/g, '');
+      const filePath = path.join(dir, `${Date.now()}-${safeId}.eml`);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(filePath, info.message);
+
+      console.log(`📧 Mail written to ${filePath}`);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(mail) {
+    const messageId = `console-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
+    console.log(`📧 [mail] To: ${mail.to} | Subject: ${mail.subject}`);
+    return { messageId };
+  }
+});
+
+const createTransportFromEnv = () => {
+  const kind = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (kind) {
+    case 'smtp': return createSmtpTransport();
+    case 'file': return createFileTransport();
+    case 'console': return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+};
+
+let transport = null;
+
+// Built on first use so a misconfigured transport only fails when mail is sent
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+    console.log(`✅ Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+const setMailTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send(mail)');
+  }
+  transport = nextTransport;
+};
+
+const sendMail = (mail) => getMailTransport().send(mail);
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
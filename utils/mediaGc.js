@@ -0,0 +1,125 @@
+// Garbage collection of media nothing references any more.
+//
+// runMediaGc() is run on a schedule (see server.js). It removes MediaObjects
+// that no message has referenced for MEDIA_GC_GRACE_HOURS (uploads never sent,
+// cancelled sends, deleted messages and chats), with their thumbnails and variants,
+// and deletes each stored file once no remaining object points at it.
+// Reference counts are re-checked against the messages before anything goes.
+// Every instance runs the job; each object is claimed atomically first, so
+// only one of them collects it.
+const MediaObject = require('../models/MediaObject');
+const Message = require('../models/Message');
+const { getStorageDriver } = require('./storage');
+
+const HOUR = 60 * 60 * 1000;
+// A claim left by an instance that died mid-run lapses after this
+const GC_CLAIM_MS = 30 * 60 * 1000;
+const GC_BATCH_LIMIT = Number(process.env.MEDIA_GC_BATCH_LIMIT) || 1000;
+
+let running = false;
+
+const formatBytes = (bytes) => (bytes < 1024 * 1024
+  ? `${(bytes / 1024).toFixed(1)}KB`
+  : `${(bytes / 1024 / 1024).toFixed(2)}MB`);
+
+// Delete one unreferenced object and its children; files shared with other objects stay
+const collectMedia = async (media, storageDriver, stats) => {
+  const family = [media, ...await MediaObject.find({ parent: media._id })];
+  const familyIds = family.map(item => item._id);
+
+  const files = new Map();
+  family.forEach(item => files.set(item.storageKey, item.size || 0));
+
+  for (const [storageKey, size] of files) {
+    const stillUsed = await MediaObject.exists({
+      driver: media.driver,
+      storageKey,
+      _id: { $nin: familyIds }
+    });
+    if (stillUsed) continue;
+
+    // A failure leaves the objects in place so the next run tries again
+    if (await storageDriver.delete(storageKey)) {
+      stats.filesDeleted++;
+      stats.bytesReclaimed += size;
+    }
+  }
+
+  const { deletedCount } = await MediaObject.deleteMany({ _id: { $in: familyIds } });
+  stats.objectsRemoved += deletedCount;
+};
+
+/**
+ * Remove media unreferenced for longer than the grace period.
+ * Resolves to { checked, objectsRemoved, filesDeleted, bytesReclaimed, repaired, failed }.
+ */
+const runMediaGc = async ({ now = new Date() } = {}) => {
+  const stats = { checked: 0, objectsRemoved: 0, filesDeleted: 0, bytesReclaimed: 0, repaired: 0, failed: 0 };
+  if (running) {
+    console.log('⏭️ Media GC already running, skipping this tick');
+    return stats;
+  }
+  running = true;
+
+  try {
+    const storageDriver = getStorageDriver();
+    const releasedBefore = new Date(now.getTime() - MediaObject.MEDIA_GC_GRACE_HOURS * HOUR);
+    const claimedBefore = new Date(now.getTime() - GC_CLAIM_MS);
+
+    const cursor = MediaObject.find({
+      driver: storageDriver.name,
+      parent: null,
+      refCount: { $lte: 0 },
+      $and: [
+        {
+          $or: [
+            { attachedAt: null, createdAt: { $lte: releasedBefore } },
+            { releasedAt: { $lte: releasedBefore } }
+          ]
+        },
+        { $or: [{ gcClaimedAt: null }, { gcClaimedAt: { $lte: claimedBefore } }] }
+      ]
+    })
+      .limit(GC_BATCH_LIMIT)
+      .cursor();
+
+    for await (const media of cursor) {
+      try {
+        // Same compare-and-set as the email digest's lastSentAt: another
+        // instance that got here first has changed gcClaimedAt
+        const claimed = await MediaObject.findOneAndUpdate(
+          { _id: media._id, gcClaimedAt: media.gcClaimedAt || null },
+          { $set: { gcClaimedAt: now } }
+        );
+        if (!claimed) continue;
+        stats.checked++;
+
+        // Counters can drift (a crash between save and hook); messages are the truth
+        const references = await Message.countDocuments({ mediaIds: media._id });
+        if (references > 0) {
+          await MediaObject.updateOne(
+            { _id: media._id },
+            { $set: { refCount: references, releasedAt: null, gcClaimedAt: null } }
+          );
+          stats.repaired++;
+          continue;
+        }
+
+        await collectMedia(media, storageDriver, stats);
+      } catch (error) {
+        stats.failed++;
+        console.error(`❌ Media GC failed for ${media._id}:`, error.message);
+      }
+    }
+
+    console.log(`🧹 Media GC: ${stats.objectsRemoved} objects removed, ${stats.filesDeleted} files deleted, ` +
+      `${formatBytes(stats.bytesReclaimed)} reclaimed (${stats.checked} checked, ${stats.repaired} repaired, ${stats.failed} failed)`);
+    return stats;
+  } finally {
+    running = false;
+  }
+};
+
+module.exports = {
+  runMediaGc
+};
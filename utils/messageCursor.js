@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Page size limits for message history
+const DEFAULT_PAGE_SIZE = parseInt(process.env.MESSAGES_DEFAULT_PAGE_SIZE) || 30;
+const MAX_PAGE_SIZE = parseInt(process.env.MESSAGES_MAX_PAGE_SIZE) || 100;
+
+// Clamp the requested page size to the server limits
+const getPageSize = (requested) => {
+  const limit = parseInt(requested) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+};
+
+// Cursors are opaque base64url strings of (createdAt, _id)
+const encodeCursor = (message) => {
+  if (!message) return null;
+
+  const payload = JSON.stringify({
+    t: new Date(message.createdAt).toISOString(),
+    id: message._id.toString()
+  });
+
+  return Buffer.from(payload).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(payload.t);
+
+    if (isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(payload.id)) {
+      return null;
+    }
+
+    return {
+      createdAt,
+      _id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Filter for messages strictly older ('before') or newer ('after') than a position
+const buildCursorFilter = (direction, position) => {
+  const op = direction === 'after' ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position._id } }
+    ]
+  };
+};
+
+// Sort order that walks away from the cursor
+const getCursorSort = (direction) => (
+  direction === 'after'
+    ? { createdAt: 1, _id: 1 }
+    : { createdAt: -1, _id: -1 }
+);
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  getPageSize,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  getCursorSort
+};
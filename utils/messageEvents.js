@@ -0,0 +1,174 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+// Short text used for chat list previews
+const getMessagePreview = (message) => {
+  if (message.content) return message.content;
+
+  switch (message.messageType) {
+    case 'image': return '📷 Photo';
+    case 'video': return '🎬 Video';
+    case 'audio': return '🎵 Audio';
+    case 'voice_note': return '🎤 Voice message';
+    case 'file': return '📄 File';
+    case 'grouped_media': return `📷 ${message.groupedMedia?.length || 0} files`;
+    case 'post_share': return 'Shared a post';
+    default: return '';
+  }
+};
+
+// Send a chat's current latest message to every participant's inbox
+const emitChatLatestMessage = (io, chat, message) => {
+  const payload = {
+    chatId: chat._id,
+    latestMessage: message ? {
+      _id: message._id,
+      content: message.content,
+      preview: getMessagePreview(message),
+      messageType: message.messageType,
+      sender: message.sender,
+      isEdited: message.isEdited,
+      createdAt: message.createdAt
+    } : null,
+    timestamp: new Date().toISOString()
+  };
+
+  chat.users.forEach(user => {
+    if (user.firebaseUid) {
+      io.to(user.firebaseUid).emit('chat_latest_message_updated', payload);
+    }
+  });
+};
+
+// Tell every participant's inbox that the chat's latest message changed in place
+const emitLatestMessageUpdate = async (io, chatId, message) => {
+  const chat = await Chat.findById(chatId).populate('users', 'firebaseUid');
+  if (!chat) return;
+
+  const latestId = chat.latestMessage ? chat.latestMessage.toString() : null;
+  if (latestId !== message._id.toString()) return;
+
+  emitChatLatestMessage(io, chat, message);
+};
+
+// Broadcast an edited message to its chat room
+const emitMessageEdited = async (io, message, editedBy) => {
+  if (!io) return;
+
+  const chatId = message.chat.toString();
+
+  io.to(chatId).emit('message_edited', {
+    messageId: message._id,
+    chatId,
+    content: message.content,
+    groupedMedia: message.groupedMedia || [],
+    isEdited: true,
+    editedAt: message.editedAt,
+    editCount: message.editHistory.length,
+    editedBy,
+    timestamp: new Date().toISOString()
+  });
+
+  await emitLatestMessageUpdate(io, chatId, message);
+};
+
+// Broadcast a deletion: to the chat room for "everyone", to the user's own devices for "me"
+const emitMessageDeleted = async (io, message, { scope, deletedBy, wasLatestMessage }) => {
+  if (!io) return;
+
+  const chatId = message.chat.toString();
+  const payload = {
+    messageId: message._id,
+    chatId,
+    scope,
+    deletedBy,
+    isDeleted: scope === 'everyone',
+    byModerator: !!message.deletedByModerator,
+    deletedAt: message.deletedAt || new Date(),
+    timestamp: new Date().toISOString()
+  };
+
+  if (scope === 'me') {
+    io.to(deletedBy).emit('message_deleted', payload);
+    return;
+  }
+
+  io.to(chatId).emit('message_deleted', payload);
+
+  if (wasLatestMessage) {
+    const chat = await Chat.findById(chatId)
+      .populate('users', 'firebaseUid')
+      .populate('latestMessage');
+    if (chat) {
+      emitChatLatestMessage(io, chat, chat.latestMessage);
+    }
+  }
+};
+
+// Broadcast a system message to the chat room like any new message
+const emitSystemMessage = (io, message) => {
+  if (!io) return;
+
+  const chatId = message.chat.toString();
+
+  io.to(chatId).emit('messageReceived', {
+    _id: message._id,
+    content: message.content,
+    sender: {
+      _id: message.sender._id,
+      firebaseUid: message.sender.firebaseUid,
+      name: message.sender.name,
+      profilePicture: message.sender.profilePicture
+    },
+    chat: chatId,
+    messageType: 'system',
+    systemEvent: message.systemEvent,
+    status: message.status,
+    createdAt: message.createdAt,
+    updatedAt: message.updatedAt
+  });
+};
+
+// Broadcast aggregated reaction counts to the chat room
+const emitReactionUpdated = (io, message, { reactedBy, emoji, action }) => {
+  if (!io) return;
+
+  const chatId = message.chat.toString();
+
+  io.to(chatId).emit('message_reaction_updated', {
+    messageId: message._id,
+    chatId,
+    reactions: Message.summarizeReactions(message.reactions),
+    totalReactions: message.reactions.length,
+    reactedBy,
+    emoji,
+    action,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Tell the chat room a voice note was played, so the sender's tick can change
+const emitVoiceNotePlayed = (io, message, { playedBy, playedAt }) => {
+  if (!io) return;
+
+  const chatId = message.chat.toString();
+
+  io.to(chatId).emit('voice_note_played', {
+    messageId: message._id,
+    chatId,
+    playedBy,
+    playedAt,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = {
+  getMessagePreview,
+  emitChatLatestMessage,
+  emitLatestMessageUpdate,
+  emitMessageEdited,
+  emitMessageDeleted,
+  emitSystemMessage,
+  emitReactionUpdated,
+  emitVoiceNotePlayed
+};
@@ -0,0 +1,101 @@
+const User = require('../models/User');
+const DeviceSession = require('../models/DeviceSession');
+const { getHiddenFirebaseUids } = require('./blocking');
+
+// "Online", "Last seen 5 minutes ago", ...
+const formatStatusText = (isOnline, lastSeen) => {
+  if (isOnline) return 'Online';
+  if (!lastSeen) return 'Offline';
+
+  const now = new Date();
+  const lastSeenDate = new Date(lastSeen);
+  const diffMs = now - lastSeenDate;
+  const diffMin = Math.floor(diffMs / 60000);
+
+  if (diffMin < 1) return 'Just now';
+  if (diffMin < 60) return `Last seen ${diffMin} minute${diffMin > 1 ? 's' : ''} ago`;
+
+  const diffHour = Math.floor(diffMin / 60);
+  if (diffHour < 24) return `Last seen ${diffHour} hour${diffHour > 1 ? 's' : ''} ago`;
+
+  return `Last seen ${lastSeenDate.toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+};
+
+// Broadcast a user's presence to everyone who is allowed to see it
+const broadcastPresence = async (io, user, source) => {
+  // ✅ Users blocked either way never see this user's presence
+  const hiddenUids = await getHiddenFirebaseUids(user._id);
+  const audience = hiddenUids.length > 0 ? io.except(hiddenUids) : io;
+
+  audience.emit('userStatusChanged', {
+    firebaseUid: user.firebaseUid,
+    userId: user._id,
+    isOnline: user.isOnline,
+    connectionCount: user.connectionCount || 0,
+    lastSeen: user.lastSeen,
+    name: user.name,
+    source,
+    timestamp: new Date().toISOString(),
+    statusText: formatStatusText(user.isOnline, user.lastSeen)
+  });
+
+  if (user.isOnline) {
+    audience.emit('userOnline', {
+      userId: user.firebaseUid,
+      firebaseUid: user.firebaseUid,
+      name: user.name,
+      connectionCount: user.connectionCount,
+      timestamp: new Date().toISOString(),
+      statusText: 'Online'
+    });
+  } else {
+    audience.emit('userOffline', {
+      userId: user.firebaseUid,
+      firebaseUid: user.firebaseUid,
+      name: user.name,
+      lastSeen: user.lastSeen,
+      timestamp: new Date().toISOString(),
+      statusText: formatStatusText(false, user.lastSeen)
+    });
+  }
+};
+
+/**
+ * Recompute a user's presence from their live device sessions and store it
+ * on the User document (isOnline / connectionCount / lastSeen). Broadcasts
+ * only when online/offline actually flips, unless `force` is set.
+ */
+const refreshUserPresence = async (io, query, source = 'unknown', { force = false } = {}) => {
+  try {
+    const previous = await User.findOne(query).select('_id isOnline');
+    if (!previous) {
+      console.error(`❌ [${source}] User not found for presence refresh:`, query);
+      return null;
+    }
+
+    const connectionCount = await DeviceSession.countLiveConnections(previous._id);
+    const isOnline = connectionCount > 0;
+
+    const user = await User.findByIdAndUpdate(
+      previous._id,
+      { $set: { isOnline, connectionCount, lastSeen: new Date() } },
+      { new: true }
+    );
+
+    if (io && (force || previous.isOnline !== isOnline)) {
+      await broadcastPresence(io, user, source);
+      console.log(`✅ [${source}] Status updated: ${user.name} is ${isOnline ? 'ONLINE' : 'OFFLINE'} (${connectionCount} connections)`);
+    }
+
+    return user;
+  } catch (error) {
+    console.error(`❌ [${source}] Error refreshing presence:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  formatStatusText,
+  broadcastPresence,
+  refreshUserPresence
+};
@@ -0,0 +1,318 @@
+// Push notifications for messages that a recipient's devices didn't get live.
+//
+// A transport implements `send(messages)`: it takes FCM message objects
+// ({ token, notification, data, android, apns }) and resolves to one
+// `{ token, success, errorCode }` per message. The FCM transport below uses
+// firebase-admin; a local fake can be installed with setPushTransport().
+//
+// Messages are collapsed per recipient and chat: the first message opens a
+// short window, and one push for the newest message (with a count) goes out
+// when it closes, to every device of the recipient that isn't online.
+// Open windows live in the shared state store, so any instance can send them
+// and they survive a restart: the instance that opened a window flushes it
+// on time, and flushDuePushes() (scheduled in server.js) picks up any window
+// whose instance went away. Each window is claimed once, so one push goes out.
+const admin = require('firebase-admin');
+const mongoose = require('mongoose');
+const { getStateStore } = require('./stateStore');
+
+const COLLAPSE_WINDOW_MS = parseInt(process.env.PUSH_COLLAPSE_WINDOW_MS) || 3000;
+// A window nobody flushed (e.g. every instance down) is dropped after this
+const PENDING_PUSH_TTL_MS = 60 * 60 * 1000;
+const BURST_PREFIX = 'push:burst:';
+const BURST_COUNT_PREFIX = 'push:burst-count:';
+const PREVIEW_MAX_LENGTH = 100;
+const FCM_BATCH_SIZE = 500;
+
+// FCM errors that mean a token will never work again
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const MEDIA_PLACEHOLDERS = {
+  image: '📷 Photo',
+  video: '🎬 Video',
+  audio: '🎵 Audio',
+  voice_note: '🎤 Voice message',
+  file: '📄 File',
+  post_share: '📱 Shared a post'
+};
+
+// ==================== TRANSPORTS ====================
+
+const createFcmTransport = () => ({
+  name: 'fcm',
+
+  async send(messages) {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase Admin is not initialized');
+    }
+
+    const results = [];
+    for (let i = 0; i < messages.length; i += FCM_BATCH_SIZE) {
+      const batch = messages.slice(i, i + FCM_BATCH_SIZE);
+      const { responses } = await admin.messaging().sendEach(batch);
+      responses.forEach((response, index) => {
+        results.push({
+          token: batch[index].token,
+          success: response.success,
+          errorCode: response.error ? response.error.code : null
+        });
+      });
+    }
+    return results;
+  }
+});
+
+let transport = createFcmTransport();
+
+const setPushTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Push transport must implement send(messages)');
+  }
+  transport = nextTransport;
+};
+
+// ==================== PAYLOAD ====================
+
+// Notification body for a message: text (truncated) or a media placeholder
+const getPushPreview = (message) => {
+  if (message.messageType === 'grouped_media') {
+    return `📷 ${message.groupedMedia?.length || 0} files`;
+  }
+  if (MEDIA_PLACEHOLDERS[message.messageType]) {
+    return MEDIA_PLACEHOLDERS[message.messageType];
+  }
+
+  const content = (message.content || '').trim();
+  return content.length > PREVIEW_MAX_LENGTH
+    ? `${content.substring(0, PREVIEW_MAX_LENGTH - 1)}…`
+    : content;
+};
+
+/**
+ * Title/body for a recipient. Without a preview the content is replaced by
+ * a generic line, so nothing readable reaches the lock screen.
+ */
+const buildNotification = (message, count, showPreview) => {
+  const senderName = message.sender?.name || 'Someone';
+  const chat = message.chat || {};
+  const title = chat.isGroupChat && chat.chatName
+    ? `${senderName} @ ${chat.chatName}`
+    : senderName;
+
+  if (!showPreview) {
+    return { title, body: count > 1 ? `${count} new messages` : 'New message' };
+  }
+
+  const preview = getPushPreview(message);
+  return { title, body: count > 1 ? `${preview} (+${count - 1} more)` : preview };
+};
+
+// FCM message for one device; the chat ID collapses bursts in the tray too
+const buildPushMessage = (token, notification, message, count) => {
+  const chatId = (message.chat?._id || message.chat).toString();
+
+  return {
+    token,
+    notification,
+    data: {
+      type: 'new_message',
+      chatId,
+      messageId: message._id.toString(),
+      senderId: (message.sender?._id || message.sender).toString(),
+      count: String(count)
+    },
+    android: {
+      collapseKey: chatId,
+      priority: 'high',
+      notification: { tag: chatId }
+    },
+    apns: {
+      headers: { 'apns-collapse-id': chatId },
+      payload: { aps: { threadId: chatId } }
+    }
+  };
+};
+
+// ==================== DELIVERY ====================
+
+// Send the collapsed push for one recipient, if they still need it
+const deliverBurst = async (burst) => {
+  const User = mongoose.model('User');
+  const Message = mongoose.model('Message');
+  const ChatUserState = mongoose.model('ChatUserState');
+  const DeviceSession = mongoose.model('DeviceSession');
+  const Block = mongoose.model('Block');
+
+  const [recipient, message, state] = await Promise.all([
+    User.findById(burst.recipientId).select('preferences isPrivate'),
+    Message.findById(burst.messageId)
+      .populate('sender', 'name')
+      .populate('chat', 'chatName isGroupChat'),
+    ChatUserState.findOne({ user: burst.recipientId, chat: burst.chatId })
+  ]);
+
+  if (!recipient || !message || message.isDeleted) return;
+  if (recipient.preferences?.pushNotifications === false) return;
+  if (message.hiddenFor.some(id => id.toString() === burst.recipientId)) return;
+
+  if (state) {
+    // Muted chats stay silent; a chat read elsewhere during the window needs no push
+    if (state.isCurrentlyMuted()) return;
+    if (ChatUserState.isAtOrAfter(state.lastReadAt, state.lastReadMessage, message)) return;
+  }
+
+  const hiddenIds = await Block.getHiddenUserIds(burst.recipientId);
+  if (hiddenIds.some(id => id.toString() === message.sender._id.toString())) return;
+
+  // Devices with a live socket got the message already
+  const sessions = await DeviceSession.find({
+    user: burst.recipientId,
+    revokedAt: null,
+    pushToken: { $ne: null }
+  });
+  const offlineSessions = sessions.filter(session => !session.isOnline());
+  if (offlineSessions.length === 0) return;
+
+  // Private accounts keep message content off their lock screens
+  const isPrivate = recipient.isPrivate || recipient.preferences?.privateAccount;
+  const notification = buildNotification(message, burst.count, !isPrivate);
+  const pushMessages = offlineSessions.map(session =>
+    buildPushMessage(session.pushToken, notification, message, burst.count)
+  );
+
+  const results = await transport.send(pushMessages);
+
+  const staleTokens = results
+    .filter(result => !result.success && STALE_TOKEN_ERRORS.includes(result.errorCode))
+    .map(result => result.token);
+  if (staleTokens.length > 0) {
+    await DeviceSession.updateMany(
+      { user: burst.recipientId, pushToken: { $in: staleTokens } },
+      { $set: { pushToken: null, pushTokenUpdatedAt: null } }
+    );
+  }
+
+  const sent = results.filter(result => result.success).length;
+  console.log(`🔔 Push for chat ${burst.chatId}: ${sent}/${results.length} device(s) notified (${burst.count} message(s))`);
+};
+
+// Remove a window's record, unless a message that opened a new window has rewritten it
+const dropBurstRecord = async (storeKey, messageId) => {
+  const store = getStateStore();
+  const latest = await store.get(storeKey);
+  if (latest && String(latest.messageId) === String(messageId)) {
+    await store.delete(storeKey);
+  }
+};
+
+/**
+ * Close the window for a recipient + chat and send its push. Deleting the
+ * window's counter is the claim: only the instance whose delete removed it
+ * sends, however many try. Resolves to true when this call sent (or skipped) it.
+ */
+const flushBurst = async (key) => {
+  const store = getStateStore();
+  const count = await store.get(BURST_COUNT_PREFIX + key);
+  if (!(await store.delete(BURST_COUNT_PREFIX + key))) return false;
+
+  const burst = await store.get(BURST_PREFIX + key);
+  if (!burst) return false;
+
+  try {
+    await deliverBurst({ ...burst, count: Number(count) || 1 });
+  } finally {
+    await dropBurstRecord(BURST_PREFIX + key, burst.messageId);
+  }
+  return true;
+};
+
+const scheduleFlush = (key, delayMs) => {
+  setTimeout(() => {
+    flushBurst(key).catch(error => {
+      console.error('❌ Push notification error:', error.message);
+    });
+  }, Math.max(delayMs, 0)).unref();
+};
+
+/**
+ * Queue push notifications for a newly created message. Never throws:
+ * a push failure must not affect sending the message itself.
+ */
+const queueMessagePush = async (message) => {
+  try {
+    if (message.messageType === 'system') return;
+
+    const Chat = mongoose.model('Chat');
+    const chat = await Chat.findById(message.chat).select('users');
+    if (!chat) return;
+
+    const store = getStateStore();
+    const senderId = message.sender.toString();
+    const chatId = chat._id.toString();
+
+    await Promise.all(chat.users
+      .map(userId => userId.toString())
+      .filter(userId => userId !== senderId)
+      .map(async (recipientId) => {
+        const key = `${recipientId}:${chatId}`;
+
+        // The first message of a window opens it (count 1); later ones only
+        // move it to the newest message
+        const { count, resetAt } = await store.increment(BURST_COUNT_PREFIX + key, PENDING_PUSH_TTL_MS);
+        const flushAt = resetAt - PENDING_PUSH_TTL_MS + COLLAPSE_WINDOW_MS;
+        await store.set(BURST_PREFIX + key, {
+          recipientId,
+          chatId,
+          messageId: message._id.toString(),
+          flushAt
+        }, { ttlMs: PENDING_PUSH_TTL_MS });
+
+        if (count === 1) scheduleFlush(key, flushAt - Date.now());
+      }));
+  } catch (error) {
+    console.error('❌ Failed to queue push notification:', error.message);
+  }
+};
+
+/**
+ * Send windows that are overdue, e.g. opened by an instance that restarted
+ * before it could flush them. Resolves to the number of windows this run closed.
+ */
+const flushDuePushes = async ({ now = Date.now() } = {}) => {
+  const store = getStateStore();
+  const due = (await store.entries(BURST_PREFIX))
+    // The opening instance flushes on time; only step in once it clearly hasn't
+    .filter(([, burst]) => burst.flushAt + COLLAPSE_WINDOW_MS <= now);
+
+  let flushed = 0;
+  for (const [storeKey, burst] of due) {
+    try {
+      if (await flushBurst(storeKey.slice(BURST_PREFIX.length))) {
+        flushed++;
+        continue;
+      }
+
+      // Claimed by an instance that didn't get to clean up after itself
+      await dropBurstRecord(storeKey, burst.messageId);
+    } catch (error) {
+      console.error('❌ Push notification error:', error.message);
+    }
+  }
+
+  if (flushed > 0) {
+    console.log(`🔔 Flushed ${flushed} overdue push notification window(s)`);
+  }
+  return flushed;
+};
+
+module.exports = {
+  createFcmTransport,
+  setPushTransport,
+  getPushPreview,
+  buildNotification,
+  queueMessagePush,
+  flushDuePushes
+};
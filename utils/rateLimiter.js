@@ -0,0 +1,182 @@
+// Fixed-window rate limiter with a pluggable counter store.
+//
+// A store implements `increment(key, windowMs)` and resolves to
+// `{ count, resetAt }` (resetAt in ms since epoch) for the current window,
+// creating the window on first hit. By default the limiter counts in the
+// shared state store (utils/stateStore.js), so limits hold across every
+// server instance once Redis is configured; setRateLimitStore() overrides it.
+
+const { getStateStore } = require('./stateStore');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const envNumber = (name, fallback) => Number(process.env[name]) || fallback;
+
+// Budgets per bucket, each enforced per user and per IP
+const RATE_LIMITS = {
+  message: {
+    windowMs: MINUTE,
+    user: envNumber('RATE_LIMIT_MESSAGES_PER_MINUTE', 60),
+    ip: envNumber('RATE_LIMIT_MESSAGES_PER_MINUTE_PER_IP', 200)
+  },
+  messageRequest: {
+    windowMs: DAY,
+    user: envNumber('RATE_LIMIT_MESSAGE_REQUESTS_PER_DAY', 30),
+    ip: envNumber('RATE_LIMIT_MESSAGE_REQUESTS_PER_DAY_PER_IP', 100)
+  }
+};
+
+// ==================== STORE ====================
+
+// null = follow the shared state store, whichever one is installed
+let store = null;
+
+const setRateLimitStore = (nextStore) => {
+  if (!nextStore || typeof nextStore.increment !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs)');
+  }
+  store = nextStore;
+};
+
+// ==================== CONSUMPTION ====================
+
+/**
+ * Count one hit against a bucket for a user and an IP.
+ * Resolves to { allowed, limit, remaining, retryAfter, resetAt, scope }
+ * where scope is the identity that ran out ('user' | 'ip') when blocked.
+ */
+const consume = async (bucket, { userId, ip } = {}) => {
+  const config = RATE_LIMITS[bucket];
+  if (!config) {
+    throw new Error(`Unknown rate limit bucket: ${bucket}`);
+  }
+
+  const checks = [];
+  if (userId) checks.push({ scope: 'user', key: `rl:${bucket}:user:${userId}`, limit: config.user });
+  if (ip) checks.push({ scope: 'ip', key: `rl:${bucket}:ip:${ip}`, limit: config.ip });
+
+  const results = await Promise.all(checks.map(async (check) => ({
+    ...check,
+    ...(await (store || getStateStore()).increment(check.key, config.windowMs))
+  })));
+
+  const now = Date.now();
+  const exceeded = results.find(result => result.count > result.limit);
+  const tightest = exceeded || results.reduce(
+    (lowest, result) => (!lowest || result.limit - result.count < lowest.limit - lowest.count ? result : lowest),
+    null
+  );
+
+  if (!tightest) {
+    return { allowed: true, limit: null, remaining: null, retryAfter: 0, resetAt: null, scope: null };
+  }
+
+  return {
+    allowed: !exceeded,
+    limit: tightest.limit,
+    remaining: Math.max(tightest.limit - tightest.count, 0),
+    retryAfter: exceeded ? Math.max(Math.ceil((tightest.resetAt - now) / 1000), 1) : 0,
+    resetAt: new Date(tightest.resetAt),
+    scope: exceeded ? tightest.scope : null
+  };
+};
+
+// Structured payload for REST responses and socket `rate_limited` events
+const formatRateLimited = (bucket, result) => ({
+  code: 'rate_limited',
+  bucket,
+  message: bucket === 'messageRequest'
+    ? 'Daily message request limit reached, please try again later'
+    : 'You are sending messages too quickly, please slow down',
+  limit: result.limit,
+  retryAfter: result.retryAfter,
+  resetAt: result.resetAt
+});
+
+/**
+ * Consume for a REST request once it has been validated. Sets the
+ * X-RateLimit-* headers, answers 429 and resolves false when blocked.
+ */
+const consumeForRequest = async (req, res, bucket) => {
+  let result;
+  try {
+    result = await consume(bucket, { userId: req.user && req.user._id, ip: req.ip });
+  } catch (error) {
+    // Never block traffic because the limiter store is unavailable
+    console.error('❌ [rateLimit] Limiter error:', error.message);
+    return true;
+  }
+
+  if (result.limit !== null) {
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+  }
+
+  if (result.allowed) return true;
+
+  console.log(`🚦 [rateLimit] ${req.method} ${req.originalUrl} throttled (${result.scope}), retry in ${result.retryAfter}s`);
+  res.set('Retry-After', String(result.retryAfter));
+  const { message, ...details } = formatRateLimited(bucket, result);
+  res.status(429).json({
+    success: false,
+    message,
+    ...details
+  });
+  return false;
+};
+
+// Which hops may set X-Forwarded-For: Express's compiled "trust proxy fn"
+// (see server.js), so sockets resolve the same client address as req.ip
+let trustProxy = () => false;
+
+const setTrustProxy = (trust) => {
+  trustProxy = typeof trust === 'function' ? trust : () => false;
+};
+
+// Socket client address: X-Forwarded-For is walked from the nearest hop and
+// only followed through trusted proxies, as Express does for req.ip
+const getSocketIp = (socket) => {
+  const forwarded = (socket.handshake.headers && socket.handshake.headers['x-forwarded-for']) || '';
+  const addresses = [
+    socket.handshake.address,
+    ...forwarded.split(',').map(address => address.trim()).filter(Boolean).reverse()
+  ];
+
+  for (let i = 0; i < addresses.length - 1; i++) {
+    if (!trustProxy(addresses[i], i)) return addresses[i];
+  }
+  return addresses[addresses.length - 1];
+};
+
+// Consume for a socket event; emits `rate_limited` and resolves false when blocked
+const consumeForSocket = async (socket, bucket, event, extra = {}) => {
+  let result;
+  try {
+    result = await consume(bucket, { userId: socket.userId, ip: getSocketIp(socket) });
+  } catch (error) {
+    // Never block traffic because the limiter store is unavailable
+    console.error('❌ [rateLimit] Limiter error:', error.message);
+    return true;
+  }
+
+  if (result.allowed) return true;
+
+  console.log(`🚦 [rateLimit] ${event} throttled for ${socket.firebaseUid} (${result.scope}), retry in ${result.retryAfter}s`);
+  socket.emit('rate_limited', {
+    ...formatRateLimited(bucket, result),
+    event,
+    ...extra
+  });
+  return false;
+};
+
+module.exports = {
+  RATE_LIMITS,
+  setRateLimitStore,
+  setTrustProxy,
+  consume,
+  consumeForRequest,
+  consumeForSocket,
+  formatRateLimited
+};
@@ -0,0 +1,187 @@
+// Shared key/value state for anything every server instance must see
+// (upload progress, rate limit windows). Values are stored as JSON.
+//
+// A store implements:
+//   get(key)                      -> value | null
+//   set(key, value, { ttlMs })    -> void
+//   delete(key)                   -> true if the key existed
+//   entries(prefix)               -> [[key, value], ...]
+//   increment(key, windowMs)      -> { count, resetAt }  (rate limiter contract)
+//
+// The in-memory store covers a single process. With REDIS_URL set the
+// server installs the Redis store at startup (see socket/cluster.js), which
+// works with any Redis-compatible server (Redis, Valkey, KeyDB, Dragonfly).
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+const MINUTE = 60 * 1000;
+
+// Identifies this process in shared state, e.g. which instance owns an upload
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}:${uuidv4().substring(0, 8)}`;
+
+// ==================== MEMORY STORE ====================
+
+const createMemoryStateStore = ({ cleanupIntervalMs = MINUTE } = {}) => {
+  const data = new Map();
+
+  const isExpired = (entry, now = Date.now()) => entry.expiresAt !== null && entry.expiresAt <= now;
+
+  const read = (key) => {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of data.entries()) {
+      if (isExpired(entry, now)) data.delete(key);
+    }
+  }, cleanupIntervalMs);
+  cleanupTimer.unref();
+
+  return {
+    kind: 'memory',
+
+    async get(key) {
+      const entry = read(key);
+      // Copy so callers can't mutate stored state, matching the Redis store
+      return entry ? JSON.parse(entry.value) : null;
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      data.set(key, {
+        value: JSON.stringify(value),
+        expiresAt: ttlMs ? Date.now() + ttlMs : null
+      });
+    },
+
+    async delete(key) {
+      return !!read(key) && data.delete(key);
+    },
+
+    async entries(prefix = '') {
+      const result = [];
+      for (const key of [...data.keys()]) {
+        if (!key.startsWith(prefix)) continue;
+        const entry = read(key);
+        if (entry) result.push([key, JSON.parse(entry.value)]);
+      }
+      return result;
+    },
+
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let entry = read(key);
+
+      if (!entry) {
+        entry = { value: '0', expiresAt: now + windowMs };
+        data.set(key, entry);
+      }
+
+      entry.value = String(Number(entry.value) + 1);
+      return { count: Number(entry.value), resetAt: entry.expiresAt };
+    },
+
+    async close() {
+      clearInterval(cleanupTimer);
+      data.clear();
+    }
+  };
+};
+
+// ==================== REDIS STORE ====================
+
+// `client` is a connected node-redis client; keys are namespaced by `prefix`
+const createRedisStateStore = (client, { prefix = 'skybrr:' } = {}) => {
+  const withPrefix = (key) => `${prefix}${key}`;
+  const withoutPrefix = (key) => key.slice(prefix.length);
+
+  return {
+    kind: 'redis',
+
+    async get(key) {
+      const raw = await client.get(withPrefix(key));
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, { ttlMs } = {}) {
+      await client.set(
+        withPrefix(key),
+        JSON.stringify(value),
+        ttlMs ? { expiration: { type: 'PX', value: Math.ceil(ttlMs) } } : undefined
+      );
+    },
+
+    async delete(key) {
+      return (await client.del(withPrefix(key))) > 0;
+    },
+
+    async entries(keyPrefix = '') {
+      const keys = [];
+      for await (const page of client.scanIterator({ MATCH: `${withPrefix(keyPrefix)}*`, COUNT: 100 })) {
+        keys.push(...(Array.isArray(page) ? page : [page]));
+      }
+      if (keys.length === 0) return [];
+
+      const values = await client.mGet(keys);
+      return keys
+        .map((key, index) => [withoutPrefix(key), values[index]])
+        .filter(([, raw]) => raw !== null)
+        .map(([key, raw]) => [key, JSON.parse(raw)]);
+    },
+
+    async increment(key, windowMs) {
+      const fullKey = withPrefix(key);
+      const [count, ttl] = await client.multi()
+        .incr(fullKey)
+        .pTTL(fullKey)
+        .exec();
+
+      // First hit of a window (or a key that lost its TTL): start the window now
+      if (Number(ttl) < 0) {
+        await client.pExpire(fullKey, windowMs);
+        return { count: Number(count), resetAt: Date.now() + windowMs };
+      }
+
+      return { count: Number(count), resetAt: Date.now() + Number(ttl) };
+    },
+
+    async close() {
+      // The client is owned by whoever created it
+    }
+  };
+};
+
+// ==================== ACTIVE STORE ====================
+
+let store = createMemoryStateStore();
+
+const getStateStore = () => store;
+
+const setStateStore = (nextStore) => {
+  const required = ['get', 'set', 'delete', 'entries', 'increment'];
+  const missing = required.filter(method => !nextStore || typeof nextStore[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`State store must implement: ${missing.join(', ')}`);
+  }
+
+  const previous = store;
+  store = nextStore;
+  if (previous && previous !== nextStore && typeof previous.close === 'function') {
+    previous.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  INSTANCE_ID,
+  createMemoryStateStore,
+  createRedisStateStore,
+  getStateStore,
+  setStateStore
+};
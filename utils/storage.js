@@ -0,0 +1,364 @@
+// Media file storage behind a pluggable driver.
+//
+// A driver implements:
+//   upload(key, data, { contentType, metadata, onProgress })
+//       data is a Buffer or a path to a file on disk. Returns
+//       { promise, cancel() }; the promise resolves to { key, url, size } and
+//       rejects with code 'upload_canceled' after cancel(). onProgress gets
+//       { bytesTransferred, totalBytes }.
+//   getUrl(key)                         -> long-lived URL for the file
+//   getSignedUrl(key, { expiresInMs })  -> { url, expiresAt } (expiresAt null if it can't expire)
+//   delete(key)                         -> true if a file was removed
+//   stat(key)                           -> { size, contentType } or null when missing
+//   createReadStream(key, { start, end }) -> Readable of the (inclusive) byte range
+//
+// Chat media (PRIVATE_KEY_PREFIXES) is only handed out through /api/media,
+// which checks chat membership; the driver URLs stay on the server.
+//
+// STORAGE_DRIVER picks one at startup:
+//   firebase - Firebase Storage (FIREBASE_* config); signed URLs need Firebase Admin
+//   local    - files under LOCAL_STORAGE_DIR (default ./uploads), served at /uploads
+// Without STORAGE_DRIVER, firebase is used when FIREBASE_STORAGE_BUCKET is set, local otherwise.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const admin = require('firebase-admin');
+const { initializeApp, getApps } = require('firebase/app');
+const {
+  getStorage,
+  ref,
+  uploadBytesResumable,
+  getDownloadURL,
+  getMetadata,
+  deleteObject
+} = require('firebase/storage');
+
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || 'uploads');
+const DEFAULT_SIGNED_URL_TTL_MS = 60 * 60 * 1000;
+// V4 signatures can't outlive a week
+const MAX_FIREBASE_SIGNED_URL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const PROGRESS_CHUNK_BYTES = 256 * 1024;
+const PRIVATE_KEY_PREFIXES = ['messages/', 'thumbnails/', 'voice-notes/', 'variants/'];
+
+const canceledError = () => {
+  const error = new Error('Upload cancelled');
+  error.code = 'upload_canceled';
+  return error;
+};
+
+const getPublicBaseUrl = () =>
+  (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+// Keys are relative paths like "messages/123-abc.jpg"; nothing that could climb out
+const assertValidKey = (key) => {
+  const normalized = path.posix.normalize(String(key || ''));
+  if (!normalized || normalized.startsWith('..') || normalized.startsWith('/') || normalized !== key) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return normalized;
+};
+
+const isPrivateKey = (key) => {
+  const normalized = path.posix.normalize(String(key || '')).replace(/^\/+/, '');
+  return PRIVATE_KEY_PREFIXES.some(prefix => normalized.startsWith(prefix));
+};
+
+const notFoundError = (key) => {
+  const error = new Error(`File not found: ${key}`);
+  error.code = 'not_found';
+  return error;
+};
+
+// Firebase custom metadata only takes strings
+const toCustomMetadata = (metadata = {}) => Object.fromEntries(
+  Object.entries(metadata)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => [name, String(value)])
+);
+
+// ==================== DRIVERS ====================
+
+const createFirebaseStorageDriver = ({
+  config = {
+    apiKey: process.env.FIREBASE_API_KEY,
+    authDomain: process.env.FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.FIREBASE_PROJECT_ID,
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: process.env.FIREBASE_MESSAGING_SENDER_ID,
+    appId: process.env.FIREBASE_APP_ID
+  }
+} = {}) => {
+  const app = getApps().find(existing => existing.name === 'storage') || initializeApp(config, 'storage');
+  const storage = getStorage(app);
+  let warnedUnsigned = false;
+
+  return {
+    name: 'firebase',
+
+    upload(key, data, { contentType, metadata, onProgress } = {}) {
+      assertValidKey(key);
+      let task = null;
+      let cancelled = false;
+
+      const promise = (async () => {
+        // File-backed Blob: Firebase reads it slice by slice instead of all at once
+        const body = typeof data === 'string' ? await fs.openAsBlob(data, { type: contentType }) : data;
+        if (cancelled) throw canceledError();
+
+        task = uploadBytesResumable(ref(storage, key), body, {
+          contentType,
+          customMetadata: toCustomMetadata(metadata)
+        });
+        if (onProgress) {
+          task.on('state_changed', snapshot => onProgress({
+            bytesTransferred: snapshot.bytesTransferred,
+            totalBytes: snapshot.totalBytes
+          }));
+        }
+
+        let snapshot;
+        try {
+          snapshot = await task;
+        } catch (error) {
+          throw error.code === 'storage/canceled' ? canceledError() : error;
+        }
+
+        return { key, url: await getDownloadURL(snapshot.ref), size: snapshot.totalBytes };
+      })();
+
+      return {
+        promise,
+        cancel() {
+          cancelled = true;
+          return task ? task.cancel() : true;
+        }
+      };
+    },
+
+    getUrl: (key) => getDownloadURL(ref(storage, assertValidKey(key))),
+
+    async getSignedUrl(key, { expiresInMs = DEFAULT_SIGNED_URL_TTL_MS } = {}) {
+      assertValidKey(key);
+
+      // Expiring URLs are signed with the Admin service account
+      if (admin.apps.length > 0 && config.storageBucket) {
+        const expiresAt = new Date(Date.now() + Math.min(expiresInMs, MAX_FIREBASE_SIGNED_URL_TTL_MS));
+        const [url] = await admin.storage().bucket(config.storageBucket).file(key).getSignedUrl({
+          version: 'v4',
+          action: 'read',
+          expires: expiresAt
+        });
+        return { url, expiresAt };
+      }
+
+      if (!warnedUnsigned) {
+        warnedUnsigned = true;
+        console.warn('⚠️ Firebase Admin not configured: signed URLs fall back to download URLs that never expire');
+      }
+      return { url: await getDownloadURL(ref(storage, key)), expiresAt: null };
+    },
+
+    async stat(key) {
+      try {
+        const metadata = await getMetadata(ref(storage, assertValidKey(key)));
+        return { size: Number(metadata.size), contentType: metadata.contentType || null };
+      } catch (error) {
+        if (error.code === 'storage/object-not-found') return null;
+        throw error;
+      }
+    },
+
+    // Read through the download URL, which never leaves the server
+    async createReadStream(key, { start, end } = {}) {
+      const url = await getDownloadURL(ref(storage, assertValidKey(key))).catch((error) => {
+        throw error.code === 'storage/object-not-found' ? notFoundError(key) : error;
+      });
+      const ranged = start !== undefined;
+      const response = await fetch(url, ranged ? { headers: { Range: `bytes=${start}-${end ?? ''}` } } : {});
+
+      if (response.status === 404) throw notFoundError(key);
+      if (!response.ok || (ranged && response.status !== 206)) {
+        response.body?.cancel().catch(() => {});
+        throw new Error(`Firebase Storage read failed with HTTP ${response.status}`);
+      }
+      return Readable.fromWeb(response.body);
+    },
+
+    async delete(key) {
+      try {
+        await deleteObject(ref(storage, assertValidKey(key)));
+        return true;
+      } catch (error) {
+        if (error.code === 'storage/object-not-found') return false;
+        throw error;
+      }
+    }
+  };
+};
+
+const createLocalStorageDriver = ({
+  dir = LOCAL_STORAGE_DIR,
+  publicPath = '/uploads',
+  signingSecret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET
+} = {}) => {
+  const resolvePath = (key) => path.join(dir, assertValidKey(key));
+
+  const sign = (key, expires) => {
+    if (!signingSecret) {
+      throw new Error('STORAGE_SIGNING_SECRET (or JWT_SECRET) is required for signed URLs');
+    }
+    return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('base64url');
+  };
+
+  const keyUrl = (key) => key.split('/').map(encodeURIComponent).join('/');
+
+  return {
+    name: 'local',
+    dir,
+    resolvePath,
+
+    upload(key, data, { onProgress } = {}) {
+      const target = resolvePath(key);
+      const tempPath = `${target}.${crypto.randomUUID()}.tmp`;
+      let cancelled = false;
+
+      // Buffers are fed in slices so progress moves like a real transfer
+      const source = typeof data === 'string'
+        ? fs.createReadStream(data)
+        : Readable.from((function* slices() {
+          for (let offset = 0; offset < data.length; offset += PROGRESS_CHUNK_BYTES) {
+            yield data.subarray(offset, offset + PROGRESS_CHUNK_BYTES);
+          }
+        })());
+
+      const promise = (async () => {
+        const totalBytes = typeof data === 'string' ? (await fs.promises.stat(data)).size : data.length;
+        let bytesTransferred = 0;
+
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        if (cancelled) throw canceledError();
+        try {
+          await pipeline(
+            source,
+            new Transform({
+              transform(chunk, encoding, callback) {
+                bytesTransferred += chunk.length;
+                if (onProgress) onProgress({ bytesTransferred, totalBytes });
+                callback(null, chunk);
+              }
+            }),
+            fs.createWriteStream(tempPath)
+          );
+          await fs.promises.rename(tempPath, target);
+        } catch (error) {
+          await fs.promises.unlink(tempPath).catch(() => {});
+          throw cancelled ? canceledError() : error;
+        }
+
+        return { key, url: `${getPublicBaseUrl()}${publicPath}/${keyUrl(key)}`, size: totalBytes };
+      })();
+
+      return {
+        promise,
+        cancel() {
+          cancelled = true;
+          // No error here: the pipeline may not be listening yet; the flag reports it
+          source.destroy();
+          return true;
+        }
+      };
+    },
+
+    getUrl: async (key) => `${getPublicBaseUrl()}${publicPath}/${keyUrl(assertValidKey(key))}`,
+
+    async getSignedUrl(key, { expiresInMs = DEFAULT_SIGNED_URL_TTL_MS } = {}) {
+      assertValidKey(key);
+      const expires = Date.now() + expiresInMs;
+      const url = `${getPublicBaseUrl()}/api/upload/files/${keyUrl(key)}` +
+        `?expires=${expires}&signature=${sign(key, expires)}`;
+      return { url, expiresAt: new Date(expires) };
+    },
+
+    // For GET /api/upload/files/*: true when the link is genuine and unexpired
+    verifySignedUrl(key, expires, signature) {
+      if (!signature || !(Number(expires) > Date.now())) return false;
+      const expected = Buffer.from(sign(assertValidKey(key), Number(expires)));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolvePath(key));
+        return stats.isFile() ? { size: stats.size, contentType: null } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const filePath = resolvePath(key);
+      // Open first so a missing file rejects here instead of erroring mid-response
+      const handle = await fs.promises.open(filePath, 'r').catch((error) => {
+        throw error.code === 'ENOENT' ? notFoundError(key) : error;
+      });
+      return handle.createReadStream({ start, end });
+    },
+
+    async delete(key) {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+};
+
+const createDriverFromEnv = () => {
+  const kind = process.env.STORAGE_DRIVER || (process.env.FIREBASE_STORAGE_BUCKET ? 'firebase' : 'local');
+
+  switch (kind) {
+    case 'firebase': return createFirebaseStorageDriver();
+    case 'local': return createLocalStorageDriver();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${kind}`);
+  }
+};
+
+let driver = null;
+
+// Built on first use; throws when the configured driver can't be created
+const getStorageDriver = () => {
+  if (!driver) {
+    driver = createDriverFromEnv();
+    console.log(`✅ Storage driver: ${driver.name}`);
+  }
+  return driver;
+};
+
+const setStorageDriver = (nextDriver) => {
+  const required = ['upload', 'getUrl', 'getSignedUrl', 'delete', 'stat', 'createReadStream'];
+  const missing = required.filter(method => !nextDriver || typeof nextDriver[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Storage driver is missing: ${missing.join(', ')}`);
+  }
+  driver = nextDriver;
+};
+
+module.exports = {
+  LOCAL_STORAGE_DIR,
+  canceledError,
+  PRIVATE_KEY_PREFIXES,
+  isPrivateKey,
+  getPublicBaseUrl,
+  createFirebaseStorageDriver,
+  createLocalStorageDriver,
+  getStorageDriver,
+  setStorageDriver
+};
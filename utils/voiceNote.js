@@ -0,0 +1,222 @@
+// Voice notes: server-side duration and waveform, measured at upload time.
+//
+// WAV is decoded here directly; other formats (m4a, aac, ogg/opus, webm,
+// mp3...) go through ffmpeg. The measured result is kept in the shared
+// state store under the upload ID, along with who uploaded it, and messages
+// take their duration and waveform from there rather than from the client.
+// Only the uploader can send an upload.
+const { decodeAudioToPcm } = require('./ffmpeg');
+const { getStateStore } = require('./stateStore');
+const { createHttpError } = require('./httpError');
+
+const VOICE_NOTE_MAX_SECONDS = Number(process.env.VOICE_NOTE_MAX_SECONDS) || 5 * 60;
+const VOICE_NOTE_MAX_BYTES = Number(process.env.VOICE_NOTE_MAX_BYTES) || 10 * 1024 * 1024;
+const WAVEFORM_BARS = 64;
+const ANALYSIS_SAMPLE_RATE = 8000;
+
+// Uploaded voice notes wait this long to be sent before they're forgotten
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const UPLOAD_PREFIX = 'voice-note:';
+
+const VOICE_NOTE_MIME_TYPES = [
+  'audio/mpeg',
+  'audio/mp4',
+  'audio/x-m4a',
+  'audio/m4a',
+  'audio/aac',
+  'audio/ogg',
+  'audio/opus',
+  'audio/webm',
+  'audio/wav',
+  'audio/x-wav',
+  'audio/wave',
+  'audio/3gpp',
+  'audio/amr'
+];
+
+// ==================== DECODING ====================
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const isWav = (buffer) => buffer.length >= 12 &&
+  buffer.toString('ascii', 0, 4) === 'RIFF' &&
+  buffer.toString('ascii', 8, 12) === 'WAVE';
+
+// Read one sample in [-1, 1]
+const readSample = (buffer, offset, format, bitsPerSample) => {
+  if (format === WAVE_FORMAT_FLOAT) {
+    return bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+  }
+  switch (bitsPerSample) {
+    case 8: return (buffer.readUInt8(offset) - 128) / 128;
+    case 16: return buffer.readInt16LE(offset) / 32768;
+    case 24: return buffer.readIntLE(offset, 3) / 8388608;
+    case 32: return buffer.readInt32LE(offset) / 2147483648;
+    default: return 0;
+  }
+};
+
+/**
+ * Decode a PCM / float WAV to mono samples.
+ * Resolves to { sampleRate, samples: Float32Array } or null when unsupported.
+ */
+const decodeWav = (buffer) => {
+  let offset = 12;
+  let fmt = null;
+  let data = null;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ' && body + 16 <= buffer.length) {
+      let format = buffer.readUInt16LE(body);
+      if (format === WAVE_FORMAT_EXTENSIBLE && chunkSize >= 26 && body + 26 <= buffer.length) {
+        format = buffer.readUInt16LE(body + 24); // sub-format GUID starts with the real format
+      }
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      // Streamed WAVs may leave the size at 0 / max; read to the end then
+      const end = chunkSize === 0 || body + chunkSize > buffer.length ? buffer.length : body + chunkSize;
+      data = { start: body, end };
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+    if (data && fmt) break;
+  }
+
+  if (!fmt || !data || !fmt.channels || !fmt.sampleRate) return null;
+  if (![WAVE_FORMAT_PCM, WAVE_FORMAT_FLOAT].includes(fmt.format)) return null;
+  if (![8, 16, 24, 32, 64].includes(fmt.bitsPerSample)) return null;
+
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const frameSize = bytesPerSample * fmt.channels;
+  const frames = Math.floor((data.end - data.start) / frameSize);
+  const samples = new Float32Array(frames);
+
+  for (let frame = 0; frame < frames; frame++) {
+    const frameOffset = data.start + frame * frameSize;
+    let sum = 0;
+    for (let channel = 0; channel < fmt.channels; channel++) {
+      sum += readSample(buffer, frameOffset + channel * bytesPerSample, fmt.format, fmt.bitsPerSample);
+    }
+    samples[frame] = sum / fmt.channels;
+  }
+
+  return { sampleRate: fmt.sampleRate, samples };
+};
+
+const decodeWithFfmpeg = async (buffer) => {
+  const pcm = await decodeAudioToPcm(buffer, { sampleRate: ANALYSIS_SAMPLE_RATE });
+  const frames = Math.floor(pcm.length / 2);
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    samples[i] = pcm.readInt16LE(i * 2) / 32768;
+  }
+  return { sampleRate: ANALYSIS_SAMPLE_RATE, samples };
+};
+
+// ==================== ANALYSIS ====================
+
+// RMS per bar, scaled so the loudest bar is 100
+const buildWaveform = (samples, bars = WAVEFORM_BARS) => {
+  if (samples.length === 0) return new Array(bars).fill(0);
+
+  const levels = [];
+  for (let bar = 0; bar < bars; bar++) {
+    const start = Math.floor((bar * samples.length) / bars);
+    const end = Math.max(Math.floor(((bar + 1) * samples.length) / bars), start + 1);
+
+    let sumSquares = 0;
+    for (let i = start; i < end && i < samples.length; i++) {
+      sumSquares += samples[i] * samples[i];
+    }
+    levels.push(Math.sqrt(sumSquares / (end - start)));
+  }
+
+  const peak = Math.max(...levels);
+  return levels.map(level => (peak > 0 ? Math.round((level / peak) * 100) : 0));
+};
+
+/**
+ * Measure a voice note. Resolves to { duration (seconds), waveform: number[] }.
+ * Throws a 415 when the format needs ffmpeg and it isn't installed,
+ * and a 422 when the audio can't be decoded.
+ */
+const analyzeVoiceNote = async (buffer) => {
+  let decoded = isWav(buffer) ? decodeWav(buffer) : null;
+
+  if (!decoded) {
+    try {
+      decoded = await decodeWithFfmpeg(buffer);
+    } catch (error) {
+      if (error.code === 'ffmpeg_unavailable') {
+        console.error('❌ Voice note analysis needs ffmpeg:', error.message);
+        throw createHttpError(415, 'This audio format cannot be processed right now, please send a WAV file', 'unsupported_audio');
+      }
+      console.error('❌ Voice note decoding failed:', error.message);
+      throw createHttpError(422, 'Could not read the audio file', 'invalid_audio');
+    }
+  }
+
+  if (!decoded || decoded.samples.length === 0) {
+    throw createHttpError(422, 'The audio file is empty or unreadable', 'invalid_audio');
+  }
+
+  return {
+    duration: Math.round((decoded.samples.length / decoded.sampleRate) * 100) / 100,
+    waveform: buildWaveform(decoded.samples)
+  };
+};
+
+// ==================== UPLOAD HANDOFF ====================
+
+const saveVoiceNoteUpload = (uploadId, userId, data) =>
+  getStateStore().set(UPLOAD_PREFIX + uploadId, { ...data, userId: userId.toString() }, { ttlMs: UPLOAD_TTL_MS });
+
+/**
+ * Message fields for a voice note uploaded through POST /api/upload/voice-note.
+ * Throws a 400 when the upload is unknown or has expired, and a 403 when
+ * `userId` (the sender) isn't who uploaded it.
+ */
+const getVoiceNoteMessageFields = async (uploadId, userId) => {
+  const upload = uploadId ? await getStateStore().get(UPLOAD_PREFIX + uploadId) : null;
+  if (!upload) {
+    throw createHttpError(400, 'Voice note upload not found or expired, please upload it again', 'voice_note_not_found');
+  }
+  if (!userId || upload.userId !== userId.toString()) {
+    throw createHttpError(403, 'Voice note upload belongs to another user', 'voice_note_forbidden');
+  }
+
+  return {
+    content: '',
+    fileUrl: upload.fileUrl,
+    fileName: upload.fileName,
+    uploadId,
+    voiceNote: {
+      duration: upload.duration,
+      waveform: upload.waveform,
+      mimeType: upload.mimeType,
+      fileSize: upload.fileSize
+    }
+  };
+};
+
+module.exports = {
+  VOICE_NOTE_MAX_SECONDS,
+  VOICE_NOTE_MAX_BYTES,
+  VOICE_NOTE_MIME_TYPES,
+  decodeWav,
+  buildWaveform,
+  analyzeVoiceNote,
+  saveVoiceNoteUpload,
+  getVoiceNoteMessageFields
+};